@@ -1,9 +1,21 @@
 /**
- * Activity processors: Follow, Accept, Undo, Create.
+ * Activity processors: Follow, Accept, Undo, Create, Delete, Update, Like,
+ * Announce, Block.
+ *
+ * Received posts are found again by their object id through
+ * `ap_inbox_object:{hash}`, our own through `ap_outbox_object:{hash}`.
+ * Likes and boosts of our posts are kept in `ap_reactions:{hash}` (keyed by
+ * the post's object id), with `ap_reaction:{hash}` (keyed by the Like or
+ * Announce id) pointing back at it for Undo. The ones we sent are in
+ * `ap_own_reactions:{hash}`, keyed by the object id. Earlier versions of our
+ * edited posts are in `ap_post_history:{hash}`.
  */
 import { simpleHash } from '../utils.js';
+import { indexPost, unindexPosts } from '../storage/search.js';
+import { cacheRemoteActor } from './remote.js';
 
 const AS_PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
+const MAX_HISTORY = 20; // earlier versions kept per edited post
 
 /**
  * Process an incoming Follow activity.
@@ -127,14 +139,23 @@ export async function processAccept(activity, config, env) {
 
 /**
  * Process an incoming Undo activity.
+ * Undo(Follow) removes the sender from our followers; Undo(Like) and
+ * Undo(Announce) take back a reaction to one of our posts. Only the actor
+ * of the undone activity can undo it.
  */
 export async function processUndo(activity, config, env) {
   const username = config.username;
+  const actor = idOf(activity.actor);
   const inner = activity.object;
 
+  if (inner && typeof inner === 'object' && inner.actor && idOf(inner.actor) !== actor) {
+    console.log(`[inbox] ignored Undo from ${actor}: ${inner.type} belongs to ${idOf(inner.actor)}`);
+    return;
+  }
+
   // If Undo(Follow), remove from followers
-  if (inner && (inner.type === 'Follow' || (typeof inner === 'object' && inner.type === 'Follow'))) {
-    const unfollowerUri = activity.actor;
+  if (inner?.type === 'Follow') {
+    const unfollowerUri = actor;
     const followersData = await env.APPDATA.get(`ap_followers:${username}`);
     const followers = JSON.parse(followersData || '[]');
     const idx = followers.indexOf(unfollowerUri);
@@ -142,6 +163,9 @@ export async function processUndo(activity, config, env) {
       followers.splice(idx, 1);
       await env.APPDATA.put(`ap_followers:${username}`, JSON.stringify(followers));
     }
+  } else if (typeof inner === 'string' || inner?.type === 'Like' || inner?.type === 'Announce') {
+    // Reactions never reached the feed, so neither does taking one back
+    if (await removeReaction(inner, actor, config, env)) return;
   }
 
   await storeInboxActivity(activity, username, env);
@@ -154,10 +178,125 @@ export async function processCreate(activity, config, env) {
   await storeInboxActivity(activity, config.username, env);
 }
 
+/**
+ * Process an incoming Delete activity.
+ * A received post becomes a Tombstone (and leaves the search index) when
+ * the sender is its author. An actor deleting itself loses its
+ * relationships with us and its cached actor document.
+ * @returns {Promise<{actorRemoved: boolean}>}
+ */
+export async function processDelete(activity, config, env) {
+  const username = config.username;
+  const actor = idOf(activity.actor);
+  const objectId = idOf(activity.object);
+
+  if (objectId && objectId === actor) {
+    await removeRelationships(actor, username, env);
+    await env.APPDATA.delete(`ap_remote_actor:${simpleHash(actor)}`);
+    return { actorRemoved: true };
+  }
+
+  const stored = await loadReceivedPost(objectId, env);
+  if (!stored || stored.object.type === 'Tombstone') return { actorRemoved: false };
+  if (postAuthor(stored) !== actor) {
+    console.log(`[inbox] ignored Delete from ${actor}: ${objectId} belongs to ${postAuthor(stored)}`);
+    return { actorRemoved: false };
+  }
+
+  stored.object = {
+    type: 'Tombstone',
+    id: objectId,
+    formerType: stored.object.type,
+    deleted: new Date().toISOString(),
+  };
+  await env.APPDATA.put(`ap_inbox_item:${simpleHash(stored.id)}`, JSON.stringify(stored));
+  await unindexPosts(env.APPDATA, username, [stored.id]);
+  return { actorRemoved: false };
+}
+
+/**
+ * Process an incoming Update activity.
+ * An actor updating itself refreshes the cached actor document; an author
+ * updating one of their received posts replaces its object.
+ */
+export async function processUpdate(activity, config, env) {
+  const actor = idOf(activity.actor);
+  const object = activity.object;
+  if (!object || typeof object !== 'object' || !object.id) return;
+
+  if (object.id === actor) {
+    await cacheRemoteActor(object, env.APPDATA);
+    return;
+  }
+
+  const stored = await loadReceivedPost(object.id, env);
+  if (!stored || stored.object.type === 'Tombstone') return;
+  const claimed = ownerOf(object);
+  if (postAuthor(stored) !== actor || (claimed && claimed !== actor)) {
+    console.log(`[inbox] ignored Update from ${actor}: ${object.id} belongs to ${postAuthor(stored)}`);
+    return;
+  }
+
+  stored.object = { ...object, updated: object.updated || new Date().toISOString() };
+  await env.APPDATA.put(`ap_inbox_item:${simpleHash(stored.id)}`, JSON.stringify(stored));
+  if (stored.object.content || stored.object.summary || stored.object.name) {
+    await indexPost(env.APPDATA, config.username, stored, 'inbox');
+  } else {
+    await unindexPosts(env.APPDATA, config.username, [stored.id]);
+  }
+}
+
+/**
+ * Process an incoming Like activity. Likes of our posts are counted;
+ * anything else is stored in the inbox.
+ */
+export async function processLike(activity, config, env) {
+  if (!(await recordReaction(activity, 'likes', config, env))) {
+    await storeInboxActivity(activity, config.username, env);
+  }
+}
+
+/**
+ * Process an incoming Announce activity. Boosts of our posts are counted;
+ * boosts of other posts are stored in the inbox.
+ */
+export async function processAnnounce(activity, config, env) {
+  if (!(await recordReaction(activity, 'announces', config, env))) {
+    await storeInboxActivity(activity, config.username, env);
+  }
+}
+
+/**
+ * Process an incoming Block activity aimed at us: the sender is no longer
+ * a follower, followed, or asking to follow.
+ * @returns {Promise<boolean>} whether it was a block of our actor
+ */
+export async function processBlock(activity, config, env) {
+  if (idOf(activity.object) !== config.actorId) return false;
+  await removeRelationships(idOf(activity.actor), config.username, env);
+  return true;
+}
+
+/**
+ * Reactions to one of our posts.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} objectId - the post's object id
+ * @returns {Promise<{likes: object[], announces: object[]}>} entries carry
+ *   actor, activityId, at
+ */
+export async function getReactions(kv, objectId) {
+  const data = await kv.get(`ap_reactions:${simpleHash(objectId)}`);
+  const reactions = JSON.parse(data || 'null');
+  return { likes: reactions?.likes || [], announces: reactions?.announces || [] };
+}
+
 /**
  * Create a Note activity for the outbox.
+ * @param {object} [reply] - when replying: `id` of the post replied to,
+ *   `mentions` ([{href, name}], its author first) who are addressed and
+ *   mentioned in the content
  */
-export function buildCreateNote(config, content, summary, audience) {
+export function buildCreateNote(config, content, summary, audience, reply = null) {
   const username = config.username;
   const activityId = `${config.baseUrl}/${username}/outbox/${crypto.randomUUID()}`;
   const noteId = `${config.baseUrl}/${username}/posts/${crypto.randomUUID()}`;
@@ -183,16 +322,34 @@ export function buildCreateNote(config, content, summary, audience) {
       cc = [followersUrl];
   }
 
+  const mentions = (reply?.mentions || []).filter(m => m.href && m.href !== config.actorId);
+  const mentioned = mentions.map(m => m.href);
+  if (audience === 'public') cc.push(...mentioned);
+  else to.push(...mentioned);
+
+  // Mention everyone addressed, unless the text already does
+  const prefix = mentions
+    .filter(m => !content.includes(m.name))
+    .map(m => `<span class="h-card"><a href="${escapeHtml(m.href)}" class="u-url mention">${escapeHtml(m.name)}</a></span> `)
+    .join('');
+
   const note = {
     type: 'Note',
     id: noteId,
+    url: noteId,
     attributedTo: config.actorId,
-    content,
+    content: prefix + content,
     published,
     to,
     cc,
+    likes: `${noteId}/likes`,
+    shares: `${noteId}/shares`,
   };
   if (summary) note.summary = summary;
+  if (reply) {
+    note.inReplyTo = reply.id;
+    if (mentions.length) note.tag = mentions.map(m => ({ type: 'Mention', href: m.href, name: m.name }));
+  }
 
   return {
     '@context': 'https://www.w3.org/ns/activitystreams',
@@ -206,6 +363,55 @@ export function buildCreateNote(config, content, summary, audience) {
   };
 }
 
+/**
+ * Build a Like of a post, addressed to its author.
+ */
+export function buildLike(config, objectId, authorUri) {
+  return {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Like',
+    id: `${config.baseUrl}/${config.username}/outbox/${crypto.randomUUID()}`,
+    actor: config.actorId,
+    object: objectId,
+    to: authorUri ? [authorUri] : [],
+    published: new Date().toISOString(),
+  };
+}
+
+/**
+ * Build an Announce (boost) of a post: public, copied to our followers and
+ * the post's author.
+ */
+export function buildAnnounce(config, objectId, authorUri) {
+  return {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Announce',
+    id: `${config.baseUrl}/${config.username}/outbox/${crypto.randomUUID()}`,
+    actor: config.actorId,
+    object: objectId,
+    to: [AS_PUBLIC],
+    cc: [`${config.baseUrl}/${config.username}/followers`, ...(authorUri ? [authorUri] : [])],
+    published: new Date().toISOString(),
+  };
+}
+
+/**
+ * Build an Undo of one of our activities, addressed like the original.
+ */
+export function buildUndo(config, activity) {
+  const { '@context': _, ...inner } = activity;
+  return {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Undo',
+    id: `${config.baseUrl}/${config.username}/outbox/${crypto.randomUUID()}`,
+    actor: config.actorId,
+    object: inner,
+    ...(activity.to ? { to: activity.to } : {}),
+    ...(activity.cc ? { cc: activity.cc } : {}),
+    published: new Date().toISOString(),
+  };
+}
+
 /**
  * Build a Follow activity.
  */
@@ -238,30 +444,286 @@ export function buildUnfollow(config, targetActorUri) {
   };
 }
 
+/**
+ * Edit one of our posts: keep the current version in its history, replace
+ * content and summary, and build the Update for its audience.
+ * @param {object} stored - the post's Create from the outbox
+ * @param {{content: string, summary: string}} changes
+ * @returns {Promise<object>} the Update activity, stored in the outbox
+ */
+export async function editOwnPost(stored, { content, summary }, config, env) {
+  const note = stored.object;
+  const historyKey = `ap_post_history:${simpleHash(note.id)}`;
+  const history = JSON.parse(await env.APPDATA.get(historyKey) || '[]');
+  history.unshift({ content: note.content || '', summary: note.summary || '', updated: note.updated || note.published });
+  await env.APPDATA.put(historyKey, JSON.stringify(history.slice(0, MAX_HISTORY)));
+
+  const updated = new Date().toISOString();
+  const { summary: _, ...rest } = note;
+  stored.object = { ...rest, content, ...(summary ? { summary } : {}), updated };
+  await env.APPDATA.put(`ap_outbox_item:${simpleHash(stored.id)}`, JSON.stringify(stored));
+  await indexPost(env.APPDATA, config.username, stored, 'outbox');
+
+  const update = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Update',
+    id: `${config.baseUrl}/${config.username}/outbox/${crypto.randomUUID()}`,
+    actor: config.actorId,
+    object: stored.object,
+    to: stored.object.to || [],
+    cc: stored.object.cc || [],
+    published: updated,
+  };
+  await storeOutboxActivity(update, config.username, env);
+  return update;
+}
+
+/**
+ * Delete one of our posts: its object becomes a Tombstone, its history,
+ * reactions and search entry go, and a Delete is built for its audience.
+ * @param {object} stored - the post's Create from the outbox
+ * @returns {Promise<object>} the Delete activity, stored in the outbox
+ */
+export async function deleteOwnPost(stored, config, env) {
+  const note = stored.object;
+  const deleted = new Date().toISOString();
+  stored.object = { type: 'Tombstone', id: note.id, formerType: note.type, published: note.published, deleted };
+  await env.APPDATA.put(`ap_outbox_item:${simpleHash(stored.id)}`, JSON.stringify(stored));
+  await unindexPosts(env.APPDATA, config.username, [stored.id]);
+  await env.APPDATA.delete(`ap_post_history:${simpleHash(note.id)}`);
+  await env.APPDATA.delete(`ap_reactions:${simpleHash(note.id)}`);
+
+  const activity = {
+    '@context': 'https://www.w3.org/ns/activitystreams',
+    type: 'Delete',
+    id: `${config.baseUrl}/${config.username}/outbox/${crypto.randomUUID()}`,
+    actor: config.actorId,
+    object: { type: 'Tombstone', id: note.id },
+    to: note.to || [],
+    cc: note.cc || [],
+    published: deleted,
+  };
+  await storeOutboxActivity(activity, config.username, env);
+  return activity;
+}
+
+/**
+ * Earlier versions of one of our edited posts, newest first.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} objectId
+ * @returns {Promise<Array<{content: string, summary: string, updated: string}>>}
+ */
+export async function getPostHistory(kv, objectId) {
+  return JSON.parse(await kv.get(`ap_post_history:${simpleHash(objectId)}`) || '[]');
+}
+
+/**
+ * The Create of one of our posts, by the post's object id.
+ * @returns {Promise<object|null>}
+ */
+export async function loadOwnPost(objectId, config, env) {
+  if (!objectId || !objectId.startsWith(`${config.baseUrl}/${config.username}/`)) return null;
+  const activityId = await env.APPDATA.get(`ap_outbox_object:${simpleHash(objectId)}`);
+  if (!activityId) return null;
+  const data = await env.APPDATA.get(`ap_outbox_item:${simpleHash(activityId)}`);
+  const stored = data ? JSON.parse(data) : null;
+  return stored?.object && typeof stored.object === 'object' ? stored : null;
+}
+
+/**
+ * A post we have stored — received or our own — by its object id.
+ * Deleted posts are not returned.
+ * @returns {Promise<object|null>} the post object
+ */
+export async function findPost(objectId, config, env) {
+  const received = await loadReceivedPost(objectId, env);
+  if (received) return received.object.type === 'Tombstone' ? null : received.object;
+  const own = await loadOwnPost(objectId, config, env);
+  if (own) return own.object.type === 'Tombstone' ? null : own.object;
+  // Our posts are also found by their Create's id
+  const data = objectId?.startsWith(`${config.baseUrl}/${config.username}/`) && await env.APPDATA.get(`ap_outbox_item:${simpleHash(objectId)}`);
+  const stored = data ? JSON.parse(data) : null;
+  return stored?.type === 'Create' && typeof stored.object === 'object' && stored.object?.type !== 'Tombstone' ? stored.object : null;
+}
+
+/**
+ * The author of a post object.
+ * @returns {string} actor URI, '' when unknown
+ */
+export function authorOf(object) {
+  return ownerOf(object) || idOf(object?.actor);
+}
+
+/**
+ * The ids of the Like and Announce we sent for a post.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} objectId
+ * @returns {Promise<{like: string|null, announce: string|null}>}
+ */
+export async function getOwnReactions(kv, objectId) {
+  const data = await kv.get(`ap_own_reactions:${simpleHash(objectId)}`);
+  const own = JSON.parse(data || 'null');
+  return { like: own?.like || null, announce: own?.announce || null };
+}
+
+/**
+ * Remember (or, with a null id, forget) a Like or Announce we sent.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} objectId
+ * @param {'like'|'announce'} kind
+ * @param {string|null} activityId
+ */
+export async function setOwnReaction(kv, objectId, kind, activityId) {
+  const own = await getOwnReactions(kv, objectId);
+  own[kind] = activityId;
+  if (own.like || own.announce) {
+    await kv.put(`ap_own_reactions:${simpleHash(objectId)}`, JSON.stringify(own));
+  } else {
+    await kv.delete(`ap_own_reactions:${simpleHash(objectId)}`);
+  }
+}
+
 // --- Storage helpers ---
 
 async function storeInboxActivity(activity, username, env) {
   const id = activity.id || crypto.randomUUID();
   const hash = simpleHash(id);
   await env.APPDATA.put(`ap_inbox_item:${hash}`, JSON.stringify(activity));
+  // Only a post's author can make it findable for a later Delete or Update
+  const objectId = activity.type === 'Create' ? idOf(activity.object) : '';
+  if (objectId && typeof activity.object === 'object' && postAuthor(activity) === idOf(activity.actor)) {
+    await env.APPDATA.put(`ap_inbox_object:${simpleHash(objectId)}`, id);
+  }
 
   const indexData = await env.APPDATA.get(`ap_inbox_index:${username}`);
   const index = JSON.parse(indexData || '[]');
   index.unshift({ id, published: activity.published || new Date().toISOString() });
   // Keep last 500 items
-  if (index.length > 500) index.length = 500;
+  const dropped = index.splice(500);
   await env.APPDATA.put(`ap_inbox_index:${username}`, JSON.stringify(index));
+
+  await indexPost(env.APPDATA, username, activity, 'inbox');
+  if (dropped.length) await unindexPosts(env.APPDATA, username, dropped.map(e => e.id));
 }
 
 export async function storeOutboxActivity(activity, username, env) {
   const id = activity.id || crypto.randomUUID();
   const hash = simpleHash(id);
   await env.APPDATA.put(`ap_outbox_item:${hash}`, JSON.stringify(activity));
+  if (activity.type === 'Create' && typeof activity.object === 'object' && activity.object?.id) {
+    await env.APPDATA.put(`ap_outbox_object:${simpleHash(activity.object.id)}`, id);
+  }
 
   const indexData = await env.APPDATA.get(`ap_outbox_index:${username}`);
   const index = JSON.parse(indexData || '[]');
   index.unshift({ id, published: activity.published || new Date().toISOString() });
-  if (index.length > 500) index.length = 500;
+  const dropped = index.splice(500);
   await env.APPDATA.put(`ap_outbox_index:${username}`, JSON.stringify(index));
+
+  await indexPost(env.APPDATA, username, activity, 'outbox');
+  if (dropped.length) await unindexPosts(env.APPDATA, username, dropped.map(e => e.id));
 }
 
+
+async function loadReceivedPost(objectId, env) {
+  if (!objectId) return null;
+  const activityId = await env.APPDATA.get(`ap_inbox_object:${simpleHash(objectId)}`);
+  if (!activityId) return null;
+  const data = await env.APPDATA.get(`ap_inbox_item:${simpleHash(activityId)}`);
+  const stored = data ? JSON.parse(data) : null;
+  return stored?.object && typeof stored.object === 'object' ? stored : null;
+}
+
+/**
+ * The object id of one of our posts, given its id or its Create's id;
+ * null when it isn't ours or was deleted.
+ */
+async function resolveOwnPost(id, config, env) {
+  const own = await loadOwnPost(id, config, env);
+  if (own) return own.object.type === 'Tombstone' ? null : id;
+  const data = id?.startsWith(`${config.baseUrl}/${config.username}/`) && await env.APPDATA.get(`ap_outbox_item:${simpleHash(id)}`);
+  if (!data) return null;
+  const stored = JSON.parse(data);
+  return stored.type === 'Create' && stored.object?.type !== 'Tombstone' && idOf(stored.object) ? idOf(stored.object) : null;
+}
+
+async function recordReaction(activity, kind, config, env) {
+  const objectId = await resolveOwnPost(idOf(activity.object), config, env);
+  if (!objectId) return false;
+
+  const actor = idOf(activity.actor);
+  const key = `ap_reactions:${simpleHash(objectId)}`;
+  const reactions = JSON.parse(await env.APPDATA.get(key) || 'null') || { object: objectId, likes: [], announces: [] };
+  if (!reactions[kind].some(r => r.actor === actor)) {
+    reactions[kind].push({ actor, activityId: activity.id, at: activity.published || new Date().toISOString() });
+    await env.APPDATA.put(key, JSON.stringify(reactions));
+    await env.APPDATA.put(`ap_reaction:${simpleHash(activity.id)}`, JSON.stringify({ object: objectId, kind }));
+  }
+  return true;
+}
+
+/**
+ * Take back a Like or Announce, found by its id or — when the Undo embeds
+ * it without one — by its object and actor.
+ * @returns {Promise<boolean>} whether a reaction was removed
+ */
+async function removeReaction(inner, actor, config, env) {
+  const innerId = idOf(inner);
+  const ref = innerId ? JSON.parse(await env.APPDATA.get(`ap_reaction:${simpleHash(innerId)}`) || 'null') : null;
+  const objectId = ref?.object || await resolveOwnPost(idOf(inner?.object), config, env);
+  const kind = ref?.kind || (inner?.type === 'Like' ? 'likes' : inner?.type === 'Announce' ? 'announces' : null);
+  if (!objectId || !kind) return false;
+
+  const key = `ap_reactions:${simpleHash(objectId)}`;
+  const reactions = JSON.parse(await env.APPDATA.get(key) || 'null');
+  const entry = reactions?.[kind].find(r => (ref ? r.activityId === innerId : r.actor === actor));
+  if (!entry) return false;
+  if (entry.actor !== actor) {
+    console.log(`[inbox] ignored Undo from ${actor}: reaction ${entry.activityId} belongs to ${entry.actor}`);
+    return false;
+  }
+
+  reactions[kind] = reactions[kind].filter(r => r !== entry);
+  if (reactions.likes.length || reactions.announces.length) {
+    await env.APPDATA.put(key, JSON.stringify(reactions));
+  } else {
+    await env.APPDATA.delete(key);
+  }
+  if (entry.activityId) await env.APPDATA.delete(`ap_reaction:${simpleHash(entry.activityId)}`);
+  return true;
+}
+
+async function removeRelationships(actorUri, username, env) {
+  for (const key of [`ap_followers:${username}`, `ap_following:${username}`]) {
+    const list = JSON.parse(await env.APPDATA.get(key) || '[]');
+    if (list.includes(actorUri)) {
+      await env.APPDATA.put(key, JSON.stringify(list.filter(uri => uri !== actorUri)));
+    }
+  }
+  const pending = JSON.parse(await env.APPDATA.get(`ap_pending_follows:${username}`) || '[]');
+  if (pending.some(p => p.actor === actorUri)) {
+    await env.APPDATA.put(`ap_pending_follows:${username}`, JSON.stringify(pending.filter(p => p.actor !== actorUri)));
+  }
+}
+
+/** The author of a stored Create: its object's attributedTo, else its actor. */
+function postAuthor(activity) {
+  return ownerOf(activity.object) || idOf(activity.actor);
+}
+
+function ownerOf(object) {
+  const attributed = Array.isArray(object?.attributedTo) ? object.attributedTo[0] : object?.attributedTo;
+  return idOf(attributed);
+}
+
+function idOf(value) {
+  return typeof value === 'string' ? value : value?.id || '';
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
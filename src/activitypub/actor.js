@@ -14,7 +14,7 @@
  * The /profile/card shortcut (without /{user}/ prefix) also works for
  * single-user convenience.
  */
-import { wantsActivityPub, negotiateType, serializeRdf } from '../solid/conneg.js';
+import { wantsActivityPub, negotiateType, notAcceptable, serializeRdf } from '../solid/conneg.js';
 import { solidHeaders, buildWacAllow } from '../solid/headers.js';
 import { parseNTriples } from '../rdf/ntriples.js';
 
@@ -101,7 +101,8 @@ async function profileRdf(reqCtx) {
   }
   const accept = request.headers.get('Accept') || 'text/turtle';
   const contentType = negotiateType(accept);
-  const body = serializeRdf(triples, contentType, ['foaf', 'solid', 'ldp', 'space', 'rdf']);
+  if (!contentType) return notAcceptable();
+  const body = await serializeRdf(triples, contentType, ['foaf', 'solid', 'ldp', 'space', 'rdf'], undefined, { accept });
 
   const headers = solidHeaders(profileIri, false);
   headers.set('Content-Type', contentType);
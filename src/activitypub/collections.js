@@ -1,6 +1,11 @@
 /**
- * Followers/Following OrderedCollection endpoints.
+ * Followers/Following OrderedCollection endpoints, and the likes/shares
+ * collections of our posts.
  */
+import { getReactions, loadOwnPost } from './activities.js';
+import { canSee } from './posts.js';
+
+const PAGE_SIZE = 20;
 
 /**
  * Handle GET /{user}/followers and /{user}/following
@@ -22,9 +27,32 @@ export async function handleCollections(reqCtx) {
   const data = await env.APPDATA.get(kvKey);
   const items = JSON.parse(data || '[]');
 
-  const page = url.searchParams.get('page');
-  const pageSize = 20;
+  return collectionResponse(collectionUrl, items, url.searchParams.get('page'));
+}
+
+/**
+ * Handle GET /{user}/posts/{id}/likes and /{user}/posts/{id}/shares — the
+ * Like and Announce activities received for one of our posts. Only those
+ * who may see the post (see posts.js) may see its reactions.
+ */
+export async function handlePostCollection(reqCtx) {
+  const { url, params, config, env } = reqCtx;
+  const username = params.user;
+  const objectId = `${config.baseUrl}/${username}/posts/${params.id}`;
 
+  const stored = username === config.username ? await loadOwnPost(objectId, config, env) : null;
+  if (!stored || stored.object.type === 'Tombstone' || !(await canSee(reqCtx, stored.object))) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const isLikes = url.pathname.endsWith('/likes');
+  const reactions = await getReactions(env.APPDATA, objectId);
+  const items = (isLikes ? reactions.likes : reactions.announces).map(r => r.activityId);
+  return collectionResponse(`${objectId}/${isLikes ? 'likes' : 'shares'}`, items, url.searchParams.get('page'));
+}
+
+/** The collection summary, or with `page` one page of it. */
+function collectionResponse(collectionUrl, items, page) {
   if (page === null) {
     const collection = {
       '@context': 'https://www.w3.org/ns/activitystreams',
@@ -38,9 +66,12 @@ export async function handleCollections(reqCtx) {
     return jsonResponse(collection);
   }
 
+  if (!/^\d+$/.test(page)) {
+    return new Response('page must be a number', { status: 400, headers: { 'Content-Type': 'text/plain' } });
+  }
   const pageNum = parseInt(page, 10);
-  const start = pageNum * pageSize;
-  const pageItems = items.slice(start, start + pageSize);
+  const start = pageNum * PAGE_SIZE;
+  const pageItems = items.slice(start, start + PAGE_SIZE);
 
   const collectionPage = {
     '@context': 'https://www.w3.org/ns/activitystreams',
@@ -49,7 +80,7 @@ export async function handleCollections(reqCtx) {
     partOf: collectionUrl,
     orderedItems: pageItems,
   };
-  if (start + pageSize < items.length) {
+  if (start + PAGE_SIZE < items.length) {
     collectionPage.next = `${collectionUrl}?page=${pageNum + 1}`;
   }
   if (pageNum > 0) {
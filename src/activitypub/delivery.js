@@ -1,29 +1,292 @@
 /**
- * Activity delivery via ctx.waitUntil().
+ * Activity delivery through a persistent outgoing queue.
+ *
+ * deliverActivity() queues one job per inbox and makes the first attempt
+ * right away via ctx.waitUntil(). Failed jobs are retried with exponential
+ * backoff and jitter by drainDeliveryQueue(), which the Cron `scheduled()`
+ * handler runs. A job that fails permanently (4xx other than 408/429, or a
+ * blocked URL) or is still undelivered after MAX_AGE moves to the
+ * dead-letter list, from where the owner can retry it.
+ *
+ * Instances are tracked per host. After SUSPEND_AFTER failures in a row a
+ * host is suspended for SUSPEND_FOR: its jobs wait (and age) without being
+ * attempted, then the next attempt probes it again.
+ *
+ * Every job, dead letter and host has a key of its own, so the request
+ * handlers and the cron can update them at the same time without losing
+ * each other's writes (KV has no transactions). Each job carries its own
+ * copy of the activity. The fields the delivery page shows are repeated in
+ * the key's metadata, so listing needs no reads.
+ *
+ * APPDATA keys:
+ *   ap_delivery_job:{username}:{id}   — { id, activityId, activityType, inbox, activity,
+ *                                          createdAt, attempts, nextAttemptAt,
+ *                                          lastAttemptAt?, lastError? }
+ *   ap_delivery_dead:{username}:{id}  — the same, plus { failedAt, reason }
+ *   ap_delivery_host:{username}:{host} — { failures, lastSuccessAt?, lastFailureAt?,
+ *                                          lastError?, suspendedUntil? }
  */
 import { signRequest } from './httpsig.js';
 import { fetchRemoteActor, getActorInbox, getActorSharedInbox } from './remote.js';
 import { validateExternalUrl } from '../security/ssrf.js';
 
+const RETRY_BASE = 60 * 1000;               // first retry after about a minute
+const RETRY_MAX = 6 * 60 * 60 * 1000;       // backoff stops growing at 6 hours
+const MAX_AGE = 3 * 24 * 60 * 60 * 1000;    // give up after 3 days
+const SUSPEND_AFTER = 10;                   // consecutive failures
+const SUSPEND_FOR = 12 * 60 * 60 * 1000;
+const DRAIN_BATCH = 40;                     // stays under the Workers subrequest limit
+const MAX_DEAD = 200;
+const REQUEST_TIMEOUT = 15 * 1000;
+
 /**
- * Deliver an activity to a list of inbox URLs.
+ * Queue an activity for delivery and attempt it in the background.
  * @param {object} opts
  * @param {string} opts.activityJson - JSON string of the activity
  * @param {string[]} opts.inboxUrls - Target inbox URLs
- * @param {string} opts.keyId - Key ID for HTTP Signatures
- * @param {string} opts.privatePem - Private key PEM
+ * @param {object} opts.env - Worker env (APPDATA)
+ * @param {object} opts.config - Server config (username, keyId)
  * @param {ExecutionContext} opts.ctx - Cloudflare Workers execution context
  */
-export function deliverActivity({ activityJson, inboxUrls, keyId, privatePem, ctx }) {
-  for (const inboxUrl of inboxUrls) {
-    ctx.waitUntil(deliverToInbox(activityJson, inboxUrl, keyId, privatePem));
+export function deliverActivity({ activityJson, inboxUrls, env, config, ctx }) {
+  if (inboxUrls.length === 0) return;
+  ctx.waitUntil(enqueueDelivery(env, config, activityJson, inboxUrls)
+    .then(ids => processJobs(env, config, ids))
+    .catch(err => console.error('[delivery] queue error:', err)));
+}
+
+/**
+ * Attempt every job that is due, oldest first, and expire old ones. Jobs
+ * for suspended hosts are left out (unless they expire), so they can't
+ * fill the batch and hold up every other host.
+ * @param {object} env - Worker env (APPDATA)
+ * @param {object} config - Server config (username, keyId)
+ * @returns {Promise<{attempted: number, delivered: number, remaining: number}>}
+ */
+export async function drainDeliveryQueue(env, config) {
+  const [queue, hosts] = await Promise.all([
+    listKeys(env.APPDATA, `ap_delivery_job:${config.username}:`),
+    listKeys(env.APPDATA, `ap_delivery_host:${config.username}:`),
+  ]);
+  const now = Date.now();
+  const suspended = new Set(hosts
+    .filter(h => h.suspendedUntil && Date.parse(h.suspendedUntil) > now)
+    .map(h => h.id));
+  const due = queue
+    .filter(job => expired(job, now)
+      || (Date.parse(job.nextAttemptAt) <= now && !suspended.has(hostOf(job.inbox))))
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+    .slice(0, DRAIN_BATCH);
+  const result = await processJobs(env, config, due.map(job => job.id));
+  console.log(`[delivery] drained: ${JSON.stringify(result)}`);
+  return result;
+}
+
+/**
+ * The queue, dead letters (newest first) and host health, for the delivery
+ * panel. Jobs are their summaries, without the activity.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @returns {Promise<{queue: object[], dead: object[], hosts: object}>}
+ */
+export async function getDeliveryStatus(kv, username) {
+  const [queue, dead, hostList] = await Promise.all([
+    listKeys(kv, `ap_delivery_job:${username}:`),
+    listKeys(kv, `ap_delivery_dead:${username}:`),
+    listKeys(kv, `ap_delivery_host:${username}:`),
+  ]);
+  dead.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  const hosts = Object.fromEntries(hostList.map(({ id, ...health }) => [id, health]));
+  return { queue, dead, hosts };
+}
+
+/**
+ * Put dead letters back in the queue, due now, with their age reset.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {string[]|null} ids - Dead-letter job ids, or null for all
+ * @returns {Promise<string[]>} the ids that were requeued
+ */
+export async function requeueDeadLetters(kv, username, ids) {
+  ids ||= (await listKeys(kv, `ap_delivery_dead:${username}:`)).map(job => job.id);
+  const now = new Date().toISOString();
+  const revived = [];
+  for (const id of ids) {
+    const dead = await loadJson(kv, `ap_delivery_dead:${username}:${id}`);
+    if (!dead) continue;
+    const { failedAt, reason, ...job } = dead;
+    await saveJob(kv, `ap_delivery_job:${username}:${id}`, { ...job, createdAt: now, attempts: 0, nextAttemptAt: now });
+    await kv.delete(`ap_delivery_dead:${username}:${id}`);
+    revived.push(id);
   }
+  return revived;
 }
 
-async function deliverToInbox(activityJson, inboxUrl, keyId, privatePem) {
+/**
+ * Make queued jobs due now (all of them, or those for one host), lifting
+ * the host's suspension.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {string|null} host
+ * @returns {Promise<string[]>} the ids of the jobs made due
+ */
+export async function retryQueuedNow(kv, username, host = null) {
+  const queue = await listKeys(kv, `ap_delivery_job:${username}:`);
+  const now = new Date().toISOString();
+  const ids = [];
+  for (const { id, inbox } of queue) {
+    if (host && hostOf(inbox) !== host) continue;
+    const job = await loadJson(kv, `ap_delivery_job:${username}:${id}`);
+    if (!job) continue;
+    await saveJob(kv, `ap_delivery_job:${username}:${id}`, { ...job, nextAttemptAt: now });
+    ids.push(id);
+  }
+
+  const hosts = host ? [{ id: host }] : await listKeys(kv, `ap_delivery_host:${username}:`);
+  for (const { id } of hosts) {
+    const health = await loadJson(kv, `ap_delivery_host:${username}:${id}`);
+    if (!health?.suspendedUntil) continue;
+    delete health.suspendedUntil;
+    await saveHost(kv, username, id, health);
+  }
+  return ids;
+}
+
+/**
+ * Drop dead letters for good.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {string[]|null} ids - Dead-letter job ids, or null for all
+ */
+export async function discardDeadLetters(kv, username, ids) {
+  ids ||= (await listKeys(kv, `ap_delivery_dead:${username}:`)).map(job => job.id);
+  for (const id of ids) await kv.delete(`ap_delivery_dead:${username}:${id}`);
+}
+
+/**
+ * Attempt the given queued jobs in the background.
+ * @param {object} env - Worker env (APPDATA)
+ * @param {object} config - Server config
+ * @param {ExecutionContext} ctx
+ * @param {string[]} ids
+ */
+export function processJobsInBackground(env, config, ctx, ids) {
+  if (ids.length === 0) return;
+  ctx.waitUntil(processJobs(env, config, ids)
+    .catch(err => console.error('[delivery] retry error:', err)));
+}
+
+/**
+ * Collect unique inbox URLs from a list of actor URIs.
+ * @param {string[]} actorUris
+ * @param {KVNamespace} kv
+ * @returns {Promise<string[]>}
+ */
+export async function collectInboxes(actorUris, kv) {
+  const inboxes = new Set();
+
+  const actors = await Promise.all(
+    actorUris.map(uri => fetchRemoteActor(uri, kv))
+  );
+  for (const actor of actors) {
+    if (actor) {
+      const inbox = getActorSharedInbox(actor) || getActorInbox(actor);
+      if (inbox) inboxes.add(inbox);
+    }
+  }
+
+  return [...inboxes];
+}
+
+// --- Queue processing ---
+
+/** Add a job per inbox, each with the activity. Returns the new job ids. */
+async function enqueueDelivery(env, config, activityJson, inboxUrls) {
+  const activity = JSON.parse(activityJson);
+  const now = new Date().toISOString();
+  const ids = [];
+  for (const inbox of new Set(inboxUrls)) {
+    const job = {
+      id: crypto.randomUUID(),
+      activityId: activity.id,
+      activityType: activity.type,
+      inbox,
+      activity: activityJson,
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now,
+    };
+    await saveJob(env.APPDATA, `ap_delivery_job:${config.username}:${job.id}`, job);
+    ids.push(job.id);
+  }
+  return ids;
+}
+
+/**
+ * Attempt jobs by id and record the outcomes, each in its job's own key.
+ * Jobs already delivered (or given up) by another run are skipped; two
+ * runs picking up the same job at once can at worst deliver it twice,
+ * which inboxes ignore by activity id.
+ */
+async function processJobs(env, config, ids) {
+  const kv = env.APPDATA;
+  const username = config.username;
+  const hosts = new Map();
+  const healthOf = async (host) => {
+    if (!hosts.has(host)) hosts.set(host, await loadJson(kv, `ap_delivery_host:${username}:${host}`) || { failures: 0 });
+    return hosts.get(host);
+  };
+  const now = Date.now();
+  const privatePem = await kv.get(`ap_private_key:${username}`);
+  let attempted = 0, delivered = 0, remaining = 0, died = false;
+
+  for (const id of ids) {
+    const key = `ap_delivery_job:${username}:${id}`;
+    const job = await loadJson(kv, key);
+    if (!job) continue;
+
+    let outcome;
+    if (expired(job, now)) {
+      outcome = { ok: false, final: true, error: job.lastError ? `Expired: ${job.lastError}` : 'Expired' };
+    } else {
+      const health = await healthOf(hostOf(job.inbox));
+      if (health.suspendedUntil && Date.parse(health.suspendedUntil) > now) {
+        remaining++;
+        continue;
+      }
+      outcome = await sendToInbox(job.activity, job.inbox, config.keyId, privatePem);
+      recordHostOutcome(health, job.inbox, outcome);
+    }
+    attempted++;
+
+    const attemptedJob = { ...job, attempts: job.attempts + 1, lastAttemptAt: new Date(now).toISOString() };
+    const retryAt = now + backoff(attemptedJob.attempts);
+    if (outcome.ok) {
+      delivered++;
+      await kv.delete(key);
+    } else if (outcome.final || retryAt - Date.parse(job.createdAt) > MAX_AGE) {
+      const { nextAttemptAt, ...rest } = attemptedJob;
+      const failedAt = new Date(now).toISOString();
+      await saveJob(kv, `ap_delivery_dead:${username}:${id}`, { ...rest, lastError: outcome.error, failedAt, reason: outcome.error });
+      await kv.delete(key);
+      died = true;
+      console.log(`[delivery] gave up on ${job.activityType} to ${job.inbox}: ${outcome.error}`);
+    } else {
+      await saveJob(kv, key, { ...attemptedJob, lastError: outcome.error, nextAttemptAt: new Date(retryAt).toISOString() });
+      remaining++;
+    }
+  }
+
+  for (const [host, health] of hosts) await saveHost(kv, username, host, health);
+  if (died) await trimDeadLetters(kv, username);
+  return { attempted, delivered, remaining };
+}
+
+/** POST a signed activity. `final` marks failures that retrying won't fix. */
+async function sendToInbox(activityJson, inboxUrl, keyId, privatePem) {
   if (!validateExternalUrl(inboxUrl)) {
     console.error(`[delivery] SSRF blocked: ${inboxUrl}`);
-    return;
+    return { ok: false, final: true, error: 'Blocked inbox URL' };
   }
 
   try {
@@ -43,34 +306,100 @@ async function deliverToInbox(activityJson, inboxUrl, keyId, privatePem) {
         'User-Agent': 'paa.pub/1.0',
       },
       body: activityJson,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
     });
 
-    if (!response.ok) {
-      console.error(`Delivery to ${inboxUrl} failed: ${response.status} ${response.statusText}`);
-    }
+    if (response.ok) return { ok: true };
+    const error = `HTTP ${response.status}${response.statusText ? ' ' + response.statusText : ''}`;
+    console.error(`Delivery to ${inboxUrl} failed: ${error}`);
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { ok: false, final: !retryable, error };
   } catch (err) {
     console.error(`Delivery to ${inboxUrl} error:`, err);
+    return { ok: false, final: false, error: err.name === 'TimeoutError' ? 'Timed out' : (err.message || 'Network error') };
+  }
+}
+
+/** Update a host's health after an attempt, suspending it after repeated failures. */
+function recordHostOutcome(health, inboxUrl, outcome) {
+  const host = hostOf(inboxUrl);
+  const now = new Date();
+  if (outcome.ok) {
+    health.failures = 0;
+    health.lastSuccessAt = now.toISOString();
+    delete health.lastError;
+    delete health.suspendedUntil;
+    return;
+  }
+  health.failures++;
+  health.lastFailureAt = now.toISOString();
+  health.lastError = outcome.error;
+  if (health.failures >= SUSPEND_AFTER) {
+    health.suspendedUntil = new Date(now.getTime() + SUSPEND_FOR).toISOString();
+    console.log(`[delivery] suspended ${host} after ${health.failures} failures`);
   }
 }
 
+// --- Helpers ---
+
+/** Delay before retry number `attempts`: doubling from RETRY_BASE, with jitter. */
+function backoff(attempts) {
+  const delay = Math.min(RETRY_MAX, RETRY_BASE * 2 ** (attempts - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function expired(job, now) {
+  return now - Date.parse(job.createdAt) > MAX_AGE;
+}
+
+function hostOf(inboxUrl) {
+  try { return new URL(inboxUrl).host; } catch { return inboxUrl; }
+}
+
 /**
- * Collect unique inbox URLs from a list of actor URIs.
- * @param {string[]} actorUris
- * @param {KVNamespace} kv
- * @returns {Promise<string[]>}
+ * List the entries under a prefix as their metadata, with `id` set to the
+ * rest of the key.
  */
-export async function collectInboxes(actorUris, kv) {
-  const inboxes = new Set();
+async function listKeys(kv, prefix) {
+  const entries = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    for (const key of page.keys) entries.push({ ...key.metadata, id: key.name.slice(prefix.length) });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
 
-  const actors = await Promise.all(
-    actorUris.map(uri => fetchRemoteActor(uri, kv))
-  );
-  for (const actor of actors) {
-    if (actor) {
-      const inbox = getActorSharedInbox(actor) || getActorInbox(actor);
-      if (inbox) inboxes.add(inbox);
-    }
-  }
+async function loadJson(kv, key) {
+  const raw = await kv.get(key);
+  return raw ? JSON.parse(raw) : null;
+}
 
-  return [...inboxes];
+/** Store a job or dead letter, with what the delivery page shows as metadata (1 KB max). */
+async function saveJob(kv, key, job) {
+  const metadata = {
+    activityType: job.activityType,
+    inbox: job.inbox.slice(0, 400),
+    createdAt: job.createdAt,
+    attempts: job.attempts,
+    nextAttemptAt: job.nextAttemptAt,
+    lastError: job.lastError?.slice(0, 150),
+    failedAt: job.failedAt,
+    reason: job.reason?.slice(0, 150),
+  };
+  await kv.put(key, JSON.stringify(job), { metadata });
+}
+
+async function saveHost(kv, username, host, health) {
+  const metadata = { ...health, lastError: health.lastError?.slice(0, 150) };
+  await kv.put(`ap_delivery_host:${username}:${host}`, JSON.stringify(health), { metadata });
+}
+
+/** Keep the newest MAX_DEAD dead letters. */
+async function trimDeadLetters(kv, username) {
+  const dead = await listKeys(kv, `ap_delivery_dead:${username}:`);
+  if (dead.length <= MAX_DEAD) return;
+  dead.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  for (const { id } of dead.slice(MAX_DEAD)) await kv.delete(`ap_delivery_dead:${username}:${id}`);
 }
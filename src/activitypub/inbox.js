@@ -3,9 +3,13 @@
  */
 import { verifyRequestSignature } from './httpsig.js';
 import { fetchRemoteActor, getActorPublicKey } from './remote.js';
-import { processFollow, processAccept, processUndo, processCreate } from './activities.js';
+import {
+  processFollow, processAccept, processUndo, processCreate,
+  processDelete, processUpdate, processLike, processAnnounce, processBlock,
+} from './activities.js';
 import { deliverActivity, collectInboxes } from './delivery.js';
 import { validateExternalUrl } from '../security/ssrf.js';
+import { syncFollowersGroup } from '../solid/groups.js';
 
 /**
  * Handle POST /{user}/inbox (Server-to-Server)
@@ -77,10 +81,28 @@ export async function handleInbox(reqCtx) {
         break;
       case 'Undo':
         await processUndo(activity, config, env);
+        if (activity.object?.type === 'Follow') syncFollowers(reqCtx);
         break;
       case 'Create':
         await processCreate(activity, config, env);
         break;
+      case 'Delete': {
+        const { actorRemoved } = await processDelete(activity, config, env);
+        if (actorRemoved) syncFollowers(reqCtx);
+        break;
+      }
+      case 'Update':
+        await processUpdate(activity, config, env);
+        break;
+      case 'Like':
+        await processLike(activity, config, env);
+        break;
+      case 'Announce':
+        await processAnnounce(activity, config, env);
+        break;
+      case 'Block':
+        if (await processBlock(activity, config, env)) syncFollowers(reqCtx);
+        break;
       default:
         // Store unknown activity types in inbox anyway
         await processCreate(activity, config, env);
@@ -92,3 +114,8 @@ export async function handleInbox(reqCtx) {
 
   return new Response('Accepted', { status: 202 });
 }
+
+function syncFollowers(reqCtx) {
+  reqCtx.ctx.waitUntil(syncFollowersGroup(reqCtx, { create: false })
+    .catch(err => console.error('Followers group sync error:', err)));
+}
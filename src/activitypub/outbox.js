@@ -2,12 +2,21 @@
  * Outbox collection and C2S activity creation.
  */
 import { requireAuth } from '../auth/middleware.js';
-import { buildCreateNote, buildFollow, buildUnfollow, storeOutboxActivity, acceptFollowRequest, rejectFollowRequest } from './activities.js';
+import {
+  buildCreateNote, buildFollow, buildUnfollow, buildLike, buildAnnounce, buildUndo,
+  storeOutboxActivity, acceptFollowRequest, rejectFollowRequest,
+  findPost, authorOf, getOwnReactions, setOwnReaction, loadOwnPost, editOwnPost, deleteOwnPost,
+} from './activities.js';
 import { deliverActivity, collectInboxes } from './delivery.js';
-import { resolveHandle, fetchRemoteActor, getActorInbox } from './remote.js';
+import { resolveHandle, fetchRemoteActor, fetchRemoteObject, getActorInbox } from './remote.js';
 import { simpleHash } from '../utils.js';
+import { syncFollowersGroup } from '../solid/groups.js';
 
 const PAGE_SIZE = 20;
+const AS_PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
+
+// Narrowest last: a reply is never more visible than the post it answers
+const AUDIENCES = ['public', 'unlisted', 'followers', 'private'];
 
 /**
  * Handle GET /{user}/outbox — OrderedCollection (paginated)
@@ -71,7 +80,7 @@ export async function handleOutbox(reqCtx) {
 }
 
 /**
- * Handle POST /compose — Create a Note
+ * Handle POST /compose — Create a Note, or with `inReplyTo` a reply
  */
 export async function handleCompose(reqCtx) {
   const authCheck = requireAuth(reqCtx);
@@ -84,27 +93,178 @@ export async function handleCompose(reqCtx) {
     return new Response(null, { status: 302, headers: { 'Location': '/activity?error=empty' } });
   }
   const summary = form.get('summary') || '';
-  const audience = form.get('audience') || 'public';
+  let audience = AUDIENCES.includes(form.get('audience')) ? form.get('audience') : 'public';
+
+  // Replies carry the thread's audience and address its author and mentions
+  let reply = null;
+  const inboxUrls = [];
+  const inReplyTo = form.get('inReplyTo');
+  if (inReplyTo) {
+    const parent = await resolvePost(inReplyTo, config, env);
+    if (!parent) {
+      return new Response(null, { status: 302, headers: { 'Location': '/activity?error=post_not_found' } });
+    }
+    const parentAudience = audienceOf(parent);
+    if (AUDIENCES.indexOf(parentAudience) > AUDIENCES.indexOf(audience)) audience = parentAudience;
+
+    const author = authorOf(parent);
+    const mentions = [];
+    if (author && author !== config.actorId) {
+      const authorActor = await fetchRemoteActor(author, env.APPDATA);
+      mentions.push({ href: author, name: mentionName(author, authorActor) });
+      const inbox = authorActor && getActorInbox(authorActor);
+      if (inbox) inboxUrls.push(inbox);
+    }
+    const tagged = [].concat(parent.tag || [])
+      .filter(tag => tag?.type === 'Mention' && tag.href && tag.href !== config.actorId && tag.href !== author);
+    for (const tag of tagged) {
+      if (!mentions.some(m => m.href === tag.href)) mentions.push({ href: tag.href, name: tag.name || tag.href });
+    }
+    inboxUrls.push(...await collectInboxes(tagged.map(tag => tag.href), env.APPDATA));
+    reply = { id: parent.id, mentions };
+  }
 
-  const activity = buildCreateNote(config, content, summary, audience);
+  const activity = buildCreateNote(config, content, summary, audience, reply);
   await storeOutboxActivity(activity, config.username, env);
 
-  // Deliver to followers
+  // Deliver to followers, and to everyone a reply addresses
   if (audience !== 'private') {
     const followersData = await env.APPDATA.get(`ap_followers:${config.username}`);
     const followers = JSON.parse(followersData || '[]');
     if (followers.length > 0) {
-      const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
-      const inboxUrls = await collectInboxes(followers, env.APPDATA);
-      deliverActivity({
-        activityJson: JSON.stringify(activity),
-        inboxUrls,
-        keyId: config.keyId,
-        privatePem,
-        ctx,
-      });
+      inboxUrls.push(...await collectInboxes(followers, env.APPDATA));
     }
   }
+  if (inboxUrls.length > 0) {
+    // Remembered so an Update or Delete reaches every server that got the post
+    await env.APPDATA.put(`ap_post_inboxes:${simpleHash(activity.object.id)}`, JSON.stringify([...new Set(inboxUrls)]));
+    deliverActivity({
+      activityJson: JSON.stringify(activity),
+      inboxUrls,
+      env,
+      config,
+      ctx,
+    });
+  }
+
+  return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+}
+
+/**
+ * Handle POST /activity/post — `action` edit (`content`, `summary`) or
+ * delete of our post `object`
+ */
+export async function handlePostAction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config, env, ctx } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+  const stored = await loadOwnPost(form.get('object'), config, env);
+  if (!stored || stored.object.type === 'Tombstone') {
+    return new Response(null, { status: 302, headers: { 'Location': '/activity?error=post_not_found' } });
+  }
+  const original = stored.object;
+
+  let activity;
+  if (action === 'edit') {
+    const content = form.get('content');
+    if (!content) {
+      return new Response(null, { status: 302, headers: { 'Location': '/activity?error=empty' } });
+    }
+    activity = await editOwnPost(stored, { content, summary: form.get('summary') || '' }, config, env);
+  } else if (action === 'delete') {
+    activity = await deleteOwnPost(stored, config, env);
+  } else {
+    return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+  }
+
+  const inboxUrls = await postInboxes(original, config, env);
+  if (action === 'delete') {
+    await env.APPDATA.delete(`ap_post_inboxes:${simpleHash(original.id)}`);
+  } else if (inboxUrls.length > 0) {
+    await env.APPDATA.put(`ap_post_inboxes:${simpleHash(original.id)}`, JSON.stringify(inboxUrls));
+  }
+  if (inboxUrls.length > 0) {
+    deliverActivity({
+      activityJson: JSON.stringify(activity),
+      inboxUrls,
+      env,
+      config,
+      ctx,
+    });
+  }
+
+  return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+}
+
+/**
+ * Handle POST /activity/react — `action` like, unlike, announce or
+ * unannounce on the post `object`
+ */
+export async function handleReaction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config, env, ctx } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+  const objectId = form.get('object');
+  const kind = action === 'like' || action === 'unlike' ? 'like' : action === 'announce' || action === 'unannounce' ? 'announce' : null;
+  if (!objectId || !kind) {
+    return new Response(null, { status: 302, headers: { 'Location': '/activity?error=no_target' } });
+  }
+
+  const own = await getOwnReactions(env.APPDATA, objectId);
+  let activity;
+  if (action === 'like' || action === 'announce') {
+    if (own[kind]) return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+    const post = await resolvePost(objectId, config, env);
+    if (!post) {
+      return new Response(null, { status: 302, headers: { 'Location': '/activity?error=post_not_found' } });
+    }
+    if (kind === 'announce' && !['public', 'unlisted'].includes(audienceOf(post))) {
+      return new Response(null, { status: 302, headers: { 'Location': '/activity?error=not_public' } });
+    }
+    const author = authorOf(post);
+    activity = kind === 'like'
+      ? buildLike(config, post.id, author)
+      : buildAnnounce(config, post.id, author);
+    await setOwnReaction(env.APPDATA, objectId, kind, activity.id);
+  } else {
+    if (!own[kind]) return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+    const data = await env.APPDATA.get(`ap_outbox_item:${simpleHash(own[kind])}`);
+    await setOwnReaction(env.APPDATA, objectId, kind, null);
+    if (!data) return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
+    activity = buildUndo(config, JSON.parse(data));
+  }
+  await storeOutboxActivity(activity, config.username, env);
+
+  // Likes go to the author; boosts to our followers as well
+  const original = activity.type === 'Undo' ? activity.object : activity;
+  const recipients = [].concat(original.to || [], original.cc || [])
+    .filter(uri => uri !== AS_PUBLIC && !uri.startsWith(`${config.baseUrl}/`));
+  const inboxUrls = [];
+  for (const uri of recipients) {
+    const actor = await fetchRemoteActor(uri, env.APPDATA);
+    const inbox = actor && getActorInbox(actor);
+    if (inbox) inboxUrls.push(inbox);
+  }
+  if (kind === 'announce') {
+    const followersData = await env.APPDATA.get(`ap_followers:${config.username}`);
+    const followers = JSON.parse(followersData || '[]');
+    if (followers.length > 0) inboxUrls.push(...await collectInboxes(followers, env.APPDATA));
+  }
+  if (inboxUrls.length > 0) {
+    deliverActivity({
+      activityJson: JSON.stringify(activity),
+      inboxUrls,
+      env,
+      config,
+      ctx,
+    });
+  }
 
   return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
 }
@@ -140,12 +300,11 @@ export async function handleFollow(reqCtx) {
   if (remoteActor) {
     const inboxUrl = getActorInbox(remoteActor);
     if (inboxUrl) {
-      const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
       deliverActivity({
         activityJson: JSON.stringify(activity),
         inboxUrls: [inboxUrl],
-        keyId: config.keyId,
-        privatePem,
+        env,
+        config,
         ctx,
       });
     }
@@ -185,12 +344,11 @@ export async function handleUnfollow(reqCtx) {
   if (remoteActor) {
     const inboxUrl = getActorInbox(remoteActor);
     if (inboxUrl) {
-      const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
       deliverActivity({
         activityJson: JSON.stringify(activity),
         inboxUrls: [inboxUrl],
-        keyId: config.keyId,
-        privatePem,
+        env,
+        config,
         ctx,
       });
     }
@@ -214,18 +372,19 @@ export async function handleAcceptFollowRequest(reqCtx) {
   }
 
   const accept = await acceptFollowRequest(target, config, env);
+  ctx.waitUntil(syncFollowersGroup(reqCtx, { create: false })
+    .catch(err => console.error('Followers group sync error:', err)));
 
   // Deliver Accept to the follower
   const remoteActor = await fetchRemoteActor(target, env.APPDATA);
   if (remoteActor) {
     const inboxUrl = getActorInbox(remoteActor);
     if (inboxUrl) {
-      const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
       deliverActivity({
         activityJson: JSON.stringify(accept),
         inboxUrls: [inboxUrl],
-        keyId: config.keyId,
-        privatePem,
+        env,
+        config,
         ctx,
       });
     }
@@ -255,12 +414,11 @@ export async function handleRejectFollowRequest(reqCtx) {
   if (remoteActor) {
     const inboxUrl = getActorInbox(remoteActor);
     if (inboxUrl) {
-      const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
       deliverActivity({
         activityJson: JSON.stringify(reject),
         inboxUrls: [inboxUrl],
-        keyId: config.keyId,
-        privatePem,
+        env,
+        config,
         ctx,
       });
     }
@@ -275,3 +433,47 @@ function jsonResponse(data) {
   });
 }
 
+/** A post from our store, else from its server. */
+async function resolvePost(objectId, config, env) {
+  return await findPost(objectId, config, env) || await fetchRemoteObject(objectId);
+}
+
+/**
+ * Inboxes to tell about a change to one of our posts: those it was
+ * delivered to, plus its audience now — our followers unless it was
+ * private, and the actors it addresses.
+ */
+async function postInboxes(note, config, env) {
+  const inboxes = new Set(JSON.parse(await env.APPDATA.get(`ap_post_inboxes:${simpleHash(note.id)}`) || '[]'));
+  if (audienceOf(note) !== 'private') {
+    const followers = JSON.parse(await env.APPDATA.get(`ap_followers:${config.username}`) || '[]');
+    for (const inbox of await collectInboxes(followers, env.APPDATA)) inboxes.add(inbox);
+  }
+  const addressed = [].concat(note.to || [], note.cc || [])
+    .filter(uri => uri !== AS_PUBLIC && !uri.startsWith(`${config.baseUrl}/`));
+  for (const uri of addressed) {
+    const actor = await fetchRemoteActor(uri, env.APPDATA);
+    const inbox = actor && getActorInbox(actor);
+    if (inbox) inboxes.add(inbox);
+  }
+  return [...inboxes];
+}
+
+/** The audience a post was sent to, in the terms of the compose form. */
+function audienceOf(object) {
+  const to = [].concat(object.to || []);
+  const cc = [].concat(object.cc || []);
+  if (to.includes(AS_PUBLIC)) return 'public';
+  if (cc.includes(AS_PUBLIC)) return 'unlisted';
+  if ([...to, ...cc].some(uri => typeof uri === 'string' && uri.endsWith('/followers'))) return 'followers';
+  return 'private';
+}
+
+/** `@name@host` for an actor, falling back to its URI. */
+function mentionName(actorUri, actor) {
+  try {
+    return actor?.preferredUsername ? `@${actor.preferredUsername}@${new URL(actorUri).host}` : actorUri;
+  } catch {
+    return actorUri;
+  }
+}
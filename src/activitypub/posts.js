@@ -0,0 +1,154 @@
+/**
+ * Our posts and activities, dereferenced at their ids.
+ *
+ * Routes:
+ *   GET /{user}/posts/{id}   — the Note as `application/activity+json`, or a
+ *                              permalink page for browsers. A deleted post
+ *                              answers 410 Gone with its Tombstone.
+ *   GET /{user}/outbox/{id}  — the activity (Create, Like, ...) at its id
+ *
+ * Who may see an object follows its addressing: anyone for public and
+ * unlisted ones; for the rest the owner, signed requests from the actors
+ * addressed, and — when addressed to our followers collection — signed
+ * requests from followers. Everyone else gets 404, as if there were no
+ * such post. The same goes for a post's likes and shares collections
+ * (collections.js).
+ */
+import { renderPage } from '../ui/shell.js';
+import template from '../ui/templates/post.html';
+import { wantsActivityPub } from '../solid/conneg.js';
+import { formatDateTime } from '../i18n/format.js';
+import { simpleHash } from '../utils.js';
+import { verifyRequestSignature } from './httpsig.js';
+import { fetchRemoteActor, getActorPublicKey } from './remote.js';
+import { loadOwnPost, getReactions } from './activities.js';
+
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+const AS_PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
+
+/**
+ * Handle GET /{user}/posts/{id}
+ */
+export async function handlePost(reqCtx) {
+  const { request, params, config, env, lang, dir, t } = reqCtx;
+  if (params.user !== config.username) return notFound();
+
+  const stored = await loadOwnPost(`${config.baseUrl}/${params.user}/posts/${params.id}`, config, env);
+  if (!stored) return notFound();
+  const note = stored.object;
+  const json = wantsJson(request);
+
+  if (note.type === 'Tombstone') {
+    if (!json) {
+      const page = await renderPage('Deleted post', template, { deleted: true }, { lang, dir, t });
+      return new Response(page.body, { status: 410, headers: page.headers });
+    }
+    return activityResponse(note, 410, true);
+  }
+
+  if (!(await canSee(reqCtx, note))) return notFound();
+  const isPublic = isPublicObject(note);
+  if (json) return activityResponse(note, 200, isPublic);
+
+  const { likes, announces } = await getReactions(env.APPDATA, note.id);
+  const inReplyTo = typeof note.inReplyTo === 'string' ? note.inReplyTo : note.inReplyTo?.id || '';
+  const page = await renderPage('Post', template, {
+    heading: (t.post_by || 'Post by {{name}}').replace('{{name}}', config.username),
+    authorUrl: `${config.baseUrl}/${config.username}/profile/card`,
+    author: config.username,
+    published: note.published,
+    publishedFormatted: note.published ? formatDateTime(note.published, lang) : '',
+    updated: note.updated || '',
+    updatedFormatted: note.updated ? formatDateTime(note.updated, lang) : '',
+    summary: note.summary || '',
+    content: note.content || '',
+    inReplyTo,
+    reactionsLabel: (t.act_reactions || '{{likes}} likes · {{boosts}} boosts')
+      .replace('{{likes}}', likes.length)
+      .replace('{{boosts}}', announces.length),
+    audienceLabel: isPublic ? '' : (t.post_limited || 'Only visible to the people it was sent to.'),
+  }, { user: reqCtx.user, nav: 'activity', lang, dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
+  page.headers.set('Cache-Control', isPublic && !reqCtx.user ? 'public, max-age=300' : 'private, no-store');
+  page.headers.set('Vary', 'Accept');
+  return page;
+}
+
+/**
+ * Handle GET /{user}/outbox/{id}
+ */
+export async function handleOutboxActivity(reqCtx) {
+  const { params, config, env } = reqCtx;
+  if (params.user !== config.username) return notFound();
+
+  const data = await env.APPDATA.get(`ap_outbox_item:${simpleHash(`${config.baseUrl}/${params.user}/outbox/${params.id}`)}`);
+  if (!data) return notFound();
+  const activity = JSON.parse(data);
+
+  if (!(await canSee(reqCtx, activity))) return notFound();
+  return activityResponse(activity, 200, isPublicObject(activity));
+}
+
+/**
+ * Whether the requester may see an object: always for public ones and the
+ * owner, otherwise only a signed request from an addressed actor or, for
+ * objects sent to our followers, from a follower.
+ */
+export async function canSee(reqCtx, object) {
+  if (isPublicObject(object) || reqCtx.user) return true;
+  const { request, config, env } = reqCtx;
+  const signer = await signedActor(request, env);
+  if (!signer) return false;
+
+  const addressed = [].concat(object.to || [], object.cc || []);
+  if (addressed.includes(signer)) return true;
+  if (!addressed.includes(`${config.baseUrl}/${config.username}/followers`)) return false;
+  const followers = JSON.parse(await env.APPDATA.get(`ap_followers:${config.username}`) || '[]');
+  return followers.includes(signer);
+}
+
+// --- Helpers ---
+
+/**
+ * The actor whose key signed the request, or null. The key is looked up
+ * through the actor document its keyId names (or the key document's owner).
+ */
+async function signedActor(request, env) {
+  const keyId = /keyId="([^"]+)"/.exec(request.headers.get('Signature') || '')?.[1];
+  if (!keyId) return null;
+  let actor = await fetchRemoteActor(keyId.split('#')[0], env.APPDATA);
+  if (actor && !actor.inbox && typeof actor.owner === 'string') {
+    actor = await fetchRemoteActor(actor.owner, env.APPDATA);
+  }
+  const publicPem = getActorPublicKey(actor);
+  if (!publicPem || actor.publicKey?.id !== keyId) return null;
+  if (!(await verifyRequestSignature(request, publicPem))) {
+    console.log(`[posts] invalid HTTP Signature from ${actor.id}`);
+    return null;
+  }
+  return actor.id;
+}
+
+function isPublicObject(object) {
+  return [].concat(object.to || [], object.cc || []).includes(AS_PUBLIC);
+}
+
+/** ActivityPub clients ask for activity+json or JSON-LD; browsers get HTML. */
+function wantsJson(request) {
+  const accept = request.headers.get('Accept') || '';
+  return wantsActivityPub(accept) || accept.toLowerCase().includes('application/ld+json');
+}
+
+function activityResponse(object, status, isPublic) {
+  return new Response(JSON.stringify({ '@context': AS_CONTEXT, ...object }, null, 2), {
+    status,
+    headers: {
+      'Content-Type': 'application/activity+json',
+      'Cache-Control': isPublic ? 'public, max-age=300' : 'private, no-store',
+      'Vary': 'Accept',
+    },
+  });
+}
+
+function notFound() {
+  return new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+}
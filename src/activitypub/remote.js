@@ -39,6 +39,46 @@ export async function fetchRemoteActor(actorUri, kv) {
   }
 }
 
+/**
+ * Fetch a remote object (a post to reply to or react to). Not cached.
+ * The object must come from the host its id names.
+ * @param {string} uri
+ * @returns {Promise<object|null>}
+ */
+export async function fetchRemoteObject(uri) {
+  if (!validateExternalUrl(uri)) {
+    console.log(`[remote] SSRF blocked: ${uri}`);
+    return null;
+  }
+
+  try {
+    const response = await fetch(uri, {
+      headers: {
+        Accept: 'application/activity+json, application/ld+json',
+        'User-Agent': 'paa.pub/1.0',
+      },
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!response.ok) return null;
+
+    const object = await response.json();
+    if (typeof object?.id !== 'string' || new URL(object.id).host !== new URL(uri).host) return null;
+    return object;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replace the cached copy of an actor document, e.g. with the one carried
+ * by a signed Update.
+ * @param {object} actor
+ * @param {KVNamespace} kv - APPDATA
+ */
+export async function cacheRemoteActor(actor, kv) {
+  await kv.put(`ap_remote_actor:${simpleHash(actor.id)}`, JSON.stringify(actor), { expirationTtl: CACHE_TTL });
+}
+
 /**
  * Get the inbox URL for a remote actor.
  * @param {object} actor
@@ -0,0 +1,99 @@
+/**
+ * DPoP proof verification (RFC 9449).
+ *
+ * A DPoP proof is a short-lived JWT, signed by the client's key, sent in
+ * the `DPoP` request header alongside a key-bound access token. Verifying
+ * it proves the caller holds the private key the token was issued to.
+ *
+ * Checks performed:
+ *   - `typ` is `dpop+jwt`, `alg` is a supported asymmetric algorithm
+ *   - the embedded `jwk` is a public key and verifies the proof signature
+ *   - `htm` / `htu` match the request method and URL (query excluded)
+ *   - `iat` is within the allowed clock window
+ *   - `jti` has not been seen before (replay cache in APPDATA)
+ *   - `ath` matches the access token hash (required in strict mode)
+ *   - the key thumbprint matches the token's `cnf.jkt` (when bound)
+ *
+ * At the token endpoint there is no access token or binding yet; the
+ * proof is still verified and its thumbprint returned so the issued
+ * token can be bound to it.
+ */
+import { decodeJwt, verifyJws, jwkThumbprint, SUPPORTED_ALGS } from '../crypto/jws.js';
+import { sha256 } from '../crypto/digest.js';
+import { bufferToBase64url } from '../utils.js';
+
+/** Maximum age (and clock skew) for a DPoP proof, in seconds. */
+const DPOP_MAX_AGE = 300;
+
+/**
+ * Verify the DPoP proof on a request.
+ *
+ * @param {Request} request
+ * @param {object} env - Cloudflare env bindings (APPDATA for the jti cache)
+ * @param {object} [binding]
+ * @param {string} [binding.jkt] - Expected key thumbprint (token `cnf.jkt`)
+ * @param {string} [binding.accessToken] - The access token the proof accompanies
+ * @param {boolean} [binding.requireAth] - Reject proofs without an `ath` claim
+ * @returns {Promise<{ valid: true, jkt: string } | { valid: false, reason: string }>}
+ */
+export async function verifyDpopProof(request, env, { jkt = null, accessToken = null, requireAth = false } = {}) {
+  const proof = request.headers.get('DPoP');
+  if (!proof) return fail('missing DPoP proof');
+
+  let decoded;
+  try {
+    decoded = decodeJwt(proof);
+  } catch {
+    return fail('malformed DPoP proof');
+  }
+  const { header, payload } = decoded;
+
+  if (header.typ !== 'dpop+jwt') return fail('DPoP proof typ must be dpop+jwt');
+  if (!SUPPORTED_ALGS.includes(header.alg)) return fail(`unsupported DPoP alg "${header.alg}"`);
+  if (!header.jwk || header.jwk.d) return fail('DPoP proof must embed a public jwk');
+
+  if (!(await verifyJws(decoded, header.jwk))) return fail('DPoP proof signature invalid');
+
+  if (payload.htm !== request.method) return fail(`DPoP htm mismatch (${payload.htm})`);
+  if (!htuMatches(payload.htu, request.url)) return fail(`DPoP htu mismatch (${payload.htu})`);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.iat !== 'number' || Math.abs(now - payload.iat) > DPOP_MAX_AGE) {
+    return fail('DPoP proof iat outside allowed window');
+  }
+
+  if (accessToken && requireAth && payload.ath === undefined) return fail('DPoP proof missing ath');
+  if (accessToken && payload.ath !== undefined) {
+    const hash = await sha256(accessToken);
+    if (payload.ath !== bufferToBase64url(new Uint8Array(hash))) return fail('DPoP ath mismatch');
+  }
+
+  const thumbprint = await jwkThumbprint(header.jwk);
+  if (jkt && thumbprint !== jkt) return fail('DPoP key does not match token binding');
+
+  if (!payload.jti || typeof payload.jti !== 'string') return fail('DPoP proof missing jti');
+  const jtiHash = bufferToBase64url(new Uint8Array(await sha256(`${thumbprint}:${payload.jti}`)));
+  const jtiKey = `dpop_jti:${jtiHash}`;
+  if (await env.APPDATA.get(jtiKey)) return fail('DPoP proof replayed');
+  await env.APPDATA.put(jtiKey, '1', { expirationTtl: DPOP_MAX_AGE * 2 });
+
+  return { valid: true, jkt: thumbprint };
+}
+
+/**
+ * Compare a proof's `htu` to the request URL, ignoring query and fragment.
+ */
+function htuMatches(htu, requestUrl) {
+  if (typeof htu !== 'string') return false;
+  try {
+    const a = new URL(htu);
+    const b = new URL(requestUrl);
+    return a.origin === b.origin && a.pathname === b.pathname;
+  } catch {
+    return false;
+  }
+}
+
+function fail(reason) {
+  return { valid: false, reason };
+}
@@ -0,0 +1,250 @@
+/**
+ * Solid-OIDC resource-server verification for visiting agents.
+ *
+ * Our own OIDC provider (oidc.js) only issues tokens for the owner. Other
+ * people authenticate with their own identity provider and present a
+ * DPoP-bound access token issued there. To accept such a token we follow
+ * the Solid-OIDC resource server rules:
+ *
+ *   1. Decode the token and check the `webid`, `iss`, `aud`, `exp`, `cnf`
+ *      claims, then the DPoP proof against `cnf.jkt`
+ *   2. Dereference the WebID and check that it lists `iss` as a
+ *      `solid:oidcIssuer` (so an arbitrary IdP cannot claim any WebID)
+ *   3. Fetch the issuer's JWKS (via its discovery document) and verify
+ *      the token signature
+ *
+ * A token that is presented but fails any step is rejected (401), rather
+ * than treated as anonymous.
+ *
+ * WebID issuer lists and JWKS are cached in APPDATA; a JWKS miss on `kid`
+ * triggers one refetch to pick up key rotation.
+ */
+import { decodeJwt, verifyJws, SUPPORTED_ALGS } from '../crypto/jws.js';
+import { verifyDpopProof } from './dpop.js';
+import { validateExternalUrl } from '../security/ssrf.js';
+import { checkRateLimit } from '../security/rate-limit.js';
+import { parseTurtle } from '../rdf/turtle-parser.js';
+import { unwrapIri } from '../rdf/ntriples.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { simpleHash } from '../utils.js';
+
+const ISSUER_CACHE_TTL = 300; // 5 minutes
+const JWKS_CACHE_TTL = 3600; // 1 hour
+const FAILURE_CACHE_TTL = 60; // KV's shortest TTL
+const REFETCH_AFTER = 60; // seconds before a missing kid may refetch the JWKS
+const FETCH_TIMEOUT = 5000;
+const CLOCK_SKEW = 60;
+
+/**
+ * Verify a foreign Solid-OIDC access token on an incoming request.
+ *
+ * Tokens issued by this server are ignored here (see verifyAccessToken in
+ * oidc.js), as are tokens claiming the owner's WebID.
+ *
+ * Everything that can be checked locally — the claims, and the DPoP proof
+ * with its signature and key binding — is checked before the WebID or the
+ * issuer's keys are fetched. Those lookups are rate limited per IP
+ * (`lookup`) when they miss the cache, and failed ones are cached briefly.
+ *
+ * @param {Request} request
+ * @param {object} env - Cloudflare env bindings
+ * @param {object} config - Server configuration
+ * @returns {Promise<{webId: string, clientId: string|null, issuer: string}
+ *   |{error: string, description: string, scheme: string}|{retryAfter: number}|null>}
+ *   the visitor; a rejection for tokenErrorResponse(); the wait when the
+ *   lookups are rate limited; or null when there is no token
+ */
+export async function verifySolidOidcToken(request, env, config) {
+  const auth = request.headers.get('Authorization') || '';
+  const [scheme, token] = auth.split(' ', 2);
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = decodeJwt(token);
+  } catch {
+    return null;
+  }
+  const { header, payload } = decoded;
+  if (typeof payload.iss !== 'string' || !payload.iss) return reject('missing iss');
+  if (sameIssuer(payload.iss, config.baseUrl)) return null;
+
+  // Solid-OIDC access tokens must be sender-constrained
+  if (scheme !== 'DPoP' || typeof payload.cnf?.jkt !== 'string') {
+    return reject(`not DPoP-bound (iss=${payload.iss})`);
+  }
+  if (!SUPPORTED_ALGS.includes(header.alg)) return reject(`unsupported alg "${header.alg}"`);
+
+  const webId = payload.webid;
+  if (typeof webId !== 'string' || !validateExternalUrl(webId)) {
+    return reject('missing or unsafe webid');
+  }
+  if (webId === config.webId) {
+    return reject("owner WebID must use this server's issuer");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < now) {
+    return reject('expired');
+  }
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!aud.includes('solid')) {
+    return reject('aud does not include "solid"');
+  }
+
+  const dpop = await verifyDpopProof(request, env, { jkt: payload.cnf.jkt, accessToken: token });
+  if (!dpop.valid) {
+    return reject(dpop.reason);
+  }
+
+  // Only now fetch anything, and only as often as the rate limit allows
+  const ip = request.headers.get('CF-Connecting-IP') || '0.0.0.0';
+  let retryAfter = null;
+  const mayFetch = async () => {
+    if (retryAfter === null) {
+      const rl = await checkRateLimit(env.APPDATA, 'lookup', ip);
+      retryAfter = rl.allowed ? 0 : rl.retryAfter;
+    }
+    return retryAfter === 0;
+  };
+
+  const issuers = await loadWebIdIssuers(webId, env.APPDATA, mayFetch);
+  if (retryAfter) return { retryAfter };
+  if (!issuers.some(i => sameIssuer(i, payload.iss))) {
+    return reject(`${payload.iss} is not an oidcIssuer of ${webId}`);
+  }
+
+  const jwk = await findIssuerKey(payload.iss, header, env.APPDATA, mayFetch);
+  if (retryAfter) return { retryAfter };
+  if (!jwk || !(await verifyJws(decoded, jwk))) {
+    return reject(`signature invalid (iss=${payload.iss})`);
+  }
+
+  const clientId = typeof (payload.client_id || payload.azp) === 'string' ? (payload.client_id || payload.azp) : null;
+  console.log(`[auth] verified visiting agent ${webId} via ${payload.iss} client=${clientId}`);
+  return { webId, clientId, issuer: payload.iss };
+}
+
+/**
+ * Dereference a WebID and return its solid:oidcIssuer values (cached;
+ * failures for FAILURE_CACHE_TTL).
+ * @param {string} webId
+ * @param {KVNamespace} kv - APPDATA
+ * @param {() => Promise<boolean>} mayFetch - rate limit for cache misses
+ * @returns {Promise<string[]>}
+ */
+async function loadWebIdIssuers(webId, kv, mayFetch) {
+  const cacheKey = `solid_oidc_issuers:${simpleHash(webId)}`;
+  const cached = await kv.get(cacheKey);
+  if (cached) {
+    const entry = JSON.parse(cached);
+    if (entry.webId === webId) return entry.issuers;
+  }
+  if (!(await mayFetch())) return [];
+
+  const docUrl = webId.split('#')[0];
+  let issuers = null;
+  try {
+    const res = await fetch(docUrl, {
+      headers: { 'Accept': 'text/turtle', 'User-Agent': 'paa.pub/1.0' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT),
+    });
+    if (res.ok) {
+      const triples = parseTurtle(await res.text(), docUrl);
+      const issuerPred = PREFIXES.solid + 'oidcIssuer';
+      issuers = triples
+        .filter(t => unwrapIri(t.subject) === webId && unwrapIri(t.predicate) === issuerPred)
+        .map(t => unwrapIri(t.object));
+    }
+  } catch (e) {
+    console.log(`[auth] WebID fetch failed for ${webId}: ${e.message}`);
+  }
+
+  await kv.put(cacheKey, JSON.stringify({ webId, issuers: issuers || [] }), {
+    expirationTtl: issuers ? ISSUER_CACHE_TTL : FAILURE_CACHE_TTL,
+  });
+  return issuers || [];
+}
+
+/**
+ * Find the issuer's signing key for a token header, refetching the JWKS
+ * once if the cached set does not contain the requested `kid`.
+ */
+async function findIssuerKey(issuer, header, kv, mayFetch) {
+  const pick = (keys) => keys.find(k =>
+    (header.kid ? k.kid === header.kid : true) && (!k.use || k.use === 'sig'));
+
+  let keys = await loadIssuerJwks(issuer, kv, mayFetch, false);
+  let key = pick(keys);
+  if (!key) {
+    keys = await loadIssuerJwks(issuer, kv, mayFetch, true);
+    key = pick(keys);
+  }
+  return key || null;
+}
+
+/**
+ * Load an issuer's JWKS via its OpenID discovery document (cached). A
+ * refresh only refetches when the cached set is older than REFETCH_AFTER;
+ * a failed fetch keeps the keys we had, or caches none for
+ * FAILURE_CACHE_TTL.
+ * @param {string} issuer
+ * @param {KVNamespace} kv - APPDATA
+ * @param {() => Promise<boolean>} mayFetch - rate limit for cache misses
+ * @param {boolean} refresh - a key was missing from the cached set
+ * @returns {Promise<object[]>}
+ */
+async function loadIssuerJwks(issuer, kv, mayFetch, refresh) {
+  const cacheKey = `solid_oidc_jwks:${simpleHash(issuer)}`;
+  const cached = await kv.get(cacheKey);
+  const entry = cached ? JSON.parse(cached) : null;
+  const known = entry?.issuer === issuer ? entry : null;
+  if (known && (!refresh || Date.now() - (known.fetchedAt || 0) < REFETCH_AFTER * 1000)) {
+    return known.keys;
+  }
+  if (!(await mayFetch())) return known?.keys || [];
+
+  const keys = await fetchIssuerJwks(issuer) || known?.keys || [];
+  await kv.put(cacheKey, JSON.stringify({ issuer, keys, fetchedAt: Date.now() }), {
+    expirationTtl: keys.length > 0 ? JWKS_CACHE_TTL : FAILURE_CACHE_TTL,
+  });
+  return keys;
+}
+
+/** Fetch an issuer's keys through its discovery document; null on failure. */
+async function fetchIssuerJwks(issuer) {
+  const discoveryUrl = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+  if (!validateExternalUrl(discoveryUrl)) return null;
+  try {
+    const discoRes = await fetch(discoveryUrl, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT),
+    });
+    if (!discoRes.ok) return null;
+    const disco = await discoRes.json();
+    if (typeof disco?.jwks_uri !== 'string' || !sameIssuer(String(disco.issuer || ''), issuer)
+        || !validateExternalUrl(disco.jwks_uri)) {
+      return null;
+    }
+    const jwksRes = await fetch(disco.jwks_uri, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT),
+    });
+    if (!jwksRes.ok) return null;
+    const jwks = await jwksRes.json();
+    return Array.isArray(jwks?.keys) ? jwks.keys : null;
+  } catch (e) {
+    console.log(`[auth] JWKS fetch failed for ${issuer}: ${e.message}`);
+    return null;
+  }
+}
+
+function reject(description) {
+  console.log(`[auth] foreign token rejected: ${description}`);
+  return { error: 'invalid_token', description, scheme: 'DPoP' };
+}
+
+/** Compare issuer URLs, ignoring a trailing slash. */
+function sameIssuer(a, b) {
+  return a.replace(/\/$/, '') === b.replace(/\/$/, '');
+}
@@ -6,7 +6,7 @@
  */
 import { hashPassword } from './auth/password.js';
 import { generateRSAKeyPair } from './crypto/rsa.js';
-import { iri, literal } from './rdf/ntriples.js';
+import { iri, literal, parseNTriples, serializeNTriples, unwrapIri } from './rdf/ntriples.js';
 import { PREFIXES } from './rdf/prefixes.js';
 
 let bootstrapped = false;
@@ -32,6 +32,8 @@ export async function ensureBootstrapped(env, config, storage) {
     await ensureAcpPolicies(env, config);
     // Ensure TypeIndex exists (migration for pre-TypeIndex installs)
     await ensureTypeIndex(env, config, storage);
+    // Drop the root's public acl:default (migration for pre-WAC installs)
+    await ensurePrivateRootAcl(env, config, storage);
     bootstrapped = true;
     return;
   }
@@ -50,7 +52,7 @@ export async function ensureBootstrapped(env, config, storage) {
  *   1. Hash the password and store the user record in APPDATA
  *   2. Generate an RSA keypair for ActivityPub HTTP Signatures
  *   3. Initialize ActivityPub collections (followers, following, inbox, outbox)
- *   4. Create root containers (/{user}/, /profile/, /public/, /private/, /settings/)
+ *   4. Create root containers (/{user}/, /profile/, /public/, /private/, /settings/, /inbox/)
  *      with WAC ACLs and ACP policies
  *   5. Create the WebID profile document at /{user}/profile/card with:
  *      - foaf:Person type, name, oidcIssuer, storage root, inbox
@@ -99,6 +101,7 @@ async function bootstrap(env, config, storage) {
     `${baseUrl}/${username}/public/`,
     `${baseUrl}/${username}/private/`,
     `${baseUrl}/${username}/settings/`,
+    `${baseUrl}/${username}/inbox/`,
   ];
 
   const webId = `${baseUrl}/${username}/profile/card#me`;
@@ -114,10 +117,10 @@ async function bootstrap(env, config, storage) {
     await storage.put(`doc:${containerIri}:${containerIri}`, containerNt);
     await storage.put(`idx:${containerIri}`, JSON.stringify({ subjects: [containerIri] }));
 
-    // Write WAC ACL (for kernel compatibility)
+    // Write WAC ACL (enforced when PAA_ACCESS_CONTROL is "wac" or "both");
+    // mirrors the ACP policies below, so only public/ is public
     const isPublic = containerIri.endsWith('/public/');
-    const isRoot = containerIri === `${baseUrl}/${username}/`;
-    const aclNt = buildContainerAcl(containerIri, webId, isPublic || isRoot, acl, foaf);
+    const aclNt = buildContainerAcl(containerIri, webId, isPublic, acl, foaf);
     await storage.put(`acl:${containerIri}`, aclNt);
 
     // Write ACP policy — root defaults to private, public/ is public
@@ -229,6 +232,8 @@ async function ensureAcpPolicies(env, config) {
     [`acp:${baseUrl}/${username}/private/`, { mode: 'private', agents: [], inherit: true }],
     // Settings: private
     [`acp:${baseUrl}/${username}/settings/`, { mode: 'private', agents: [], inherit: true }],
+    // LDN inbox: private (anyone may POST notifications, only the owner reads them)
+    [`acp:${baseUrl}/${username}/inbox/`, { mode: 'private', agents: [], inherit: true }],
   ];
 
   for (const [key, policy] of policies) {
@@ -239,6 +244,32 @@ async function ensureAcpPolicies(env, config) {
   }
 }
 
+/**
+ * Remove the public `acl:default` that bootstrap used to give the root
+ * `.acl` (migration for installs from before WAC was enforced). Under
+ * PAA_ACCESS_CONTROL "wac" or "both" it made every container without an
+ * ACL of its own publicly readable. Runs once, so a public default the
+ * owner adds later is kept.
+ */
+async function ensurePrivateRootAcl(env, config, storage) {
+  if (await env.APPDATA.get('root_acl_migrated') === 'true') return;
+
+  const rootIri = `${config.baseUrl}/${config.username}/`;
+  const nt = await storage.get(`acl:${rootIri}`);
+  if (nt) {
+    const triples = parseNTriples(nt);
+    const publicAuths = new Set(triples
+      .filter(t => unwrapIri(t.predicate) === PREFIXES.acl + 'agentClass' && unwrapIri(t.object) === PREFIXES.foaf + 'Agent')
+      .map(t => t.subject));
+    const kept = triples.filter(t => !(publicAuths.has(t.subject) && unwrapIri(t.predicate) === PREFIXES.acl + 'default'));
+    if (kept.length < triples.length) {
+      await storage.put(`acl:${rootIri}`, serializeNTriples(kept));
+      console.log(`Removed the public acl:default from ${rootIri}.acl`);
+    }
+  }
+  await env.APPDATA.put('root_acl_migrated', 'true');
+}
+
 /**
  * Ensure TypeIndex documents and profile references exist (migration for pre-TypeIndex installs).
  */
@@ -2,12 +2,15 @@ const RESERVED_NAMES = new Set([
   'css', 'scripts', 'media',
   'login', 'logout', 'dashboard', 'activity', 'storage', 'acp',
   'profile', 'compose', 'follow', 'unfollow',
-  'authorize', 'token', 'register', 'userinfo', 'jwks',
+  'authorize', 'token', 'revoke', 'register', 'userinfo', 'jwks',
   'webauthn', 'app-permissions', 'follow-requests',
-  'settings',
+  'settings', 'sparql', 'notifications', 'trash', 'export', 'import',
+  'share', 'groups', 'search',
   '.well-known',
 ]);
 
+const ACCESS_CONTROL_SCHEMES = new Set(['acp', 'wac', 'both']);
+
 /**
  * Read configuration from Cloudflare Worker environment bindings.
  * @param {object} env - Cloudflare Worker env object
@@ -43,6 +46,9 @@ export function getConfig(env, request) {
   // Language: default UI language (overridable per-user via preferences)
   const language = env.PAA_LANGUAGE || 'en-US';
 
+  // Authorization system: "acp" (default), "wac" (.acl documents) or "both"
+  const accessControl = ACCESS_CONTROL_SCHEMES.has(env.PAA_ACCESS_CONTROL) ? env.PAA_ACCESS_CONTROL : 'acp';
+
   return {
     username,
     password,
@@ -52,6 +58,7 @@ export function getConfig(env, request) {
     storageLimit,
     feedLimit,
     language,
+    accessControl,
     actorId: `${baseUrl}/${username}/profile/card#me`,
     keyId: `${baseUrl}/${username}/profile/card#main-key`,
     webId: `${baseUrl}/${username}/profile/card#me`,
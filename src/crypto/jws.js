@@ -0,0 +1,115 @@
+/**
+ * JSON Web Signature helpers via Web Crypto.
+ *
+ * Decodes compact JWTs, verifies their signatures against a JWK, and
+ * computes RFC 7638 JWK thumbprints (used for DPoP key binding).
+ *
+ * Supported algorithms: RS256, PS256, ES256, ES384.
+ */
+import { sha256 } from './digest.js';
+import { bufferToBase64url } from '../utils.js';
+
+const ALGORITHMS = {
+  RS256: {
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' },
+  },
+  PS256: {
+    importParams: { name: 'RSA-PSS', hash: 'SHA-256' },
+    verifyParams: { name: 'RSA-PSS', saltLength: 32 },
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+  ES384: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-384' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-384' },
+  },
+};
+
+/** Algorithms accepted for signature verification. */
+export const SUPPORTED_ALGS = Object.keys(ALGORITHMS);
+
+/**
+ * Decode a compact JWT without verifying it.
+ * @param {string} token
+ * @returns {{ header: object, payload: object, signingInput: string, signature: Uint8Array }}
+ * @throws {Error} if the token is not three base64url segments whose
+ *   header and payload are JSON objects
+ */
+export function decodeJwt(token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) throw new Error('malformed JWT');
+  const [headerB64, payloadB64, sigB64] = parts;
+  const header = JSON.parse(base64urlDecodeText(headerB64));
+  const payload = JSON.parse(base64urlDecodeText(payloadB64));
+  if (!isObject(header) || !isObject(payload)) throw new Error('malformed JWT');
+  return {
+    header,
+    payload,
+    signingInput: `${headerB64}.${payloadB64}`,
+    signature: base64urlToBytes(sigB64),
+  };
+}
+
+/**
+ * Verify the signature of a decoded JWT against a public JWK.
+ * The algorithm is taken from the JWT header and must be supported.
+ * @param {{ header: object, signingInput: string, signature: Uint8Array }} decoded
+ * @param {object} jwk - Public key in JWK form
+ * @returns {Promise<boolean>}
+ */
+export async function verifyJws(decoded, jwk) {
+  const alg = ALGORITHMS[decoded.header.alg];
+  if (!alg || !jwk) return false;
+  if (jwk.alg && jwk.alg !== decoded.header.alg) return false;
+  try {
+    const { kty, n, e, crv, x, y } = jwk;
+    const key = await crypto.subtle.importKey(
+      'jwk', { kty, n, e, crv, x, y },
+      alg.importParams, false, ['verify'],
+    );
+    return await crypto.subtle.verify(
+      alg.verifyParams, key, decoded.signature,
+      new TextEncoder().encode(decoded.signingInput),
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compute the RFC 7638 thumbprint of a public JWK (SHA-256, base64url).
+ * @param {object} jwk
+ * @returns {Promise<string>}
+ */
+export async function jwkThumbprint(jwk) {
+  // Required members only, in lexicographic order
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  const hash = await sha256(JSON.stringify(members));
+  return bufferToBase64url(new Uint8Array(hash));
+}
+
+/**
+ * Decode a base64url string to bytes.
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+export function base64urlToBytes(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function base64urlDecodeText(str) {
+  return new TextDecoder().decode(base64urlToBytes(str));
+}
@@ -282,6 +282,36 @@ paa:dash_n_files_other rdfs:label "{{count}} files"@en-US ;
     rdfs:label "{{count}} קבצים"@he ;
     rdfs:label "{{count}} 个文件"@zh .
 
+paa:dash_trash rdfs:label "Trash"@en-US ;
+    rdfs:label "Corbeille"@fr ;
+    rdfs:label "Papelera"@es ;
+    rdfs:label "סל מחזור"@he ;
+    rdfs:label "回收站"@zh .
+
+paa:dash_trash_items_one rdfs:label "{{count}} deleted item"@en-US ;
+    rdfs:label "{{count}} élément supprimé"@fr ;
+    rdfs:label "{{count}} elemento eliminado"@es ;
+    rdfs:label "פריט מחוק אחד"@he ;
+    rdfs:label "{{count}} 个已删除项目"@zh .
+
+paa:dash_trash_items_other rdfs:label "{{count}} deleted items"@en-US ;
+    rdfs:label "{{count}} éléments supprimés"@fr ;
+    rdfs:label "{{count}} elementos eliminados"@es ;
+    rdfs:label "{{count}} פריטים מחוקים"@he ;
+    rdfs:label "{{count}} 个已删除项目"@zh .
+
+paa:dash_writers rdfs:label "Uploaded by collaborators"@en-US ;
+    rdfs:label "Téléversé par des collaborateurs"@fr ;
+    rdfs:label "Subido por colaboradores"@es ;
+    rdfs:label "הועלה על ידי משתפי פעולה"@he ;
+    rdfs:label "协作者上传"@zh .
+
+paa:dash_writers_desc rdfs:label "Files other people wrote into shared folders. They count toward your storage."@en-US ;
+    rdfs:label "Fichiers écrits par d'autres personnes dans des dossiers partagés. Ils comptent dans votre stockage."@fr ;
+    rdfs:label "Archivos que otras personas escribieron en carpetas compartidas. Cuentan para su almacenamiento."@es ;
+    rdfs:label "קבצים שאנשים אחרים כתבו לתיקיות משותפות. הם נספרים באחסון שלך."@he ;
+    rdfs:label "其他人写入共享文件夹的文件。它们计入您的存储空间。"@zh .
+
 # ── Activity ──────────────────────────────────────────
 
 paa:act_title rdfs:label "Activity"@en-US ;
@@ -512,6 +542,383 @@ paa:act_feed_prefix rdfs:label "Feed:"@en-US ;
     rdfs:label "עדכונים:"@he ;
     rdfs:label "动态流："@zh .
 
+paa:act_deleted rdfs:label "This post was deleted by its author."@en-US ;
+    rdfs:label "Cette publication a été supprimée par son auteur."@fr ;
+    rdfs:label "Esta publicación fue eliminada por su autor."@es ;
+    rdfs:label "הפוסט נמחק על ידי מי שכתב אותו."@he ;
+    rdfs:label "此帖子已被作者删除。"@zh .
+
+paa:act_edited rdfs:label "Edited"@en-US ;
+    rdfs:label "Modifié"@fr ;
+    rdfs:label "Editado"@es ;
+    rdfs:label "נערך"@he ;
+    rdfs:label "已编辑"@zh .
+
+paa:act_reactions rdfs:label "{{likes}} likes · {{boosts}} boosts"@en-US ;
+    rdfs:label "{{likes}} j'aime · {{boosts}} partages"@fr ;
+    rdfs:label "{{likes}} me gusta · {{boosts}} impulsos"@es ;
+    rdfs:label "{{likes}} לייקים · {{boosts}} שיתופים"@he ;
+    rdfs:label "{{likes}} 个赞 · {{boosts}} 次转发"@zh .
+
+paa:act_liked rdfs:label "Liked"@en-US ;
+    rdfs:label "A aimé"@fr ;
+    rdfs:label "Le gustó"@es ;
+    rdfs:label "אהב/ה"@he ;
+    rdfs:label "赞了"@zh .
+
+paa:act_boosted rdfs:label "Boosted"@en-US ;
+    rdfs:label "A partagé"@fr ;
+    rdfs:label "Impulsó"@es ;
+    rdfs:label "שיתף/ה"@he ;
+    rdfs:label "转发了"@zh .
+
+paa:act_like rdfs:label "Like"@en-US ;
+    rdfs:label "J'aime"@fr ;
+    rdfs:label "Me gusta"@es ;
+    rdfs:label "לייק"@he ;
+    rdfs:label "赞"@zh .
+
+paa:act_unlike rdfs:label "Unlike"@en-US ;
+    rdfs:label "Je n'aime plus"@fr ;
+    rdfs:label "Ya no me gusta"@es ;
+    rdfs:label "ביטול לייק"@he ;
+    rdfs:label "取消赞"@zh .
+
+paa:act_boost rdfs:label "Boost"@en-US ;
+    rdfs:label "Partager"@fr ;
+    rdfs:label "Impulsar"@es ;
+    rdfs:label "שיתוף"@he ;
+    rdfs:label "转发"@zh .
+
+paa:act_unboost rdfs:label "Undo boost"@en-US ;
+    rdfs:label "Annuler le partage"@fr ;
+    rdfs:label "Deshacer impulso"@es ;
+    rdfs:label "ביטול שיתוף"@he ;
+    rdfs:label "取消转发"@zh .
+
+paa:act_reply rdfs:label "Reply"@en-US ;
+    rdfs:label "Répondre"@fr ;
+    rdfs:label "Responder"@es ;
+    rdfs:label "תגובה"@he ;
+    rdfs:label "回复"@zh .
+
+paa:act_reply_placeholder rdfs:label "Write a reply…"@en-US ;
+    rdfs:label "Écrire une réponse…"@fr ;
+    rdfs:label "Escribe una respuesta…"@es ;
+    rdfs:label "כתיבת תגובה…"@he ;
+    rdfs:label "写下回复…"@zh .
+
+paa:act_send_reply rdfs:label "Send reply"@en-US ;
+    rdfs:label "Envoyer la réponse"@fr ;
+    rdfs:label "Enviar respuesta"@es ;
+    rdfs:label "שליחת תגובה"@he ;
+    rdfs:label "发送回复"@zh .
+
+paa:act_in_reply_to rdfs:label "In reply to"@en-US ;
+    rdfs:label "En réponse à"@fr ;
+    rdfs:label "En respuesta a"@es ;
+    rdfs:label "בתגובה ל"@he ;
+    rdfs:label "回复给"@zh .
+
+paa:act_edit_post rdfs:label "Edit"@en-US ;
+    rdfs:label "Modifier"@fr ;
+    rdfs:label "Editar"@es ;
+    rdfs:label "עריכה"@he ;
+    rdfs:label "编辑"@zh .
+
+paa:act_save_edit rdfs:label "Save and send update"@en-US ;
+    rdfs:label "Enregistrer et envoyer la mise à jour"@fr ;
+    rdfs:label "Guardar y enviar actualización"@es ;
+    rdfs:label "שמירה ושליחת עדכון"@he ;
+    rdfs:label "保存并发送更新"@zh .
+
+paa:act_edit_history rdfs:label "Earlier versions"@en-US ;
+    rdfs:label "Versions précédentes"@fr ;
+    rdfs:label "Versiones anteriores"@es ;
+    rdfs:label "גרסאות קודמות"@he ;
+    rdfs:label "早期版本"@zh .
+
+paa:act_delete_post rdfs:label "Delete"@en-US ;
+    rdfs:label "Supprimer"@fr ;
+    rdfs:label "Eliminar"@es ;
+    rdfs:label "מחיקה"@he ;
+    rdfs:label "删除"@zh .
+
+paa:act_confirm_delete_post rdfs:label "Delete this post here and on every server it was sent to?"@en-US ;
+    rdfs:label "Supprimer cette publication ici et sur tous les serveurs qui l'ont reçue ?"@fr ;
+    rdfs:label "¿Eliminar esta publicación aquí y en todos los servidores a los que se envió?"@es ;
+    rdfs:label "למחוק את הפוסט כאן ובכל שרת שאליו נשלח?"@he ;
+    rdfs:label "要在此处以及所有收到此帖子的服务器上删除它吗？"@zh .
+
+# ── Post permalink ────────────────────────────────────
+
+paa:post_by rdfs:label "Post by {{name}}"@en-US ;
+    rdfs:label "Publication de {{name}}"@fr ;
+    rdfs:label "Publicación de {{name}}"@es ;
+    rdfs:label "פוסט מאת {{name}}"@he ;
+    rdfs:label "{{name}} 的帖子"@zh .
+
+paa:post_limited rdfs:label "Only visible to the people it was sent to."@en-US ;
+    rdfs:label "Visible uniquement par les personnes à qui elle a été envoyée."@fr ;
+    rdfs:label "Solo visible para las personas a las que se envió."@es ;
+    rdfs:label "גלוי רק למי שהפוסט נשלח אליהם."@he ;
+    rdfs:label "仅发送对象可见。"@zh .
+
+paa:post_deleted_title rdfs:label "Deleted post"@en-US ;
+    rdfs:label "Publication supprimée"@fr ;
+    rdfs:label "Publicación eliminada"@es ;
+    rdfs:label "פוסט שנמחק"@he ;
+    rdfs:label "已删除的帖子"@zh .
+
+paa:post_deleted rdfs:label "This post has been deleted."@en-US ;
+    rdfs:label "Cette publication a été supprimée."@fr ;
+    rdfs:label "Esta publicación ha sido eliminada."@es ;
+    rdfs:label "הפוסט הזה נמחק."@he ;
+    rdfs:label "此帖子已被删除。"@zh .
+
+# ── Notifications (LDN inbox) ─────────────────────────
+paa:ldn_title rdfs:label "Notifications"@en-US ;
+    rdfs:label "Notifications"@fr ;
+    rdfs:label "Notificaciones"@es ;
+    rdfs:label "התראות"@he ;
+    rdfs:label "通知"@zh .
+
+paa:ldn_desc rdfs:label "Linked Data Notifications sent to your inbox by Solid apps and other servers. Only you can read them."@en-US ;
+    rdfs:label "Notifications Linked Data envoyées à votre boîte de réception par des applications Solid et d'autres serveurs. Vous seul pouvez les lire."@fr ;
+    rdfs:label "Notificaciones Linked Data enviadas a tu bandeja de entrada por aplicaciones Solid y otros servidores. Solo tú puedes leerlas."@es ;
+    rdfs:label "התראות Linked Data שנשלחו לתיבת הדואר הנכנס שלך על ידי יישומי Solid ושרתים אחרים. רק אתה יכול לקרוא אותן."@he ;
+    rdfs:label "由 Solid 应用和其他服务器发送到你收件箱的关联数据通知。只有你可以阅读。"@zh .
+
+paa:ldn_count rdfs:label "{{count}} notifications"@en-US ;
+    rdfs:label "{{count}} notifications"@fr ;
+    rdfs:label "{{count}} notificaciones"@es ;
+    rdfs:label "{{count}} התראות"@he ;
+    rdfs:label "{{count}} 条通知"@zh .
+
+paa:ldn_view rdfs:label "View notifications"@en-US ;
+    rdfs:label "Voir les notifications"@fr ;
+    rdfs:label "Ver notificaciones"@es ;
+    rdfs:label "הצגת התראות"@he ;
+    rdfs:label "查看通知"@zh .
+
+paa:ldn_none rdfs:label "No notifications."@en-US ;
+    rdfs:label "Aucune notification."@fr ;
+    rdfs:label "No hay notificaciones."@es ;
+    rdfs:label "אין התראות."@he ;
+    rdfs:label "没有通知。"@zh .
+
+paa:ldn_anonymous rdfs:label "Anonymous sender"@en-US ;
+    rdfs:label "Expéditeur anonyme"@fr ;
+    rdfs:label "Remitente anónimo"@es ;
+    rdfs:label "שולח אנונימי"@he ;
+    rdfs:label "匿名发送者"@zh .
+
+paa:ldn_triples rdfs:label "{{count}} triples"@en-US ;
+    rdfs:label "{{count}} triplets"@fr ;
+    rdfs:label "{{count}} tripletas"@es ;
+    rdfs:label "{{count}} שלשות"@he ;
+    rdfs:label "{{count}} 个三元组"@zh .
+
+paa:ldn_view_resource rdfs:label "Open"@en-US ;
+    rdfs:label "Ouvrir"@fr ;
+    rdfs:label "Abrir"@es ;
+    rdfs:label "פתיחה"@he ;
+    rdfs:label "打开"@zh .
+
+paa:ldn_delete_all rdfs:label "Delete all"@en-US ;
+    rdfs:label "Tout supprimer"@fr ;
+    rdfs:label "Eliminar todo"@es ;
+    rdfs:label "מחיקת הכול"@he ;
+    rdfs:label "全部删除"@zh .
+
+paa:ldn_confirm_delete_all rdfs:label "Move all notifications to the trash?"@en-US ;
+    rdfs:label "Placer toutes les notifications dans la corbeille ?"@fr ;
+    rdfs:label "¿Mover todas las notificaciones a la papelera?"@es ;
+    rdfs:label "להעביר את כל ההתראות לסל המחזור?"@he ;
+    rdfs:label "将所有通知移到回收站？"@zh .
+
+# ── Delivery ──────────────────────────────────────────
+
+paa:dlv_title rdfs:label "Delivery"@en-US ;
+    rdfs:label "Distribution"@fr ;
+    rdfs:label "Entrega"@es ;
+    rdfs:label "מסירה"@he ;
+    rdfs:label "投递"@zh .
+
+paa:dlv_desc rdfs:label "Posts, follows and replies you send are queued for each receiving server. Failed deliveries are retried with growing intervals for up to three days."@en-US ;
+    rdfs:label "Les publications, abonnements et réponses que vous envoyez sont mis en file d'attente pour chaque serveur destinataire. Les envois échoués sont retentés à intervalles croissants pendant trois jours au plus."@fr ;
+    rdfs:label "Las publicaciones, seguimientos y respuestas que envía se ponen en cola para cada servidor de destino. Las entregas fallidas se reintentan con intervalos crecientes durante un máximo de tres días."@es ;
+    rdfs:label "פוסטים, מעקבים ותגובות שאתם שולחים נכנסים לתור עבור כל שרת מקבל. מסירות שנכשלו מנוסות שוב במרווחים הולכים וגדלים, עד שלושה ימים."@he ;
+    rdfs:label "您发送的帖子、关注和回复会为每个接收服务器排队。投递失败会以逐渐增大的间隔重试，最长三天。"@zh .
+
+paa:dlv_summary rdfs:label "{{queued}} waiting, {{failed}} failed"@en-US ;
+    rdfs:label "{{queued}} en attente, {{failed}} en échec"@fr ;
+    rdfs:label "{{queued}} en espera, {{failed}} fallidas"@es ;
+    rdfs:label "{{queued}} ממתינות, {{failed}} נכשלו"@he ;
+    rdfs:label "{{queued}} 个等待中，{{failed}} 个失败"@zh .
+
+paa:dlv_view rdfs:label "View queue"@en-US ;
+    rdfs:label "Voir la file"@fr ;
+    rdfs:label "Ver la cola"@es ;
+    rdfs:label "הצגת התור"@he ;
+    rdfs:label "查看队列"@zh .
+
+paa:dlv_retry_now rdfs:label "Retry now"@en-US ;
+    rdfs:label "Réessayer maintenant"@fr ;
+    rdfs:label "Reintentar ahora"@es ;
+    rdfs:label "ניסיון חוזר עכשיו"@he ;
+    rdfs:label "立即重试"@zh .
+
+paa:dlv_resume rdfs:label "Resume"@en-US ;
+    rdfs:label "Reprendre"@fr ;
+    rdfs:label "Reanudar"@es ;
+    rdfs:label "חידוש"@he ;
+    rdfs:label "恢复"@zh .
+
+paa:dlv_instances rdfs:label "Servers with failures"@en-US ;
+    rdfs:label "Serveurs en échec"@fr ;
+    rdfs:label "Servidores con fallos"@es ;
+    rdfs:label "שרתים עם כשלים"@he ;
+    rdfs:label "投递失败的服务器"@zh .
+
+paa:dlv_instance rdfs:label "Server"@en-US ;
+    rdfs:label "Serveur"@fr ;
+    rdfs:label "Servidor"@es ;
+    rdfs:label "שרת"@he ;
+    rdfs:label "服务器"@zh .
+
+paa:dlv_failures rdfs:label "Failures in a row"@en-US ;
+    rdfs:label "Échecs consécutifs"@fr ;
+    rdfs:label "Fallos seguidos"@es ;
+    rdfs:label "כשלים ברצף"@he ;
+    rdfs:label "连续失败次数"@zh .
+
+paa:dlv_last_success rdfs:label "Last delivered"@en-US ;
+    rdfs:label "Dernière réussite"@fr ;
+    rdfs:label "Última entrega"@es ;
+    rdfs:label "מסירה אחרונה"@he ;
+    rdfs:label "上次成功"@zh .
+
+paa:dlv_last_error rdfs:label "Last error"@en-US ;
+    rdfs:label "Dernière erreur"@fr ;
+    rdfs:label "Último error"@es ;
+    rdfs:label "שגיאה אחרונה"@he ;
+    rdfs:label "最近错误"@zh .
+
+paa:dlv_never rdfs:label "Never"@en-US ;
+    rdfs:label "Jamais"@fr ;
+    rdfs:label "Nunca"@es ;
+    rdfs:label "אף פעם"@he ;
+    rdfs:label "从未"@zh .
+
+paa:dlv_suspended_until rdfs:label "Suspended until {{date}}"@en-US ;
+    rdfs:label "Suspendu jusqu'au {{date}}"@fr ;
+    rdfs:label "Suspendido hasta {{date}}"@es ;
+    rdfs:label "מושהה עד {{date}}"@he ;
+    rdfs:label "暂停至 {{date}}"@zh .
+
+paa:dlv_queued rdfs:label "Waiting"@en-US ;
+    rdfs:label "En attente"@fr ;
+    rdfs:label "En espera"@es ;
+    rdfs:label "ממתינות"@he ;
+    rdfs:label "等待中"@zh .
+
+paa:dlv_activity rdfs:label "Activity"@en-US ;
+    rdfs:label "Activité"@fr ;
+    rdfs:label "Actividad"@es ;
+    rdfs:label "פעילות"@he ;
+    rdfs:label "活动"@zh .
+
+paa:dlv_inbox rdfs:label "Inbox"@en-US ;
+    rdfs:label "Boîte de réception"@fr ;
+    rdfs:label "Bandeja de entrada"@es ;
+    rdfs:label "תיבת דואר נכנס"@he ;
+    rdfs:label "收件箱"@zh .
+
+paa:dlv_attempts rdfs:label "Attempts"@en-US ;
+    rdfs:label "Tentatives"@fr ;
+    rdfs:label "Intentos"@es ;
+    rdfs:label "ניסיונות"@he ;
+    rdfs:label "尝试次数"@zh .
+
+paa:dlv_next_attempt rdfs:label "Next attempt"@en-US ;
+    rdfs:label "Prochaine tentative"@fr ;
+    rdfs:label "Próximo intento"@es ;
+    rdfs:label "ניסיון הבא"@he ;
+    rdfs:label "下次尝试"@zh .
+
+paa:dlv_due rdfs:label "Due"@en-US ;
+    rdfs:label "Imminente"@fr ;
+    rdfs:label "Pendiente"@es ;
+    rdfs:label "בתור לשליחה"@he ;
+    rdfs:label "即将进行"@zh .
+
+paa:dlv_none_queued rdfs:label "Nothing is waiting to be delivered."@en-US ;
+    rdfs:label "Rien n'est en attente de distribution."@fr ;
+    rdfs:label "No hay nada pendiente de entrega."@es ;
+    rdfs:label "אין דבר שממתין למסירה."@he ;
+    rdfs:label "没有等待投递的内容。"@zh .
+
+paa:dlv_failed rdfs:label "Failed"@en-US ;
+    rdfs:label "En échec"@fr ;
+    rdfs:label "Fallidas"@es ;
+    rdfs:label "נכשלו"@he ;
+    rdfs:label "失败"@zh .
+
+paa:dlv_failed_desc rdfs:label "Deliveries the receiving server refused, or that could not be made in time. Retrying starts them over."@en-US ;
+    rdfs:label "Envois refusés par le serveur destinataire ou impossibles à effectuer à temps. Réessayer les relance depuis le début."@fr ;
+    rdfs:label "Entregas que el servidor de destino rechazó o que no pudieron realizarse a tiempo. Reintentarlas las inicia de nuevo."@es ;
+    rdfs:label "מסירות שהשרת המקבל דחה, או שלא הצליחו בזמן. ניסיון חוזר מתחיל אותן מחדש."@he ;
+    rdfs:label "被接收服务器拒绝或未能及时完成的投递。重试会重新开始投递。"@zh .
+
+paa:dlv_reason rdfs:label "Reason"@en-US ;
+    rdfs:label "Raison"@fr ;
+    rdfs:label "Motivo"@es ;
+    rdfs:label "סיבה"@he ;
+    rdfs:label "原因"@zh .
+
+paa:dlv_failed_at rdfs:label "Given up"@en-US ;
+    rdfs:label "Abandonné le"@fr ;
+    rdfs:label "Abandonada"@es ;
+    rdfs:label "ננטשה"@he ;
+    rdfs:label "放弃时间"@zh .
+
+paa:dlv_retry rdfs:label "Retry"@en-US ;
+    rdfs:label "Réessayer"@fr ;
+    rdfs:label "Reintentar"@es ;
+    rdfs:label "ניסיון חוזר"@he ;
+    rdfs:label "重试"@zh .
+
+paa:dlv_retry_all rdfs:label "Retry all"@en-US ;
+    rdfs:label "Tout réessayer"@fr ;
+    rdfs:label "Reintentar todas"@es ;
+    rdfs:label "ניסיון חוזר לכולן"@he ;
+    rdfs:label "全部重试"@zh .
+
+paa:dlv_discard rdfs:label "Discard"@en-US ;
+    rdfs:label "Abandonner"@fr ;
+    rdfs:label "Descartar"@es ;
+    rdfs:label "מחיקה"@he ;
+    rdfs:label "丢弃"@zh .
+
+paa:dlv_discard_all rdfs:label "Discard all"@en-US ;
+    rdfs:label "Tout abandonner"@fr ;
+    rdfs:label "Descartar todas"@es ;
+    rdfs:label "מחיקת הכל"@he ;
+    rdfs:label "全部丢弃"@zh .
+
+paa:dlv_confirm_discard_all rdfs:label "Discard all failed deliveries? They will not be sent."@en-US ;
+    rdfs:label "Abandonner tous les envois en échec ? Ils ne seront pas envoyés."@fr ;
+    rdfs:label "¿Descartar todas las entregas fallidas? No se enviarán."@es ;
+    rdfs:label "למחוק את כל המסירות שנכשלו? הן לא יישלחו."@he ;
+    rdfs:label "丢弃所有失败的投递？它们将不会被发送。"@zh .
+
+paa:dlv_none_failed rdfs:label "No failed deliveries."@en-US ;
+    rdfs:label "Aucun envoi en échec."@fr ;
+    rdfs:label "No hay entregas fallidas."@es ;
+    rdfs:label "אין מסירות שנכשלו."@he ;
+    rdfs:label "没有失败的投递。"@zh .
+
 # ── Storage ───────────────────────────────────────────
 
 paa:stor_title rdfs:label "Storage"@en-US ;
@@ -748,6 +1155,218 @@ paa:stor_copy_to rdfs:label "Copy to:"@en-US ;
     rdfs:label "העתקה אל:"@he ;
     rdfs:label "复制到："@zh .
 
+paa:stor_history rdfs:label "History"@en-US ;
+    rdfs:label "Historique"@fr ;
+    rdfs:label "Historial"@es ;
+    rdfs:label "היסטוריה"@he ;
+    rdfs:label "历史记录"@zh .
+
+paa:stor_history_desc rdfs:label "Earlier versions of this resource. Restoring one keeps the current state as a new version."@en-US ;
+    rdfs:label "Versions précédentes de cette ressource. En restaurer une conserve l'état actuel comme nouvelle version."@fr ;
+    rdfs:label "Versiones anteriores de este recurso. Restaurar una conserva el estado actual como nueva versión."@es ;
+    rdfs:label "גרסאות קודמות של משאב זה. שחזור גרסה שומר את המצב הנוכחי כגרסה חדשה."@he ;
+    rdfs:label "此资源的早期版本。恢复某个版本时，当前状态会保存为新版本。"@zh .
+
+paa:stor_history_keep rdfs:label "Keeping up to {{count}} versions."@en-US ;
+    rdfs:label "Jusqu'à {{count}} versions conservées."@fr ;
+    rdfs:label "Se conservan hasta {{count}} versiones."@es ;
+    rdfs:label "נשמרות עד {{count}} גרסאות."@he ;
+    rdfs:label "最多保留 {{count}} 个版本。"@zh .
+
+paa:stor_history_off rdfs:label "Version history is turned off for this container."@en-US ;
+    rdfs:label "L'historique des versions est désactivé pour ce conteneur."@fr ;
+    rdfs:label "El historial de versiones está desactivado para este contenedor."@es ;
+    rdfs:label "היסטוריית הגרסאות כבויה עבור מכולה זו."@he ;
+    rdfs:label "此容器已关闭版本历史。"@zh .
+
+paa:stor_history_empty rdfs:label "No earlier versions yet."@en-US ;
+    rdfs:label "Aucune version précédente pour l'instant."@fr ;
+    rdfs:label "Todavía no hay versiones anteriores."@es ;
+    rdfs:label "אין עדיין גרסאות קודמות."@he ;
+    rdfs:label "暂无早期版本。"@zh .
+
+paa:stor_version_saved rdfs:label "Saved"@en-US ;
+    rdfs:label "Enregistrée"@fr ;
+    rdfs:label "Guardada"@es ;
+    rdfs:label "נשמרה"@he ;
+    rdfs:label "保存时间"@zh .
+
+paa:stor_version_size rdfs:label "Size"@en-US ;
+    rdfs:label "Taille"@fr ;
+    rdfs:label "Tamaño"@es ;
+    rdfs:label "גודל"@he ;
+    rdfs:label "大小"@zh .
+
+paa:stor_view rdfs:label "View"@en-US ;
+    rdfs:label "Voir"@fr ;
+    rdfs:label "Ver"@es ;
+    rdfs:label "הצגה"@he ;
+    rdfs:label "查看"@zh .
+
+paa:stor_compare rdfs:label "Compare"@en-US ;
+    rdfs:label "Comparer"@fr ;
+    rdfs:label "Comparar"@es ;
+    rdfs:label "השוואה"@he ;
+    rdfs:label "比较"@zh .
+
+paa:stor_restore rdfs:label "Restore"@en-US ;
+    rdfs:label "Restaurer"@fr ;
+    rdfs:label "Restaurar"@es ;
+    rdfs:label "שחזור"@he ;
+    rdfs:label "恢复"@zh .
+
+paa:stor_confirm_restore rdfs:label "Restore this version? The current state is kept in the history."@en-US ;
+    rdfs:label "Restaurer cette version ? L'état actuel est conservé dans l'historique."@fr ;
+    rdfs:label "¿Restaurar esta versión? El estado actual se conserva en el historial."@es ;
+    rdfs:label "לשחזר גרסה זו? המצב הנוכחי יישמר בהיסטוריה."@he ;
+    rdfs:label "恢复此版本？当前状态会保留在历史记录中。"@zh .
+
+paa:stor_diff_title rdfs:label "Changes from {{date}} to the current state"@en-US ;
+    rdfs:label "Modifications du {{date}} à l'état actuel"@fr ;
+    rdfs:label "Cambios desde {{date}} hasta el estado actual"@es ;
+    rdfs:label "שינויים מ-{{date}} עד המצב הנוכחי"@he ;
+    rdfs:label "从 {{date}} 到当前状态的更改"@zh .
+
+paa:stor_diff_none rdfs:label "No differences."@en-US ;
+    rdfs:label "Aucune différence."@fr ;
+    rdfs:label "Sin diferencias."@es ;
+    rdfs:label "אין הבדלים."@he ;
+    rdfs:label "没有差异。"@zh .
+
+paa:stor_diff_unavailable rdfs:label "This version cannot be compared as text."@en-US ;
+    rdfs:label "Cette version ne peut pas être comparée en tant que texte."@fr ;
+    rdfs:label "Esta versión no se puede comparar como texto."@es ;
+    rdfs:label "לא ניתן להשוות גרסה זו כטקסט."@he ;
+    rdfs:label "此版本无法作为文本进行比较。"@zh .
+
+paa:stor_trash rdfs:label "Trash"@en-US ;
+    rdfs:label "Corbeille"@fr ;
+    rdfs:label "Papelera"@es ;
+    rdfs:label "סל מחזור"@he ;
+    rdfs:label "回收站"@zh .
+
+# ── Trash ─────────────────────────────────────────────
+
+paa:trash_title rdfs:label "Trash"@en-US ;
+    rdfs:label "Corbeille"@fr ;
+    rdfs:label "Papelera"@es ;
+    rdfs:label "סל מחזור"@he ;
+    rdfs:label "回收站"@zh .
+
+paa:trash_desc rdfs:label "Deleted resources stay here until they expire or you purge them. Restoring puts a resource back at its original path with its access policy and history."@en-US ;
+    rdfs:label "Les ressources supprimées restent ici jusqu'à leur expiration ou leur purge. La restauration remet une ressource à son emplacement d'origine avec sa politique d'accès et son historique."@fr ;
+    rdfs:label "Los recursos eliminados permanecen aquí hasta que caducan o los purgas. Restaurar devuelve un recurso a su ruta original con su política de acceso y su historial."@es ;
+    rdfs:label "משאבים שנמחקו נשמרים כאן עד שתוקפם פג או שתמחק אותם לצמיתות. שחזור מחזיר משאב לנתיב המקורי שלו יחד עם מדיניות הגישה וההיסטוריה שלו."@he ;
+    rdfs:label "已删除的资源会保留在这里，直到过期或被彻底清除。恢复会将资源放回原路径，并保留其访问策略和历史记录。"@zh .
+
+paa:trash_summary rdfs:label "{{size}} in the trash"@en-US ;
+    rdfs:label "{{size}} dans la corbeille"@fr ;
+    rdfs:label "{{size}} en la papelera"@es ;
+    rdfs:label "{{size}} בסל המחזור"@he ;
+    rdfs:label "回收站中有 {{size}}"@zh .
+
+paa:trash_items rdfs:label "Deleted Items"@en-US ;
+    rdfs:label "Éléments supprimés"@fr ;
+    rdfs:label "Elementos eliminados"@es ;
+    rdfs:label "פריטים שנמחקו"@he ;
+    rdfs:label "已删除项目"@zh .
+
+paa:trash_none rdfs:label "The trash is empty."@en-US ;
+    rdfs:label "La corbeille est vide."@fr ;
+    rdfs:label "La papelera está vacía."@es ;
+    rdfs:label "סל המחזור ריק."@he ;
+    rdfs:label "回收站为空。"@zh .
+
+paa:trash_original_path rdfs:label "Original Path"@en-US ;
+    rdfs:label "Chemin d'origine"@fr ;
+    rdfs:label "Ruta original"@es ;
+    rdfs:label "נתיב מקורי"@he ;
+    rdfs:label "原路径"@zh .
+
+paa:trash_deleted rdfs:label "Deleted"@en-US ;
+    rdfs:label "Supprimé"@fr ;
+    rdfs:label "Eliminado"@es ;
+    rdfs:label "נמחק"@he ;
+    rdfs:label "删除时间"@zh .
+
+paa:trash_expires rdfs:label "Expires"@en-US ;
+    rdfs:label "Expire"@fr ;
+    rdfs:label "Caduca"@es ;
+    rdfs:label "יפוג"@he ;
+    rdfs:label "过期时间"@zh .
+
+paa:trash_contents rdfs:label "{{count}} resources"@en-US ;
+    rdfs:label "{{count}} ressources"@fr ;
+    rdfs:label "{{count}} recursos"@es ;
+    rdfs:label "{{count}} משאבים"@he ;
+    rdfs:label "{{count}} 个资源"@zh .
+
+paa:trash_restore rdfs:label "Restore"@en-US ;
+    rdfs:label "Restaurer"@fr ;
+    rdfs:label "Restaurar"@es ;
+    rdfs:label "שחזור"@he ;
+    rdfs:label "恢复"@zh .
+
+paa:trash_purge rdfs:label "Delete Forever"@en-US ;
+    rdfs:label "Supprimer définitivement"@fr ;
+    rdfs:label "Eliminar para siempre"@es ;
+    rdfs:label "מחיקה לצמיתות"@he ;
+    rdfs:label "永久删除"@zh .
+
+paa:trash_confirm_purge rdfs:label "Delete this item permanently? This cannot be undone."@en-US ;
+    rdfs:label "Supprimer définitivement cet élément ? Cette action est irréversible."@fr ;
+    rdfs:label "¿Eliminar este elemento de forma permanente? No se puede deshacer."@es ;
+    rdfs:label "למחוק פריט זה לצמיתות? לא ניתן לבטל פעולה זו."@he ;
+    rdfs:label "永久删除此项目？此操作无法撤销。"@zh .
+
+paa:trash_empty rdfs:label "Empty Trash"@en-US ;
+    rdfs:label "Vider la corbeille"@fr ;
+    rdfs:label "Vaciar papelera"@es ;
+    rdfs:label "ריקון סל המחזור"@he ;
+    rdfs:label "清空回收站"@zh .
+
+paa:trash_confirm_empty rdfs:label "Permanently delete everything in the trash?"@en-US ;
+    rdfs:label "Supprimer définitivement tout le contenu de la corbeille ?"@fr ;
+    rdfs:label "¿Eliminar permanentemente todo lo que hay en la papelera?"@es ;
+    rdfs:label "למחוק לצמיתות את כל מה שבסל המחזור?"@he ;
+    rdfs:label "永久删除回收站中的所有内容？"@zh .
+
+paa:trash_conflict rdfs:label "Something else now exists at the original path. Move or delete it first."@en-US ;
+    rdfs:label "Une autre ressource existe désormais à l'emplacement d'origine. Déplacez-la ou supprimez-la d'abord."@fr ;
+    rdfs:label "Ahora existe otro recurso en la ruta original. Muévelo o elimínalo primero."@es ;
+    rdfs:label "משאב אחר קיים כעת בנתיב המקורי. העבר או מחק אותו קודם."@he ;
+    rdfs:label "原路径上现在已有其他资源。请先移动或删除它。"@zh .
+
+paa:trash_retention rdfs:label "Automatic Expiry"@en-US ;
+    rdfs:label "Expiration automatique"@fr ;
+    rdfs:label "Caducidad automática"@es ;
+    rdfs:label "תפוגה אוטומטית"@he ;
+    rdfs:label "自动过期"@zh .
+
+paa:trash_retention_desc rdfs:label "Deleted items are purged after this many days. Changes apply to items deleted from now on. Set 0 to delete immediately without using the trash."@en-US ;
+    rdfs:label "Les éléments supprimés sont purgés après ce nombre de jours. Les changements s'appliquent aux éléments supprimés à partir de maintenant. Indiquez 0 pour supprimer immédiatement sans passer par la corbeille."@fr ;
+    rdfs:label "Los elementos eliminados se purgan tras este número de días. Los cambios se aplican a los elementos eliminados a partir de ahora. Usa 0 para eliminar de inmediato sin pasar por la papelera."@es ;
+    rdfs:label "פריטים שנמחקו נמחקים לצמיתות לאחר מספר ימים זה. השינוי חל על פריטים שיימחקו מעתה. הגדר 0 כדי למחוק מיד ללא סל המחזור."@he ;
+    rdfs:label "已删除项目会在此天数后被彻底清除。更改仅适用于此后删除的项目。设为 0 则立即删除，不经过回收站。"@zh .
+
+paa:trash_retention_off rdfs:label "The trash is off: deletes are permanent."@en-US ;
+    rdfs:label "La corbeille est désactivée : les suppressions sont définitives."@fr ;
+    rdfs:label "La papelera está desactivada: las eliminaciones son permanentes."@es ;
+    rdfs:label "סל המחזור כבוי: מחיקות הן לצמיתות."@he ;
+    rdfs:label "回收站已关闭：删除操作为永久删除。"@zh .
+
+paa:trash_retention_label rdfs:label "Days to keep"@en-US ;
+    rdfs:label "Jours de conservation"@fr ;
+    rdfs:label "Días a conservar"@es ;
+    rdfs:label "ימים לשמירה"@he ;
+    rdfs:label "保留天数"@zh .
+
+paa:trash_save_retention rdfs:label "Save"@en-US ;
+    rdfs:label "Enregistrer"@fr ;
+    rdfs:label "Guardar"@es ;
+    rdfs:label "שמירה"@he ;
+    rdfs:label "保存"@zh .
+
 # ── Access Policy (ACP) ──────────────────────────────
 
 paa:acl_title rdfs:label "Access Policy"@en-US ;
@@ -846,6 +1465,36 @@ paa:acl_save_quota rdfs:label "Save Quota"@en-US ;
     rdfs:label "שמירת מכסה"@he ;
     rdfs:label "保存配额"@zh .
 
+paa:acl_history rdfs:label "Version History"@en-US ;
+    rdfs:label "Historique des versions"@fr ;
+    rdfs:label "Historial de versiones"@es ;
+    rdfs:label "היסטוריית גרסאות"@he ;
+    rdfs:label "版本历史"@zh .
+
+paa:acl_history_desc rdfs:label "How many earlier versions to keep for each resource in this container and its subcontainers. 0 turns history off. Kept versions count toward your storage quota."@en-US ;
+    rdfs:label "Nombre de versions précédentes conservées pour chaque ressource de ce conteneur et de ses sous-conteneurs. 0 désactive l'historique. Les versions conservées comptent dans votre quota de stockage."@fr ;
+    rdfs:label "Cuántas versiones anteriores se conservan para cada recurso de este contenedor y sus subcontenedores. 0 desactiva el historial. Las versiones conservadas cuentan para su cuota de almacenamiento."@es ;
+    rdfs:label "כמה גרסאות קודמות לשמור עבור כל משאב במכולה זו ובמכולות המשנה שלה. 0 מכבה את ההיסטוריה. גרסאות שמורות נספרות במכסת האחסון שלכם."@he ;
+    rdfs:label "为此容器及其子容器中的每个资源保留多少个早期版本。0 表示关闭历史记录。保留的版本计入您的存储配额。"@zh .
+
+paa:acl_history_current rdfs:label "Currently keeping {{count}} versions."@en-US ;
+    rdfs:label "Actuellement {{count}} versions conservées."@fr ;
+    rdfs:label "Actualmente se conservan {{count}} versiones."@es ;
+    rdfs:label "כרגע נשמרות {{count}} גרסאות."@he ;
+    rdfs:label "当前保留 {{count}} 个版本。"@zh .
+
+paa:acl_history_label rdfs:label "Versions to keep (empty to inherit)"@en-US ;
+    rdfs:label "Versions à conserver (vide pour hériter)"@fr ;
+    rdfs:label "Versiones a conservar (vacío para heredar)"@es ;
+    rdfs:label "גרסאות לשמירה (ריק לירושה)"@he ;
+    rdfs:label "保留版本数（留空则继承）"@zh .
+
+paa:acl_save_history rdfs:label "Save History Setting"@en-US ;
+    rdfs:label "Enregistrer le réglage de l'historique"@fr ;
+    rdfs:label "Guardar configuración del historial"@es ;
+    rdfs:label "שמירת הגדרת ההיסטוריה"@he ;
+    rdfs:label "保存历史设置"@zh .
+
 paa:acl_acp_details rdfs:label "ACP Details"@en-US ;
     rdfs:label "Détails ACP"@fr ;
     rdfs:label "Detalles de ACP"@es ;
@@ -954,11 +1603,459 @@ paa:acl_mode_private_desc rdfs:label "Only you can access this resource."@en-US
     rdfs:label "רק את/ה יכול/ה לגשת למשאב זה."@he ;
     rdfs:label "只有您可以访问此资源。"@zh .
 
-paa:acl_mode_custom_desc rdfs:label "Grant read access to specific WebIDs."@en-US ;
-    rdfs:label "Accorder l'accès en lecture à des WebIDs spécifiques."@fr ;
-    rdfs:label "Otorgar acceso de lectura a WebIDs específicos."@es ;
-    rdfs:label "הענקת גישת קריאה ל-WebIDs ספציפיים."@he ;
-    rdfs:label "授予特定 WebIDs 读取权限。"@zh .
+paa:acl_mode_custom_desc rdfs:label "Grant read access to specific WebIDs and groups."@en-US ;
+    rdfs:label "Accorder l'accès en lecture à des WebIDs et groupes spécifiques."@fr ;
+    rdfs:label "Otorgar acceso de lectura a WebIDs y grupos específicos."@es ;
+    rdfs:label "הענקת גישת קריאה ל-WebIDs ולקבוצות ספציפיים."@he ;
+    rdfs:label "授予特定 WebIDs 和群组读取权限。"@zh .
+
+paa:acl_collaborators rdfs:label "Collaborators"@en-US ;
+    rdfs:label "Collaborateurs"@fr ;
+    rdfs:label "Colaboradores"@es ;
+    rdfs:label "משתפי פעולה"@he ;
+    rdfs:label "协作者"@zh .
+
+paa:acl_collaborators_desc rdfs:label "Let other people add to or change this resource, whatever the access level above. Append allows adding new resources and data, Write also allows changing and deleting, and Control allows managing this policy. Collaborators can always read."@en-US ;
+    rdfs:label "Permettez à d'autres personnes d'ajouter à cette ressource ou de la modifier, quel que soit le niveau d'accès ci-dessus. Ajout permet d'ajouter des ressources et des données, Écriture permet aussi de modifier et supprimer, et Contrôle permet de gérer cette politique. Les collaborateurs peuvent toujours lire."@fr ;
+    rdfs:label "Permita que otras personas agreguen o cambien este recurso, sea cual sea el nivel de acceso anterior. Anexar permite agregar recursos y datos nuevos, Escritura también permite cambiar y eliminar, y Control permite administrar esta política. Los colaboradores siempre pueden leer."@es ;
+    rdfs:label "אפשרו לאנשים אחרים להוסיף למשאב זה או לשנות אותו, ללא קשר לרמת הגישה שלמעלה. הוספה מאפשרת להוסיף משאבים ונתונים חדשים, כתיבה מאפשרת גם לשנות ולמחוק, ובקרה מאפשרת לנהל מדיניות זו. משתפי פעולה תמיד יכולים לקרוא."@he ;
+    rdfs:label "允许其他人添加或更改此资源，不受上方访问级别的限制。追加允许添加新资源和数据，写入还允许更改和删除，控制允许管理此策略。协作者始终可以读取。"@zh .
+
+paa:acl_collaborator_agent rdfs:label "WebID"@en-US ;
+    rdfs:label "WebID"@fr ;
+    rdfs:label "WebID"@es ;
+    rdfs:label "WebID"@he ;
+    rdfs:label "WebID"@zh .
+
+paa:acl_collaborator_friends rdfs:label "Everyone in your friends list"@en-US ;
+    rdfs:label "Toutes les personnes de votre liste d'amis"@fr ;
+    rdfs:label "Todas las personas de su lista de amigos"@es ;
+    rdfs:label "כל מי שברשימת החברים שלך"@he ;
+    rdfs:label "好友列表中的所有人"@zh .
+
+paa:acl_grant_append rdfs:label "Append"@en-US ;
+    rdfs:label "Ajout"@fr ;
+    rdfs:label "Anexar"@es ;
+    rdfs:label "הוספה"@he ;
+    rdfs:label "追加"@zh .
+
+paa:acl_grant_write rdfs:label "Write"@en-US ;
+    rdfs:label "Écriture"@fr ;
+    rdfs:label "Escritura"@es ;
+    rdfs:label "כתיבה"@he ;
+    rdfs:label "写入"@zh .
+
+paa:acl_grant_control rdfs:label "Control"@en-US ;
+    rdfs:label "Contrôle"@fr ;
+    rdfs:label "Control"@es ;
+    rdfs:label "בקרה"@he ;
+    rdfs:label "控制"@zh .
+
+paa:acl_allowed_groups rdfs:label "Allowed groups"@en-US ;
+    rdfs:label "Groupes autorisés"@fr ;
+    rdfs:label "Grupos permitidos"@es ;
+    rdfs:label "קבוצות מורשות"@he ;
+    rdfs:label "允许的群组"@zh .
+
+paa:acl_no_groups rdfs:label "No groups yet."@en-US ;
+    rdfs:label "Aucun groupe pour l'instant."@fr ;
+    rdfs:label "Aún no hay grupos."@es ;
+    rdfs:label "אין קבוצות עדיין."@he ;
+    rdfs:label "暂无群组。"@zh .
+
+paa:acl_manage_groups rdfs:label "Manage groups"@en-US ;
+    rdfs:label "Gérer les groupes"@fr ;
+    rdfs:label "Administrar grupos"@es ;
+    rdfs:label "ניהול קבוצות"@he ;
+    rdfs:label "管理群组"@zh .
+
+paa:acl_collaborator_group rdfs:label "Group:"@en-US ;
+    rdfs:label "Groupe :"@fr ;
+    rdfs:label "Grupo:"@es ;
+    rdfs:label "קבוצה:"@he ;
+    rdfs:label "群组："@zh .
+
+# ── Share links ───────────────────────────────────────
+paa:acl_share_links rdfs:label "Share links"@en-US ;
+    rdfs:label "Liens de partage"@fr ;
+    rdfs:label "Enlaces para compartir"@es ;
+    rdfs:label "קישורי שיתוף"@he ;
+    rdfs:label "分享链接"@zh .
+
+paa:acl_share_desc rdfs:label "Links that give anyone who holds them access to this resource (and everything inside it, for a container), without changing its policy. Each use is logged."@en-US ;
+    rdfs:label "Liens qui donnent à quiconque les détient l'accès à cette ressource (et à tout son contenu, pour un conteneur), sans modifier sa politique. Chaque utilisation est enregistrée."@fr ;
+    rdfs:label "Enlaces que dan a quien los tenga acceso a este recurso (y a todo su contenido, si es un contenedor), sin cambiar su política. Cada uso queda registrado."@es ;
+    rdfs:label "קישורים שמעניקים לכל מי שמחזיק בהם גישה למשאב זה (ולכל תוכנו, עבור מכל), בלי לשנות את המדיניות שלו. כל שימוש נרשם."@he ;
+    rdfs:label "持有这些链接的任何人都可以访问此资源（若为容器，则包括其中所有内容），而无需更改其策略。每次使用都会被记录。"@zh .
+
+paa:acl_share_link rdfs:label "Link"@en-US ;
+    rdfs:label "Lien"@fr ;
+    rdfs:label "Enlace"@es ;
+    rdfs:label "קישור"@he ;
+    rdfs:label "链接"@zh .
+
+paa:acl_share_access rdfs:label "Access"@en-US ;
+    rdfs:label "Accès"@fr ;
+    rdfs:label "Acceso"@es ;
+    rdfs:label "גישה"@he ;
+    rdfs:label "权限"@zh .
+
+paa:acl_share_read_only rdfs:label "Read only"@en-US ;
+    rdfs:label "Lecture seule"@fr ;
+    rdfs:label "Solo lectura"@es ;
+    rdfs:label "קריאה בלבד"@he ;
+    rdfs:label "只读"@zh .
+
+paa:acl_share_read_write rdfs:label "Read and write"@en-US ;
+    rdfs:label "Lecture et écriture"@fr ;
+    rdfs:label "Lectura y escritura"@es ;
+    rdfs:label "קריאה וכתיבה"@he ;
+    rdfs:label "读写"@zh .
+
+paa:acl_share_expires rdfs:label "Expires"@en-US ;
+    rdfs:label "Expiration"@fr ;
+    rdfs:label "Caduca"@es ;
+    rdfs:label "תפוגה"@he ;
+    rdfs:label "过期时间"@zh .
+
+paa:acl_share_expires_1h rdfs:label "In 1 hour"@en-US ;
+    rdfs:label "Dans 1 heure"@fr ;
+    rdfs:label "En 1 hora"@es ;
+    rdfs:label "בעוד שעה"@he ;
+    rdfs:label "1 小时后"@zh .
+
+paa:acl_share_expires_1d rdfs:label "In 1 day"@en-US ;
+    rdfs:label "Dans 1 jour"@fr ;
+    rdfs:label "En 1 día"@es ;
+    rdfs:label "בעוד יום"@he ;
+    rdfs:label "1 天后"@zh .
+
+paa:acl_share_expires_7d rdfs:label "In 7 days"@en-US ;
+    rdfs:label "Dans 7 jours"@fr ;
+    rdfs:label "En 7 días"@es ;
+    rdfs:label "בעוד 7 ימים"@he ;
+    rdfs:label "7 天后"@zh .
+
+paa:acl_share_expires_30d rdfs:label "In 30 days"@en-US ;
+    rdfs:label "Dans 30 jours"@fr ;
+    rdfs:label "En 30 días"@es ;
+    rdfs:label "בעוד 30 ימים"@he ;
+    rdfs:label "30 天后"@zh .
+
+paa:acl_share_expires_never rdfs:label "Never"@en-US ;
+    rdfs:label "Jamais"@fr ;
+    rdfs:label "Nunca"@es ;
+    rdfs:label "אף פעם"@he ;
+    rdfs:label "永不"@zh .
+
+paa:acl_share_uses rdfs:label "Uses"@en-US ;
+    rdfs:label "Utilisations"@fr ;
+    rdfs:label "Usos"@es ;
+    rdfs:label "שימושים"@he ;
+    rdfs:label "使用次数"@zh .
+
+paa:acl_share_max_uses rdfs:label "Maximum uses"@en-US ;
+    rdfs:label "Utilisations maximales"@fr ;
+    rdfs:label "Usos máximos"@es ;
+    rdfs:label "מספר שימושים מרבי"@he ;
+    rdfs:label "最多使用次数"@zh .
+
+paa:acl_share_password rdfs:label "Password (optional)"@en-US ;
+    rdfs:label "Mot de passe (facultatif)"@fr ;
+    rdfs:label "Contraseña (opcional)"@es ;
+    rdfs:label "סיסמה (אופציונלי)"@he ;
+    rdfs:label "密码（可选）"@zh .
+
+paa:acl_share_password_set rdfs:label "Password protected"@en-US ;
+    rdfs:label "Protégé par mot de passe"@fr ;
+    rdfs:label "Protegido con contraseña"@es ;
+    rdfs:label "מוגן בסיסמה"@he ;
+    rdfs:label "受密码保护"@zh .
+
+paa:acl_share_state rdfs:label "Status"@en-US ;
+    rdfs:label "État"@fr ;
+    rdfs:label "Estado"@es ;
+    rdfs:label "מצב"@he ;
+    rdfs:label "状态"@zh .
+
+paa:acl_share_state_active rdfs:label "Active"@en-US ;
+    rdfs:label "Actif"@fr ;
+    rdfs:label "Activo"@es ;
+    rdfs:label "פעיל"@he ;
+    rdfs:label "有效"@zh .
+
+paa:acl_share_state_revoked rdfs:label "Revoked"@en-US ;
+    rdfs:label "Révoqué"@fr ;
+    rdfs:label "Revocado"@es ;
+    rdfs:label "בוטל"@he ;
+    rdfs:label "已撤销"@zh .
+
+paa:acl_share_state_expired rdfs:label "Expired"@en-US ;
+    rdfs:label "Expiré"@fr ;
+    rdfs:label "Caducado"@es ;
+    rdfs:label "פג תוקף"@he ;
+    rdfs:label "已过期"@zh .
+
+paa:acl_share_state_used rdfs:label "Used up"@en-US ;
+    rdfs:label "Épuisé"@fr ;
+    rdfs:label "Agotado"@es ;
+    rdfs:label "נוצל"@he ;
+    rdfs:label "已用完"@zh .
+
+paa:acl_share_revoke rdfs:label "Revoke"@en-US ;
+    rdfs:label "Révoquer"@fr ;
+    rdfs:label "Revocar"@es ;
+    rdfs:label "ביטול"@he ;
+    rdfs:label "撤销"@zh .
+
+paa:acl_share_confirm_revoke rdfs:label "Revoke this link? It stops working immediately."@en-US ;
+    rdfs:label "Révoquer ce lien ? Il cessera de fonctionner immédiatement."@fr ;
+    rdfs:label "¿Revocar este enlace? Dejará de funcionar de inmediato."@es ;
+    rdfs:label "לבטל קישור זה? הוא יפסיק לעבוד מיד."@he ;
+    rdfs:label "撤销此链接？它将立即失效。"@zh .
+
+paa:acl_share_log rdfs:label "Usage log"@en-US ;
+    rdfs:label "Journal d'utilisation"@fr ;
+    rdfs:label "Registro de uso"@es ;
+    rdfs:label "יומן שימוש"@he ;
+    rdfs:label "使用记录"@zh .
+
+paa:acl_share_anonymous rdfs:label "anonymous"@en-US ;
+    rdfs:label "anonyme"@fr ;
+    rdfs:label "anónimo"@es ;
+    rdfs:label "אנונימי"@he ;
+    rdfs:label "匿名"@zh .
+
+paa:acl_share_create rdfs:label "Create link"@en-US ;
+    rdfs:label "Créer un lien"@fr ;
+    rdfs:label "Crear enlace"@es ;
+    rdfs:label "יצירת קישור"@he ;
+    rdfs:label "创建链接"@zh .
+
+paa:share_unlock_title rdfs:label "Shared link"@en-US ;
+    rdfs:label "Lien partagé"@fr ;
+    rdfs:label "Enlace compartido"@es ;
+    rdfs:label "קישור משותף"@he ;
+    rdfs:label "共享链接"@zh .
+
+paa:share_unlock_desc rdfs:label "This link is protected by a password."@en-US ;
+    rdfs:label "Ce lien est protégé par un mot de passe."@fr ;
+    rdfs:label "Este enlace está protegido con contraseña."@es ;
+    rdfs:label "קישור זה מוגן בסיסמה."@he ;
+    rdfs:label "此链接受密码保护。"@zh .
+
+paa:share_unlock rdfs:label "Open"@en-US ;
+    rdfs:label "Ouvrir"@fr ;
+    rdfs:label "Abrir"@es ;
+    rdfs:label "פתיחה"@he ;
+    rdfs:label "打开"@zh .
+
+paa:share_wrong_password rdfs:label "Wrong password."@en-US ;
+    rdfs:label "Mot de passe incorrect."@fr ;
+    rdfs:label "Contraseña incorrecta."@es ;
+    rdfs:label "סיסמה שגויה."@he ;
+    rdfs:label "密码错误。"@zh .
+
+# ── Groups ────────────────────────────────────────────
+paa:grp_title rdfs:label "Groups"@en-US ;
+    rdfs:label "Groupes"@fr ;
+    rdfs:label "Grupos"@es ;
+    rdfs:label "קבוצות"@he ;
+    rdfs:label "群组"@zh .
+
+paa:grp_desc rdfs:label "Named groups of people you can grant access to in any access policy. Each group is a vcard:Group document in your pod, and a group can include other groups."@en-US ;
+    rdfs:label "Des groupes nommés de personnes auxquels vous pouvez accorder l'accès dans n'importe quelle politique d'accès. Chaque groupe est un document vcard:Group dans votre pod, et un groupe peut inclure d'autres groupes."@fr ;
+    rdfs:label "Grupos de personas con nombre a los que puede otorgar acceso en cualquier política de acceso. Cada grupo es un documento vcard:Group en su pod, y un grupo puede incluir otros grupos."@es ;
+    rdfs:label "קבוצות של אנשים עם שם שאפשר להעניק להן גישה בכל מדיניות גישה. כל קבוצה היא מסמך vcard:Group בפוד שלך, וקבוצה יכולה לכלול קבוצות אחרות."@he ;
+    rdfs:label "可在任何访问策略中授予访问权限的命名人员群组。每个群组都是您 pod 中的 vcard:Group 文档，一个群组可以包含其他群组。"@zh .
+
+paa:grp_groups rdfs:label "Your groups"@en-US ;
+    rdfs:label "Vos groupes"@fr ;
+    rdfs:label "Sus grupos"@es ;
+    rdfs:label "הקבוצות שלך"@he ;
+    rdfs:label "您的群组"@zh .
+
+paa:grp_none rdfs:label "No groups yet."@en-US ;
+    rdfs:label "Aucun groupe pour l'instant."@fr ;
+    rdfs:label "Aún no hay grupos."@es ;
+    rdfs:label "אין קבוצות עדיין."@he ;
+    rdfs:label "暂无群组。"@zh .
+
+paa:grp_name rdfs:label "Name"@en-US ;
+    rdfs:label "Nom"@fr ;
+    rdfs:label "Nombre"@es ;
+    rdfs:label "שם"@he ;
+    rdfs:label "名称"@zh .
+
+paa:grp_members rdfs:label "Members"@en-US ;
+    rdfs:label "Membres"@fr ;
+    rdfs:label "Miembros"@es ;
+    rdfs:label "חברים"@he ;
+    rdfs:label "成员"@zh .
+
+paa:grp_member_count rdfs:label "{{count}} members"@en-US ;
+    rdfs:label "{{count}} membres"@fr ;
+    rdfs:label "{{count}} miembros"@es ;
+    rdfs:label "{{count}} חברים"@he ;
+    rdfs:label "{{count}} 名成员"@zh .
+
+paa:grp_includes rdfs:label "Includes group"@en-US ;
+    rdfs:label "Inclut le groupe"@fr ;
+    rdfs:label "Incluye el grupo"@es ;
+    rdfs:label "כוללת את הקבוצה"@he ;
+    rdfs:label "包含群组"@zh .
+
+paa:grp_synced rdfs:label "Synced"@en-US ;
+    rdfs:label "Synchronisé"@fr ;
+    rdfs:label "Sincronizado"@es ;
+    rdfs:label "מסונכרנת"@he ;
+    rdfs:label "已同步"@zh .
+
+paa:grp_edit rdfs:label "Edit"@en-US ;
+    rdfs:label "Modifier"@fr ;
+    rdfs:label "Editar"@es ;
+    rdfs:label "עריכה"@he ;
+    rdfs:label "编辑"@zh .
+
+paa:grp_view_document rdfs:label "Document"@en-US ;
+    rdfs:label "Document"@fr ;
+    rdfs:label "Documento"@es ;
+    rdfs:label "מסמך"@he ;
+    rdfs:label "文档"@zh .
+
+paa:grp_confirm_delete rdfs:label "Delete this group? Policies that name it will no longer grant anyone access through it."@en-US ;
+    rdfs:label "Supprimer ce groupe ? Les politiques qui le mentionnent n'accorderont plus d'accès par son intermédiaire."@fr ;
+    rdfs:label "¿Eliminar este grupo? Las políticas que lo nombran ya no otorgarán acceso a través de él."@es ;
+    rdfs:label "למחוק קבוצה זו? מדיניות שמציינת אותה לא תעניק עוד גישה דרכה."@he ;
+    rdfs:label "删除此群组？引用它的策略将不再通过它授予任何人访问权限。"@zh .
+
+paa:grp_new_group rdfs:label "New group"@en-US ;
+    rdfs:label "Nouveau groupe"@fr ;
+    rdfs:label "Nuevo grupo"@es ;
+    rdfs:label "קבוצה חדשה"@he ;
+    rdfs:label "新建群组"@zh .
+
+paa:grp_edit_group rdfs:label "Edit group"@en-US ;
+    rdfs:label "Modifier le groupe"@fr ;
+    rdfs:label "Editar grupo"@es ;
+    rdfs:label "עריכת קבוצה"@he ;
+    rdfs:label "编辑群组"@zh .
+
+paa:grp_member_webids rdfs:label "Member WebIDs (one per line)"@en-US ;
+    rdfs:label "WebIDs des membres (un par ligne)"@fr ;
+    rdfs:label "WebIDs de los miembros (uno por línea)"@es ;
+    rdfs:label "WebIDs של החברים (אחד בכל שורה)"@he ;
+    rdfs:label "成员 WebID（每行一个）"@zh .
+
+paa:grp_nested rdfs:label "Also include everyone in"@en-US ;
+    rdfs:label "Inclure aussi tous les membres de"@fr ;
+    rdfs:label "Incluir también a todos los de"@es ;
+    rdfs:label "לכלול גם את כל החברים ב"@he ;
+    rdfs:label "同时包含以下群组的所有人"@zh .
+
+paa:grp_save rdfs:label "Save group"@en-US ;
+    rdfs:label "Enregistrer le groupe"@fr ;
+    rdfs:label "Guardar grupo"@es ;
+    rdfs:label "שמירת קבוצה"@he ;
+    rdfs:label "保存群组"@zh .
+
+paa:grp_cancel rdfs:label "Cancel"@en-US ;
+    rdfs:label "Annuler"@fr ;
+    rdfs:label "Cancelar"@es ;
+    rdfs:label "ביטול"@he ;
+    rdfs:label "取消"@zh .
+
+paa:grp_followers rdfs:label "Followers group"@en-US ;
+    rdfs:label "Groupe des abonnés"@fr ;
+    rdfs:label "Grupo de seguidores"@es ;
+    rdfs:label "קבוצת העוקבים"@he ;
+    rdfs:label "关注者群组"@zh .
+
+paa:grp_followers_name rdfs:label "Followers"@en-US ;
+    rdfs:label "Abonnés"@fr ;
+    rdfs:label "Seguidores"@es ;
+    rdfs:label "עוקבים"@he ;
+    rdfs:label "关注者"@zh .
+
+paa:grp_followers_desc rdfs:label "A group kept in sync with your accepted followers whose account publishes a WebID. It is updated when you accept a follower or someone unfollows you."@en-US ;
+    rdfs:label "Un groupe synchronisé avec vos abonnés acceptés dont le compte publie un WebID. Il est mis à jour lorsque vous acceptez un abonné ou que quelqu'un se désabonne."@fr ;
+    rdfs:label "Un grupo sincronizado con sus seguidores aceptados cuya cuenta publica un WebID. Se actualiza cuando acepta a un seguidor o alguien deja de seguirle."@es ;
+    rdfs:label "קבוצה שמסונכרנת עם העוקבים המאושרים שלך שהחשבון שלהם מפרסם WebID. היא מתעדכנת כשמאשרים עוקב או כשמישהו מפסיק לעקוב."@he ;
+    rdfs:label "与您已接受的、账户发布了 WebID 的关注者保持同步的群组。当您接受关注者或有人取消关注时会更新。"@zh .
+
+paa:grp_sync_now rdfs:label "Sync now"@en-US ;
+    rdfs:label "Synchroniser maintenant"@fr ;
+    rdfs:label "Sincronizar ahora"@es ;
+    rdfs:label "סנכרון עכשיו"@he ;
+    rdfs:label "立即同步"@zh .
+
+paa:grp_create_followers rdfs:label "Create followers group"@en-US ;
+    rdfs:label "Créer le groupe des abonnés"@fr ;
+    rdfs:label "Crear grupo de seguidores"@es ;
+    rdfs:label "יצירת קבוצת העוקבים"@he ;
+    rdfs:label "创建关注者群组"@zh .
+
+paa:grp_back rdfs:label "Back to settings"@en-US ;
+    rdfs:label "Retour aux paramètres"@fr ;
+    rdfs:label "Volver a configuración"@es ;
+    rdfs:label "חזרה להגדרות"@he ;
+    rdfs:label "返回设置"@zh .
+
+paa:grp_error_exists rdfs:label "A group with this name already exists."@en-US ;
+    rdfs:label "Un groupe portant ce nom existe déjà."@fr ;
+    rdfs:label "Ya existe un grupo con este nombre."@es ;
+    rdfs:label "כבר קיימת קבוצה בשם זה."@he ;
+    rdfs:label "已存在同名群组。"@zh .
+
+paa:grp_error_name rdfs:label "Use letters, digits and dashes for the group name."@en-US ;
+    rdfs:label "Utilisez des lettres, des chiffres et des tirets pour le nom du groupe."@fr ;
+    rdfs:label "Use letras, dígitos y guiones para el nombre del grupo."@es ;
+    rdfs:label "השתמשו באותיות, ספרות ומקפים בשם הקבוצה."@he ;
+    rdfs:label "群组名称请使用字母、数字和连字符。"@zh .
+
+paa:grp_error_synced rdfs:label "This group is kept in sync automatically and cannot be edited."@en-US ;
+    rdfs:label "Ce groupe est synchronisé automatiquement et ne peut pas être modifié."@fr ;
+    rdfs:label "Este grupo se sincroniza automáticamente y no se puede editar."@es ;
+    rdfs:label "קבוצה זו מסונכרנת אוטומטית ולא ניתן לערוך אותה."@he ;
+    rdfs:label "此群组自动同步，无法编辑。"@zh .
+
+# ── Search ────────────────────────────────────────────
+
+paa:search_button rdfs:label "Search"@en-US ;
+    rdfs:label "Rechercher"@fr ;
+    rdfs:label "Buscar"@es ;
+    rdfs:label "חיפוש"@he ;
+    rdfs:label "搜索"@zh .
+
+paa:search_storage_placeholder rdfs:label "Search this container…"@en-US ;
+    rdfs:label "Rechercher dans ce conteneur…"@fr ;
+    rdfs:label "Buscar en este contenedor…"@es ;
+    rdfs:label "חיפוש במכל זה…"@he ;
+    rdfs:label "在此容器中搜索…"@zh .
+
+paa:search_posts_placeholder rdfs:label "Search posts…"@en-US ;
+    rdfs:label "Rechercher des publications…"@fr ;
+    rdfs:label "Buscar publicaciones…"@es ;
+    rdfs:label "חיפוש פוסטים…"@he ;
+    rdfs:label "搜索帖子…"@zh .
+
+paa:search_results rdfs:label "Search results"@en-US ;
+    rdfs:label "Résultats de la recherche"@fr ;
+    rdfs:label "Resultados de la búsqueda"@es ;
+    rdfs:label "תוצאות חיפוש"@he ;
+    rdfs:label "搜索结果"@zh .
+
+paa:search_no_results rdfs:label "Nothing matches."@en-US ;
+    rdfs:label "Aucun résultat."@fr ;
+    rdfs:label "No hay resultados."@es ;
+    rdfs:label "לא נמצאו תוצאות."@he ;
+    rdfs:label "没有匹配的结果。"@zh .
+
+paa:search_clear rdfs:label "Clear search"@en-US ;
+    rdfs:label "Effacer la recherche"@fr ;
+    rdfs:label "Borrar búsqueda"@es ;
+    rdfs:label "ניקוי חיפוש"@he ;
+    rdfs:label "清除搜索"@zh .
 
 # ── Profile Editor ────────────────────────────────────
 
@@ -1362,6 +2459,120 @@ paa:set_prefs_saved rdfs:label "Preferences saved."@en-US ;
     rdfs:label "ההעדפות נשמרו."@he ;
     rdfs:label "偏好设置已保存。"@zh .
 
+paa:set_groups rdfs:label "Groups"@en-US ;
+    rdfs:label "Groupes"@fr ;
+    rdfs:label "Grupos"@es ;
+    rdfs:label "קבוצות"@he ;
+    rdfs:label "群组"@zh .
+
+paa:set_groups_desc rdfs:label "Group the people you share with, and grant access to a whole group at once."@en-US ;
+    rdfs:label "Regroupez les personnes avec qui vous partagez et accordez l'accès à tout un groupe à la fois."@fr ;
+    rdfs:label "Agrupe a las personas con las que comparte y otorgue acceso a todo un grupo a la vez."@es ;
+    rdfs:label "קבצו את האנשים שאתם משתפים איתם והעניקו גישה לקבוצה שלמה בבת אחת."@he ;
+    rdfs:label "将您共享的人员分组，一次向整个群组授予访问权限。"@zh .
+
+paa:set_manage_groups rdfs:label "Manage groups"@en-US ;
+    rdfs:label "Gérer les groupes"@fr ;
+    rdfs:label "Administrar grupos"@es ;
+    rdfs:label "ניהול קבוצות"@he ;
+    rdfs:label "管理群组"@zh .
+
+paa:set_search rdfs:label "Search index"@en-US ;
+    rdfs:label "Index de recherche"@fr ;
+    rdfs:label "Índice de búsqueda"@es ;
+    rdfs:label "אינדקס חיפוש"@he ;
+    rdfs:label "搜索索引"@zh .
+
+paa:set_search_desc rdfs:label "The search index is updated as your pod and posts change. Rebuild it to include content from before search was available, or if results look out of date."@en-US ;
+    rdfs:label "L'index de recherche est mis à jour à chaque modification de votre pod et de vos publications. Reconstruisez-le pour inclure le contenu antérieur à la recherche, ou si les résultats semblent périmés."@fr ;
+    rdfs:label "El índice de búsqueda se actualiza cuando cambian su pod y sus publicaciones. Reconstrúyalo para incluir contenido anterior a la búsqueda o si los resultados parecen desactualizados."@es ;
+    rdfs:label "אינדקס החיפוש מתעדכן כשה-pod והפוסטים שלכם משתנים. בנו אותו מחדש כדי לכלול תוכן מלפני שהחיפוש היה זמין, או אם התוצאות נראות לא עדכניות."@he ;
+    rdfs:label "搜索索引会随着您的 pod 和帖子的变化而更新。重建索引可以包含搜索功能推出之前的内容，或在结果看起来过时时使用。"@zh .
+
+paa:set_search_rebuild rdfs:label "Rebuild search index"@en-US ;
+    rdfs:label "Reconstruire l'index"@fr ;
+    rdfs:label "Reconstruir el índice"@es ;
+    rdfs:label "בניית האינדקס מחדש"@he ;
+    rdfs:label "重建搜索索引"@zh .
+
+paa:set_search_rebuilt rdfs:label "Search index rebuilt: {{count}} documents."@en-US ;
+    rdfs:label "Index de recherche reconstruit : {{count}} documents."@fr ;
+    rdfs:label "Índice de búsqueda reconstruido: {{count}} documentos."@es ;
+    rdfs:label "אינדקס החיפוש נבנה מחדש: {{count}} מסמכים."@he ;
+    rdfs:label "搜索索引已重建：{{count}} 个文档。"@zh .
+
+paa:set_backup rdfs:label "Backup and migration"@en-US ;
+    rdfs:label "Sauvegarde et migration"@fr ;
+    rdfs:label "Copia de seguridad y migración"@es ;
+    rdfs:label "גיבוי והעברה"@he ;
+    rdfs:label "备份与迁移"@zh .
+
+paa:set_backup_desc rdfs:label "Download your whole pod as one archive: every resource, its access settings, your settings and your ActivityPub followers, posts and keys. Keep it private — it contains your signing key."@en-US ;
+    rdfs:label "Téléchargez tout votre pod dans une seule archive : chaque ressource, ses réglages d'accès, vos paramètres et vos abonnés, publications et clés ActivityPub. Gardez-la privée : elle contient votre clé de signature."@fr ;
+    rdfs:label "Descargue todo su pod en un solo archivo: cada recurso, su configuración de acceso, sus ajustes y sus seguidores, publicaciones y claves de ActivityPub. Manténgalo en privado: contiene su clave de firma."@es ;
+    rdfs:label "הורידו את כל ה-pod שלכם כארכיון אחד: כל משאב, הגדרות הגישה שלו, ההגדרות שלכם והעוקבים, הפוסטים והמפתחות של ActivityPub. שמרו עליו בפרטיות — הוא מכיל את מפתח החתימה שלכם."@he ;
+    rdfs:label "将整个 pod 下载为一个归档：每个资源及其访问设置、您的设置以及 ActivityPub 关注者、帖子和密钥。请妥善保管——其中包含您的签名密钥。"@zh .
+
+paa:set_backup_export rdfs:label "Export pod"@en-US ;
+    rdfs:label "Exporter le pod"@fr ;
+    rdfs:label "Exportar pod"@es ;
+    rdfs:label "ייצוא ה-pod"@he ;
+    rdfs:label "导出 pod"@zh .
+
+paa:set_backup_import rdfs:label "Import an archive"@en-US ;
+    rdfs:label "Importer une archive"@fr ;
+    rdfs:label "Importar un archivo"@es ;
+    rdfs:label "ייבוא ארכיון"@he ;
+    rdfs:label "导入归档"@zh .
+
+paa:set_backup_import_desc rdfs:label "Restore an exported archive into this pod, for example after moving to a new domain. Links to the old address are updated."@en-US ;
+    rdfs:label "Restaurez une archive exportée dans ce pod, par exemple après un changement de domaine. Les liens vers l'ancienne adresse sont mis à jour."@fr ;
+    rdfs:label "Restaure un archivo exportado en este pod, por ejemplo tras mudarse a un nuevo dominio. Los enlaces a la dirección anterior se actualizan."@es ;
+    rdfs:label "שחזרו ארכיון מיוצא לתוך ה-pod הזה, למשל אחרי מעבר לדומיין חדש. קישורים לכתובת הישנה מתעדכנים."@he ;
+    rdfs:label "将导出的归档恢复到此 pod，例如迁移到新域名之后。指向旧地址的链接会被更新。"@zh .
+
+paa:set_backup_conflicts rdfs:label "When a resource already exists"@en-US ;
+    rdfs:label "Si une ressource existe déjà"@fr ;
+    rdfs:label "Si un recurso ya existe"@es ;
+    rdfs:label "כשמשאב כבר קיים"@he ;
+    rdfs:label "当资源已存在时"@zh .
+
+paa:set_backup_skip rdfs:label "Keep the existing one"@en-US ;
+    rdfs:label "Conserver l'existante"@fr ;
+    rdfs:label "Conservar el existente"@es ;
+    rdfs:label "השארת הקיים"@he ;
+    rdfs:label "保留现有资源"@zh .
+
+paa:set_backup_overwrite rdfs:label "Replace it (keeps a version)"@en-US ;
+    rdfs:label "La remplacer (une version est conservée)"@fr ;
+    rdfs:label "Reemplazarlo (se guarda una versión)"@es ;
+    rdfs:label "החלפה (נשמרת גרסה)"@he ;
+    rdfs:label "替换（保留一个版本）"@zh .
+
+paa:set_backup_rename rdfs:label "Import under a new name"@en-US ;
+    rdfs:label "Importer sous un nouveau nom"@fr ;
+    rdfs:label "Importar con otro nombre"@es ;
+    rdfs:label "ייבוא בשם חדש"@he ;
+    rdfs:label "以新名称导入"@zh .
+
+paa:set_backup_import_button rdfs:label "Import"@en-US ;
+    rdfs:label "Importer"@fr ;
+    rdfs:label "Importar"@es ;
+    rdfs:label "ייבוא"@he ;
+    rdfs:label "导入"@zh .
+
+paa:set_backup_imported rdfs:label "Archive imported: {{count}} resources restored, {{skipped}} kept as they were, {{failed}} failed."@en-US ;
+    rdfs:label "Archive importée : {{count}} ressources restaurées, {{skipped}} conservées telles quelles, {{failed}} en échec."@fr ;
+    rdfs:label "Archivo importado: {{count}} recursos restaurados, {{skipped}} conservados sin cambios, {{failed}} con errores."@es ;
+    rdfs:label "הארכיון יובא: {{count}} משאבים שוחזרו, {{skipped}} נשארו כפי שהיו, {{failed}} נכשלו."@he ;
+    rdfs:label "归档已导入：已恢复 {{count}} 个资源，{{skipped}} 个保持不变，{{failed}} 个失败。"@zh .
+
+paa:set_backup_failed rdfs:label "Import failed: {{error}}"@en-US ;
+    rdfs:label "Échec de l'importation : {{error}}"@fr ;
+    rdfs:label "La importación falló: {{error}}"@es ;
+    rdfs:label "הייבוא נכשל: {{error}}"@he ;
+    rdfs:label "导入失败：{{error}}"@zh .
+
 # ── OIDC Authorize ────────────────────────────────────
 
 paa:auth_title rdfs:label "Authorize"@en-US ;
@@ -7,10 +7,14 @@
  *   1. Initializes the s20e WASM kernel (once, on cold start)
  *   2. Creates a CloudflareAdapter wrapping KV (TRIPLESTORE) and R2 (BLOBS)
  *   3. Bootstraps the server on first-ever request (creates user, containers, keys)
- *   4. Extracts the authenticated user from session cookie or OIDC bearer token
+ *   4. Extracts the authenticated user from session cookie or OIDC bearer token,
+ *      or a visiting agent's WebID from a foreign Solid-OIDC token
  *   5. Matches the URL to a route handler and dispatches
  *   6. Wraps the response with CORS headers
  *
+ * The scheduled handler (Cron trigger) retries queued ActivityPub deliveries
+ * and purges trashed items past their retention.
+ *
  * All route handlers receive a `reqCtx` object containing:
  *   - request    — the original Request
  *   - env        — Cloudflare Worker env bindings (KV, R2, secrets)
@@ -18,8 +22,10 @@
  *   - url        — parsed URL object
  *   - config     — server config (username, domain, baseUrl, webId)
  *   - user       — authenticated username or null
- *   - authMethod — 'session' | 'oidc' | null
+ *   - authMethod — 'session' | 'oidc' | 'solid-oidc' | null
  *   - clientId   — OIDC client_id (from JWT) or null
+ *   - agentWebId — WebID of the requesting agent (owner or a visitor
+ *                  authenticated via Solid-OIDC), or null if anonymous
  *   - params     — URL pattern parameters (e.g. { user: 'alice' })
  *   - orchestrator — s20e Orchestrator for SPARQL/WAC operations
  *   - storage    — CloudflareAdapter for direct KV/R2 access
@@ -37,23 +43,40 @@ import { handleWebAuthnRegisterBegin, handleWebAuthnRegisterComplete, handleWebA
 import { handleWebFinger } from './activitypub/webfinger.js';
 import { handleActor } from './activitypub/actor.js';
 import { handleInbox } from './activitypub/inbox.js';
-import { handleOutbox, handleCompose, handleFollow, handleUnfollow, handleAcceptFollowRequest, handleRejectFollowRequest } from './activitypub/outbox.js';
-import { handleCollections } from './activitypub/collections.js';
+import { handleLdnPost, handleLdnInboxGet, isLdnRequest } from './solid/ldn.js';
+import { handleOutbox, handleCompose, handlePostAction, handleReaction, handleFollow, handleUnfollow, handleAcceptFollowRequest, handleRejectFollowRequest } from './activitypub/outbox.js';
+import { handleCollections, handlePostCollection } from './activitypub/collections.js';
+import { handlePost, handleOutboxActivity } from './activitypub/posts.js';
+import { drainDeliveryQueue } from './activitypub/delivery.js';
+import { purgeExpiredTrash } from './storage/trash.js';
 import { handleLDP } from './solid/ldp.js';
+import { handleSparql } from './solid/sparql-endpoint.js';
+import { handleSearch } from './solid/search-endpoint.js';
+import { handleStorageDescription, handleSubscription, handleChannelDelete, handleWebSocketConnect } from './solid/notifications.js';
 import { applyCors } from './solid/cors.js';
 import { renderLoginPage } from './ui/pages/login.js';
+import { renderShareUnlock, handleShareUnlock } from './ui/pages/share.js';
 import { renderDashboard } from './ui/pages/dashboard.js';
 import { renderActivityPage, renderRemoteFeed, handleMarkRead, handleMarkAllRead } from './ui/pages/activity.js';
 import { renderStoragePage, handleStorageAction } from './ui/pages/storage.js';
+import { renderTrashPage, handleTrashAction } from './ui/pages/trash.js';
+import { renderNotificationsPage, handleNotificationsAction } from './ui/pages/inbox.js';
+import { renderDeliveryPage, handleDeliveryAction } from './ui/pages/delivery.js';
 import { renderAclEditor, handleAclUpdate } from './ui/pages/acl-editor.js';  // ACP editor (file retains old name for git history)
 import { renderProfileEditor, handleProfileUpdate, handleProfileIndexReset, handleDiscoverNs, handlePreviewLayout, handleListComponents, handleSaveComponent, handleImportComponent } from './ui/pages/profile-editor.js';
 import { renderAppPermissions, handleAppPermissionsUpdate } from './ui/pages/app-permissions.js';
 import { renderSettings, handleSettingsUpdate } from './ui/pages/settings.js';
-import { handleDiscovery, handleJwks, handleRegister, handleAuthorize, handleToken, handleUserInfo, verifyAccessToken } from './oidc.js';
+import { handleExport, handleImport } from './ui/pages/backup.js';
+import { renderGroupsPage, handleGroupsAction } from './ui/pages/groups.js';
+import { handleDiscovery, handleJwks, handleRegister, handleAuthorize, handleToken, handleRevoke, handleUserInfo, verifyAccessToken, tokenErrorResponse } from './oidc.js';
+import { verifySolidOidcToken } from './auth/solid-oidc.js';
 import { checkRateLimit, rateLimitResponse } from './security/rate-limit.js';
 import { checkContentLength, getSizeLimit } from './security/size-limit.js';
 import { resolveLanguage, getTranslations, RTL_LANGUAGES } from './i18n/index.js';
 
+// Durable Object class for WebSocket notification channels (binding NOTIFICATIONS)
+export { NotificationHub } from './solid/notification-hub.js';
+
 /** Singleton WASM kernel instance — initialized on first request. */
 let kernel = null;
 
@@ -73,6 +96,7 @@ function buildRouter() {
   router.get('/jwks', handleJwks);
   router.add('*', '/authorize', handleAuthorize);
   router.post('/token', handleToken);
+  router.post('/revoke', handleRevoke);
   router.get('/userinfo', handleUserInfo);
   router.post('/register', handleRegister);
 
@@ -96,6 +120,12 @@ function buildRouter() {
   router.get('/activity/remote', renderRemoteFeed);
   router.post('/activity/mark-read', handleMarkRead);
   router.post('/activity/mark-all-read', handleMarkAllRead);
+  router.get('/activity/notifications', renderNotificationsPage);
+  router.post('/activity/notifications', handleNotificationsAction);
+  router.get('/activity/delivery', renderDeliveryPage);
+  router.post('/activity/delivery', handleDeliveryAction);
+  router.post('/activity/react', handleReaction);
+  router.post('/activity/post', handlePostAction);
   router.post('/compose', handleCompose);
   router.post('/follow', handleFollow);
   router.post('/unfollow', handleUnfollow);
@@ -103,6 +133,8 @@ function buildRouter() {
   router.post('/follow-requests/reject', handleRejectFollowRequest);
   router.get('/storage/**', renderStoragePage);
   router.post('/storage/**', handleStorageAction);
+  router.get('/trash', renderTrashPage);
+  router.post('/trash', handleTrashAction);
   router.get('/acp/**', renderAclEditor);
   router.post('/acp/**', handleAclUpdate);
   // Profile editor
@@ -118,6 +150,10 @@ function buildRouter() {
   // Settings (absorbs app permissions)
   router.get('/settings', renderSettings);
   router.post('/settings', handleSettingsUpdate);
+  router.get('/export', handleExport);
+  router.post('/import', handleImport);
+  router.get('/groups', renderGroupsPage);
+  router.post('/groups', handleGroupsAction);
 
   // App permissions — redirect GET to /settings, keep POST for existing forms
   router.get('/app-permissions', (ctx) => {
@@ -131,16 +167,41 @@ function buildRouter() {
     return new Response(null, { status: 302, headers: { 'Location': `/acp/${path}` } });
   });
 
+  // SPARQL 1.1 Protocol query endpoint
+  router.get('/sparql', handleSparql);
+  router.post('/sparql', handleSparql);
+
+  // Full-text search
+  router.get('/search', handleSearch);
+
+  // Solid Notifications Protocol
+  router.get('/.well-known/solid', handleStorageDescription);
+  router.get('/notifications/subscription/:type', handleSubscription);
+  router.post('/notifications/subscription/:type', handleSubscription);
+  router.add('DELETE', '/notifications/channels/:id', handleChannelDelete);
+  router.get('/notifications/ws/:id', handleWebSocketConnect);
+
+  // Password form for protected share links (public)
+  router.get('/share/unlock', renderShareUnlock);
+  router.post('/share/unlock', handleShareUnlock);
+
   // Profile card at root level (single-user convenience)
   router.get('/profile/card', handleActor);
 
   // ActivityPub routes (content-negotiated)
   router.get('/:user/profile/card', handleActor);
   router.post('/inbox', handleInbox);
-  router.post('/:user/inbox', handleInbox);
+  // Signed POSTs are ActivityPub deliveries, the rest Linked Data Notifications
+  router.post('/:user/inbox', (ctx) => isLdnRequest(ctx.request) ? handleLdnPost(ctx) : handleInbox(ctx));
+  router.get('/:user/inbox', handleLdnInboxGet);
+  router.add('HEAD', '/:user/inbox', handleLdnInboxGet);
   router.get('/:user/outbox', handleOutbox);
+  router.get('/:user/outbox/:id', handleOutboxActivity);
   router.get('/:user/followers', handleCollections);
   router.get('/:user/following', handleCollections);
+  router.get('/:user/posts/:id', handlePost);
+  router.get('/:user/posts/:id/likes', handlePostCollection);
+  router.get('/:user/posts/:id/shares', handlePostCollection);
 
   // LDP catch-all
   router.add('*', '/:user/**', handleLDP);
@@ -155,12 +216,18 @@ const router = buildRouter();
  * Determine the rate limit category for a matched route, if any.
  * Returns null if no rate limiting applies.
  */
-function getRateLimitCategory(method, pathname, handler) {
-  if (method === 'POST' && (pathname === '/login' || pathname === '/authorize')) return 'login';
+function getRateLimitCategory(request, pathname, handler) {
+  const method = request.method;
+  if (method === 'POST' && (pathname === '/login' || pathname === '/authorize' || pathname === '/share/unlock')) return 'login';
   if (method === 'POST' && pathname.startsWith('/webauthn/login/')) return 'webauthn';
-  if (method === 'POST' && pathname === '/token') return 'token';
+  if (method === 'POST' && (pathname === '/token' || pathname === '/revoke')) return 'token';
   if (method === 'POST' && pathname === '/register') return 'register';
+  if (method === 'POST' && pathname.match(/^\/[^/]+\/inbox$/) && isLdnRequest(request)) return 'ldn';
   if (method === 'POST' && (pathname === '/inbox' || pathname.match(/^\/[^/]+\/inbox$/))) return 'inbox';
+  if (pathname === '/sparql') return 'sparql';
+  if (pathname === '/search') return 'search';
+  if (pathname === '/export' || (method === 'POST' && pathname === '/import')) return 'archive';
+  if (method === 'POST' && pathname.startsWith('/notifications/subscription/')) return 'notify';
   // LDP write operations
   if (handler === handleLDP && ['PUT', 'POST', 'PATCH', 'DELETE'].includes(method)) return 'write';
   return null;
@@ -187,13 +254,34 @@ export default {
     let user = await extractUser(request, env);
     let authMethod = user ? 'session' : null;
     let clientId = null;
+    let agentWebId = user ? config.webId : null;
 
     if (!user) {
       const tokenResult = await verifyAccessToken(request, env, config);
+      if (tokenResult?.error) {
+        return applyCors(tokenErrorResponse(tokenResult, config.baseUrl), request);
+      }
       if (tokenResult && tokenResult.webId === config.webId) {
         user = config.username;
         authMethod = 'oidc';
         clientId = tokenResult.clientId;
+        agentWebId = config.webId;
+      } else if (!tokenResult && request.method !== 'OPTIONS') {
+        // Not one of our tokens — try a visitor's token from their own IdP.
+        // Visitors never become `user`; they only gain an agent identity
+        // for ACP evaluation.
+        const visitor = await verifySolidOidcToken(request, env, config);
+        if (visitor?.retryAfter) {
+          return applyCors(rateLimitResponse(visitor.retryAfter), request);
+        }
+        if (visitor?.error) {
+          return applyCors(tokenErrorResponse(visitor, config.baseUrl), request);
+        }
+        if (visitor) {
+          authMethod = 'solid-oidc';
+          clientId = visitor.clientId;
+          agentWebId = visitor.webId;
+        }
       }
     }
 
@@ -215,7 +303,7 @@ export default {
     }
 
     // --- Rate limiting ---
-    const rateLimitCategory = getRateLimitCategory(request.method, url.pathname, match.handler);
+    const rateLimitCategory = getRateLimitCategory(request, url.pathname, match.handler);
     if (rateLimitCategory) {
       const ip = request.headers.get('CF-Connecting-IP') || '0.0.0.0';
       const rl = await checkRateLimit(env.APPDATA, rateLimitCategory, ip);
@@ -233,7 +321,7 @@ export default {
       }
     }
 
-    console.log(`[route] ${request.method} ${url.pathname} → handler=${match.handler?.name || 'unknown'} params=${JSON.stringify(match.params)} user=${user || 'anon'} auth=${authMethod || 'none'}`);
+    console.log(`[route] ${request.method} ${url.pathname} → handler=${match.handler?.name || 'unknown'} params=${JSON.stringify(match.params)} user=${user || agentWebId || 'anon'} auth=${authMethod || 'none'}`);
 
     // Load user preferences for i18n (language, date format, etc.)
     let userPrefs = null;
@@ -257,6 +345,7 @@ export default {
       user,
       authMethod,
       clientId,
+      agentWebId,
       params: match.params,
       orchestrator,
       storage,
@@ -284,4 +373,23 @@ export default {
       return applyCors(new Response('Internal Server Error', { status: 500 }), request);
    }
   },
+
+  /**
+   * Cron trigger: retry queued ActivityPub deliveries and purge expired trash.
+   */
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledTasks(env).catch(err => console.error('Scheduled task error:', err)));
+  },
 };
+
+/**
+ * Work done on every Cron trigger. There is no request to take the domain
+ * from, so it comes from PAA_DOMAIN or the one recorded at bootstrap.
+ */
+async function runScheduledTasks(env) {
+  const domain = env.PAA_DOMAIN || await env.APPDATA.get('bootstrap_domain');
+  if (!domain) return; // not bootstrapped yet
+  const config = getConfig({ ...env, PAA_DOMAIN: domain });
+  await drainDeliveryQueue(env, config);
+  await purgeExpiredTrash({ env, config, storage: new CloudflareAdapter(env.TRIPLESTORE, env.BLOBS) });
+}
@@ -25,19 +25,24 @@
  *   GET  /authorize — consent page (or auto-approve for remembered clients)
  *   POST /authorize — process login + approval, issue authorization code
  *   POST /token — exchange code for access_token + id_token
+ *   POST /revoke — revoke an access or refresh token (RFC 7009)
  *   GET  /userinfo — returns the authenticated user's WebID
  *
  * Token verification:
  *   verifyAccessToken() validates Bearer tokens on incoming Solid requests.
- *   It checks the JWT signature, expiry, issuer, and optional DPoP binding.
+ *   It checks the JWT signature, expiry, issuer, revocation, and — for
+ *   DPoP-bound tokens — the DPoP proof. Failures are reported with a
+ *   distinct error so the caller can answer with a WWW-Authenticate challenge.
  */
 import { verifyPassword } from './auth/password.js';
 import { importPrivateKey, rsaSign } from './crypto/rsa.js';
 import { sha256 } from './crypto/digest.js';
+import { decodeJwt, verifyJws, SUPPORTED_ALGS } from './crypto/jws.js';
+import { verifyDpopProof } from './auth/dpop.js';
 import { createSession } from './auth/session.js';
 import { htmlPage, htmlResponse, escapeHtml } from './ui/shell.js';
 import { getTranslations, resolveLanguage, RTL_LANGUAGES } from './i18n/index.js';
-import { bufferToBase64url } from './utils.js';
+import { bufferToBase64url, simpleHash } from './utils.js';
 import { grantAppPermission, hasAppPermissions } from './solid/app-permissions.js';
 import { parseNTriples, unwrapIri } from './rdf/ntriples.js';
 import { PREFIXES } from './rdf/prefixes.js';
@@ -56,6 +61,7 @@ export async function handleDiscovery(reqCtx) {
     userinfo_endpoint: `${config.baseUrl}/userinfo`,
     jwks_uri: `${config.baseUrl}/jwks`,
     registration_endpoint: `${config.baseUrl}/register`,
+    revocation_endpoint: `${config.baseUrl}/revoke`,
     end_session_endpoint: `${config.baseUrl}/logout`,
     response_types_supported: ['code'],
     response_modes_supported: ['query'],
@@ -65,7 +71,7 @@ export async function handleDiscovery(reqCtx) {
     scopes_supported: ['openid', 'profile', 'webid', 'offline_access'],
     token_endpoint_auth_methods_supported: ['none'],
     code_challenge_methods_supported: ['S256'],
-    dpop_signing_alg_values_supported: ['ES256', 'RS256'],
+    dpop_signing_alg_values_supported: SUPPORTED_ALGS,
     claims_supported: ['sub', 'webid', 'iss', 'aud', 'exp', 'iat', 'azp', 'at_hash'],
     authorization_response_iss_parameter_supported: true,
     solid_oidc_supported: 'https://solidproject.org/TR/solid-oidc',
@@ -332,8 +338,11 @@ export async function handleToken(reqCtx) {
     }
   }
 
+  const dpop = await checkTokenRequestDpop(reqCtx);
+  if (dpop.error) return dpop.error;
+
   const resolvedClientId = grant.clientId || params.client_id;
-  return issueTokens(reqCtx, resolvedClientId, grant.scope, grant.nonce);
+  return issueTokens(reqCtx, resolvedClientId, grant.scope, grant.nonce, dpop.jkt);
 }
 
 async function handleRefreshToken(reqCtx, params) {
@@ -350,7 +359,35 @@ async function handleRefreshToken(reqCtx, params) {
     return jsonResponse({ error: 'invalid_grant', error_description: 'client_id mismatch' }, 400);
   }
 
-  return issueTokens(reqCtx, stored.clientId, stored.scope, undefined);
+  // Tokens issued up to the second the client's access was revoked are dead
+  const revokedAt = await getClientRevokedAt(env.APPDATA, stored.clientId);
+  if (revokedAt && (stored.issuedAt || 0) <= revokedAt) {
+    return jsonResponse({ error: 'invalid_grant', error_description: 'Refresh token revoked' }, 400);
+  }
+
+  // A DPoP-bound refresh token must be presented with the same key
+  const dpop = await checkTokenRequestDpop(reqCtx);
+  if (dpop.error) return dpop.error;
+  if (stored.dpopJkt && dpop.jkt !== stored.dpopJkt) {
+    return jsonResponse({ error: 'invalid_dpop_proof', error_description: 'DPoP key does not match refresh token binding' }, 400);
+  }
+
+  return issueTokens(reqCtx, stored.clientId, stored.scope, undefined, dpop.jkt);
+}
+
+/**
+ * Verify the DPoP proof on a /token request, if one was sent.
+ * @returns {Promise<{ jkt: string|null, error?: Response }>}
+ */
+async function checkTokenRequestDpop(reqCtx) {
+  const { request, env } = reqCtx;
+  if (!request.headers.get('DPoP')) return { jkt: null };
+  const proof = await verifyDpopProof(request, env);
+  if (!proof.valid) {
+    console.log(`[auth] token request rejected: ${proof.reason}`);
+    return { jkt: null, error: jsonResponse({ error: 'invalid_dpop_proof', error_description: proof.reason }, 400) };
+  }
+  return { jkt: proof.jkt };
 }
 
 const REFRESH_TTL = 30 * 24 * 3600; // 30 days
@@ -361,19 +398,14 @@ const REFRESH_TTL = 30 * 24 * 3600; // 30 days
  * Both tokens are signed with the server's RSA private key.
  * The access_token contains the WebID as `sub` and the client_id as `client_id`.
  * If DPoP is used, the access_token includes a `cnf.jkt` claim binding it
- * to the client's proof-of-possession key.
+ * to the client's proof-of-possession key. Each access_token carries a
+ * unique `jti` so it can be revoked individually.
  *
+ * @param {string|null} dpopJkt - Thumbprint of the verified DPoP proof key
  * @returns {{ access_token: string, id_token: string, token_type: string, expires_in: number }}
  */
-async function issueTokens(reqCtx, clientId, scope, nonce) {
-  const { request, env, config } = reqCtx;
-
-  // Extract DPoP key thumbprint if DPoP header present
-  let dpopJkt = null;
-  const dpopHeader = request.headers.get('DPoP');
-  if (dpopHeader) {
-    dpopJkt = await extractDpopJkt(dpopHeader);
-  }
+async function issueTokens(reqCtx, clientId, scope, nonce, dpopJkt) {
+  const { env, config } = reqCtx;
 
   // Build tokens
   const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
@@ -396,6 +428,7 @@ async function issueTokens(reqCtx, clientId, scope, nonce) {
     aud: 'solid',
     exp: now + ACCESS_TTL,
     iat: now,
+    jti: crypto.randomUUID(),
     client_id: clientId,
     webid: config.webId,
     scope,
@@ -414,6 +447,7 @@ async function issueTokens(reqCtx, clientId, scope, nonce) {
       clientId,
       scope,
       dpopJkt,
+      issuedAt: now,
     }), { expirationTtl: REFRESH_TTL });
   }
 
@@ -431,8 +465,10 @@ async function issueTokens(reqCtx, clientId, scope, nonce) {
 
 export async function handleUserInfo(reqCtx) {
   const { config } = reqCtx;
-  // For a single-user server, always return the owner's info.
-  // In production, this should verify the access token first.
+  // The access token was verified in index.js; only the owner holds one
+  if (reqCtx.authMethod !== 'oidc') {
+    return tokenErrorResponse({ error: 'invalid_token', description: 'Access token required', scheme: 'Bearer' }, config.baseUrl);
+  }
   return jsonResponse({
     sub: config.webId,
     webid: config.webId,
@@ -440,6 +476,72 @@ export async function handleUserInfo(reqCtx) {
   });
 }
 
+// ── Revocation ───────────────────────────────────────
+
+/**
+ * Token revocation endpoint (RFC 7009).
+ *
+ * Accepts either a refresh token (deleted from KV) or one of our access
+ * tokens (its `jti` is added to the revocation list until it expires).
+ * Per the RFC, unknown or invalid tokens still get a 200 response.
+ */
+export async function handleRevoke(reqCtx) {
+  const { request, env, config } = reqCtx;
+  const form = await request.formData();
+  const token = form.get('token') || '';
+
+  if (await env.APPDATA.get(`oidc_refresh:${token}`)) {
+    await env.APPDATA.delete(`oidc_refresh:${token}`);
+    console.log(`[auth] refresh token revoked`);
+    return new Response(null, { status: 200, headers: { 'Cache-Control': 'no-store' } });
+  }
+
+  try {
+    const decoded = decodeJwt(token);
+    if (decoded.payload.iss === config.baseUrl && decoded.payload.jti
+        && await verifyOwnSignature(decoded, env, config)) {
+      await revokeAccessToken(env.APPDATA, decoded.payload);
+    }
+  } catch {
+    // Not a JWT — nothing to revoke
+  }
+  return new Response(null, { status: 200, headers: { 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * Add an access token's `jti` to the revocation list until it expires.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {object} payload - Decoded access token payload
+ */
+async function revokeAccessToken(kv, payload) {
+  const remaining = payload.exp - Math.floor(Date.now() / 1000);
+  if (remaining <= 0) return;
+  await kv.put(`oidc_revoked:${payload.jti}`, '1', { expirationTtl: Math.max(60, remaining) });
+  console.log(`[auth] access token ${payload.jti} revoked`);
+}
+
+/**
+ * Revoke every access and refresh token issued to a client so far.
+ * Called when the owner revokes an app's permissions.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} clientId
+ */
+export async function revokeClientTokens(kv, clientId) {
+  await kv.put(`oidc_client_revoked:${simpleHash(clientId)}`, JSON.stringify({
+    clientId,
+    revokedAt: Math.floor(Date.now() / 1000),
+  }), { expirationTtl: REFRESH_TTL });
+  console.log(`[auth] all tokens for client ${clientId} revoked`);
+}
+
+async function getClientRevokedAt(kv, clientId) {
+  if (!clientId) return null;
+  const data = await kv.get(`oidc_client_revoked:${simpleHash(clientId)}`);
+  if (!data) return null;
+  const entry = JSON.parse(data);
+  return entry.clientId === clientId ? entry.revokedAt : null;
+}
+
 // ── JWT helpers ──────────────────────────────────────
 
 /**
@@ -465,85 +567,119 @@ async function signJwt(privatePem, payload) {
  *
  * Called on every request (in index.js) to check if the requester is
  * authenticated via an OIDC token (as opposed to a session cookie).
+ * Tokens from other issuers are left to verifySolidOidcToken().
  *
  * Validation steps:
  *   1. Extract token from Authorization header (Bearer or DPoP scheme)
- *   2. Decode JWT payload (we trust our own tokens — we're the issuer)
- *   3. Check expiry and issuer match
- *   4. If DPoP token: verify the DPoP proof header signature and binding
+ *   2. Verify the RS256 signature against the key served at /jwks
+ *   3. Check expiry and revocation (by `jti` or by client)
+ *   4. If the token is DPoP-bound (`cnf.jkt`): require the DPoP scheme and
+ *      a valid proof (signature, htm/htu, iat, ath, jti replay)
  *
  * @param {Request} request - Incoming HTTP request
  * @param {object} env - Cloudflare env bindings
  * @param {object} config - Server configuration
- * @returns {Promise<string|null>} The authenticated WebID, or null
+ * @returns {Promise<{webId: string, clientId: string|null}|{error: string, description: string, scheme: string}|null>}
+ *   The authenticated WebID, a rejection, or null if there is no token of ours
  */
 export async function verifyAccessToken(request, env, config) {
   const auth = request.headers.get('Authorization') || '';
   const [scheme, token] = auth.split(' ', 2);
   if (!token) return null;
 
+  const reject = (error, description) => {
+    console.log(`[auth] rejected: ${description}`);
+    return { error, description, scheme: scheme === 'DPoP' ? 'DPoP' : 'Bearer' };
+  };
+
   if (scheme !== 'Bearer' && scheme !== 'DPoP') {
-    console.log(`[auth] rejected: unsupported scheme "${scheme}"`);
-    return null;
+    return reject('invalid_request', `Unsupported authorization scheme "${scheme}"`);
   }
 
+  let decoded;
   try {
-    // Decode JWT (we trust our own tokens — we're the issuer)
-    const [headerB64, payloadB64, sigB64] = token.split('.');
-    const payload = JSON.parse(atob(payloadB64.replace(/-/g, '+').replace(/_/g, '/')));
-
-    // Check expiry
-    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
-      console.log(`[auth] rejected: token expired`);
-      return null;
-    }
+    decoded = decodeJwt(token);
+  } catch {
+    return reject('invalid_token', 'Malformed access token');
+  }
+  const { header, payload } = decoded;
 
-    // Check issuer
-    if (payload.iss !== config.baseUrl) {
-      console.log(`[auth] rejected: issuer mismatch (token=${payload.iss} config=${config.baseUrl})`);
-      return null;
-    }
+  // Not one of ours — may be a visitor's token from another issuer
+  if (payload.iss !== config.baseUrl) return null;
 
-    // For DPoP scheme, verify the DPoP proof's key matches the token binding.
-    // If verification fails, still accept the token since we issued it —
-    // the DPoP binding is a defense against token theft, and on a single-user
-    // server the owner is the only valid token holder.
-    if (scheme === 'DPoP' && payload.cnf?.jkt) {
-      const dpopHeader = request.headers.get('DPoP');
-      if (dpopHeader) {
-        const jkt = await extractDpopJkt(dpopHeader);
-        if (jkt && jkt !== payload.cnf.jkt) {
-          console.log(`[auth] DPoP thumbprint mismatch (proof=${jkt} token=${payload.cnf.jkt}) — accepting anyway (single-user)`);
-        }
-      }
-    }
+  if (header.alg !== 'RS256') {
+    return reject('invalid_token', `Unsupported token algorithm "${header.alg}"`);
+  }
+  if (!(await verifyOwnSignature(decoded, env, config))) {
+    return reject('invalid_token', 'Access token signature invalid');
+  }
 
-    const webid = payload.webid || payload.sub || null;
-    const clientId = payload.client_id || null;
-    console.log(`[auth] verified token for ${webid} client=${clientId}`);
-    return { webId: webid, clientId };
-  } catch (e) {
-    console.log(`[auth] token decode error: ${e.message}`);
-    return null;
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number' || payload.exp < now) {
+    return reject('invalid_token', 'Access token expired');
+  }
+  if (payload.aud !== 'solid') {
+    return reject('invalid_token', 'Not an access token');
   }
-}
 
-async function extractDpopJkt(dpopJwt) {
-  try {
-    const [headerB64] = dpopJwt.split('.');
-    const header = JSON.parse(atob(headerB64.replace(/-/g, '+').replace(/_/g, '/')));
-    const jwk = header.jwk;
-    if (!jwk) return null;
-    // JWK thumbprint (RFC 7638) — SHA-256 of canonical JWK
-    const members = jwk.kty === 'EC'
-      ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
-      : { e: jwk.e, kty: jwk.kty, n: jwk.n };
-    const thumbprintInput = JSON.stringify(members);
-    const hash = await sha256(thumbprintInput);
-    return bufferToBase64url(new Uint8Array(hash));
-  } catch {
-    return null;
+  if (payload.jti && await env.APPDATA.get(`oidc_revoked:${payload.jti}`)) {
+    return reject('invalid_token', 'Access token revoked');
+  }
+  const clientRevokedAt = await getClientRevokedAt(env.APPDATA, payload.client_id);
+  if (clientRevokedAt && payload.iat <= clientRevokedAt) {
+    return reject('invalid_token', 'Access token revoked for this client');
+  }
+
+  if (payload.cnf?.jkt) {
+    if (scheme !== 'DPoP') {
+      return reject('invalid_token', 'DPoP-bound token presented with Bearer scheme');
+    }
+    const proof = await verifyDpopProof(request, env, {
+      jkt: payload.cnf.jkt,
+      accessToken: token,
+      requireAth: true,
+    });
+    if (!proof.valid) return reject('invalid_dpop_proof', proof.reason);
+  } else if (scheme === 'DPoP') {
+    return reject('invalid_token', 'Bearer token presented with DPoP scheme');
   }
+
+  const webid = payload.webid || payload.sub || null;
+  const clientId = payload.client_id || null;
+  console.log(`[auth] verified token for ${webid} client=${clientId}`);
+  return { webId: webid, clientId };
+}
+
+/**
+ * Build the 401 response for a rejected access token, with a
+ * WWW-Authenticate challenge naming the error (RFC 6750 / RFC 9449).
+ * @param {{error: string, description: string, scheme: string}} rejection
+ * @param {string} baseUrl
+ * @returns {Response}
+ */
+export function tokenErrorResponse(rejection, baseUrl) {
+  const { error, description, scheme } = rejection;
+  const params = [`realm="${baseUrl}"`, `error="${error}"`, `error_description="${description.replace(/"/g, "'")}"`];
+  if (scheme === 'DPoP') params.push(`algs="${SUPPORTED_ALGS.join(' ')}"`);
+  const status = error === 'invalid_request' ? 400 : 401;
+  return new Response(JSON.stringify({ error, error_description: description }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'WWW-Authenticate': `${scheme} ${params.join(', ')}`,
+    },
+  });
+}
+
+/**
+ * Verify a decoded JWT against the server's own public key (the /jwks key).
+ */
+async function verifyOwnSignature(decoded, env, config) {
+  const publicPem = await env.APPDATA.get(`ap_public_key:${config.username}`);
+  if (!publicPem) return false;
+  const jwk = await pemToJwk(publicPem);
+  return verifyJws(decoded, jwk);
 }
 
 async function pemToJwk(pem) {
@@ -0,0 +1,267 @@
+/**
+ * Offline cache of well-known JSON-LD contexts, plus a loader for others.
+ *
+ * Almost every JSON-LD document this server sees references one of a
+ * handful of contexts. Bundling them avoids a network round trip on
+ * every write and keeps parsing working when the context host is down:
+ *
+ *   - ActivityStreams 2.0  (https://www.w3.org/ns/activitystreams)
+ *   - Security v1          (https://w3id.org/security/v1)
+ *   - schema.org           (https://schema.org/) — core terms only;
+ *     everything else resolves through its `@vocab`
+ *
+ * Other remote contexts are fetched (SSRF-checked, without following
+ * redirects, size-limited while reading) and cached in APPDATA as
+ * `jsonld_context:{hash}`.
+ */
+import { validateExternalUrl } from '../security/ssrf.js';
+import { simpleHash } from '../utils.js';
+
+const CONTEXT_CACHE_TTL = 86400; // 24 hours
+const FETCH_TIMEOUT = 5000;
+const MAX_CONTEXT_BYTES = 256 * 1024;
+
+// ── ActivityStreams 2.0 ──
+
+const AS_TYPES = [
+  'Accept', 'Activity', 'IntransitiveActivity', 'Add', 'Announce', 'Application', 'Arrive',
+  'Article', 'Audio', 'Block', 'Collection', 'CollectionPage', 'Relationship', 'Create',
+  'Delete', 'Dislike', 'Document', 'Event', 'Follow', 'Flag', 'Group', 'Ignore', 'Image',
+  'Invite', 'Join', 'Leave', 'Like', 'Link', 'Mention', 'Note', 'Object', 'Offer',
+  'OrderedCollection', 'OrderedCollectionPage', 'Organization', 'Page', 'Person', 'Place',
+  'Profile', 'Question', 'Reject', 'Remove', 'Service', 'TentativeAccept', 'TentativeReject',
+  'Tombstone', 'Undo', 'Update', 'Video', 'View', 'Listen', 'Read', 'Move', 'Travel',
+  'IsFollowing', 'IsFollowedBy', 'IsContact', 'IsMember', 'Public',
+];
+
+const AS_ID_PROPERTIES = [
+  'subject', 'relationship', 'actor', 'attributedTo', 'attachment', 'bcc', 'bto', 'cc',
+  'context', 'current', 'first', 'generator', 'icon', 'image', 'inReplyTo', 'items',
+  'instrument', 'last', 'location', 'next', 'object', 'oneOf', 'anyOf', 'origin', 'prev',
+  'preview', 'provider', 'replies', 'result', 'audience', 'partOf', 'tag', 'target', 'to',
+  'url', 'href', 'describes', 'formerType', 'outbox', 'following', 'followers', 'streams',
+  'endpoints', 'uploadMedia', 'proxyUrl', 'liked', 'oauthAuthorizationEndpoint',
+  'oauthTokenEndpoint', 'provideClientKey', 'signClientKey', 'sharedInbox', 'likes',
+  'shares', 'alsoKnownAs', 'movedTo',
+];
+
+const AS_TYPED_PROPERTIES = {
+  closed: 'xsd:dateTime', deleted: 'xsd:dateTime', endTime: 'xsd:dateTime',
+  published: 'xsd:dateTime', startTime: 'xsd:dateTime', updated: 'xsd:dateTime',
+  accuracy: 'xsd:float', altitude: 'xsd:float', latitude: 'xsd:float',
+  longitude: 'xsd:float', radius: 'xsd:float', duration: 'xsd:duration',
+  height: 'xsd:nonNegativeInteger', width: 'xsd:nonNegativeInteger',
+  startIndex: 'xsd:nonNegativeInteger', totalItems: 'xsd:nonNegativeInteger',
+};
+
+const AS_PLAIN_PROPERTIES = [
+  'hreflang', 'mediaType', 'rel', 'units', 'preferredUsername', 'source', 'sensitive',
+];
+
+const AS_LANGUAGE_MAPS = ['content', 'name', 'summary'];
+
+function buildActivityStreamsContext() {
+  const ctx = {
+    '@vocab': '_:',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    as: 'https://www.w3.org/ns/activitystreams#',
+    ldp: 'http://www.w3.org/ns/ldp#',
+    vcard: 'http://www.w3.org/2006/vcard/ns#',
+    id: '@id',
+    type: '@type',
+  };
+  for (const t of AS_TYPES) ctx[t] = `as:${t}`;
+  for (const p of AS_ID_PROPERTIES) ctx[p] = { '@id': `as:${p}`, '@type': '@id' };
+  for (const [p, type] of Object.entries(AS_TYPED_PROPERTIES)) ctx[p] = { '@id': `as:${p}`, '@type': type };
+  for (const p of AS_PLAIN_PROPERTIES) ctx[p] = `as:${p}`;
+  for (const p of AS_LANGUAGE_MAPS) {
+    ctx[p] = `as:${p}`;
+    ctx[`${p}Map`] = { '@id': `as:${p}`, '@container': '@language' };
+  }
+  ctx.orderedItems = { '@id': 'as:items', '@type': '@id', '@container': '@list' };
+  ctx.inbox = { '@id': 'ldp:inbox', '@type': '@id' };
+  return { '@context': ctx };
+}
+
+// ── Security v1 ──
+
+const SECURITY_V1 = {
+  '@context': {
+    id: '@id',
+    type: '@type',
+    dc: 'http://purl.org/dc/terms/',
+    sec: 'https://w3id.org/security#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    EcdsaKoblitzSignature2016: 'sec:EcdsaKoblitzSignature2016',
+    Ed25519Signature2018: 'sec:Ed25519Signature2018',
+    EncryptedMessage: 'sec:EncryptedMessage',
+    GraphSignature2012: 'sec:GraphSignature2012',
+    LinkedDataSignature2015: 'sec:LinkedDataSignature2015',
+    LinkedDataSignature2016: 'sec:LinkedDataSignature2016',
+    CryptographicKey: 'sec:Key',
+    authenticationTag: 'sec:authenticationTag',
+    canonicalizationAlgorithm: 'sec:canonicalizationAlgorithm',
+    cipherAlgorithm: 'sec:cipherAlgorithm',
+    cipherData: 'sec:cipherData',
+    cipherKey: 'sec:cipherKey',
+    created: { '@id': 'dc:created', '@type': 'xsd:dateTime' },
+    creator: { '@id': 'dc:creator', '@type': '@id' },
+    digestAlgorithm: 'sec:digestAlgorithm',
+    digestValue: 'sec:digestValue',
+    domain: 'sec:domain',
+    encryptionKey: 'sec:encryptionKey',
+    expiration: { '@id': 'sec:expiration', '@type': 'xsd:dateTime' },
+    expires: { '@id': 'sec:expiration', '@type': 'xsd:dateTime' },
+    initializationVector: 'sec:initializationVector',
+    iterationCount: 'sec:iterationCount',
+    nonce: 'sec:nonce',
+    normalizationAlgorithm: 'sec:normalizationAlgorithm',
+    owner: { '@id': 'sec:owner', '@type': '@id' },
+    password: 'sec:password',
+    privateKey: { '@id': 'sec:privateKey', '@type': '@id' },
+    privateKeyPem: 'sec:privateKeyPem',
+    publicKey: { '@id': 'sec:publicKey', '@type': '@id' },
+    publicKeyBase58: 'sec:publicKeyBase58',
+    publicKeyPem: 'sec:publicKeyPem',
+    publicKeyWif: 'sec:publicKeyWif',
+    publicKeyService: { '@id': 'sec:publicKeyService', '@type': '@id' },
+    revoked: { '@id': 'sec:revoked', '@type': 'xsd:dateTime' },
+    salt: 'sec:salt',
+    signature: 'sec:signature',
+    signatureAlgorithm: 'sec:signingAlgorithm',
+    signatureValue: 'sec:signatureValue',
+  },
+};
+
+// ── schema.org (core subset) ──
+
+const SCHEMA_ORG = {
+  '@context': {
+    '@vocab': 'http://schema.org/',
+    schema: 'http://schema.org/',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    id: '@id',
+    type: '@type',
+    url: { '@id': 'schema:url', '@type': '@id' },
+    sameAs: { '@id': 'schema:sameAs', '@type': '@id' },
+    image: { '@id': 'schema:image', '@type': '@id' },
+    logo: { '@id': 'schema:logo', '@type': '@id' },
+    contentUrl: { '@id': 'schema:contentUrl', '@type': '@id' },
+    embedUrl: { '@id': 'schema:embedUrl', '@type': '@id' },
+    thumbnailUrl: { '@id': 'schema:thumbnailUrl', '@type': '@id' },
+    mainEntityOfPage: { '@id': 'schema:mainEntityOfPage', '@type': '@id' },
+    additionalType: { '@id': 'schema:additionalType', '@type': '@id' },
+    license: { '@id': 'schema:license', '@type': '@id' },
+    dateCreated: { '@id': 'schema:dateCreated', '@type': 'schema:Date' },
+    dateModified: { '@id': 'schema:dateModified', '@type': 'schema:Date' },
+    datePublished: { '@id': 'schema:datePublished', '@type': 'schema:Date' },
+    birthDate: { '@id': 'schema:birthDate', '@type': 'schema:Date' },
+    startDate: { '@id': 'schema:startDate', '@type': 'schema:Date' },
+    endDate: { '@id': 'schema:endDate', '@type': 'schema:Date' },
+  },
+};
+
+/** Bundled context documents, keyed by every IRI they are commonly referenced by. */
+export const BUNDLED_CONTEXTS = new Map();
+const AS = buildActivityStreamsContext();
+for (const url of ['https://www.w3.org/ns/activitystreams', 'http://www.w3.org/ns/activitystreams',
+  'https://www.w3.org/ns/activitystreams.jsonld']) {
+  BUNDLED_CONTEXTS.set(url, AS);
+}
+for (const url of ['https://w3id.org/security/v1', 'http://w3id.org/security/v1']) {
+  BUNDLED_CONTEXTS.set(url, SECURITY_V1);
+}
+for (const url of ['https://schema.org', 'https://schema.org/', 'http://schema.org', 'http://schema.org/']) {
+  BUNDLED_CONTEXTS.set(url, SCHEMA_ORG);
+}
+
+/**
+ * Loader that only resolves bundled contexts (no network access).
+ * @param {string} url
+ * @returns {Promise<object>} the context document
+ */
+export async function loadBundledContext(url) {
+  const doc = BUNDLED_CONTEXTS.get(url);
+  if (!doc) {
+    const err = new Error(`Invalid JSON-LD: loading remote context failed (${url} is not available offline)`);
+    err.status = 400;
+    throw err;
+  }
+  return doc;
+}
+
+/**
+ * Create a context loader that resolves bundled contexts first, then
+ * fetches others over HTTP(S) with an APPDATA cache.
+ * @param {KVNamespace} kv - APPDATA
+ * @returns {(url: string) => Promise<object>}
+ */
+export function createContextLoader(kv) {
+  return async (url) => {
+    const bundled = BUNDLED_CONTEXTS.get(url);
+    if (bundled) return bundled;
+
+    const fail = (reason) => {
+      const err = new Error(`Invalid JSON-LD: loading remote context failed (${url}: ${reason})`);
+      err.status = 400;
+      return err;
+    };
+    if (!validateExternalUrl(url)) throw fail('URL not allowed');
+
+    const cacheKey = `jsonld_context:${simpleHash(url)}`;
+    const cached = await kv.get(cacheKey);
+    if (cached) {
+      const entry = JSON.parse(cached);
+      if (entry.url === url) return entry.document;
+    }
+
+    // Redirects are not followed: their target would escape the SSRF check
+    let text;
+    try {
+      const res = await fetch(url, {
+        headers: { 'Accept': 'application/ld+json, application/json', 'User-Agent': 'paa.pub/1.0' },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT),
+      });
+      if (res.status >= 300 && res.status < 400) throw fail('redirects are not followed');
+      if (!res.ok) throw fail(`HTTP ${res.status}`);
+      if (parseInt(res.headers.get('Content-Length') || '0', 10) > MAX_CONTEXT_BYTES) throw fail('document too large');
+      text = await readText(res.body, MAX_CONTEXT_BYTES);
+      if (text === null) throw fail('document too large');
+    } catch (e) {
+      throw e.status ? e : fail(e.message);
+    }
+
+    let document;
+    try { document = JSON.parse(text); } catch { throw fail('not valid JSON'); }
+    if (!document || typeof document !== 'object' || Array.isArray(document)) throw fail('not a JSON object');
+
+    await kv.put(cacheKey, JSON.stringify({ url, document }), { expirationTtl: CONTEXT_CACHE_TTL });
+    return document;
+  };
+}
+
+/** Read a response body as text, or null once it passes `maxBytes`. */
+async function readText(body, maxBytes) {
+  if (!body) return '';
+  const reader = body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return new TextDecoder().decode(bytes);
+}
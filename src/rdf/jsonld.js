@@ -0,0 +1,1124 @@
+/**
+ * JSON-LD 1.1 processing: expansion, RDF conversion and compaction.
+ *
+ * Implements the parts of the JSON-LD 1.1 Processing Algorithms that a
+ * Solid server needs to accept and produce `application/ld+json`:
+ *
+ *   - Context processing: inline, remote (via a loader) and `@import`ed
+ *     contexts, `@base`, `@vocab`, `@language`, `@propagate`, `@protected`,
+ *     property- and type-scoped contexts, prefixes and keyword aliases
+ *   - Expansion: `@graph`, `@list`/`@set`, `@reverse`, `@included`, `@nest`,
+ *     `@json`, type coercion, and language/index/id/type container maps
+ *   - toRdf: expanded document → N-Triples terms (named graphs are merged
+ *     into the default graph, as the store holds one graph per resource)
+ *   - fromRdf: triples → expanded node objects, with rdf:first/rdf:rest
+ *     chains folded back into `@list`
+ *   - Compaction: term selection, type/language coercion, `@list` and
+ *     `@language` containers, keyword aliases
+ *
+ * Invalid documents throw an Error with `status = 400` whose message
+ * starts with the JSON-LD error code.
+ */
+import { literal, typedLiteral, parseLiteral } from './ntriples.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF_TYPE = `${RDF}type`;
+const RDF_FIRST = `${RDF}first`;
+const RDF_REST = `${RDF}rest`;
+const RDF_NIL = `${RDF}nil`;
+const RDF_JSON = `${RDF}JSON`;
+
+const KEYWORDS = new Set([
+  '@base', '@container', '@context', '@direction', '@graph', '@id', '@import', '@included',
+  '@index', '@json', '@language', '@list', '@nest', '@none', '@prefix', '@propagate',
+  '@protected', '@reverse', '@set', '@type', '@value', '@version', '@vocab',
+]);
+const CONTAINERS = new Set(['@graph', '@id', '@index', '@language', '@list', '@set', '@type']);
+const CONTEXT_KEYS = new Set(['@base', '@direction', '@import', '@language', '@propagate', '@protected', '@version', '@vocab']);
+const MAX_REMOTE_CONTEXTS = 32;
+
+/**
+ * Convert a JSON-LD document to triples.
+ * @param {*} doc - Parsed JSON
+ * @param {object} options
+ * @param {string} options.base - Document base IRI (the resource IRI)
+ * @param {(url: string) => Promise<object>} options.loader - Remote context loader
+ * @returns {Promise<Array<{subject: string, predicate: string, object: string}>>}
+ */
+export async function jsonLdToTriples(doc, { base, loader }) {
+  return toRdf(await expand(doc, { base, loader }));
+}
+
+/**
+ * Convert triples to compacted or expanded JSON-LD.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {object} [options]
+ * @param {object|string|null} [options.context] - Context to compact with (null → expanded output)
+ * @param {(url: string) => Promise<object>} [options.loader] - Loader for a context given by URL
+ * @returns {Promise<object|object[]>}
+ */
+export async function triplesToJsonLd(triples, { context = null, loader } = {}) {
+  const expanded = fromRdf(triples);
+  if (context === null) return expanded;
+  return compact(expanded, context, { loader });
+}
+
+// ── Errors and helpers ──
+
+function jsonLdError(code, detail) {
+  const err = new Error(`Invalid JSON-LD: ${code}${detail ? ` (${detail})` : ''}`);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isScalar = (v) => typeof v === 'string' || typeof v === 'number' || typeof v === 'boolean';
+const arrayify = (v) => (Array.isArray(v) ? v : [v]);
+const isAbsoluteIri = (v) => typeof v === 'string' && /^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(v);
+const isKeywordLike = (v) => /^@[a-zA-Z]+$/.test(v);
+const isValueObject = (v) => isObject(v) && '@value' in v;
+const isListObject = (v) => isObject(v) && '@list' in v;
+
+function resolveIri(value, base) {
+  if (isAbsoluteIri(value) || !base) return value;
+  try {
+    return new URL(value, base).href;
+  } catch {
+    return value;
+  }
+}
+
+// ── Context processing ──
+
+function newContext(base) {
+  return { base, vocab: null, language: null, direction: null, terms: new Map(), previous: null };
+}
+
+function cloneContext(ctx) {
+  return { ...ctx, terms: new Map(ctx.terms) };
+}
+
+/**
+ * Context Processing Algorithm (JSON-LD 1.1 §4.1).
+ */
+async function processContext(active, local, base, loader, opts = {}) {
+  const { remoteContexts = [], overrideProtected = false } = opts;
+  let propagate = opts.propagate ?? true;
+  if (isObject(local) && '@propagate' in local) {
+    if (typeof local['@propagate'] !== 'boolean') throw jsonLdError('invalid @propagate value');
+    propagate = local['@propagate'];
+  }
+
+  let result = cloneContext(active);
+  if (!propagate && !result.previous) result.previous = active;
+
+  for (let context of arrayify(local)) {
+    if (context === null) {
+      if (!overrideProtected && [...result.terms.values()].some(d => d.protected)) {
+        throw jsonLdError('invalid context nullification');
+      }
+      const prev = result.previous;
+      result = newContext(active.originalBase ?? active.base);
+      result.originalBase = active.originalBase ?? active.base;
+      if (!propagate) result.previous = prev || active;
+      continue;
+    }
+
+    if (typeof context === 'string') {
+      const url = resolveIri(context, base);
+      if (remoteContexts.length >= MAX_REMOTE_CONTEXTS) throw jsonLdError('context overflow', url);
+      if (!loader) throw jsonLdError('loading remote context failed', url);
+      const doc = await loader(url);
+      if (!isObject(doc) || !('@context' in doc)) throw jsonLdError('invalid remote context', url);
+      result = await processContext(result, doc['@context'], url, loader, {
+        remoteContexts: [...remoteContexts, url], overrideProtected,
+      });
+      continue;
+    }
+
+    if (!isObject(context)) throw jsonLdError('invalid local context');
+
+    if ('@version' in context && context['@version'] !== 1.1) throw jsonLdError('invalid @version value');
+
+    if ('@import' in context) {
+      if (typeof context['@import'] !== 'string') throw jsonLdError('invalid @import value');
+      const url = resolveIri(context['@import'], base);
+      if (!loader) throw jsonLdError('loading remote context failed', url);
+      const doc = await loader(url);
+      const imported = isObject(doc) ? doc['@context'] : null;
+      if (!isObject(imported)) throw jsonLdError('invalid remote context', url);
+      if ('@import' in imported) throw jsonLdError('invalid context entry', '@import in imported context');
+      context = { ...imported, ...context };
+    }
+
+    if ('@base' in context && remoteContexts.length === 0) {
+      const value = context['@base'];
+      if (value === null) result.base = null;
+      else if (typeof value === 'string') result.base = isAbsoluteIri(value) ? value : resolveIri(value, result.base);
+      else throw jsonLdError('invalid base IRI');
+    }
+
+    if ('@vocab' in context) {
+      const value = context['@vocab'];
+      if (value === null) result.vocab = null;
+      else if (typeof value === 'string') result.vocab = expandIri(result, value, { vocab: true, documentRelative: true });
+      else throw jsonLdError('invalid vocab mapping');
+    }
+
+    if ('@language' in context) {
+      const value = context['@language'];
+      if (value !== null && typeof value !== 'string') throw jsonLdError('invalid default language');
+      result.language = value;
+    }
+
+    if ('@direction' in context) {
+      const value = context['@direction'];
+      if (value !== null && value !== 'ltr' && value !== 'rtl') throw jsonLdError('invalid base direction');
+      result.direction = value;
+    }
+
+    const defined = new Map();
+    const defaults = { base, protected: context['@protected'] === true, overrideProtected };
+    for (const term of Object.keys(context)) {
+      if (CONTEXT_KEYS.has(term)) continue;
+      createTermDefinition(result, context, term, defined, defaults);
+    }
+  }
+  return result;
+}
+
+/**
+ * Create Term Definition (JSON-LD 1.1 §4.2).
+ */
+function createTermDefinition(active, local, term, defined, defaults) {
+  if (defined.has(term)) {
+    if (defined.get(term)) return;
+    throw jsonLdError('cyclic IRI mapping', term);
+  }
+  if (term === '') throw jsonLdError('invalid term definition', 'empty term');
+  defined.set(term, false);
+
+  let value = local[term];
+  if (term === '@type' && isObject(value)
+    && Object.keys(value).every(k => k === '@container' || k === '@protected')
+    && (value['@container'] === undefined || value['@container'] === '@set')) {
+    // JSON-LD 1.1 allows `@type` to be given a @set container
+  } else if (KEYWORDS.has(term)) {
+    throw jsonLdError('keyword redefinition', term);
+  } else if (isKeywordLike(term)) {
+    defined.set(term, true);
+    return;
+  }
+
+  const previous = active.terms.get(term);
+  active.terms.delete(term);
+
+  let simpleTerm = false;
+  if (value === null) value = { '@id': null };
+  else if (typeof value === 'string') { value = { '@id': value }; simpleTerm = true; }
+  else if (!isObject(value)) throw jsonLdError('invalid term definition', term);
+
+  const def = {
+    id: undefined,
+    reverse: false,
+    prefix: false,
+    protected: value['@protected'] ?? defaults.protected,
+    container: [],
+    base: defaults.base,
+  };
+
+  if ('@type' in value) {
+    if (typeof value['@type'] !== 'string') throw jsonLdError('invalid type mapping', term);
+    const type = expandIri(active, value['@type'], { vocab: true }, local, defined);
+    if (!['@id', '@json', '@none', '@vocab'].includes(type) && !isAbsoluteIri(type)) {
+      throw jsonLdError('invalid type mapping', term);
+    }
+    def.type = type;
+  }
+
+  if ('@reverse' in value) {
+    if ('@id' in value || '@nest' in value) throw jsonLdError('invalid reverse property', term);
+    if (typeof value['@reverse'] !== 'string') throw jsonLdError('invalid IRI mapping', term);
+    if (isKeywordLike(value['@reverse'])) { defined.set(term, true); return; }
+    def.id = expandIri(active, value['@reverse'], { vocab: true }, local, defined);
+    if (!isAbsoluteIri(def.id)) throw jsonLdError('invalid IRI mapping', term);
+    def.reverse = true;
+  } else if ('@id' in value && value['@id'] !== term) {
+    const id = value['@id'];
+    if (id === null) {
+      def.id = null;
+    } else if (typeof id === 'string') {
+      if (!KEYWORDS.has(id) && isKeywordLike(id)) { defined.set(term, true); return; }
+      def.id = expandIri(active, id, { vocab: true }, local, defined);
+      if (def.id === '@context') throw jsonLdError('invalid keyword alias', term);
+      if (!KEYWORDS.has(def.id) && !isAbsoluteIri(def.id)) throw jsonLdError('invalid IRI mapping', term);
+      if (simpleTerm && !/[:/]/.test(term) && (/[:/?#[\]@]$/.test(def.id) || def.id.startsWith('_:'))) {
+        def.prefix = true;
+      }
+    } else {
+      throw jsonLdError('invalid IRI mapping', term);
+    }
+  } else if (term.indexOf(':', 1) > 0) {
+    const idx = term.indexOf(':', 1);
+    const prefix = term.slice(0, idx);
+    const suffix = term.slice(idx + 1);
+    if (prefix in local) createTermDefinition(active, local, prefix, defined, defaults);
+    const prefixDef = active.terms.get(prefix);
+    def.id = prefixDef && prefixDef.id ? prefixDef.id + suffix : term;
+  } else if (term.includes('/')) {
+    def.id = expandIri(active, term, { vocab: true });
+    if (!isAbsoluteIri(def.id)) throw jsonLdError('invalid IRI mapping', term);
+  } else if (term === '@type') {
+    def.id = '@type';
+  } else if (active.vocab !== null) {
+    def.id = active.vocab + term;
+  } else {
+    throw jsonLdError('invalid IRI mapping', `${term} has no IRI and there is no @vocab`);
+  }
+
+  if ('@container' in value) {
+    const container = value['@container'] === null ? [] : arrayify(value['@container']);
+    for (const c of container) {
+      if (!CONTAINERS.has(c)) throw jsonLdError('invalid container mapping', term);
+    }
+    if (def.reverse && container.some(c => c !== '@set' && c !== '@index')) {
+      throw jsonLdError('invalid reverse property', term);
+    }
+    def.container = container;
+    if (container.includes('@type')) {
+      def.type ??= '@id';
+      if (def.type !== '@id' && def.type !== '@vocab') throw jsonLdError('invalid type mapping', term);
+    }
+  }
+
+  if ('@index' in value) {
+    if (!def.container.includes('@index') || typeof value['@index'] !== 'string') {
+      throw jsonLdError('invalid term definition', `${term} @index`);
+    }
+    def.index = value['@index'];
+  }
+
+  if ('@context' in value) def.context = value['@context'];
+
+  if ('@language' in value && !('@type' in value)) {
+    if (value['@language'] !== null && typeof value['@language'] !== 'string') {
+      throw jsonLdError('invalid language mapping', term);
+    }
+    def.language = value['@language'];
+  }
+
+  if ('@direction' in value && !('@type' in value)) {
+    const dir = value['@direction'];
+    if (dir !== null && dir !== 'ltr' && dir !== 'rtl') throw jsonLdError('invalid base direction', term);
+    def.direction = dir;
+  }
+
+  if ('@nest' in value) {
+    if (typeof value['@nest'] !== 'string' || (value['@nest'] !== '@nest' && KEYWORDS.has(value['@nest']))) {
+      throw jsonLdError('invalid @nest value', term);
+    }
+    def.nest = value['@nest'];
+  }
+
+  if ('@prefix' in value) {
+    if (typeof value['@prefix'] !== 'boolean' || /[:/]/.test(term)) throw jsonLdError('invalid @prefix value', term);
+    def.prefix = value['@prefix'];
+  }
+
+  if (previous?.protected && !defaults.overrideProtected) {
+    if (!sameDefinition(previous, def)) throw jsonLdError('protected term redefinition', term);
+    active.terms.set(term, previous);
+  } else {
+    active.terms.set(term, def);
+  }
+  defined.set(term, true);
+}
+
+function sameDefinition(a, b) {
+  const strip = ({ protected: _p, base: _b, ...rest }) => rest;
+  return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+/**
+ * IRI Expansion (JSON-LD 1.1 §5.2).
+ */
+function expandIri(active, value, { vocab = false, documentRelative = false } = {}, local = null, defined = null) {
+  if (value === null || KEYWORDS.has(value)) return value;
+  if (isKeywordLike(value)) return null;
+
+  if (local && value in local && defined.get(value) !== true) {
+    createTermDefinition(active, local, value, defined, { base: active.base, protected: false });
+  }
+
+  const def = active.terms.get(value);
+  if (def && KEYWORDS.has(def.id)) return def.id;
+  if (vocab && active.terms.has(value)) return def.id ?? null;
+
+  const idx = value.indexOf(':', 1);
+  if (idx > 0) {
+    const prefix = value.slice(0, idx);
+    const suffix = value.slice(idx + 1);
+    if (prefix === '_' || suffix.startsWith('//')) return value;
+    if (local && prefix in local && defined.get(prefix) !== true) {
+      createTermDefinition(active, local, prefix, defined, { base: active.base, protected: false });
+    }
+    const prefixDef = active.terms.get(prefix);
+    if (prefixDef?.id && prefixDef.prefix) return prefixDef.id + suffix;
+    if (isAbsoluteIri(value)) return value;
+  }
+
+  if (vocab && active.vocab !== null) return active.vocab + value;
+  if (documentRelative) return resolveIri(value, active.base);
+  return value;
+}
+
+// ── Expansion ──
+
+/**
+ * Expand a JSON-LD document (JSON-LD 1.1 §5.1).
+ * @param {*} doc
+ * @param {{ base: string, loader?: Function }} options
+ * @returns {Promise<object[]>} expanded node objects
+ */
+export async function expand(doc, { base, loader }) {
+  const active = newContext(base);
+  active.originalBase = base;
+  let result = await expandElement(active, null, doc, { base, loader });
+  if (isObject(result) && Object.keys(result).length === 1 && '@graph' in result) result = result['@graph'];
+  if (result === null || result === undefined) return [];
+  return arrayify(result);
+}
+
+async function expandElement(active, activeProperty, element, env, fromMap = false) {
+  if (element === null || element === undefined) return null;
+
+  const propDef = activeProperty ? active.terms.get(activeProperty) : undefined;
+
+  if (isScalar(element)) {
+    if (activeProperty === null || activeProperty === '@graph') return null;
+    let ctx = active;
+    if (propDef?.context !== undefined) {
+      ctx = await processContext(active, propDef.context, propDef.base, env.loader, { overrideProtected: true });
+    }
+    return expandValue(ctx, activeProperty, element);
+  }
+
+  if (Array.isArray(element)) {
+    const result = [];
+    for (const item of element) {
+      let expanded = await expandElement(active, activeProperty, item, env, fromMap);
+      if (propDef?.container.includes('@list') && Array.isArray(expanded)) expanded = { '@list': expanded };
+      if (Array.isArray(expanded)) result.push(...expanded);
+      else if (expanded !== null) result.push(expanded);
+    }
+    return result;
+  }
+
+  if (!isObject(element)) return null;
+
+  // Revert a non-propagated context unless this is a value object or a bare reference
+  if (active.previous && !fromMap) {
+    const keys = Object.keys(element);
+    const expandedKeys = keys.map(k => expandIri(active, k, { vocab: true }));
+    if (!expandedKeys.includes('@value') && !(keys.length === 1 && expandedKeys[0] === '@id')) {
+      active = active.previous;
+    }
+  }
+
+  if (propDef?.context !== undefined) {
+    active = await processContext(active, propDef.context, propDef.base, env.loader, { overrideProtected: true });
+  }
+  if ('@context' in element) {
+    active = await processContext(active, element['@context'], env.base, env.loader);
+  }
+
+  // Type-scoped contexts
+  const typeScoped = active;
+  let inputType = null;
+  for (const key of Object.keys(element).sort()) {
+    if (expandIri(active, key, { vocab: true }) !== '@type') continue;
+    const types = arrayify(element[key]).filter(t => typeof t === 'string').sort();
+    for (const t of types) {
+      const def = typeScoped.terms.get(t);
+      if (def?.context !== undefined) {
+        active = await processContext(active, def.context, def.base, env.loader, { propagate: false });
+      }
+    }
+    if (types.length) inputType = expandIri(active, types[types.length - 1], { vocab: true });
+  }
+
+  const result = {};
+  await expandObject(active, activeProperty, element, env, typeScoped, inputType, result);
+
+  if ('@value' in result) {
+    for (const k of Object.keys(result)) {
+      if (!['@value', '@direction', '@index', '@language', '@type'].includes(k)) {
+        throw jsonLdError('invalid value object', `unexpected ${k}`);
+      }
+    }
+    if ('@type' in result && ('@language' in result || '@direction' in result)) {
+      throw jsonLdError('invalid value object', '@type with @language');
+    }
+    if (result['@type'] !== '@json') {
+      const v = result['@value'];
+      if (v === null) return null;
+      if ('@language' in result && typeof v !== 'string') throw jsonLdError('invalid language-tagged value');
+      if ('@type' in result && (typeof result['@type'] !== 'string' || !isAbsoluteIri(result['@type']))) {
+        throw jsonLdError('invalid typed value');
+      }
+    }
+  } else if ('@type' in result && !Array.isArray(result['@type'])) {
+    result['@type'] = [result['@type']];
+  } else if ('@set' in result || '@list' in result) {
+    if (Object.keys(result).some(k => k !== '@set' && k !== '@list' && k !== '@index')) {
+      throw jsonLdError('invalid set or list object');
+    }
+    if ('@set' in result) return result['@set'];
+  }
+
+  const keys = Object.keys(result);
+  if (keys.length === 1 && keys[0] === '@language') return null;
+
+  if (activeProperty === null || activeProperty === '@graph') {
+    if (keys.length === 0 || '@value' in result || '@list' in result) return null;
+    if (keys.length === 1 && keys[0] === '@id') return null;
+  }
+  return result;
+}
+
+async function expandObject(active, activeProperty, element, env, typeScoped, inputType, result) {
+  const nests = [];
+
+  for (const key of Object.keys(element)) {
+    if (key === '@context') continue;
+    const value = element[key];
+    const expandedProperty = expandIri(active, key, { vocab: true });
+    if (expandedProperty === null || (!expandedProperty.includes(':') && !KEYWORDS.has(expandedProperty))) continue;
+
+    if (KEYWORDS.has(expandedProperty)) {
+      if (activeProperty === '@reverse') throw jsonLdError('invalid reverse property map');
+      if (expandedProperty in result && expandedProperty !== '@included' && expandedProperty !== '@type') {
+        throw jsonLdError('colliding keywords', expandedProperty);
+      }
+      let ev;
+      switch (expandedProperty) {
+        case '@id':
+          if (typeof value !== 'string') throw jsonLdError('invalid @id value');
+          ev = expandIri(active, value, { documentRelative: true });
+          break;
+        case '@type': {
+          if (!(typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string')))) {
+            throw jsonLdError('invalid type value');
+          }
+          const types = arrayify(value).map(v => expandIri(typeScoped, v, { vocab: true, documentRelative: true }));
+          ev = '@type' in result ? [...arrayify(result['@type']), ...types] : (Array.isArray(value) ? types : types[0]);
+          break;
+        }
+        case '@graph':
+          ev = arrayify(await expandElement(active, '@graph', value, env) ?? []);
+          break;
+        case '@included': {
+          ev = arrayify(await expandElement(active, null, value, env) ?? []);
+          if (ev.some(v => !isObject(v) || '@value' in v || '@list' in v)) throw jsonLdError('invalid @included value');
+          if ('@included' in result) ev = [...result['@included'], ...ev];
+          break;
+        }
+        case '@value':
+          if (inputType === '@json') { ev = value; break; }
+          if (value !== null && !isScalar(value)) throw jsonLdError('invalid value object value');
+          ev = value;
+          break;
+        case '@language':
+          if (typeof value !== 'string') throw jsonLdError('invalid language-tagged string');
+          ev = value;
+          break;
+        case '@direction':
+          if (value !== 'ltr' && value !== 'rtl') throw jsonLdError('invalid base direction');
+          ev = value;
+          break;
+        case '@index':
+          if (typeof value !== 'string') throw jsonLdError('invalid @index value');
+          ev = value;
+          break;
+        case '@list':
+          if (activeProperty === null || activeProperty === '@graph') continue;
+          ev = arrayify(await expandElement(active, activeProperty, value, env) ?? []);
+          break;
+        case '@set':
+          ev = await expandElement(active, activeProperty, value, env);
+          break;
+        case '@reverse': {
+          if (!isObject(value)) throw jsonLdError('invalid @reverse value');
+          const expandedReverse = await expandElement(active, '@reverse', value, env) || {};
+          if ('@reverse' in expandedReverse) {
+            for (const [p, items] of Object.entries(expandedReverse['@reverse'])) {
+              (result[p] ||= []).push(...items);
+            }
+          }
+          for (const [p, items] of Object.entries(expandedReverse)) {
+            if (p === '@reverse') continue;
+            const reverseMap = (result['@reverse'] ||= {});
+            for (const item of items) {
+              if (isValueObject(item) || isListObject(item)) throw jsonLdError('invalid reverse property value');
+              (reverseMap[p] ||= []).push(item);
+            }
+          }
+          continue;
+        }
+        case '@nest':
+          nests.push(key);
+          continue;
+        default:
+          continue;
+      }
+      result[expandedProperty] = ev;
+      continue;
+    }
+
+    const def = active.terms.get(key);
+    const container = def?.container || [];
+    let ev;
+
+    if (def?.type === '@json') {
+      ev = { '@value': value, '@type': '@json' };
+    } else if (container.includes('@language') && isObject(value)) {
+      ev = [];
+      const direction = def.direction !== undefined ? def.direction : active.direction;
+      for (const lang of Object.keys(value).sort()) {
+        for (const item of arrayify(value[lang])) {
+          if (item === null) continue;
+          if (typeof item !== 'string') throw jsonLdError('invalid language map value');
+          const v = { '@value': item };
+          if (expandIri(active, lang, { vocab: true }) !== '@none') v['@language'] = lang;
+          if (direction) v['@direction'] = direction;
+          ev.push(v);
+        }
+      }
+    } else if (['@index', '@type', '@id'].some(c => container.includes(c)) && isObject(value)) {
+      ev = [];
+      const indexKey = def.index || '@index';
+      for (const index of Object.keys(value).sort()) {
+        let mapContext = active;
+        if (container.includes('@id') || container.includes('@type')) mapContext = active.previous || active;
+        if (container.includes('@type')) {
+          const idxDef = mapContext.terms.get(index);
+          if (idxDef?.context !== undefined) {
+            mapContext = await processContext(mapContext, idxDef.context, idxDef.base, env.loader);
+          }
+        } else {
+          mapContext = active;
+        }
+        const expandedIndex = expandIri(active, index, { vocab: true });
+        const items = arrayify(await expandElement(mapContext, key, arrayify(value[index]), env, true) ?? []);
+        for (let item of items) {
+          if (container.includes('@graph') && !('@graph' in item)) item = { '@graph': arrayify(item) };
+          if (expandedIndex === '@none') {
+            // no index to record
+          } else if (container.includes('@index') && indexKey !== '@index') {
+            const prop = expandIri(active, indexKey, { vocab: true });
+            item[prop] = [expandValue(active, indexKey, index), ...arrayify(item[prop] ?? [])];
+          } else if (container.includes('@index') && !('@index' in item)) {
+            item['@index'] = index;
+          } else if (container.includes('@id') && !('@id' in item)) {
+            item['@id'] = expandIri(active, index, { documentRelative: true });
+          } else if (container.includes('@type')) {
+            item['@type'] = [expandedIndex, ...arrayify(item['@type'] ?? [])];
+          }
+          ev.push(item);
+        }
+      }
+    } else {
+      ev = await expandElement(active, key, value, env);
+    }
+
+    if (ev === null || ev === undefined) continue;
+    if (container.includes('@list') && !isListObject(ev)) ev = { '@list': arrayify(ev) };
+    if (container.includes('@graph') && !container.includes('@id') && !container.includes('@index')) {
+      ev = arrayify(ev).map(v => ({ '@graph': arrayify(v) }));
+    }
+
+    if (def?.reverse) {
+      const reverseMap = (result['@reverse'] ||= {});
+      for (const item of arrayify(ev)) {
+        if (isValueObject(item) || isListObject(item)) throw jsonLdError('invalid reverse property value');
+        (reverseMap[expandedProperty] ||= []).push(item);
+      }
+    } else {
+      (result[expandedProperty] ||= []).push(...arrayify(ev));
+    }
+  }
+
+  for (const nestKey of nests) {
+    for (const nested of arrayify(element[nestKey])) {
+      if (!isObject(nested) || Object.keys(nested).some(k => expandIri(active, k, { vocab: true }) === '@value')) {
+        throw jsonLdError('invalid @nest value');
+      }
+      await expandObject(active, activeProperty, nested, env, typeScoped, inputType, result);
+    }
+  }
+}
+
+/**
+ * Value Expansion (JSON-LD 1.1 §5.3).
+ */
+function expandValue(active, activeProperty, value) {
+  const def = active.terms.get(activeProperty);
+  if (def?.type === '@id' && typeof value === 'string') {
+    return { '@id': expandIri(active, value, { documentRelative: true }) };
+  }
+  if (def?.type === '@vocab' && typeof value === 'string') {
+    return { '@id': expandIri(active, value, { vocab: true, documentRelative: true }) };
+  }
+  const result = { '@value': value };
+  if (def?.type && !['@id', '@vocab', '@none'].includes(def.type)) {
+    result['@type'] = def.type;
+  } else if (typeof value === 'string') {
+    const language = def && def.language !== undefined ? def.language : active.language;
+    if (language !== null && language !== undefined) result['@language'] = language;
+    const direction = def && def.direction !== undefined ? def.direction : active.direction;
+    if (direction) result['@direction'] = direction;
+  }
+  return result;
+}
+
+// ── toRdf ──
+
+/**
+ * Convert expanded JSON-LD to triples (JSON-LD 1.1 §8.1, default graph only).
+ * @param {object[]} expanded
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ */
+export function toRdf(expanded) {
+  const triples = [];
+  const blankNodes = new Map();
+  let counter = 0;
+
+  const freshBlank = () => `_:b${counter++}`;
+  const blankFor = (label) => {
+    if (!blankNodes.has(label)) blankNodes.set(label, freshBlank());
+    return blankNodes.get(label);
+  };
+  const termFor = (id) => {
+    if (typeof id !== 'string') return null;
+    if (id.startsWith('_:')) return blankFor(id);
+    return isAbsoluteIri(id) ? `<${id}>` : null;
+  };
+
+  function nodeToRdf(node) {
+    const subject = '@id' in node ? termFor(node['@id']) : freshBlank();
+    if (subject === null) return null;
+
+    for (const type of node['@type'] || []) {
+      const object = termFor(type);
+      if (object) triples.push({ subject, predicate: `<${RDF_TYPE}>`, object });
+    }
+    for (const [property, values] of Object.entries(node)) {
+      if (KEYWORDS.has(property)) continue;
+      // Blank node predicates are not valid RDF; relative IRIs were not resolvable
+      if (property.startsWith('_:') || !isAbsoluteIri(property)) continue;
+      for (const item of values) {
+        const object = objectToRdf(item);
+        if (object) triples.push({ subject, predicate: `<${property}>`, object });
+      }
+    }
+    for (const [property, values] of Object.entries(node['@reverse'] || {})) {
+      if (property.startsWith('_:') || !isAbsoluteIri(property)) continue;
+      for (const item of values) {
+        const source = nodeToRdf(item);
+        if (source) triples.push({ subject: source, predicate: `<${property}>`, object: subject });
+      }
+    }
+    for (const item of [...(node['@graph'] || []), ...(node['@included'] || [])]) {
+      if (isObject(item) && !isValueObject(item) && !isListObject(item)) nodeToRdf(item);
+    }
+    return subject;
+  }
+
+  function objectToRdf(item) {
+    if (isValueObject(item)) return valueToRdf(item);
+    if (isListObject(item)) return listToRdf(item['@list']);
+    return nodeToRdf(item);
+  }
+
+  function listToRdf(items) {
+    const terms = items.map(objectToRdf).filter(Boolean);
+    if (terms.length === 0) return `<${RDF_NIL}>`;
+    const nodes = terms.map(() => freshBlank());
+    terms.forEach((object, i) => {
+      triples.push({ subject: nodes[i], predicate: `<${RDF_FIRST}>`, object });
+      triples.push({ subject: nodes[i], predicate: `<${RDF_REST}>`, object: nodes[i + 1] || `<${RDF_NIL}>` });
+    });
+    return nodes[0];
+  }
+
+  for (const node of expanded) {
+    if (isObject(node) && !isValueObject(node) && !isListObject(node)) nodeToRdf(node);
+  }
+  return triples;
+}
+
+function valueToRdf(item) {
+  let value = item['@value'];
+  let datatype = item['@type'] ?? null;
+
+  if (datatype === '@json') return typedLiteral(canonicalJson(value), RDF_JSON);
+  if (datatype !== null && !isAbsoluteIri(datatype)) return null;
+
+  if (typeof value === 'boolean') {
+    value = String(value);
+    datatype ??= `${XSD}boolean`;
+  } else if (typeof value === 'number') {
+    if (!Number.isInteger(value) || Math.abs(value) >= 1e21 || datatype === `${XSD}double`) {
+      value = canonicalDouble(value);
+      datatype ??= `${XSD}double`;
+    } else {
+      value = String(value);
+      datatype ??= `${XSD}integer`;
+    }
+  }
+
+  if ('@language' in item) {
+    if (!/^[a-zA-Z]+(-[a-zA-Z0-9]+)*$/.test(item['@language'])) return null;
+    return `${literal(value)}@${item['@language']}`;
+  }
+  if (datatype && datatype !== `${XSD}string`) return typedLiteral(value, datatype);
+  return literal(value);
+}
+
+function canonicalDouble(n) {
+  const [mantissa, exponent] = n.toExponential().split('e');
+  return `${mantissa.includes('.') ? mantissa : `${mantissa}.0`}E${Number(exponent)}`;
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ── fromRdf ──
+
+/**
+ * Convert triples to expanded JSON-LD (JSON-LD 1.1 §8.4).
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @returns {object[]} expanded node objects
+ */
+export function fromRdf(triples) {
+  const nodes = new Map();
+  const usages = new Map();
+  const getNode = (id) => {
+    if (!nodes.has(id)) nodes.set(id, { '@id': id });
+    return nodes.get(id);
+  };
+
+  for (const t of triples) {
+    const subject = termToId(t.subject);
+    const predicate = termToId(t.predicate);
+    if (subject === null || predicate === null) continue;
+    const node = getNode(subject);
+    const objectId = termToId(t.object);
+
+    if (predicate === RDF_TYPE && objectId !== null) {
+      const types = (node['@type'] ||= []);
+      if (!types.includes(objectId)) types.push(objectId);
+      continue;
+    }
+
+    const value = objectId !== null ? { '@id': objectId } : parseLiteralTerm(t.object);
+    if (!value) continue;
+    const values = (node[predicate] ||= []);
+    const key = JSON.stringify(value);
+    if (values.some(v => JSON.stringify(v) === key)) continue;
+    values.push(value);
+
+    if (objectId !== null) {
+      getNode(objectId);
+      if (!usages.has(objectId)) usages.set(objectId, []);
+      usages.get(objectId).push({ node, property: predicate, value });
+    }
+  }
+
+  // Fold well-formed rdf:first/rdf:rest chains ending in rdf:nil into @list
+  for (const usage of usages.get(RDF_NIL) || []) {
+    let { node, property, value: head } = usage;
+    const list = [];
+    const listNodes = [];
+    while (property === RDF_REST && isWellFormedListNode(node, usages)) {
+      list.push(node[RDF_FIRST][0]);
+      listNodes.push(node['@id']);
+      ({ node, property, value: head } = usages.get(node['@id'])[0]);
+    }
+    if (property === RDF_FIRST) continue;
+    delete head['@id'];
+    head['@list'] = list.reverse();
+    for (const id of listNodes) nodes.delete(id);
+  }
+
+  return [...nodes.values()].filter(n => Object.keys(n).length > 1);
+}
+
+function isWellFormedListNode(node, usages) {
+  if (!node['@id'].startsWith('_:')) return false;
+  if ((usages.get(node['@id']) || []).length !== 1) return false;
+  if (node[RDF_FIRST]?.length !== 1 || node[RDF_REST]?.length !== 1) return false;
+  for (const key of Object.keys(node)) {
+    if (key === '@id' || key === RDF_FIRST || key === RDF_REST) continue;
+    if (key === '@type' && node['@type'].length === 1 && node['@type'][0] === `${RDF}List`) continue;
+    return false;
+  }
+  return true;
+}
+
+/** N-Triples IRI or blank node → JSON-LD identifier; null for literals. */
+function termToId(term) {
+  if (term.startsWith('<') && term.endsWith('>')) return term.slice(1, -1);
+  if (term.startsWith('_:')) return term;
+  return null;
+}
+
+/** N-Triples literal → JSON-LD value object. */
+function parseLiteralTerm(term) {
+  const lit = parseLiteral(term);
+  if (!lit) return null;
+  if (lit.language) return { '@value': lit.value, '@language': lit.language };
+  if (lit.datatype === RDF_JSON) {
+    try {
+      return { '@value': JSON.parse(lit.value), '@type': '@json' };
+    } catch {
+      // Not valid JSON; keep it as an ordinary typed literal
+    }
+  }
+  if (lit.datatype && lit.datatype !== `${XSD}string`) return { '@value': lit.value, '@type': lit.datatype };
+  return { '@value': lit.value };
+}
+
+// ── Compaction ──
+
+/**
+ * Compact an expanded document with a context (JSON-LD 1.1 §6.1).
+ * @param {object[]} expanded
+ * @param {object|string|Array} context - Context (or context URL) to compact with
+ * @param {{ loader?: Function }} [options]
+ * @returns {Promise<object>}
+ */
+export async function compact(expanded, context, { loader } = {}) {
+  const local = isObject(context) && '@context' in context ? context['@context'] : context;
+  const active = await processContext(newContext(null), local, null, loader);
+
+  let result = compactElement(active, null, expanded);
+  if (Array.isArray(result)) {
+    result = result.length === 0 ? {} : result.length === 1 ? result[0] : { [alias(active, '@graph')]: result };
+  }
+  const hasContext = isObject(local) ? Object.keys(local).length > 0 : local !== null && local !== undefined;
+  return hasContext ? { '@context': local, ...result } : result;
+}
+
+function alias(active, keyword) {
+  let best = keyword;
+  for (const [term, def] of active.terms) {
+    if (def.id === keyword && (best === keyword || term.length < best.length)) best = term;
+  }
+  return best;
+}
+
+function compactElement(active, activeProperty, element) {
+  if (isScalar(element) || element === null) return element;
+
+  if (Array.isArray(element)) {
+    const result = element.map(item => compactElement(active, activeProperty, item)).filter(v => v !== null);
+    const container = active.terms.get(activeProperty)?.container || [];
+    if (result.length === 1 && activeProperty !== '@graph' && !container.includes('@list') && !container.includes('@set')) {
+      return result[0];
+    }
+    return result;
+  }
+
+  if (isValueObject(element) || (Object.keys(element).length === 1 && '@id' in element)) {
+    const compacted = compactValue(active, activeProperty, element);
+    if (compacted !== undefined) return compacted;
+  }
+
+  const result = {};
+  if ('@id' in element) result[alias(active, '@id')] = compactIri(active, element['@id']);
+  if ('@type' in element) {
+    const types = element['@type'].map(t => compactIri(active, t, { vocab: true }));
+    const typeContainer = active.terms.get(alias(active, '@type'))?.container || [];
+    result[alias(active, '@type')] = types.length === 1 && !typeContainer.includes('@set') ? types[0] : types;
+  }
+  if ('@index' in element) result[alias(active, '@index')] = element['@index'];
+
+  for (const [property, values] of Object.entries(element)) {
+    if (property === '@id' || property === '@type' || property === '@index') continue;
+    if (property === '@graph') {
+      result[alias(active, '@graph')] = arrayify(compactElement(active, '@graph', values));
+      continue;
+    }
+    if (KEYWORDS.has(property)) continue;
+
+    if (values.length === 0) {
+      const term = compactIri(active, property, { vocab: true, value: null });
+      addValue(result, term, [], true);
+      continue;
+    }
+
+    for (const item of values) {
+      const term = compactIri(active, property, { vocab: true, value: item });
+      const container = active.terms.get(term)?.container || [];
+      const asArray = container.includes('@set') || container.includes('@list');
+
+      if (isListObject(item)) {
+        const list = arrayify(compactElement(active, term, item['@list']) ?? []);
+        if (container.includes('@list')) {
+          result[term] = list;
+        } else {
+          addValue(result, term, { [alias(active, '@list')]: list }, false);
+        }
+      } else if (container.includes('@language') && isValueObject(item) && typeof item['@value'] === 'string') {
+        const map = (result[term] ||= {});
+        addValue(map, item['@language'] ?? alias(active, '@none'), item['@value'], false);
+      } else {
+        addValue(result, term, compactElement(active, term, item), asArray);
+      }
+    }
+  }
+  return result;
+}
+
+function addValue(object, key, value, asArray) {
+  if (asArray && !Array.isArray(object[key])) object[key] = object[key] === undefined ? [] : [object[key]];
+  if (Array.isArray(value) && value.length === 0) {
+    if (object[key] === undefined) object[key] = [];
+    return;
+  }
+  if (object[key] === undefined) {
+    object[key] = asArray ? [value] : value;
+  } else {
+    object[key] = [...arrayify(object[key]), value];
+  }
+}
+
+/**
+ * Value Compaction (JSON-LD 1.1 §6.5). Returns undefined when the value
+ * is a node object that must be compacted as a map.
+ */
+function compactValue(active, activeProperty, value) {
+  const def = active.terms.get(activeProperty);
+  const language = def && def.language !== undefined ? def.language : active.language;
+
+  if (!('@value' in value)) {
+    if (def?.type === '@id') return compactIri(active, value['@id']);
+    if (def?.type === '@vocab') return compactIri(active, value['@id'], { vocab: true });
+    return { [alias(active, '@id')]: compactIri(active, value['@id']) };
+  }
+
+  const v = value['@value'];
+  if ('@type' in value) {
+    if (value['@type'] === def?.type) return v;
+    if (value['@type'] === '@json') return { [alias(active, '@value')]: v, [alias(active, '@type')]: '@json' };
+    return { [alias(active, '@value')]: v, [alias(active, '@type')]: compactIri(active, value['@type'], { vocab: true }) };
+  }
+  if ('@language' in value) {
+    if (def?.type === undefined && typeof language === 'string' && language.toLowerCase() === value['@language'].toLowerCase()) {
+      return v;
+    }
+    return { [alias(active, '@value')]: v, [alias(active, '@language')]: value['@language'] };
+  }
+  if (def?.type !== undefined || (typeof v === 'string' && language)) {
+    return { [alias(active, '@value')]: v };
+  }
+  return v;
+}
+
+/**
+ * IRI Compaction with term selection (JSON-LD 1.1 §6.2, simplified:
+ * the best-matching term is scored directly instead of via an inverse context).
+ */
+function compactIri(active, iri, { vocab = false, value = null } = {}) {
+  if (iri === null || iri === undefined) return iri;
+  if (KEYWORDS.has(iri)) return alias(active, iri);
+
+  if (vocab) {
+    let best = null;
+    let bestScore = 0;
+    for (const [term, def] of active.terms) {
+      if (def.id !== iri || def.reverse) continue;
+      const score = termScore(active, def, value);
+      if (score > bestScore || (score === bestScore && score > 0 && shorterTerm(term, best))) {
+        best = term;
+        bestScore = score;
+      }
+    }
+    if (best !== null) return best;
+
+    if (active.vocab && iri.startsWith(active.vocab) && iri.length > active.vocab.length) {
+      const suffix = iri.slice(active.vocab.length);
+      if (!active.terms.has(suffix)) return suffix;
+    }
+  }
+
+  let compactIriCandidate = null;
+  for (const [term, def] of active.terms) {
+    if (!def.prefix || !def.id || KEYWORDS.has(def.id) || def.reverse) continue;
+    if (!iri.startsWith(def.id) || iri === def.id) continue;
+    const suffix = iri.slice(def.id.length);
+    if (suffix.startsWith('//')) continue;
+    const candidate = `${term}:${suffix}`;
+    const clash = active.terms.get(candidate);
+    if (clash && !(vocab && value === null && clash.id === iri)) continue;
+    if (shorterTerm(candidate, compactIriCandidate)) compactIriCandidate = candidate;
+  }
+  return compactIriCandidate ?? iri;
+}
+
+function shorterTerm(a, b) {
+  if (b === null) return true;
+  return a.length < b.length || (a.length === b.length && a < b);
+}
+
+/**
+ * How well a term definition fits a value: 0 = unusable, higher = better.
+ */
+function termScore(active, def, value) {
+  const container = def.container;
+  if (container.some(c => c === '@index' || c === '@id' || c === '@type' || c === '@graph')) return 0;
+  const plain = def.type === undefined && def.language === undefined && !container.includes('@list') && !container.includes('@language');
+
+  if (value === null) return plain ? 2 : 1;
+
+  if (isListObject(value)) {
+    if (container.includes('@list')) return 3;
+    return def.type === undefined && !container.includes('@language') ? 1 : 0;
+  }
+  if (container.includes('@list')) return 0;
+
+  if (isValueObject(value)) {
+    if ('@type' in value) {
+      if (container.includes('@language')) return 0;
+      if (def.type === value['@type']) return 3;
+      return def.type === undefined ? 1 : 0;
+    }
+    if (def.type !== undefined) return 0;
+    if ('@language' in value) {
+      const lang = value['@language'].toLowerCase();
+      if (container.includes('@language')) return typeof value['@value'] === 'string' && !('@index' in value) ? 3 : 0;
+      if (typeof def.language === 'string' && def.language.toLowerCase() === lang) return 3;
+      if (def.language === undefined) return typeof active.language === 'string' && active.language.toLowerCase() === lang ? 2 : 1;
+      return def.language === null ? 1 : 0;
+    }
+    if (container.includes('@language')) return 0;
+    if (def.language === null) return 3;
+    if (def.language === undefined) return active.language ? 1 : 2;
+    return 0;
+  }
+
+  // Node object or reference
+  if (container.includes('@language')) return 0;
+  const isRef = Object.keys(value).length === 1;
+  if (def.type === '@id') return isRef ? 3 : 1;
+  if (def.type === '@vocab') return isRef ? 2 : 1;
+  return def.type === undefined ? 1 : 0;
+}
@@ -0,0 +1,168 @@
+/**
+ * N3 Patch (text/n3) parser and evaluator, per the Solid Protocol.
+ *
+ * A patch document describes one patch resource:
+ *
+ *   @prefix solid: <http://www.w3.org/ns/solid/terms#>.
+ *   _:rename a solid:InsertDeletePatch;
+ *     solid:where   { ?person ex:familyName "Garcia". };
+ *     solid:inserts { ?person ex:givenName "Alex". };
+ *     solid:deletes { ?person ex:givenName "Claudia". }.
+ *
+ * Rules enforced:
+ *   - exactly one patch resource, with at most one of each formula (422)
+ *   - variables in `inserts`/`deletes` must occur in `where` (422)
+ *   - `deletes` must not contain blank nodes (422)
+ *   - `where` must have exactly one solution (409)
+ *   - every triple in `deletes` must exist (409)
+ *
+ * Parsing reuses the SPARQL tokenizer and triple-pattern parser, and
+ * matching reuses the SPARQL evaluator (see sparql.js).
+ */
+import { createParser, findSolutions, instantiateTemplate } from './sparql.js';
+
+const SOLID = 'http://www.w3.org/ns/solid/terms#';
+const RDF_TYPE = '<http://www.w3.org/1999/02/22-rdf-syntax-ns#type>';
+const PATCH_TYPES = new Set([`<${SOLID}InsertDeletePatch>`, `<${SOLID}Patch>`]);
+const INSERTS = `<${SOLID}inserts>`;
+const DELETES = `<${SOLID}deletes>`;
+const WHERE = `<${SOLID}where>`;
+
+/** What may appear inside each formula. */
+const FORMULA_OPTS = {
+  [WHERE]: { allowVars: true, allowBlank: true, blankAsVar: true },
+  [INSERTS]: { allowVars: true, allowBlank: true },
+  [DELETES]: { allowVars: true },
+};
+
+/**
+ * Parse an N3 Patch document.
+ * @param {string} text
+ * @param {string} baseIri - Base IRI (the resource being patched)
+ * @returns {{ where: Array, inserts: Array, deletes: Array }}
+ * @throws {Error} with `status = 422` if the document is malformed or violates the patch rules
+ */
+export function parseN3Patch(text, baseIri) {
+  const p = createParser(text, baseIri);
+  const statements = [];
+  while (true) {
+    p.parsePrologue({ turtle: true });
+    if (p.atEnd()) break;
+    parseStatement(p, statements);
+  }
+
+  // Identify the patch resource
+  const patchSubjects = new Set();
+  for (const st of statements) {
+    if ((st.predicate === RDF_TYPE && PATCH_TYPES.has(st.object)) || st.predicate in FORMULA_OPTS) {
+      patchSubjects.add(st.subject);
+    }
+  }
+  if (patchSubjects.size !== 1) {
+    throw statusError(`Patch document must contain exactly one patch resource (found ${patchSubjects.size})`, 422);
+  }
+  const [patchSubject] = patchSubjects;
+
+  const formulas = {};
+  for (const st of statements) {
+    if (st.subject !== patchSubject || !(st.predicate in FORMULA_OPTS)) continue;
+    if (!st.formula) throw statusError(`${st.predicate} must be a formula`, 422);
+    if (formulas[st.predicate]) throw statusError(`Patch has more than one ${st.predicate}`, 422);
+    formulas[st.predicate] = st.formula;
+  }
+
+  const patch = {
+    where: formulas[WHERE] || [],
+    inserts: formulas[INSERTS] || [],
+    deletes: formulas[DELETES] || [],
+  };
+
+  const whereVars = collectVariables(patch.where);
+  for (const t of [...patch.inserts, ...patch.deletes]) {
+    for (const term of [t.subject, t.predicate, t.object]) {
+      if (term.startsWith('?') && !whereVars.has(term)) {
+        throw statusError(`Variable ${term} does not occur in solid:where`, 422);
+      }
+    }
+  }
+  return patch;
+}
+
+/**
+ * Apply a parsed N3 patch to a set of triples.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {{ where: Array, inserts: Array, deletes: Array }} patch
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ * @throws {Error} with `status = 409` if `where` doesn't match exactly once
+ *   or a triple to delete doesn't exist
+ */
+export function applyN3Patch(triples, patch) {
+  const solutions = findSolutions(triples, { triples: patch.where, filters: [] });
+  if (solutions.length !== 1) {
+    throw statusError(solutions.length === 0
+      ? 'solid:where did not match any triples'
+      : `solid:where matched ${solutions.length} times; it must match exactly once`, 409);
+  }
+  const binding = solutions[0];
+
+  const key = (t) => `${t.subject} ${t.predicate} ${t.object}`;
+  const present = new Set(triples.map(key));
+  const deleteKeys = new Set();
+  for (const t of instantiateTemplate(patch.deletes, binding)) {
+    if (!present.has(key(t))) {
+      throw statusError(`Cannot delete a triple that does not exist: ${key(t)}`, 409);
+    }
+    deleteKeys.add(key(t));
+  }
+
+  const result = triples.filter(t => !deleteKeys.has(key(t)));
+  const remaining = new Set(result.map(key));
+  for (const t of instantiateTemplate(patch.inserts, binding)) {
+    if (!remaining.has(key(t))) {
+      remaining.add(key(t));
+      result.push(t);
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse one top-level N3 statement. Objects that are formulas
+ * (`{ ... }`) are recorded on the statement as `formula`.
+ */
+function parseStatement(p, out) {
+  const opts = { allowBlank: true };
+  const subject = p.parseNode(out, opts);
+  while (true) {
+    const predicate = p.parseVerb(opts);
+    do {
+      const tok = p.peek();
+      if (tok.type === 'punct' && tok.value === '{') {
+        const formula = p.parseQuadData(FORMULA_OPTS[predicate] || FORMULA_OPTS[WHERE]);
+        out.push({ subject, predicate, object: null, formula });
+      } else {
+        out.push({ subject, predicate, object: p.parseNode(out, opts) });
+      }
+    } while (p.accept(','));
+    if (!p.accept(';')) break;
+    while (p.accept(';')) { /* repeated semicolons are allowed */ }
+    if (p.peek().type === 'punct' && p.peek().value === '.') break;
+  }
+  if (!p.accept('.') && !p.atEnd()) p.fail(`Expected "." but found "${p.peek().value}"`);
+}
+
+function collectVariables(triples) {
+  const vars = new Set();
+  for (const t of triples) {
+    for (const term of [t.subject, t.predicate, t.object]) {
+      if (term.startsWith('?')) vars.add(term);
+    }
+  }
+  return vars;
+}
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
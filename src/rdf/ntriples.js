@@ -119,6 +119,21 @@ export function unwrapLiteral(term) {
   return match ? match[1].replace(/\\"/g, '"').replace(/\\\\/g, '\\') : term;
 }
 
+/**
+ * Split an N-Triples literal into its parts, decoding escape sequences.
+ * @param {string} term - e.g. `"chat"@fr` or `"1"^^<http://www.w3.org/2001/XMLSchema#integer>`
+ * @returns {{ value: string, language: string|null, datatype: string|null }|null} null if not a literal
+ */
+export function parseLiteral(term) {
+  const m = term.match(/^"((?:[^"\\]|\\.)*)"(?:@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)|\^\^<([^>]*)>)?$/);
+  if (!m) return null;
+  const value = m[1].replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, (_, e) => {
+    if (e.length > 1) return String.fromCodePoint(parseInt(e.slice(1), 16));
+    return { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f' }[e] ?? e;
+  });
+  return { value, language: m[2] || null, datatype: m[3] || null };
+}
+
 function escapeNTriples(str) {
   return str
     .replace(/\\/g, '\\\\')
@@ -10,6 +10,7 @@ export const PREFIXES = {
   acp: 'http://www.w3.org/ns/solid/acp#',
   foaf: 'http://xmlns.com/foaf/0.1/',
   solid: 'http://www.w3.org/ns/solid/terms#',
+  notify: 'http://www.w3.org/ns/solid/notifications#',
   dcterms: 'http://purl.org/dc/terms/',
   vcard: 'http://www.w3.org/2006/vcard/ns#',
   space: 'http://www.w3.org/ns/pim/space#',
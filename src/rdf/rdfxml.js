@@ -0,0 +1,490 @@
+/**
+ * RDF/XML parser and serializer.
+ *
+ * Workers have no DOMParser, so this module carries a small XML reader
+ * (elements, attributes, namespaces, CDATA, comments, character and
+ * entity references, including `<!ENTITY>` declarations in an internal
+ * DOCTYPE subset, which tools like Protégé emit for namespace IRIs).
+ *
+ * Parsing follows the RDF 1.1 XML Syntax grammar:
+ *   - node elements with `rdf:about` / `rdf:ID` / `rdf:nodeID`, typed
+ *     node elements and property attributes
+ *   - property elements with `rdf:resource`, `rdf:nodeID`, `rdf:datatype`,
+ *     `xml:lang`, nested node elements and property attributes
+ *   - `rdf:parseType="Resource" | "Collection" | "Literal"`
+ *   - `rdf:li` container membership and `rdf:ID` reification
+ *   - `xml:base` scoping
+ *
+ * Serialization writes one `rdf:Description` per subject with
+ * namespace declarations taken from the known prefixes.
+ */
+import { literal, typedLiteral, parseLiteral } from './ntriples.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+/** rdf: names that are syntax, not properties or classes. */
+const SYNTAX_ATTRS = new Set(['about', 'ID', 'nodeID', 'resource', 'parseType', 'datatype']);
+/** Unqualified attributes the spec maps into the rdf: namespace. */
+const LEGACY_ATTRS = new Set(['about', 'ID', 'resource', 'parseType', 'type']);
+const FORBIDDEN_NODE_NAMES = new Set(['RDF', 'ID', 'about', 'bagID', 'parseType', 'resource', 'nodeID', 'datatype', 'li', 'aboutEach', 'aboutEachPrefix']);
+
+const NAME_START = 'A-Za-z_\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+const NAME_CHAR = `${NAME_START}\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const QNAME_RE = new RegExp(`[${NAME_START}:][${NAME_CHAR}:]*`, 'y');
+const NCNAME_SUFFIX_RE = new RegExp(`[${NAME_START}][${NAME_CHAR}]*$`);
+
+// ── XML reader ──
+
+/**
+ * Parse XML into a tree of `{ name, attrs, children, contentStart, contentEnd, pos }`
+ * elements; text children are strings.
+ */
+function parseXml(text) {
+  let pos = 0;
+  const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+  function fail(message, at = pos) {
+    const before = text.slice(0, at);
+    const line = (before.match(/\n/g) || []).length + 1;
+    const column = at - before.lastIndexOf('\n');
+    const err = new Error(`RDF/XML syntax error at line ${line}, column ${column}: ${message}`);
+    err.status = 400;
+    throw err;
+  }
+
+  function decode(raw, at) {
+    return raw.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|[^;&\s]+);/g, (_, ref) => {
+      if (ref[0] === '#') {
+        const cp = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+        if (!(cp > 0 && cp <= 0x10FFFF)) fail(`invalid character reference &${ref};`, at);
+        return String.fromCodePoint(cp);
+      }
+      if (!(ref in entities)) fail(`undefined entity &${ref};`, at);
+      return entities[ref];
+    });
+  }
+
+  function skipSpace() {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  }
+
+  function readName() {
+    QNAME_RE.lastIndex = pos;
+    const m = QNAME_RE.exec(text);
+    if (!m) fail('expected a name');
+    pos = QNAME_RE.lastIndex;
+    return m[0];
+  }
+
+  function skipMisc() {
+    while (true) {
+      skipSpace();
+      if (text.startsWith('<?', pos)) {
+        const end = text.indexOf('?>', pos);
+        if (end < 0) fail('unterminated processing instruction');
+        pos = end + 2;
+      } else if (text.startsWith('<!--', pos)) {
+        const end = text.indexOf('-->', pos);
+        if (end < 0) fail('unterminated comment');
+        pos = end + 3;
+      } else if (text.startsWith('<!DOCTYPE', pos)) {
+        readDoctype();
+      } else {
+        return;
+      }
+    }
+  }
+
+  function readDoctype() {
+    const start = pos;
+    pos += 9;
+    while (pos < text.length && text[pos] !== '[' && text[pos] !== '>') pos++;
+    if (text[pos] === '[') {
+      const end = text.indexOf(']', pos);
+      if (end < 0) fail('unterminated DOCTYPE', start);
+      const subset = text.slice(pos + 1, end);
+      for (const m of subset.matchAll(/<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g)) {
+        entities[m[1]] = decode(m[2] ?? m[3], start);
+      }
+      pos = end + 1;
+      while (pos < text.length && text[pos] !== '>') pos++;
+    }
+    if (text[pos] !== '>') fail('unterminated DOCTYPE', start);
+    pos++;
+  }
+
+  function readElement() {
+    const start = pos;
+    if (text[pos] !== '<') fail('expected an element');
+    pos++;
+    const name = readName();
+    const attrs = [];
+    while (true) {
+      skipSpace();
+      if (text.startsWith('/>', pos)) {
+        pos += 2;
+        return { name, attrs, children: [], contentStart: pos, contentEnd: pos, pos: start };
+      }
+      if (text[pos] === '>') { pos++; break; }
+      if (pos >= text.length) fail('unterminated start tag', start);
+      const attrPos = pos;
+      const attrName = readName();
+      skipSpace();
+      if (text[pos] !== '=') fail(`expected "=" after attribute ${attrName}`);
+      pos++;
+      skipSpace();
+      const q = text[pos];
+      if (q !== '"' && q !== "'") fail('expected a quoted attribute value');
+      const end = text.indexOf(q, pos + 1);
+      if (end < 0) fail('unterminated attribute value', attrPos);
+      const raw = text.slice(pos + 1, end);
+      if (raw.includes('<')) fail('"<" not allowed in attribute value', attrPos);
+      if (attrs.some(a => a.name === attrName)) fail(`duplicate attribute ${attrName}`, attrPos);
+      // Attribute-value normalization: literal whitespace characters become spaces
+      attrs.push({ name: attrName, value: decode(raw.replace(/[\t\n\r]/g, ' '), attrPos) });
+      pos = end + 1;
+    }
+
+    const contentStart = pos;
+    const children = [];
+    while (true) {
+      if (pos >= text.length) fail(`unclosed element <${name}>`, start);
+      if (text.startsWith('</', pos)) {
+        const contentEnd = pos;
+        pos += 2;
+        const closing = readName();
+        if (closing !== name) fail(`expected </${name}> but found </${closing}>`);
+        skipSpace();
+        if (text[pos] !== '>') fail('expected ">"');
+        pos++;
+        return { name, attrs, children, contentStart, contentEnd, pos: start };
+      }
+      if (text.startsWith('<!--', pos)) {
+        const end = text.indexOf('-->', pos);
+        if (end < 0) fail('unterminated comment');
+        pos = end + 3;
+      } else if (text.startsWith('<![CDATA[', pos)) {
+        const end = text.indexOf(']]>', pos);
+        if (end < 0) fail('unterminated CDATA section');
+        children.push(text.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (text.startsWith('<?', pos)) {
+        const end = text.indexOf('?>', pos);
+        if (end < 0) fail('unterminated processing instruction');
+        pos = end + 2;
+      } else if (text[pos] === '<') {
+        children.push(readElement());
+      } else {
+        const end = text.indexOf('<', pos);
+        const stop = end < 0 ? text.length : end;
+        children.push(decode(text.slice(pos, stop), pos));
+        pos = stop;
+      }
+    }
+  }
+
+  skipMisc();
+  if (pos >= text.length) fail('document has no root element');
+  const root = readElement();
+  skipMisc();
+  if (pos < text.length) fail('content after the root element');
+  return { root, fail };
+}
+
+// ── RDF/XML grammar ──
+
+/**
+ * Parse an RDF/XML document into triples.
+ * @param {string} text
+ * @param {string} [baseIri] - base IRI for relative references
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ * @throws {Error} with `status = 400` on malformed XML or RDF/XML
+ */
+export function parseRdfXml(text, baseIri = '') {
+  const { root, fail } = parseXml(text);
+  const triples = [];
+  const nodeIds = new Map();
+  let genId = 0;
+
+  const emit = (subject, predicate, object) => triples.push({ subject, predicate, object });
+  const newBlankNode = () => `_:genid${++genId}`;
+  const blankFor = (id, el) => {
+    if (!isNcName(id)) fail(`invalid rdf:nodeID "${id}"`, el.pos);
+    if (!nodeIds.has(id)) nodeIds.set(id, /^u*genid\d+$/.test(id) ? `_:u${id}` : `_:${id}`);
+    return nodeIds.get(id);
+  };
+
+  function resolve(iri, scope) {
+    if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(iri) || !scope.base) return iri;
+    try {
+      return new URL(iri, scope.base).href;
+    } catch {
+      return iri;
+    }
+  }
+
+  /** Apply xmlns / xml:base / xml:lang and expand element and attribute names. */
+  function enter(el, parent) {
+    const scope = { ns: { ...parent.ns }, base: parent.base, lang: parent.lang };
+    for (const a of el.attrs) {
+      if (a.name === 'xmlns') scope.ns[''] = a.value;
+      else if (a.name.startsWith('xmlns:')) scope.ns[a.name.slice(6)] = a.value;
+    }
+    const expand = (qname, isAttr) => {
+      const idx = qname.indexOf(':');
+      if (idx < 0) {
+        if (isAttr) return null;
+        if (scope.ns[''] === undefined) fail(`element <${qname}> has no namespace`, el.pos);
+        return scope.ns[''] + qname;
+      }
+      const prefix = qname.slice(0, idx);
+      if (prefix === 'xml') return XML_NS + qname.slice(idx + 1);
+      if (scope.ns[prefix] === undefined) fail(`undeclared namespace prefix "${prefix}"`, el.pos);
+      return scope.ns[prefix] + qname.slice(idx + 1);
+    };
+
+    const attrs = [];
+    for (const a of el.attrs) {
+      if (a.name === 'xmlns' || a.name.startsWith('xmlns:')) continue;
+      let iri = expand(a.name, true);
+      if (iri === null) {
+        if (!LEGACY_ATTRS.has(a.name)) continue;
+        iri = RDF + a.name;
+      }
+      if (iri === `${XML_NS}base`) scope.base = resolve(a.value, scope).split('#')[0];
+      else if (iri === `${XML_NS}lang`) scope.lang = a.value || null;
+      else if (!iri.startsWith(XML_NS) && !iri.startsWith(XMLNS_NS)) attrs.push({ iri, value: a.value });
+    }
+    return { scope, iri: expand(el.name, false), attrs };
+  }
+
+  const elementChildren = (el) => {
+    const els = [];
+    for (const c of el.children) {
+      if (typeof c === 'string') {
+        if (c.trim()) fail('unexpected text between elements', el.pos);
+      } else {
+        els.push(c);
+      }
+    }
+    return els;
+  };
+
+  const plainLiteral = (value, scope) => (scope.lang ? `${literal(value)}@${scope.lang}` : literal(value));
+
+  function nodeElement(el, parentScope) {
+    const { scope, iri, attrs } = enter(el, parentScope);
+    if (iri.startsWith(RDF) && FORBIDDEN_NODE_NAMES.has(iri.slice(RDF.length))) {
+      fail(`rdf:${iri.slice(RDF.length)} is not allowed as a node element`, el.pos);
+    }
+    const get = (name) => attrs.find(a => a.iri === RDF + name)?.value;
+    const about = get('about');
+    const id = get('ID');
+    const nodeId = get('nodeID');
+    if ([about, id, nodeId].filter(v => v !== undefined).length > 1) {
+      fail('only one of rdf:about, rdf:ID and rdf:nodeID is allowed', el.pos);
+    }
+
+    let subject;
+    if (id !== undefined) subject = `<${resolve(`#${id}`, scope)}>`;
+    else if (nodeId !== undefined) subject = blankFor(nodeId, el);
+    else if (about !== undefined) subject = `<${resolve(about, scope)}>`;
+    else subject = newBlankNode();
+
+    if (iri !== `${RDF}Description`) emit(subject, `<${RDF}type>`, `<${iri}>`);
+    propertyAttributes(subject, attrs, scope, el);
+
+    let li = 1;
+    for (const child of elementChildren(el)) li = propertyElement(child, subject, scope, li);
+    return subject;
+  }
+
+  function propertyAttributes(subject, attrs, scope, el) {
+    for (const a of attrs) {
+      if (a.iri.startsWith(RDF) && SYNTAX_ATTRS.has(a.iri.slice(RDF.length))) continue;
+      if (a.iri === `${RDF}li`) fail('rdf:li is not allowed as an attribute', el.pos);
+      if (a.iri === `${RDF}type`) emit(subject, `<${RDF}type>`, `<${resolve(a.value, scope)}>`);
+      else emit(subject, `<${a.iri}>`, plainLiteral(a.value, scope));
+    }
+  }
+
+  /** Returns the next rdf:li index. */
+  function propertyElement(el, subject, parentScope, li) {
+    const { scope, iri, attrs } = enter(el, parentScope);
+    let predicate = iri;
+    if (iri === `${RDF}li`) predicate = `${RDF}_${li++}`;
+    if (iri.startsWith(RDF) && ['Description', 'RDF', 'ID', 'about', 'bagID', 'parseType', 'resource', 'nodeID', 'aboutEach', 'aboutEachPrefix'].includes(iri.slice(RDF.length))) {
+      fail(`rdf:${iri.slice(RDF.length)} is not allowed as a property element`, el.pos);
+    }
+    const get = (name) => attrs.find(a => a.iri === RDF + name)?.value;
+    const id = get('ID');
+    const parseType = get('parseType');
+    const resource = get('resource');
+    const nodeId = get('nodeID');
+    const datatype = get('datatype');
+    const propAttrs = attrs.filter(a => !(a.iri.startsWith(RDF) && SYNTAX_ATTRS.has(a.iri.slice(RDF.length))));
+    const p = `<${predicate}>`;
+
+    let object;
+    if (parseType !== undefined) {
+      if (parseType === 'Resource') {
+        object = newBlankNode();
+        emit(subject, p, object);
+        let innerLi = 1;
+        for (const child of elementChildren(el)) innerLi = propertyElement(child, object, scope, innerLi);
+      } else if (parseType === 'Collection') {
+        const items = elementChildren(el).map(child => nodeElement(child, scope));
+        object = `<${RDF}nil>`;
+        for (let i = items.length - 1; i >= 0; i--) {
+          const node = newBlankNode();
+          emit(node, `<${RDF}first>`, items[i]);
+          emit(node, `<${RDF}rest>`, object);
+          object = node;
+        }
+        emit(subject, p, object);
+      } else {
+        object = typedLiteral(text.slice(el.contentStart, el.contentEnd), `${RDF}XMLLiteral`);
+        emit(subject, p, object);
+      }
+    } else {
+      const childEls = el.children.filter(c => typeof c !== 'string');
+      const textContent = el.children.filter(c => typeof c === 'string').join('');
+      if (childEls.length > 0) {
+        if (childEls.length > 1 || textContent.trim()) fail('a property element may contain only one node element', el.pos);
+        if (resource !== undefined || nodeId !== undefined || datatype !== undefined || propAttrs.length) {
+          fail('a property element with a node element may not have resource or property attributes', el.pos);
+        }
+        object = nodeElement(childEls[0], scope);
+      } else if (textContent !== '' || (resource === undefined && nodeId === undefined && propAttrs.length === 0)) {
+        if (resource !== undefined || nodeId !== undefined) fail('a literal property element may not have rdf:resource or rdf:nodeID', el.pos);
+        object = datatype !== undefined
+          ? typedLiteral(textContent, resolve(datatype, scope))
+          : plainLiteral(textContent, scope);
+      } else {
+        if (resource !== undefined && nodeId !== undefined) fail('rdf:resource and rdf:nodeID are mutually exclusive', el.pos);
+        if (resource !== undefined) object = `<${resolve(resource, scope)}>`;
+        else if (nodeId !== undefined) object = blankFor(nodeId, el);
+        else object = newBlankNode();
+        propertyAttributes(object, propAttrs, scope, el);
+      }
+      emit(subject, p, object);
+    }
+
+    if (id !== undefined) {
+      const statement = `<${resolve(`#${id}`, scope)}>`;
+      emit(statement, `<${RDF}type>`, `<${RDF}Statement>`);
+      emit(statement, `<${RDF}subject>`, subject);
+      emit(statement, `<${RDF}predicate>`, p);
+      emit(statement, `<${RDF}object>`, object);
+    }
+    return li;
+  }
+
+  const topScope = { ns: {}, base: baseIri ? baseIri.split('#')[0] : '', lang: null };
+  const { iri: rootIri, scope: rootScope } = enter(root, topScope);
+  if (rootIri === `${RDF}RDF`) {
+    for (const child of elementChildren(root)) nodeElement(child, rootScope);
+  } else {
+    nodeElement(root, topScope);
+  }
+  return triples;
+}
+
+// ── Serializer ──
+
+/**
+ * Serialize triples to RDF/XML.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {Object<string, string>} [prefixes] - prefix name → namespace IRI, used for element names
+ * @returns {string}
+ * @throws {Error} with `status = 406` if a predicate cannot be written as an XML name
+ */
+export function serializeRdfXml(triples, prefixes = {}) {
+  const namespaces = new Map([[RDF, 'rdf']]);
+  const known = Object.entries(prefixes)
+    .filter(([name, ns]) => ns !== RDF && /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name))
+    .sort((a, b) => b[1].length - a[1].length);
+  let generated = 0;
+
+  function qname(iri) {
+    for (const [ns, prefix] of namespaces) {
+      if (iri.startsWith(ns) && isNcName(iri.slice(ns.length))) return `${prefix}:${iri.slice(ns.length)}`;
+    }
+    for (const [name, ns] of known) {
+      if (iri.startsWith(ns) && isNcName(iri.slice(ns.length)) && ![...namespaces.values()].includes(name)) {
+        namespaces.set(ns, name);
+        return `${name}:${iri.slice(ns.length)}`;
+      }
+    }
+    const local = NCNAME_SUFFIX_RE.exec(iri)?.[0];
+    if (!local || local.length === iri.length) {
+      const err = new Error(`Predicate <${iri}> cannot be expressed in RDF/XML`);
+      err.status = 406;
+      throw err;
+    }
+    const ns = iri.slice(0, iri.length - local.length);
+    let prefix;
+    do { prefix = `ns${generated++}`; } while ([...namespaces.values()].includes(prefix));
+    namespaces.set(ns, prefix);
+    return `${prefix}:${local}`;
+  }
+
+  const bySubject = new Map();
+  for (const t of triples) {
+    if (!bySubject.has(t.subject)) bySubject.set(t.subject, []);
+    bySubject.get(t.subject).push(t);
+  }
+
+  const body = [];
+  for (const [subject, subjectTriples] of bySubject) {
+    const subjectAttr = subject.startsWith('_:')
+      ? `rdf:nodeID="${escapeAttr(subject.slice(2))}"`
+      : `rdf:about="${escapeAttr(subject.slice(1, -1))}"`;
+    body.push(`  <rdf:Description ${subjectAttr}>`);
+    for (const t of subjectTriples) {
+      const name = qname(t.predicate.slice(1, -1));
+      const o = t.object;
+      if (o.startsWith('<')) {
+        body.push(`    <${name} rdf:resource="${escapeAttr(o.slice(1, -1))}"/>`);
+      } else if (o.startsWith('_:')) {
+        body.push(`    <${name} rdf:nodeID="${escapeAttr(o.slice(2))}"/>`);
+      } else {
+        const lit = parseLiteral(o) || { value: o, language: null, datatype: null };
+        if (lit.datatype === `${RDF}XMLLiteral`) {
+          body.push(`    <${name} rdf:parseType="Literal">${lit.value}</${name}>`);
+        } else if (lit.language) {
+          body.push(`    <${name} xml:lang="${escapeAttr(lit.language)}">${escapeText(lit.value)}</${name}>`);
+        } else if (lit.datatype) {
+          body.push(`    <${name} rdf:datatype="${escapeAttr(lit.datatype)}">${escapeText(lit.value)}</${name}>`);
+        } else {
+          body.push(`    <${name}>${escapeText(lit.value)}</${name}>`);
+        }
+      }
+    }
+    body.push('  </rdf:Description>');
+  }
+
+  const xmlns = [...namespaces].map(([ns, prefix]) => `xmlns:${prefix}="${escapeAttr(ns)}"`);
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<rdf:RDF ${xmlns.join('\n         ')}>`,
+    ...body,
+    '</rdf:RDF>',
+    '',
+  ].join('\n');
+}
+
+function isNcName(s) {
+  const m = NCNAME_SUFFIX_RE.exec(s);
+  return !!m && m[0].length === s.length;
+}
+
+function escapeText(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#13;');
+}
+
+function escapeAttr(s) {
+  return escapeText(s).replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;');
+}
@@ -0,0 +1,149 @@
+/**
+ * SPARQL 1.1 query result formats.
+ *
+ * The s20e orchestrator returns every result as SPARQL JSON
+ * (`{ head: { vars }, results: { bindings } }`, or `{ head, boolean }` for
+ * ASK). This module converts that into the other result formats and, for
+ * CONSTRUCT/DESCRIBE (bindings of `?s ?p ?o`), back into triples:
+ *   - `application/sparql-results+json` — as returned
+ *   - `application/sparql-results+xml`  — SPARQL Query Results XML Format
+ *   - `text/csv`                        — values only, RFC 4180 quoting
+ *   - `text/tab-separated-values`       — values in N-Triples syntax
+ *
+ * CSV and TSV have no way to express an ASK result.
+ */
+import { literal } from './ntriples.js';
+
+export const SELECT_RESULT_TYPES = [
+  'application/sparql-results+json',
+  'application/sparql-results+xml',
+  'text/csv',
+  'text/tab-separated-values',
+];
+
+export const ASK_RESULT_TYPES = SELECT_RESULT_TYPES.slice(0, 2);
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+/**
+ * Serialize a SPARQL JSON result in the given format.
+ * @param {object} result - SPARQL JSON results object
+ * @param {string} contentType - one of SELECT_RESULT_TYPES
+ * @returns {string}
+ */
+export function serializeSparqlResults(result, contentType) {
+  switch (contentType) {
+    case 'application/sparql-results+xml':
+      return toXml(result);
+    case 'text/csv':
+      return toCsv(result);
+    case 'text/tab-separated-values':
+      return toTsv(result);
+    default:
+      return JSON.stringify(result);
+  }
+}
+
+/**
+ * Convert SPARQL JSON bindings of `?s ?p ?o` (or `?subject ?predicate ?object`) to triples.
+ * @param {object} sparqlJson
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ */
+export function sparqlJsonToTriples(sparqlJson) {
+  const triples = [];
+  if (!sparqlJson.results || !sparqlJson.results.bindings) return triples;
+  for (const binding of sparqlJson.results.bindings) {
+    const s = termToNT(binding.s || binding.subject);
+    const p = termToNT(binding.p || binding.predicate);
+    const o = termToNT(binding.o || binding.object);
+    if (s && p && o) triples.push({ subject: s, predicate: p, object: o });
+  }
+  return triples;
+}
+
+/** Convert a SPARQL JSON term to N-Triples notation (null if unbound or unknown). */
+function termToNT(term) {
+  if (!term) return null;
+  if (term.type === 'uri') return `<${term.value}>`;
+  if (term.type === 'bnode') return `_:${term.value}`;
+  if (term.type === 'literal' || term.type === 'typed-literal') {
+    let nt = literal(term.value);
+    if (term['xml:lang']) nt += `@${term['xml:lang']}`;
+    else if (term.datatype && term.datatype !== XSD_STRING) nt += `^^<${term.datatype}>`;
+    return nt;
+  }
+  return null;
+}
+
+// ── XML ──
+
+function toXml(result) {
+  const vars = result.head?.vars || [];
+  const lines = [
+    '<?xml version="1.0"?>',
+    '<sparql xmlns="http://www.w3.org/2005/sparql-results#">',
+    '  <head>',
+    ...vars.map(v => `    <variable name="${escapeXml(v)}"/>`),
+    '  </head>',
+  ];
+  if (typeof result.boolean === 'boolean') {
+    lines.push(`  <boolean>${result.boolean}</boolean>`);
+  } else {
+    lines.push('  <results>');
+    for (const binding of result.results?.bindings || []) {
+      lines.push('    <result>');
+      for (const [name, term] of Object.entries(binding)) {
+        lines.push(`      <binding name="${escapeXml(name)}">${termToXml(term)}</binding>`);
+      }
+      lines.push('    </result>');
+    }
+    lines.push('  </results>');
+  }
+  lines.push('</sparql>', '');
+  return lines.join('\n');
+}
+
+function termToXml(term) {
+  if (term.type === 'uri') return `<uri>${escapeXml(term.value)}</uri>`;
+  if (term.type === 'bnode') return `<bnode>${escapeXml(term.value)}</bnode>`;
+  let attrs = '';
+  if (term['xml:lang']) attrs = ` xml:lang="${escapeXml(term['xml:lang'])}"`;
+  else if (term.datatype) attrs = ` datatype="${escapeXml(term.datatype)}"`;
+  return `<literal${attrs}>${escapeXml(term.value)}</literal>`;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ── CSV / TSV ──
+
+function toCsv(result) {
+  const vars = result.head?.vars || [];
+  const rows = [vars.map(csvField).join(',')];
+  for (const binding of result.results?.bindings || []) {
+    rows.push(vars.map(v => {
+      const term = binding[v];
+      if (!term) return '';
+      return csvField(term.type === 'bnode' ? `_:${term.value}` : term.value);
+    }).join(','));
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toTsv(result) {
+  const vars = result.head?.vars || [];
+  const rows = [vars.map(v => `?${v}`).join('\t')];
+  for (const binding of result.results?.bindings || []) {
+    rows.push(vars.map(v => termToNT(binding[v]) ?? '').join('\t'));
+  }
+  return rows.join('\n') + '\n';
+}
@@ -0,0 +1,1168 @@
+/**
+ * SPARQL 1.1 Update parser and evaluator over in-memory triples.
+ *
+ * Terms use the same N-Triples notation as the rest of the codebase
+ * (`<iri>`, `"lit"@lang`, `"lit"^^<dt>`, `_:b0`); variables are `?name`.
+ *
+ * Supported:
+ *   - `PREFIX` / `BASE` prologue, prefixed names, the `a` keyword
+ *   - `INSERT DATA`, `DELETE DATA`, `DELETE WHERE`,
+ *     `DELETE { } INSERT { } WHERE { }` (either template optional)
+ *   - Multiple operations separated by `;` (applied in order)
+ *   - Triple patterns with `;` / `,` lists, `[ ]` blank node property
+ *     lists, `( )` collections, numeric/boolean literals
+ *   - WHERE basic graph patterns with `FILTER` (comparisons, arithmetic,
+ *     `&&`/`||`/`!`, `IN`, `EXISTS`, and common built-in functions)
+ *   - Blank nodes: fresh per solution in INSERT, variables in WHERE
+ *
+ * Not supported (rejected as malformed): named graphs (`GRAPH`, `WITH`,
+ * `USING`), `OPTIONAL`, `UNION`, `MINUS`, `BIND`, `VALUES`, property paths,
+ * and graph management operations (`LOAD`, `CLEAR`, `DROP`, ...).
+ *
+ * Errors carry an HTTP status: 422 for malformed or unsupported updates,
+ * 409 when a WHERE clause matches nothing.
+ *
+ * The tokenizer, triple-pattern parser and matching engine are also used
+ * by the N3 Patch implementation (n3-patch.js) through createParser(),
+ * findSolutions() and instantiateTemplate(). The SPARQL query endpoint
+ * uses parseQueryHeader() to find a query's form and dataset clauses;
+ * queries themselves are evaluated by the s20e orchestrator.
+ */
+import { literal, typedLiteral } from './ntriples.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/** Upper bound on intermediate solutions, to keep a Worker within its limits. */
+const MAX_SOLUTIONS = 50000;
+
+const NUMERIC_TYPES = new Set([
+  'integer', 'decimal', 'double', 'float', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'positiveInteger', 'negativeInteger', 'nonPositiveInteger',
+  'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte',
+].map(t => XSD + t));
+
+const QUERY_FORMS = new Set(['SELECT', 'CONSTRUCT', 'ASK', 'DESCRIBE']);
+
+const UNSUPPORTED_KEYWORDS = new Set([
+  'GRAPH', 'WITH', 'USING', 'OPTIONAL', 'UNION', 'MINUS', 'BIND', 'VALUES', 'SERVICE',
+  'LOAD', 'CLEAR', 'DROP', 'CREATE', 'ADD', 'MOVE', 'COPY',
+]);
+
+const BUILTINS = {
+  STR: 1, LANG: 1, LANGMATCHES: 2, DATATYPE: 1, BOUND: 1, SAMETERM: 2,
+  ISIRI: 1, ISURI: 1, ISBLANK: 1, ISLITERAL: 1, ISNUMERIC: 1,
+  REGEX: [2, 3], CONTAINS: 2, STRSTARTS: 2, STRENDS: 2, STRLEN: 1,
+  LCASE: 1, UCASE: 1, CONCAT: [0, Infinity], COALESCE: [0, Infinity], IF: 3,
+};
+
+// ── Public API ───────────────────────────────────────
+
+/**
+ * Parse a SPARQL Update request.
+ * @param {string} text - SPARQL Update text
+ * @param {string} baseIri - Base IRI for relative references (the target resource)
+ * @returns {{ operations: Array<object> }}
+ * @throws {Error} with `status = 422` if the update is malformed or unsupported
+ */
+export function parseSparqlUpdate(text, baseIri) {
+  const p = createParser(text, baseIri);
+  const operations = [];
+  while (true) {
+    p.parsePrologue();
+    if (p.atEnd()) break;
+    operations.push(p.parseUpdateOperation());
+    if (!p.accept(';')) break;
+  }
+  if (!p.atEnd()) p.fail(`Unexpected "${p.peek().value}"`);
+  return { operations };
+}
+
+/**
+ * Read the header of a SPARQL query: its form and dataset clauses, and
+ * where those clauses sit in the text so a caller can replace them.
+ * The rest of the query is not validated.
+ * @param {string} text - SPARQL query text
+ * @param {string} baseIri - Base IRI for relative references
+ * @returns {{ form: string, from: string[], fromNamed: string[], datasetStart: number, datasetEnd: number }}
+ * @throws {Error} with `status = 422` if the text does not start like a SELECT, CONSTRUCT, ASK or DESCRIBE query
+ */
+export function parseQueryHeader(text, baseIri) {
+  return createParser(text, baseIri).parseQueryHeader();
+}
+
+/**
+ * Apply a parsed update to a set of triples.
+ * Each operation sees the result of the previous one.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {{ operations: Array<object> }} update
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ * @throws {Error} with `status = 409` if a WHERE clause has no solutions
+ */
+export function applySparqlUpdate(triples, update) {
+  let current = dedupe(triples);
+  for (const op of update.operations) {
+    current = applyOperation(current, op);
+  }
+  return current;
+}
+
+/**
+ * Find all solutions of a group pattern ({ triples, filters }) in a set of triples.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {{ triples: Array, filters: Array }} group
+ * @returns {Array<object>} Bindings from variable (`?name`) to term
+ */
+export function findSolutions(triples, group) {
+  return evaluateGroup(indexGraph(triples), group, [{}]);
+}
+
+/**
+ * Substitute a binding into template triples. Triples with unbound
+ * variables are skipped; blank nodes are replaced by fresh ones.
+ * @param {Array} template
+ * @param {object} binding
+ * @returns {Array<{subject: string, predicate: string, object: string}>}
+ */
+export function instantiateTemplate(template, binding) {
+  return instantiate(template, binding, freshBlankNodes());
+}
+
+// ── Evaluation ───────────────────────────────────────
+
+function applyOperation(triples, op) {
+  let toDelete = [];
+  let toInsert = [];
+
+  if (op.type === 'insertData') {
+    toInsert = instantiate(op.insert, {}, freshBlankNodes());
+  } else if (op.type === 'deleteData') {
+    toDelete = op.delete;
+  } else {
+    const graph = indexGraph(triples);
+    const solutions = evaluateGroup(graph, op.where, [{}]);
+    if (solutions.length === 0) {
+      throw statusError('WHERE clause did not match any triples', 409);
+    }
+    for (const binding of solutions) {
+      toDelete.push(...instantiate(op.delete, binding, null));
+      toInsert.push(...instantiate(op.insert, binding, freshBlankNodes()));
+    }
+  }
+
+  const deleteKeys = new Set(toDelete.map(tripleKey));
+  const result = triples.filter(t => !deleteKeys.has(tripleKey(t)));
+  const present = new Set(result.map(tripleKey));
+  for (const t of toInsert) {
+    const key = tripleKey(t);
+    if (!present.has(key)) {
+      present.add(key);
+      result.push(t);
+    }
+  }
+  return result;
+}
+
+/**
+ * Evaluate a group graph pattern ({ triples, filters }) against a graph,
+ * extending each of the given input bindings.
+ */
+function evaluateGroup(graph, group, inputs) {
+  let solutions = evaluateBgp(graph, group.triples, inputs);
+  for (const filter of group.filters) {
+    solutions = solutions.filter(b => {
+      try {
+        return effectiveBoolean(evaluateExpression(filter, b, graph));
+      } catch (e) {
+        if (e instanceof ExpressionError) return false;
+        throw e;
+      }
+    });
+  }
+  return solutions;
+}
+
+function evaluateBgp(graph, patterns, inputs) {
+  let solutions = inputs;
+  const remaining = [...patterns];
+  while (remaining.length > 0 && solutions.length > 0) {
+    // Evaluate the most constrained pattern next
+    const bound = solutions[0];
+    let best = 0;
+    let bestScore = -1;
+    remaining.forEach((pat, idx) => {
+      const score = ['subject', 'predicate', 'object']
+        .filter(pos => !isVariable(pat[pos]) || bound[pat[pos]] !== undefined).length;
+      if (score > bestScore) { best = idx; bestScore = score; }
+    });
+    const pattern = remaining.splice(best, 1)[0];
+
+    const next = [];
+    for (const binding of solutions) {
+      for (const triple of candidates(graph, pattern, binding)) {
+        const extended = matchTriple(pattern, triple, binding);
+        if (extended) next.push(extended);
+      }
+      if (next.length > MAX_SOLUTIONS) {
+        throw statusError('WHERE clause produced too many solutions', 422);
+      }
+    }
+    solutions = next;
+  }
+  return solutions;
+}
+
+function candidates(graph, pattern, binding) {
+  const s = resolve(pattern.subject, binding);
+  if (s !== null) return graph.bySubject.get(s) || [];
+  const p = resolve(pattern.predicate, binding);
+  if (p !== null) return graph.byPredicate.get(p) || [];
+  return graph.triples;
+}
+
+function matchTriple(pattern, triple, binding) {
+  let result = binding;
+  for (const pos of ['subject', 'predicate', 'object']) {
+    const term = pattern[pos];
+    if (isVariable(term)) {
+      const current = result[term];
+      if (current === undefined) {
+        if (result === binding) result = { ...binding };
+        result[term] = triple[pos];
+      } else if (current !== triple[pos]) {
+        return null;
+      }
+    } else if (term !== triple[pos]) {
+      return null;
+    }
+  }
+  return result;
+}
+
+/** Substitute a binding into template triples, skipping any with unbound variables. */
+function instantiate(template, binding, blankNodes) {
+  const out = [];
+  for (const t of template) {
+    const triple = {};
+    let complete = true;
+    for (const pos of ['subject', 'predicate', 'object']) {
+      let term = t[pos];
+      if (isVariable(term)) term = binding[term];
+      else if (blankNodes && term.startsWith('_:')) term = blankNodes(term);
+      if (term === undefined) { complete = false; break; }
+      triple[pos] = term;
+    }
+    // Literals can't be subjects and only IRIs can be predicates
+    if (complete && !triple.subject.startsWith('"') && triple.predicate.startsWith('<')) {
+      out.push(triple);
+    }
+  }
+  return out;
+}
+
+/** Returns a label mapper that replaces template blank nodes with fresh ones. */
+function freshBlankNodes() {
+  const prefix = crypto.randomUUID().replace(/-/g, '').slice(0, 12);
+  const map = new Map();
+  return (label) => {
+    if (!map.has(label)) map.set(label, `_:b${prefix}${map.size}`);
+    return map.get(label);
+  };
+}
+
+function indexGraph(triples) {
+  const bySubject = new Map();
+  const byPredicate = new Map();
+  for (const t of triples) {
+    if (!bySubject.has(t.subject)) bySubject.set(t.subject, []);
+    bySubject.get(t.subject).push(t);
+    if (!byPredicate.has(t.predicate)) byPredicate.set(t.predicate, []);
+    byPredicate.get(t.predicate).push(t);
+  }
+  return { triples, bySubject, byPredicate };
+}
+
+function resolve(term, binding) {
+  if (!isVariable(term)) return term;
+  return binding[term] ?? null;
+}
+
+function isVariable(term) {
+  return term.startsWith('?');
+}
+
+function tripleKey(t) {
+  return `${t.subject} ${t.predicate} ${t.object}`;
+}
+
+function dedupe(triples) {
+  const seen = new Set();
+  return triples.filter(t => {
+    const key = tripleKey(t);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ── Expressions ──────────────────────────────────────
+
+/** Raised for SPARQL expression type errors (the FILTER then evaluates to false). */
+class ExpressionError extends Error {}
+
+function evaluateExpression(expr, binding, graph) {
+  switch (expr.type) {
+    case 'term':
+      return expr.value;
+    case 'var': {
+      const value = binding[expr.name];
+      if (value === undefined) throw new ExpressionError(`unbound ${expr.name}`);
+      return value;
+    }
+    case 'or': {
+      // Error || true = true (SPARQL three-valued logic)
+      let error = null;
+      for (const arg of expr.args) {
+        try {
+          if (effectiveBoolean(evaluateExpression(arg, binding, graph))) return booleanTerm(true);
+        } catch (e) {
+          if (!(e instanceof ExpressionError)) throw e;
+          error = e;
+        }
+      }
+      if (error) throw error;
+      return booleanTerm(false);
+    }
+    case 'and': {
+      let error = null;
+      for (const arg of expr.args) {
+        try {
+          if (!effectiveBoolean(evaluateExpression(arg, binding, graph))) return booleanTerm(false);
+        } catch (e) {
+          if (!(e instanceof ExpressionError)) throw e;
+          error = e;
+        }
+      }
+      if (error) throw error;
+      return booleanTerm(true);
+    }
+    case 'not':
+      return booleanTerm(!effectiveBoolean(evaluateExpression(expr.arg, binding, graph)));
+    case 'neg': {
+      const n = numericValue(evaluateExpression(expr.arg, binding, graph));
+      return numericTerm(-n.value, n.datatype);
+    }
+    case 'pos':
+      numericValue(evaluateExpression(expr.arg, binding, graph));
+      return evaluateExpression(expr.arg, binding, graph);
+    case 'arith':
+      return arithmetic(expr.op,
+        evaluateExpression(expr.left, binding, graph),
+        evaluateExpression(expr.right, binding, graph));
+    case 'cmp':
+      return booleanTerm(compare(expr.op,
+        evaluateExpression(expr.left, binding, graph),
+        evaluateExpression(expr.right, binding, graph)));
+    case 'in': {
+      const left = evaluateExpression(expr.left, binding, graph);
+      const found = expr.list.some(item => {
+        try {
+          return compare('=', left, evaluateExpression(item, binding, graph));
+        } catch (e) {
+          if (e instanceof ExpressionError) return false;
+          throw e;
+        }
+      });
+      return booleanTerm(expr.negate ? !found : found);
+    }
+    case 'exists': {
+      const matches = evaluateGroup(graph, expr.pattern, [binding]).length > 0;
+      return booleanTerm(expr.negate ? !matches : matches);
+    }
+    case 'call':
+      return callBuiltin(expr, binding, graph);
+    default:
+      throw new ExpressionError(`unknown expression ${expr.type}`);
+  }
+}
+
+function callBuiltin(expr, binding, graph) {
+  const name = expr.name;
+  if (name === 'BOUND') return booleanTerm(binding[expr.args[0].name] !== undefined);
+  if (name === 'COALESCE') {
+    for (const arg of expr.args) {
+      try { return evaluateExpression(arg, binding, graph); } catch (e) {
+        if (!(e instanceof ExpressionError)) throw e;
+      }
+    }
+    throw new ExpressionError('COALESCE: no bound argument');
+  }
+  if (name === 'IF') {
+    const cond = effectiveBoolean(evaluateExpression(expr.args[0], binding, graph));
+    return evaluateExpression(expr.args[cond ? 1 : 2], binding, graph);
+  }
+
+  const args = expr.args.map(a => evaluateExpression(a, binding, graph));
+  const [a, b] = args;
+  switch (name) {
+    case 'STR': {
+      const t = parseTerm(a);
+      if (t.kind === 'bnode') throw new ExpressionError('STR of blank node');
+      return literal(t.value);
+    }
+    case 'LANG': return literal(literalOf(a).lang || '');
+    case 'DATATYPE': return `<${literalOf(a).datatype}>`;
+    case 'LANGMATCHES': {
+      const tag = stringOf(a).toLowerCase();
+      const range = stringOf(b).toLowerCase();
+      if (range === '*') return booleanTerm(tag !== '');
+      return booleanTerm(tag === range || tag.startsWith(range + '-'));
+    }
+    case 'SAMETERM': return booleanTerm(a === b);
+    case 'ISIRI': case 'ISURI': return booleanTerm(parseTerm(a).kind === 'iri');
+    case 'ISBLANK': return booleanTerm(parseTerm(a).kind === 'bnode');
+    case 'ISLITERAL': return booleanTerm(parseTerm(a).kind === 'literal');
+    case 'ISNUMERIC': {
+      const t = parseTerm(a);
+      return booleanTerm(t.kind === 'literal' && NUMERIC_TYPES.has(t.datatype));
+    }
+    case 'REGEX': {
+      const flags = args[2] ? stringOf(args[2]).replace(/[^imsx]/g, '').replace('x', '') : '';
+      let re;
+      try { re = new RegExp(stringOf(b), flags); } catch {
+        throw new ExpressionError('invalid regular expression');
+      }
+      return booleanTerm(re.test(stringOf(a)));
+    }
+    case 'CONTAINS': return booleanTerm(stringOf(a).includes(stringOf(b)));
+    case 'STRSTARTS': return booleanTerm(stringOf(a).startsWith(stringOf(b)));
+    case 'STRENDS': return booleanTerm(stringOf(a).endsWith(stringOf(b)));
+    case 'STRLEN': return typedLiteral([...stringOf(a)].length, XSD + 'integer');
+    case 'LCASE': return withSameLanguage(a, stringOf(a).toLowerCase());
+    case 'UCASE': return withSameLanguage(a, stringOf(a).toUpperCase());
+    case 'CONCAT': return literal(args.map(stringOf).join(''));
+    default:
+      throw new ExpressionError(`unsupported function ${name}`);
+  }
+}
+
+function compare(op, a, b) {
+  const ta = parseTerm(a);
+  const tb = parseTerm(b);
+  let diff;
+  if (ta.kind === 'literal' && tb.kind === 'literal') {
+    if (NUMERIC_TYPES.has(ta.datatype) && NUMERIC_TYPES.has(tb.datatype)) {
+      diff = Number(ta.value) - Number(tb.value);
+    } else if (isStringLiteral(ta) && isStringLiteral(tb)) {
+      diff = ta.value < tb.value ? -1 : ta.value > tb.value ? 1 : 0;
+    } else if (ta.datatype === tb.datatype && ta.datatype === XSD + 'dateTime') {
+      diff = Date.parse(ta.value) - Date.parse(tb.value);
+    } else if (ta.datatype === tb.datatype && ta.datatype === XSD + 'boolean') {
+      diff = Number(ta.value === 'true' || ta.value === '1') - Number(tb.value === 'true' || tb.value === '1');
+    } else if (ta.lang && ta.lang.toLowerCase() === (tb.lang || '').toLowerCase() && (op === '=' || op === '!=')) {
+      diff = ta.value === tb.value ? 0 : 1;
+    } else if (op === '=' || op === '!=') {
+      if (a === b) diff = 0;
+      else throw new ExpressionError('incomparable literals');
+    } else {
+      throw new ExpressionError('incomparable literals');
+    }
+  } else if (op === '=' || op === '!=') {
+    diff = a === b ? 0 : 1;
+  } else {
+    throw new ExpressionError('only literals can be ordered');
+  }
+  if (Number.isNaN(diff)) throw new ExpressionError('comparison with NaN');
+  switch (op) {
+    case '=': return diff === 0;
+    case '!=': return diff !== 0;
+    case '<': return diff < 0;
+    case '>': return diff > 0;
+    case '<=': return diff <= 0;
+    case '>=': return diff >= 0;
+  }
+  return false;
+}
+
+function arithmetic(op, a, b) {
+  const na = numericValue(a);
+  const nb = numericValue(b);
+  let value;
+  switch (op) {
+    case '+': value = na.value + nb.value; break;
+    case '-': value = na.value - nb.value; break;
+    case '*': value = na.value * nb.value; break;
+    case '/':
+      if (nb.value === 0 && na.datatype !== XSD + 'double' && nb.datatype !== XSD + 'double') {
+        throw new ExpressionError('division by zero');
+      }
+      value = na.value / nb.value;
+      break;
+  }
+  // Type promotion: integer < decimal < double
+  const rank = (dt) => dt === XSD + 'double' || dt === XSD + 'float' ? 2 : dt === XSD + 'decimal' ? 1 : 0;
+  let r = Math.max(rank(na.datatype), rank(nb.datatype));
+  if (op === '/' && r === 0) r = 1;
+  return numericTerm(value, [XSD + 'integer', XSD + 'decimal', XSD + 'double'][r]);
+}
+
+function effectiveBoolean(term) {
+  const t = parseTerm(term);
+  if (t.kind !== 'literal') throw new ExpressionError('no effective boolean value');
+  if (t.datatype === XSD + 'boolean') return t.value === 'true' || t.value === '1';
+  if (NUMERIC_TYPES.has(t.datatype)) {
+    const n = Number(t.value);
+    return !Number.isNaN(n) && n !== 0;
+  }
+  if (isStringLiteral(t) || t.lang) return t.value.length > 0;
+  throw new ExpressionError('no effective boolean value');
+}
+
+function numericValue(term) {
+  const t = parseTerm(term);
+  if (t.kind !== 'literal' || !NUMERIC_TYPES.has(t.datatype)) throw new ExpressionError('not a number');
+  return { value: Number(t.value), datatype: t.datatype };
+}
+
+function numericTerm(value, datatype) {
+  const lexical = datatype === XSD + 'integer' ? String(Math.trunc(value)) : String(value);
+  return typedLiteral(lexical, datatype);
+}
+
+function booleanTerm(value) {
+  return typedLiteral(value ? 'true' : 'false', XSD + 'boolean');
+}
+
+function literalOf(term) {
+  const t = parseTerm(term);
+  if (t.kind !== 'literal') throw new ExpressionError('not a literal');
+  return t;
+}
+
+function stringOf(term) {
+  const t = literalOf(term);
+  if (!isStringLiteral(t) && !t.lang) throw new ExpressionError('not a string');
+  return t.value;
+}
+
+function withSameLanguage(term, value) {
+  const { lang } = literalOf(term);
+  return lang ? `${literal(value)}@${lang}` : literal(value);
+}
+
+function isStringLiteral(t) {
+  return t.kind === 'literal' && !t.lang && t.datatype === XSD + 'string';
+}
+
+/**
+ * Decompose an N-Triples term.
+ * @returns {{kind: 'iri'|'bnode'|'literal', value: string, lang?: string, datatype?: string}}
+ */
+function parseTerm(term) {
+  if (term.startsWith('<')) return { kind: 'iri', value: term.slice(1, -1) };
+  if (term.startsWith('_:')) return { kind: 'bnode', value: term.slice(2) };
+  const m = term.match(/^"((?:[^"\\]|\\.)*)"(?:@([a-zA-Z0-9-]+)|\^\^<([^>]*)>)?$/);
+  if (!m) throw new ExpressionError(`unrecognised term ${term}`);
+  const value = m[1].replace(/\\(.)/g, (_, c) => ({ n: '\n', r: '\r', t: '\t' }[c] ?? c));
+  if (m[2]) return { kind: 'literal', value, lang: m[2], datatype: RDF + 'langString' };
+  return { kind: 'literal', value, datatype: m[3] || XSD + 'string' };
+}
+
+// ── Tokenizer ────────────────────────────────────────
+
+const PN_CHARS_BASE = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD';
+const PN_CHARS = `${PN_CHARS_BASE}_\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const PNAME_RE = new RegExp(
+  `^(?:([${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?)?):` +
+  `((?:[${PN_CHARS}:]|%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%])` +
+  `(?:(?:[${PN_CHARS}.:]|%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%])*` +
+  `(?:[${PN_CHARS}:]|%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%]))?)?`,
+);
+const IRIREF_RE = /^<([^<>"{}|^`\\\u0000- ]*)>/;
+const VAR_RE = new RegExp(`^[?$]([${PN_CHARS_BASE}_0-9][${PN_CHARS_BASE}_0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*)`);
+const BNODE_RE = new RegExp(`^_:([${PN_CHARS_BASE}_0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?)`);
+const NUMBER_RE = /^(?:(\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+)|(\d*\.\d+)|(\d+))/;
+const LANGTAG_RE = /^@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/;
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*/;
+const PUNCTUATION = ['^^', '&&', '||', '!=', '<=', '>=', '{', '}', '(', ')', '[', ']', '.', ';', ',', '*', '/', '+', '-', '!', '=', '<', '>', '^', '|', '?'];
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const fail = (msg) => {
+    throw statusError(`${msg} at line ${line}, column ${pos - lineStart + 1}`, 422);
+  };
+  const push = (type, value, length, extra = {}) => {
+    tokens.push({ type, value, line, col: pos - lineStart + 1, offset: pos, ...extra });
+    pos += length;
+  };
+
+  while (pos < text.length) {
+    const c = text[pos];
+    if (c === '\n') { pos++; line++; lineStart = pos; continue; }
+    if (c === ' ' || c === '\t' || c === '\r') { pos++; continue; }
+    if (c === '#') {
+      while (pos < text.length && text[pos] !== '\n') pos++;
+      continue;
+    }
+    const rest = text.slice(pos, pos + 4096);
+    let m;
+
+    if (c === '<' && (m = rest.match(IRIREF_RE))) {
+      push('iri', unescapeIri(m[1]), m[0].length);
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      const start = pos;
+      const startLine = line;
+      const startCol = pos - lineStart + 1;
+      const long = text.startsWith(c.repeat(3), pos);
+      const quote = long ? c.repeat(3) : c;
+      let i = pos + quote.length;
+      let value = '';
+      while (true) {
+        if (i >= text.length) fail('Unterminated string');
+        if (text.startsWith(quote, i)) { i += quote.length; break; }
+        const ch = text[i];
+        if (ch === '\\') {
+          const esc = text[i + 1];
+          const simple = { t: '\t', n: '\n', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+          if (esc in simple) { value += simple[esc]; i += 2; continue; }
+          if (esc === 'u' || esc === 'U') {
+            const len = esc === 'u' ? 4 : 8;
+            const hex = text.slice(i + 2, i + 2 + len);
+            if (!/^[0-9A-Fa-f]+$/.test(hex) || hex.length !== len) fail('Invalid unicode escape');
+            value += String.fromCodePoint(parseInt(hex, 16));
+            i += 2 + len;
+            continue;
+          }
+          fail('Invalid string escape');
+        }
+        if (!long && (ch === '\n' || ch === '\r')) fail('Line break in short string');
+        if (ch === '\n') { line++; lineStart = i + 1; }
+        value += ch;
+        i++;
+      }
+      tokens.push({ type: 'string', value, line: startLine, col: startCol, offset: start });
+      pos = i;
+      continue;
+    }
+    if (c === '@' && (m = rest.match(LANGTAG_RE))) {
+      push('lang', m[1], m[0].length);
+      continue;
+    }
+    if ((c === '?' || c === '$') && (m = rest.match(VAR_RE))) {
+      push('var', m[1], m[0].length);
+      continue;
+    }
+    if (c === '_' && rest[1] === ':') {
+      if (!(m = rest.match(BNODE_RE))) fail('Invalid blank node label');
+      push('bnode', m[1], m[0].length);
+      continue;
+    }
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(rest[1] || ''))) {
+      m = rest.match(NUMBER_RE);
+      const datatype = m[1] ? 'double' : m[2] ? 'decimal' : 'integer';
+      push('number', m[0], m[0].length, { datatype: XSD + datatype });
+      continue;
+    }
+    if ((m = rest.match(PNAME_RE))) {
+      push('pname', m[0], m[0].length, { prefix: m[1] || '', local: (m[2] || '').replace(/\\(.)/g, '$1') });
+      continue;
+    }
+    if ((m = rest.match(NAME_RE))) {
+      push('name', m[0], m[0].length);
+      continue;
+    }
+    const punct = PUNCTUATION.find(p => rest.startsWith(p));
+    if (punct) {
+      push('punct', punct, punct.length);
+      continue;
+    }
+    fail(`Unexpected character "${c}"`);
+  }
+  tokens.push({ type: 'eof', value: 'end of input', line, col: pos - lineStart + 1, offset: text.length });
+  return tokens;
+}
+
+function unescapeIri(str) {
+  return str.replace(/\\u([0-9A-Fa-f]{4})|\\U([0-9A-Fa-f]{8})/g,
+    (_, u4, u8) => String.fromCodePoint(parseInt(u4 || u8, 16)));
+}
+
+// ── Parser ───────────────────────────────────────────
+
+/**
+ * Create a recursive-descent parser over the token stream.
+ *
+ * Returns the entry points used by parseSparqlUpdate() and the N3 Patch
+ * parser. Term-level functions take an `opts` object controlling what may
+ * appear: `allowVars`, `allowBlank`, and `blankAsVar` (blank nodes become
+ * variables, as in a WHERE clause).
+ *
+ * @param {string} text
+ * @param {string} baseIri
+ */
+export function createParser(text, baseIri) {
+  const tokens = tokenize(text);
+  const prefixes = {};
+  let base = baseIri;
+  let pos = 0;
+  let anonCount = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+  const next = () => tokens[pos++];
+  const atEnd = () => peek().type === 'eof';
+
+  function fail(msg, tok = peek()) {
+    throw statusError(`${msg} at line ${tok.line}, column ${tok.col}`, 422);
+  }
+  function isKeyword(tok, kw) {
+    return tok.type === 'name' && tok.value.toUpperCase() === kw;
+  }
+  function acceptKeyword(kw) {
+    if (isKeyword(peek(), kw)) { pos++; return true; }
+    return false;
+  }
+  function expectKeyword(kw) {
+    if (!acceptKeyword(kw)) fail(`Expected ${kw} but found "${peek().value}"`);
+  }
+  function accept(punct) {
+    const tok = peek();
+    if (tok.type === 'punct' && tok.value === punct) { pos++; return true; }
+    return false;
+  }
+  function expect(punct) {
+    if (!accept(punct)) fail(`Expected "${punct}" but found "${peek().value}"`);
+  }
+  function rejectUnsupported() {
+    const tok = peek();
+    if (tok.type === 'name' && UNSUPPORTED_KEYWORDS.has(tok.value.toUpperCase())) {
+      fail(`${tok.value.toUpperCase()} is not supported`);
+    }
+  }
+
+  function resolveIri(value) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return value;
+    try {
+      return new URL(value, base).href;
+    } catch {
+      fail(`Cannot resolve relative IRI <${value}>`);
+    }
+  }
+
+  /** PREFIX/BASE declarations; with `turtle`, also `@prefix`/`@base` ending in `.`. */
+  function parsePrologue({ turtle = false } = {}) {
+    while (true) {
+      const tok = peek();
+      if (turtle && tok.type === 'lang' && (tok.value === 'prefix' || tok.value === 'base')) {
+        next();
+        if (tok.value === 'prefix') {
+          const nameTok = next();
+          if (nameTok.type !== 'pname' || nameTok.local) fail('Expected prefix name', nameTok);
+          const iriTok = next();
+          if (iriTok.type !== 'iri') fail('Expected IRI', iriTok);
+          prefixes[nameTok.prefix] = resolveIri(iriTok.value);
+        } else {
+          const iriTok = next();
+          if (iriTok.type !== 'iri') fail('Expected IRI', iriTok);
+          base = resolveIri(iriTok.value);
+        }
+        expect('.');
+      } else if (acceptKeyword('PREFIX')) {
+        const tok = next();
+        if (tok.type !== 'pname' || tok.local) fail('Expected prefix name', tok);
+        const iriTok = next();
+        if (iriTok.type !== 'iri') fail('Expected IRI', iriTok);
+        prefixes[tok.prefix] = resolveIri(iriTok.value);
+      } else if (acceptKeyword('BASE')) {
+        const iriTok = next();
+        if (iriTok.type !== 'iri') fail('Expected IRI', iriTok);
+        base = resolveIri(iriTok.value);
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Read a query's prologue, form and dataset clauses, stopping at the
+   * WHERE clause. Only the header is parsed; the query body is left to
+   * the query engine.
+   */
+  function parseQueryHeader() {
+    parsePrologue();
+    const formTok = next();
+    const form = formTok.type === 'name' ? formTok.value.toUpperCase() : '';
+    if (!QUERY_FORMS.has(form)) fail(`Expected SELECT, CONSTRUCT, ASK or DESCRIBE but found "${formTok.value}"`, formTok);
+    if (form === 'CONSTRUCT' && peek().type === 'punct' && peek().value === '{') skipGroup();
+
+    // Projection or DESCRIBE targets, up to the dataset clauses / WHERE
+    let parens = 0;
+    while (!atEnd()) {
+      const tok = peek();
+      if (parens === 0 && (isKeyword(tok, 'FROM') || isKeyword(tok, 'WHERE') || (tok.type === 'punct' && tok.value === '{'))) break;
+      if (tok.type === 'punct' && tok.value === '(') parens++;
+      if (tok.type === 'punct' && tok.value === ')') parens--;
+      next();
+    }
+
+    const datasetStart = peek().offset;
+    const from = [];
+    const fromNamed = [];
+    while (acceptKeyword('FROM')) {
+      const named = acceptKeyword('NAMED');
+      (named ? fromNamed : from).push(parseIriTerm().slice(1, -1));
+    }
+    return { form, from, fromNamed, datasetStart, datasetEnd: peek().offset };
+  }
+
+  function skipGroup() {
+    expect('{');
+    let depth = 1;
+    while (depth > 0) {
+      const tok = next();
+      if (tok.type === 'eof') fail('Unterminated "{"', tok);
+      if (tok.type === 'punct' && tok.value === '{') depth++;
+      if (tok.type === 'punct' && tok.value === '}') depth--;
+    }
+  }
+
+  function parseUpdateOperation() {
+    rejectUnsupported();
+    if (acceptKeyword('INSERT')) {
+      if (acceptKeyword('DATA')) {
+        return { type: 'insertData', insert: parseQuadData({ allowBlank: true }) };
+      }
+      const insert = parseQuadData({ allowVars: true, allowBlank: true });
+      rejectUnsupported();
+      expectKeyword('WHERE');
+      return { type: 'modify', delete: [], insert, where: parseGroupGraphPattern() };
+    }
+    if (acceptKeyword('DELETE')) {
+      if (acceptKeyword('DATA')) {
+        return { type: 'deleteData', delete: parseQuadData({}) };
+      }
+      if (acceptKeyword('WHERE')) {
+        const patterns = parseQuadData({ allowVars: true });
+        return { type: 'modify', delete: patterns, insert: [], where: { triples: patterns, filters: [] } };
+      }
+      const del = parseQuadData({ allowVars: true });
+      let insert = [];
+      if (acceptKeyword('INSERT')) insert = parseQuadData({ allowVars: true, allowBlank: true });
+      rejectUnsupported();
+      expectKeyword('WHERE');
+      return { type: 'modify', delete: del, insert, where: parseGroupGraphPattern() };
+    }
+    fail(`Expected INSERT or DELETE but found "${peek().value}"`);
+  }
+
+  /** `{ triples }` for DATA blocks and templates (no FILTER). */
+  function parseQuadData(opts) {
+    expect('{');
+    const triples = [];
+    while (!accept('}')) {
+      rejectUnsupported();
+      if (atEnd()) fail('Unterminated block');
+      parseTriplesSameSubject(triples, opts);
+      if (!accept('.')) { expect('}'); break; }
+    }
+    return triples;
+  }
+
+  /** `{ triples and FILTERs }` — blank nodes act as variables. */
+  function parseGroupGraphPattern() {
+    expect('{');
+    const group = { triples: [], filters: [] };
+    const opts = { allowVars: true, allowBlank: true, blankAsVar: true };
+    while (!accept('}')) {
+      rejectUnsupported();
+      if (atEnd()) fail('Unterminated block');
+      if (accept('.')) continue;
+      if (isKeyword(peek(), 'FILTER')) {
+        next();
+        group.filters.push(parseConstraint());
+        continue;
+      }
+      if (peek().type === 'punct' && peek().value === '{') fail('Nested group patterns are not supported');
+      parseTriplesSameSubject(group.triples, opts);
+    }
+    return group;
+  }
+
+  function parseTriplesSameSubject(out, opts) {
+    const tok = peek();
+    if (tok.type === 'punct' && tok.value === '[') {
+      const subject = parseBlankNodePropertyList(out, opts);
+      if (!isTriplesEnd()) parsePropertyList(subject, out, opts);
+      return;
+    }
+    const subject = parseNode(out, opts);
+    parsePropertyList(subject, out, opts);
+  }
+
+  function isTriplesEnd() {
+    const tok = peek();
+    return tok.type === 'eof' || (tok.type === 'punct' && (tok.value === '.' || tok.value === '}'))
+      || isKeyword(tok, 'FILTER');
+  }
+
+  function parsePropertyList(subject, out, opts) {
+    while (true) {
+      const predicate = parseVerb(opts);
+      do {
+        const object = parseNode(out, opts);
+        out.push({ subject, predicate, object });
+      } while (accept(','));
+      if (!accept(';')) return;
+      while (accept(';')) { /* repeated semicolons are allowed */ }
+      const tok = peek();
+      if (tok.type === 'punct' && (tok.value === '.' || tok.value === '}' || tok.value === ']')) return;
+      if (isKeyword(tok, 'FILTER')) return;
+    }
+  }
+
+  function parseVerb(opts) {
+    const tok = peek();
+    if (tok.type === 'name' && tok.value === 'a') { next(); return `<${RDF}type>`; }
+    if (tok.type === 'var') {
+      if (!opts.allowVars) fail('Variables are not allowed in DATA blocks');
+      next();
+      return `?${tok.value}`;
+    }
+    if (tok.type === 'iri' || tok.type === 'pname') return parseIriTerm();
+    fail(`Expected predicate but found "${tok.value}"`);
+  }
+
+  function parseBlankNodePropertyList(out, opts) {
+    expect('[');
+    const node = anonymousNode(opts);
+    if (!accept(']')) {
+      parsePropertyList(node, out, opts);
+      expect(']');
+    }
+    return node;
+  }
+
+  function parseCollection(out, opts) {
+    expect('(');
+    const items = [];
+    while (!accept(')')) {
+      if (atEnd()) fail('Unterminated collection');
+      items.push(parseNode(out, opts));
+    }
+    if (items.length === 0) return `<${RDF}nil>`;
+    const head = anonymousNode(opts);
+    let current = head;
+    items.forEach((item, i) => {
+      out.push({ subject: current, predicate: `<${RDF}first>`, object: item });
+      const rest = i === items.length - 1 ? `<${RDF}nil>` : anonymousNode(opts);
+      out.push({ subject: current, predicate: `<${RDF}rest>`, object: rest });
+      current = rest;
+    });
+    return head;
+  }
+
+  function anonymousNode(opts) {
+    if (!opts.allowBlank) fail('Blank nodes are not allowed here');
+    const label = `anon${anonCount++}`;
+    return opts.blankAsVar ? `?_:${label}` : `_:${label}`;
+  }
+
+  /** Subject or object position: variable, IRI, literal, blank node, [ ] or ( ). */
+  function parseNode(out, opts) {
+    const tok = peek();
+    if (tok.type === 'punct' && tok.value === '[') {
+      if (peek(1).type === 'punct' && peek(1).value === ']') {
+        pos += 2;
+        return anonymousNode(opts);
+      }
+      return parseBlankNodePropertyList(out, opts);
+    }
+    if (tok.type === 'punct' && tok.value === '(') return parseCollection(out, opts);
+    if (tok.type === 'var') {
+      if (!opts.allowVars) fail('Variables are not allowed in DATA blocks');
+      next();
+      return `?${tok.value}`;
+    }
+    if (tok.type === 'bnode') {
+      if (!opts.allowBlank) fail('Blank nodes are not allowed here');
+      next();
+      return opts.blankAsVar ? `?_:${tok.value}` : `_:${tok.value}`;
+    }
+    const term = parseConstantTerm();
+    if (term === null) fail(`Expected term but found "${tok.value}"`);
+    return term;
+  }
+
+  /** IRI, prefixed name, literal, number or boolean, or null. */
+  function parseConstantTerm() {
+    const tok = peek();
+    if (tok.type === 'iri' || tok.type === 'pname') return parseIriTerm();
+    if (tok.type === 'string') {
+      next();
+      if (peek().type === 'lang') return `${literal(tok.value)}@${next().value}`;
+      if (accept('^^')) return typedLiteral(tok.value, parseIriTerm().slice(1, -1));
+      return literal(tok.value);
+    }
+    if (tok.type === 'number') {
+      next();
+      return typedLiteral(tok.value, tok.datatype);
+    }
+    if (tok.type === 'punct' && (tok.value === '-' || tok.value === '+') && peek(1).type === 'number') {
+      next();
+      const num = next();
+      return typedLiteral(tok.value === '-' ? `-${num.value}` : num.value, num.datatype);
+    }
+    if (tok.type === 'name' && (tok.value === 'true' || tok.value === 'false')) {
+      next();
+      return typedLiteral(tok.value, XSD + 'boolean');
+    }
+    return null;
+  }
+
+  function parseIriTerm() {
+    const tok = next();
+    if (tok.type === 'iri') return `<${resolveIri(tok.value)}>`;
+    if (tok.type === 'pname') {
+      if (!(tok.prefix in prefixes)) fail(`Undefined prefix "${tok.prefix}:"`, tok);
+      return `<${prefixes[tok.prefix]}${tok.local}>`;
+    }
+    fail(`Expected IRI but found "${tok.value}"`, tok);
+  }
+
+  // ── FILTER expressions ──
+
+  function parseConstraint() {
+    const tok = peek();
+    if (tok.type === 'punct' && tok.value === '(') {
+      next();
+      const expr = parseExpression();
+      expect(')');
+      return expr;
+    }
+    if (tok.type === 'name') return parsePrimary();
+    fail(`Expected FILTER expression but found "${tok.value}"`);
+  }
+
+  function parseExpression() {
+    const args = [parseAnd()];
+    while (accept('||')) args.push(parseAnd());
+    return args.length === 1 ? args[0] : { type: 'or', args };
+  }
+
+  function parseAnd() {
+    const args = [parseRelational()];
+    while (accept('&&')) args.push(parseRelational());
+    return args.length === 1 ? args[0] : { type: 'and', args };
+  }
+
+  function parseRelational() {
+    const left = parseAdditive();
+    const tok = peek();
+    if (tok.type === 'punct' && ['=', '!=', '<', '>', '<=', '>='].includes(tok.value)) {
+      next();
+      return { type: 'cmp', op: tok.value, left, right: parseAdditive() };
+    }
+    let negate = false;
+    if (isKeyword(tok, 'NOT') && isKeyword(peek(1), 'IN')) { pos++; negate = true; }
+    if (acceptKeyword('IN')) {
+      return { type: 'in', negate, left, list: parseArgList() };
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (true) {
+      const tok = peek();
+      if (tok.type === 'punct' && (tok.value === '+' || tok.value === '-')) {
+        next();
+        left = { type: 'arith', op: tok.value, left, right: parseMultiplicative() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (true) {
+      const tok = peek();
+      if (tok.type === 'punct' && (tok.value === '*' || tok.value === '/')) {
+        next();
+        left = { type: 'arith', op: tok.value, left, right: parseUnary() };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseUnary() {
+    if (accept('!')) return { type: 'not', arg: parsePrimary() };
+    if (accept('-')) return { type: 'neg', arg: parsePrimary() };
+    if (accept('+')) return { type: 'pos', arg: parsePrimary() };
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (tok.type === 'punct' && tok.value === '(') {
+      next();
+      const expr = parseExpression();
+      expect(')');
+      return expr;
+    }
+    if (tok.type === 'var') {
+      next();
+      return { type: 'var', name: `?${tok.value}` };
+    }
+    if (tok.type === 'name' && tok.value !== 'true' && tok.value !== 'false') {
+      const name = tok.value.toUpperCase();
+      if (name === 'NOT' && isKeyword(peek(1), 'EXISTS')) {
+        pos += 2;
+        return { type: 'exists', negate: true, pattern: parseGroupGraphPattern() };
+      }
+      if (name === 'EXISTS') {
+        next();
+        return { type: 'exists', negate: false, pattern: parseGroupGraphPattern() };
+      }
+      if (!(name in BUILTINS)) fail(`Unsupported function ${tok.value}`);
+      next();
+      const args = parseArgList();
+      const arity = BUILTINS[name];
+      const [min, max] = Array.isArray(arity) ? arity : [arity, arity];
+      if (args.length < min || args.length > max) fail(`Wrong number of arguments to ${name}`, tok);
+      if (name === 'BOUND' && args[0].type !== 'var') fail('BOUND expects a variable', tok);
+      return { type: 'call', name, args };
+    }
+    const term = parseConstantTerm();
+    if (term === null) fail(`Unexpected "${tok.value}" in expression`);
+    return { type: 'term', value: term };
+  }
+
+  function parseArgList() {
+    expect('(');
+    const args = [];
+    if (accept(')')) return args;
+    do {
+      args.push(parseExpression());
+    } while (accept(','));
+    expect(')');
+    return args;
+  }
+
+  return {
+    parsePrologue, parseQueryHeader, parseUpdateOperation, parseQuadData, parseNode, parseVerb,
+    accept, expect, atEnd, peek, fail,
+  };
+}
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -1,223 +1,480 @@
 /**
- * Minimal Turtle (Terse RDF Triple Language) parser.
+ * Turtle 1.1 (Terse RDF Triple Language) and TriG parser.
  *
  * Parses Turtle text into an array of {subject, predicate, object} triples
  * where each component is in N-Triples notation (IRIs wrapped in <>, literals
  * in quotes with optional language tags or datatypes).
  *
- * Supports the Turtle subset needed by Solid:
- *   - `@prefix` and `@base` declarations
- *   - Full IRI references: `<http://...>`
- *   - Prefixed names: `foaf:name` (expanded using declared prefixes)
+ * Implements the full W3C Turtle 1.1 grammar:
+ *   - `@prefix` / `@base` and SPARQL-style `PREFIX` / `BASE` directives
+ *   - IRI references (with \u escapes) resolved against the base IRI
+ *   - Prefixed names, including escaped (`\.`) and percent-encoded locals
  *   - The `a` keyword (shorthand for rdf:type)
- *   - Plain, language-tagged, and datatyped string literals
- *   - Blank nodes: `_:label`
- *   - Predicate-object lists (`;` separator — same subject, different predicate)
- *   - Object lists (`,` separator — same subject and predicate)
- *   - Single-line `#` comments
+ *   - All four string forms ('...', "...", '''...''', """...""") with
+ *     escape sequences, language tags and datatypes
+ *   - Bare integer, decimal, double and boolean literals
+ *   - Blank node labels (`_:b0`), anonymous `[]` and nested `[ p o ]`
+ *     property lists, and `( ... )` collections
+ *   - Predicate-object (`;`) and object (`,`) lists, `#` comments
  *
- * Does NOT support: collections (), nested blank nodes [], multi-line strings,
- * numeric/boolean literals without quotes, or other advanced Turtle features.
+ * TriG adds graph blocks (`{ ... }`, `<g> { ... }`, `GRAPH <g> { ... }`);
+ * triples from a named graph carry its name in `graph`, like N-Quads.
+ *
+ * Syntax errors throw an Error with `status = 400` and a message giving
+ * the line and column, so LDP handlers can return it to the client as-is.
  */
+import { literal, typedLiteral } from './ntriples.js';
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+const PN_CHARS_BASE = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}';
+const PN_CHARS_U = `${PN_CHARS_BASE}_`;
+const PN_CHARS = `${PN_CHARS_U}\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const PLX = `%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%]`;
 
-const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const PNAME_NS_RE = new RegExp(`([${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?)?:`, 'uy');
+const PN_LOCAL_RE = new RegExp(
+  `(?:[${PN_CHARS_U}:0-9]|${PLX})(?:(?:[${PN_CHARS}.:]|${PLX})*(?:[${PN_CHARS}:]|${PLX}))?`, 'uy');
+const BLANK_NODE_LABEL_RE = new RegExp(`_:([${PN_CHARS_U}0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?)`, 'uy');
+const LANGTAG_RE = /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y;
+const NUMBER_RE = /[+-]?(?:(\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+)|(\d*\.\d+)|(\d+))/y;
+const IRI_CHAR_RE = /[^\u0000- <>"{}|^`\\]/;
 
 /**
  * Parse a Turtle string into triples.
  * @param {string} text
  * @param {string} [baseIri] - base IRI for relative references
  * @returns {Array<{subject: string, predicate: string, object: string}>}
+ * @throws {Error} with `status = 400` on a syntax error
  */
 export function parseTurtle(text, baseIri = '') {
+  return parseDocument(text, baseIri, false);
+}
+
+/**
+ * Parse a TriG string into quads.
+ * @param {string} text
+ * @param {string} [baseIri] - base IRI for relative references
+ * @returns {Array<{subject: string, predicate: string, object: string, graph?: string}>}
+ * @throws {Error} with `status = 400` on a syntax error
+ */
+export function parseTriG(text, baseIri = '') {
+  return parseDocument(text, baseIri, true);
+}
+
+function parseDocument(text, baseIri, trig) {
+  const syntax = trig ? 'TriG' : 'Turtle';
   const prefixes = {};
   const triples = [];
+  const blankLabels = new Map();
+  let base = baseIri;
   let pos = 0;
+  let genId = 0;
+  let graph;
+
+  // ── Errors and low-level scanning ──
+
+  function fail(message, at = pos) {
+    const before = text.slice(0, at);
+    const line = (before.match(/\n/g) || []).length + 1;
+    const column = at - before.lastIndexOf('\n');
+    const err = new Error(`${syntax} syntax error at line ${line}, column ${column}: ${message}`);
+    err.status = 400;
+    throw err;
+  }
 
   function skipWS() {
     while (pos < text.length) {
-      if (text[pos] === '#') {
-        while (pos < text.length && text[pos] !== '\n') pos++;
-      } else if (' \t\n\r'.includes(text[pos])) {
+      const c = text[pos];
+      if (c === '#') {
+        while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+      } else if (c === ' ' || c === '\t' || c === '\n' || c === '\r') {
         pos++;
-      } else break;
+      } else {
+        break;
+      }
     }
   }
 
-  function readIri() {
-    if (text[pos] !== '<') return null;
+  function describe() {
+    if (pos >= text.length) return 'end of input';
+    return `'${text.slice(pos, pos + 12).split(/\s/)[0] || text[pos]}'`;
+  }
+
+  function expect(ch) {
+    skipWS();
+    if (text[pos] !== ch) fail(`expected "${ch}" but found ${describe()}`);
     pos++;
-    let iri = '';
-    while (pos < text.length && text[pos] !== '>') {
-      if (text[pos] === '\\') { pos++; iri += text[pos++]; continue; }
-      iri += text[pos++];
-    }
-    pos++; // skip >
-    if (iri.startsWith('http://') || iri.startsWith('https://') || iri.startsWith('urn:')) return iri;
-    if (iri.startsWith('#')) return baseIri + iri;
-    if (iri === '') return baseIri;
-    // Relative IRI
-    if (baseIri) {
-      const base = new URL(baseIri);
+  }
+
+  function match(re) {
+    re.lastIndex = pos;
+    const m = re.exec(text);
+    if (m) pos = re.lastIndex;
+    return m;
+  }
+
+  /** Case-insensitive keyword followed by a non-name character. */
+  function lookingAtKeyword(word) {
+    return text.slice(pos, pos + word.length).toUpperCase() === word
+      && !/[\w:-]/.test(text[pos + word.length] || '');
+  }
+
+  // ── Terminals ──
+
+  function readUchar() {
+    // pos is at the 'u' or 'U' after a backslash
+    const len = text[pos] === 'u' ? 4 : 8;
+    const hex = text.slice(pos + 1, pos + 1 + len);
+    if (hex.length !== len || !/^[0-9A-Fa-f]+$/.test(hex)) fail('invalid unicode escape', pos - 1);
+    const cp = parseInt(hex, 16);
+    if (cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF)) fail('invalid unicode code point', pos - 1);
+    pos += 1 + len;
+    return String.fromCodePoint(cp);
+  }
+
+  function readIriRef() {
+    const start = pos;
+    pos++; // <
+    let value = '';
+    while (true) {
+      if (pos >= text.length) fail('unterminated IRI', start);
+      const c = text[pos];
+      if (c === '>') { pos++; break; }
+      if (c === '\\') {
+        pos++;
+        if (text[pos] !== 'u' && text[pos] !== 'U') fail('invalid escape in IRI', pos - 1);
+        const ch = readUchar();
+        if (!IRI_CHAR_RE.test(ch)) fail('escaped character not allowed in IRI', start);
+        value += ch;
+        continue;
+      }
+      if (!IRI_CHAR_RE.test(c)) fail(`character not allowed in IRI`, pos);
+      value += c;
+      pos++;
+    }
+    return resolveIri(value, start);
+  }
+
+  function resolveIri(iri, at) {
+    if (/^[a-zA-Z][a-zA-Z0-9+.-]*:/.test(iri)) return iri;
+    if (!base) return iri;
+    try {
       return new URL(iri, base).href;
+    } catch {
+      fail(`cannot resolve relative IRI <${iri}>`, at);
     }
-    return iri;
   }
 
   function readPrefixedName() {
-    const match = text.slice(pos).match(/^([a-zA-Z_][\w.-]*)?:([\w._~:/?#[\]@!$&'()*+,;=%-]*)/);
-    if (!match) return null;
-    const prefix = match[1] || '';
-    const local = match[2];
-    pos += match[0].length;
-    const ns = prefixes[prefix];
-    if (ns === undefined) return null;
-    return ns + local;
+    const start = pos;
+    const ns = match(PNAME_NS_RE);
+    if (!ns) return null;
+    const prefix = ns[1] || '';
+    let local = '';
+    const lm = match(PN_LOCAL_RE);
+    if (lm) local = lm[0].replace(/\\(.)/g, '$1');
+    if (!(prefix in prefixes)) fail(`undefined prefix "${prefix}:"`, start);
+    return prefixes[prefix] + local;
   }
 
-  function readLiteral() {
-    if (text[pos] !== '"') return null;
-    let long = false;
-    if (text.slice(pos, pos + 3) === '"""') {
-      long = true;
-      pos += 3;
-    } else {
-      pos++;
-    }
+  function readIri() {
+    skipWS();
+    if (text[pos] === '<') return readIriRef();
+    const pn = readPrefixedName();
+    if (pn === null) fail(`expected IRI but found ${describe()}`);
+    return pn;
+  }
+
+  function readString() {
+    const start = pos;
+    const q = text[pos];
+    const long = text.startsWith(q.repeat(3), pos);
+    pos += long ? 3 : 1;
     let value = '';
-    while (pos < text.length) {
-      if (text[pos] === '\\') {
+    while (true) {
+      if (pos >= text.length) fail('unterminated string', start);
+      const c = text[pos];
+      if (long ? text.startsWith(q.repeat(3), pos) : c === q) {
+        pos += long ? 3 : 1;
+        break;
+      }
+      if (c === '\\') {
         pos++;
-        const c = text[pos++];
-        if (c === 'n') value += '\n';
-        else if (c === 't') value += '\t';
-        else if (c === 'r') value += '\r';
-        else if (c === '"') value += '"';
-        else if (c === '\\') value += '\\';
-        else value += c;
-        continue;
+        const e = text[pos];
+        const echar = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\' }[e];
+        if (echar !== undefined) { value += echar; pos++; continue; }
+        if (e === 'u' || e === 'U') { value += readUchar(); continue; }
+        fail('invalid escape sequence in string', pos - 1);
       }
-      if (long && text.slice(pos, pos + 3) === '"""') { pos += 3; break; }
-      if (!long && text[pos] === '"') { pos++; break; }
-      value += text[pos++];
+      if (!long && (c === '\n' || c === '\r')) fail('line break in single-line string', pos);
+      value += c;
+      pos++;
     }
+    return value;
+  }
+
+  function readBlankNodeLabel() {
+    const start = pos;
+    const m = match(BLANK_NODE_LABEL_RE);
+    if (!m) fail('invalid blank node label', start);
+    const label = m[1];
+    if (!blankLabels.has(label)) {
+      // Keep document labels, but never let them collide with generated ones
+      blankLabels.set(label, /^u*genid\d+$/.test(label) ? `_:u${label}` : `_:${label}`);
+    }
+    return blankLabels.get(label);
+  }
+
+  function emit(subject, predicate, object) {
+    triples.push(graph ? { subject, predicate, object, graph } : { subject, predicate, object });
+  }
+
+  function newBlankNode() {
+    return `_:genid${++genId}`;
+  }
+
+  // ── Grammar productions ──
 
-    // Check for language tag or datatype
-    const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+  function readLiteral() {
+    const value = readString();
     if (text[pos] === '@') {
-      pos++;
-      const lm = text.slice(pos).match(/^[a-zA-Z]+-?[a-zA-Z0-9]*/);
-      const lang = lm ? lm[0] : '';
-      pos += lang.length;
-      return `"${escaped}"@${lang}`;
+      const m = match(LANGTAG_RE);
+      if (!m) fail('invalid language tag');
+      return `${literal(value)}@${m[1]}`;
     }
     if (text[pos] === '^' && text[pos + 1] === '^') {
       pos += 2;
-      skipWS();
-      const dt = text[pos] === '<' ? readIri() : readPrefixedName();
-      return `"${escaped}"^^<${dt}>`;
+      return typedLiteral(value, readIri());
     }
-    return `"${escaped}"`;
+    return literal(value);
   }
 
-  function readBlankNode() {
-    if (text[pos] === '_' && text[pos + 1] === ':') {
-      const m = text.slice(pos).match(/^_:[a-zA-Z0-9_.]+/);
-      if (m) { pos += m[0].length; return m[0]; }
-    }
-    return null;
+  function readNumber() {
+    const m = match(NUMBER_RE);
+    if (!m) return null;
+    const datatype = m[1] ? 'double' : m[2] ? 'decimal' : 'integer';
+    return typedLiteral(m[0], XSD + datatype);
   }
 
-  function readTerm() {
+  /** Subject position: IRI, blank node or collection. */
+  function readSubject() {
     skipWS();
-    if (pos >= text.length) return null;
-    if (text[pos] === '<') return `<${readIri()}>`;
-    if (text[pos] === '"') return readLiteral();
-    if (text[pos] === '_' && text[pos + 1] === ':') return readBlankNode();
-    if (text[pos] === 'a' && /[\s;,.]/.test(text[pos + 1] || '')) {
+    const c = text[pos];
+    if (c === '<') return `<${readIriRef()}>`;
+    if (c === '_' && text[pos + 1] === ':') return readBlankNodeLabel();
+    if (c === '(') return readCollection();
+    if (c === '[') {
+      // Only ANON is a plain subject; `[ p o ]` is handled by readTriples
       pos++;
-      return `<${RDF_TYPE}>`;
+      skipWS();
+      if (text[pos] !== ']') fail('expected "]"');
+      pos++;
+      return newBlankNode();
     }
-    // Try prefixed name
     const pn = readPrefixedName();
     if (pn !== null) return `<${pn}>`;
-    return null;
+    fail(`expected subject but found ${describe()}`);
   }
 
-  while (pos < text.length) {
+  function readObject() {
     skipWS();
-    if (pos >= text.length) break;
+    const c = text[pos];
+    if (c === '<') return `<${readIriRef()}>`;
+    if (c === '"' || c === "'") return readLiteral();
+    if (c === '_' && text[pos + 1] === ':') return readBlankNodeLabel();
+    if (c === '[') return readBlankNodePropertyList();
+    if (c === '(') return readCollection();
+    if (/[0-9+\-.]/.test(c)) {
+      const num = readNumber();
+      if (num !== null) return num;
+    }
+    if (lookingAtKeyword('TRUE') && text.startsWith('true', pos)) { pos += 4; return typedLiteral('true', XSD + 'boolean'); }
+    if (lookingAtKeyword('FALSE') && text.startsWith('false', pos)) { pos += 5; return typedLiteral('false', XSD + 'boolean'); }
+    const pn = readPrefixedName();
+    if (pn !== null) return `<${pn}>`;
+    fail(`expected object but found ${describe()}`);
+  }
 
-    // @prefix
-    if (text.slice(pos, pos + 7) === '@prefix') {
-      pos += 7;
-      skipWS();
-      const pm = text.slice(pos).match(/^([a-zA-Z_][\w.-]*)?:/);
-      const prefix = pm ? (pm[1] || '') : '';
-      pos += pm[0].length;
-      skipWS();
-      const ns = readIri();
-      skipWS();
-      if (text[pos] === '.') pos++;
-      prefixes[prefix] = ns;
-      continue;
+  function readVerb() {
+    skipWS();
+    if (text[pos] === 'a' && /[\s<"'[(_#]/.test(text[pos + 1] || '')) {
+      pos++;
+      return `<${RDF}type>`;
     }
+    if (text[pos] === '<') return `<${readIriRef()}>`;
+    const pn = readPrefixedName();
+    if (pn === null) fail(`expected predicate but found ${describe()}`);
+    return `<${pn}>`;
+  }
 
-    // @base
-    if (text.slice(pos, pos + 5) === '@base') {
-      pos += 5;
-      skipWS();
-      baseIri = readIri();
+  function readPredicateObjectList(subject) {
+    while (true) {
+      const predicate = readVerb();
+      while (true) {
+        const object = readObject();
+        emit(subject, predicate, object);
+        skipWS();
+        if (text[pos] !== ',') break;
+        pos++;
+      }
       skipWS();
-      if (text[pos] === '.') pos++;
-      continue;
+      if (text[pos] !== ';') return;
+      while (text[pos] === ';') { pos++; skipWS(); }
+      // A trailing ';' may be followed by the end of the list
+      if (text[pos] === '.' || text[pos] === ']' || text[pos] === '}' || pos >= text.length) return;
     }
+  }
 
-    // PREFIX (SPARQL-style)
-    if (text.slice(pos, pos + 6).toUpperCase() === 'PREFIX') {
-      pos += 6;
+  function readBlankNodePropertyList() {
+    pos++; // [
+    skipWS();
+    const node = newBlankNode();
+    if (text[pos] === ']') { pos++; return node; }
+    readPredicateObjectList(node);
+    expect(']');
+    return node;
+  }
+
+  function readCollection() {
+    pos++; // (
+    const items = [];
+    while (true) {
       skipWS();
-      const pm = text.slice(pos).match(/^([a-zA-Z_][\w.-]*)?:/);
-      const prefix = pm ? (pm[1] || '') : '';
-      pos += pm[0].length;
+      if (pos >= text.length) fail('unterminated collection');
+      if (text[pos] === ')') { pos++; break; }
+      items.push(readObject());
+    }
+    if (items.length === 0) return `<${RDF}nil>`;
+    const head = newBlankNode();
+    let node = head;
+    items.forEach((item, i) => {
+      emit(node, `<${RDF}first>`, item);
+      const rest = i === items.length - 1 ? `<${RDF}nil>` : newBlankNode();
+      emit(node, `<${RDF}rest>`, rest);
+      node = rest;
+    });
+    return head;
+  }
+
+  function readTriples() {
+    skipWS();
+    if (text[pos] === '[') {
+      const save = pos;
+      pos++;
       skipWS();
-      const ns = readIri();
-      prefixes[prefix] = ns;
-      continue;
+      const anon = text[pos] === ']';
+      pos = save;
+      if (!anon) {
+        const node = readBlankNodePropertyList();
+        skipWS();
+        if (text[pos] !== '.' && !(trig && text[pos] === '}')) readPredicateObjectList(node);
+        return;
+      }
     }
+    const subject = readSubject();
+    readPredicateObjectList(subject);
+  }
 
-    // Read triple
-    const subject = readTerm();
-    if (!subject) { pos++; continue; }
+  function readPrefixDecl() {
+    skipWS();
+    const start = pos;
+    const m = match(PNAME_NS_RE);
+    if (!m) fail('expected prefix name', start);
+    skipWS();
+    if (text[pos] !== '<') fail(`expected IRI but found ${describe()}`);
+    prefixes[m[1] || ''] = readIriRef();
+  }
 
+  function readBaseDecl() {
     skipWS();
-    let predicate = readTerm();
-    if (!predicate) break;
+    if (text[pos] !== '<') fail(`expected IRI but found ${describe()}`);
+    base = readIriRef();
+  }
 
-    while (true) {
+  // ── TriG graph blocks ──
+
+  function readGraphLabel() {
+    skipWS();
+    if (text[pos] === '[') {
+      pos++;
       skipWS();
-      let object = readTerm();
-      if (!object) break;
+      if (text[pos] !== ']') fail('expected "]"');
+      pos++;
+      return newBlankNode();
+    }
+    if (text[pos] === '_' && text[pos + 1] === ':') return readBlankNodeLabel();
+    return `<${readIri()}>`;
+  }
 
-      triples.push({ subject, predicate, object });
+  function readWrappedGraph(label) {
+    expect('{');
+    graph = label;
+    while (true) {
+      skipWS();
+      if (text[pos] === '}') break;
+      if (pos >= text.length) fail('unterminated graph block');
+      readTriples();
+      skipWS();
+      if (text[pos] === '.') { pos++; continue; }
+      if (text[pos] !== '}') fail(`expected "." or "}" but found ${describe()}`);
+    }
+    pos++;
+    graph = undefined;
+  }
 
+  /** A TriG block: a graph, or triples in the default graph. */
+  function readBlock() {
+    if (lookingAtKeyword('GRAPH')) {
+      pos += 5;
+      readWrappedGraph(readGraphLabel());
+      return;
+    }
+    if (text[pos] === '{') {
+      readWrappedGraph(undefined);
+      return;
+    }
+    // `label { ... }` — look ahead past an IRI or blank node for '{'
+    const save = pos;
+    if (text[pos] !== '(' && !(text[pos] === '[' && !/^\[\s*\]/.test(text.slice(pos, pos + 64)))) {
+      const label = readGraphLabel();
       skipWS();
-      if (text[pos] === ',') {
-        pos++; // same subject + predicate, next object
-        continue;
+      if (text[pos] === '{') {
+        readWrappedGraph(label);
+        return;
       }
-      if (text[pos] === ';') {
-        pos++; // same subject, new predicate
-        skipWS();
-        if (text[pos] === '.') { pos++; break; } // ; . ending
-        predicate = readTerm();
-        if (!predicate) break;
-        continue;
-      }
-      if (text[pos] === '.') {
-        pos++;
-        break;
-      }
-      break;
+    }
+    pos = save;
+    readTriples();
+    expect('.');
+  }
+
+  // ── Document ──
+
+  while (true) {
+    skipWS();
+    if (pos >= text.length) break;
+
+    if (text.startsWith('@prefix', pos)) {
+      pos += 7;
+      readPrefixDecl();
+      expect('.');
+    } else if (text.startsWith('@base', pos)) {
+      pos += 5;
+      readBaseDecl();
+      expect('.');
+    } else if (lookingAtKeyword('PREFIX')) {
+      pos += 6;
+      readPrefixDecl();
+    } else if (lookingAtKeyword('BASE')) {
+      pos += 4;
+      readBaseDecl();
+    } else if (trig) {
+      readBlock();
+    } else {
+      readTriples();
+      expect('.');
     }
   }
 
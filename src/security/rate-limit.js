@@ -5,12 +5,20 @@
  * Value: `{ count, windowStart }` (auto-expires via KV TTL)
  *
  * Categories:
- *   login    — 10 req / 15 min  (POST /login, POST /authorize password)
+ *   login    — 10 req / 15 min  (POST /login, POST /authorize password,
+ *                               POST /share/unlock)
  *   webauthn — 20 req / 15 min  (POST /webauthn/login/*)
  *   token    — 30 req / 1 min   (POST /token)
  *   register — 10 req / 1 hour  (POST /register)
- *   inbox    — 60 req / 1 min   (POST /:user/inbox)
+ *   inbox    — 60 req / 1 min   (POST /:user/inbox, ActivityPub)
+ *   ldn      — 10 req / 1 min   (POST /:user/inbox, Linked Data Notifications)
  *   write    — 60 req / 1 min   (LDP PUT/POST/PATCH/DELETE)
+ *   sparql   — 30 req / 1 min   (GET/POST /sparql)
+ *   search   — 30 req / 1 min   (GET /search)
+ *   archive  — 10 req / 1 hour  (GET /export, POST /import)
+ *   notify   — 20 req / 1 min   (POST /notifications/subscription/*)
+ *   lookup   — 20 req / 1 min   (WebID and issuer key fetches for visitors'
+ *                               Solid-OIDC tokens, on a cache miss)
  */
 
 const RATE_LIMITS = {
@@ -19,7 +27,13 @@ const RATE_LIMITS = {
   token:    { window: 60,      max: 30 },
   register: { window: 60 * 60, max: 10 },
   inbox:    { window: 60,      max: 60 },
+  ldn:      { window: 60,      max: 10 },
   write:    { window: 60,      max: 60 },
+  sparql:   { window: 60,      max: 30 },
+  search:   { window: 60,      max: 30 },
+  archive:  { window: 60 * 60, max: 10 },
+  notify:   { window: 60,      max: 20 },
+  lookup:   { window: 60,      max: 20 },
 };
 
 /**
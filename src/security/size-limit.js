@@ -3,14 +3,21 @@
  *
  * Check Content-Length before reading body:
  *   JSON endpoints (OIDC, WebAuthn, inbox) — 1 MB
- *   RDF uploads (Turtle, N-Triples)        — 5 MB
+ *   RDF uploads and patches (Turtle, N3)   — 5 MB
  *   Binary uploads                         — 100 MB
+ *   Pod archives (tar)                     — 32 MB
+ * Archives are read into memory to be imported, and a Worker isolate has
+ * 128 MB, so their limit leaves room for the parsed entries; the import
+ * handler (ui/pages/backup.js) also holds form uploads to it.
+ * LDN notifications (solid/ldn.js) are held to 64 KB by their handler.
  */
 
 export const SIZE_LIMITS = {
   json:   1 * 1024 * 1024,        // 1 MB
   rdf:    5 * 1024 * 1024,        // 5 MB
   binary: 100 * 1024 * 1024,      // 100 MB
+  archive: 32 * 1024 * 1024,      // 32 MB
+  notification: 64 * 1024,        // 64 KB
 };
 
 /**
@@ -42,11 +49,12 @@ export function getSizeLimit(request) {
     if (ct.includes('multipart/form-data')) return SIZE_LIMITS.binary;
     return SIZE_LIMITS.json;
   }
-  if (ct.includes('text/turtle') || ct.includes('application/n-triples') || ct.includes('application/n-quads') || ct.includes('application/sparql-update') || ct.includes('application/ld+json')) {
+  if (ct.includes('text/turtle') || ct.includes('application/n-triples') || ct.includes('application/n-quads') || ct.includes('application/sparql-update') || ct.includes('text/n3') || ct.includes('application/ld+json') || ct.includes('application/trig') || ct.includes('application/rdf+xml')) {
     return SIZE_LIMITS.rdf;
   }
   if (ct.includes('image/') || ct.includes('video/') || ct.includes('audio/') || ct.includes('application/octet-stream') || ct.includes('application/pdf') || ct.includes('application/zip') || ct.includes('application/gzip')) {
     return SIZE_LIMITS.binary;
   }
+  if (ct.includes('application/x-tar')) return SIZE_LIMITS.archive;
   return SIZE_LIMITS.json;
 }
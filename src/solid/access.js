@@ -0,0 +1,65 @@
+/**
+ * Access decisions for pod resources.
+ *
+ * `config.accessControl` (PAA_ACCESS_CONTROL) selects the authorization
+ * system:
+ *   - `acp`  — ACP policies only (acl-editor.js): the policy mode grants
+ *              read, its access sets grant append, write and control.
+ *              `.acl` documents are stored and served but grant nothing.
+ *              The default.
+ *   - `wac`  — WAC `.acl` documents only (wac.js)
+ *   - `both` — an agent gets the modes granted by either
+ * The owner always has every mode.
+ */
+import { checkAcpAccess } from '../ui/pages/acl-editor.js';
+import { evaluateWac } from './wac.js';
+
+export const ACCESS_MODES = ['read', 'write', 'append', 'control'];
+
+/**
+ * Work out what an agent may do with a resource.
+ * @param {object} reqCtx - needs env (APPDATA), storage, config
+ * @param {string} resourceIri
+ * @param {string|null} agentWebId - requesting agent, or null for anonymous
+ * @param {string|null} [origin] - request Origin header (WAC acl:origin)
+ * @returns {Promise<{readable: boolean, listed: boolean, modes: string[], publicModes: string[]}>}
+ *   modes for the agent and for everyone (the two halves of WAC-Allow);
+ *   listed means the resource may be cached publicly and shown in listings
+ */
+export async function checkAccess(reqCtx, resourceIri, agentWebId, origin = null) {
+  const { env, storage, config } = reqCtx;
+  const scheme = config.accessControl || 'acp';
+  const modes = new Set();
+  const publicModes = new Set();
+  let listed = false;
+
+  if (scheme !== 'wac') {
+    const acpCtx = { kv: env.APPDATA, storage, config };
+    const acp = await checkAcpAccess(acpCtx, resourceIri, agentWebId);
+    for (const m of acp.modes) modes.add(m);
+    listed = acp.listed;
+    const anonymous = agentWebId
+      ? await checkAcpAccess(acpCtx, resourceIri, null)
+      : acp;
+    if (anonymous.readable) publicModes.add('read');
+  }
+
+  if (scheme !== 'acp') {
+    const wac = await evaluateWac({ storage, kv: env.APPDATA, baseUrl: config.baseUrl }, resourceIri, agentWebId, origin);
+    for (const m of wac.modes) modes.add(m);
+    for (const m of wac.publicModes) publicModes.add(m);
+    if (wac.publicModes.includes('read')) listed = true;
+  }
+
+  if (agentWebId && agentWebId === config.webId) {
+    for (const m of ACCESS_MODES) modes.add(m);
+  }
+  for (const m of publicModes) modes.add(m);
+
+  return {
+    readable: modes.has('read'),
+    listed,
+    modes: ACCESS_MODES.filter(m => modes.has(m)),
+    publicModes: ACCESS_MODES.filter(m => publicModes.has(m)),
+  };
+}
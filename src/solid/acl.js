@@ -1,5 +1,13 @@
 /**
- * ACL resource management for Solid WAC.
+ * ACL resource management for Solid WAC, and the `.acr` view of ACP policies.
+ *
+ * Reading or changing `{resource}.acl` or `{resource}.acr` needs
+ * acl:Control on the resource (access.js) — the owner, or an agent granted
+ * Control by an ACP access set or, when WAC is enabled, by an ACL.
+ * wac.js evaluates the stored ACL documents.
+ *
+ * `{resource}.acr` exchanges the ACP policy as the JSON stored in APPDATA
+ * (see acl-editor.js). The owner's browser is sent to the ACP editor instead.
  */
 import { PREFIXES } from '../rdf/prefixes.js';
 import { iri } from '../rdf/ntriples.js';
@@ -7,8 +15,10 @@ import { parseTurtle } from '../rdf/turtle-parser.js';
 import { serializeTurtle } from '../rdf/turtle-serializer.js';
 import { parseNTriples, serializeNTriples } from '../rdf/ntriples.js';
 import { solidHeaders } from './headers.js';
-import { negotiateType, serializeRdf } from './conneg.js';
-import { parseSparqlUpdate } from './ldp.js';
+import { negotiateType, notAcceptable, serializeRdf } from './conneg.js';
+import { parsePatch, patchErrorResponse } from './patch.js';
+import { checkAccess } from './access.js';
+import { loadPolicy, normalizePolicy } from '../ui/pages/acl-editor.js';
 
 /**
  * Handle GET for .acl resources.
@@ -17,13 +27,11 @@ import { parseSparqlUpdate } from './ldp.js';
  * @returns {Promise<Response>}
  */
 export async function handleAclGet(reqCtx, resourceIri) {
-  const { storage, request, config } = reqCtx;
+  const { storage, request } = reqCtx;
   const aclIri = resourceIri + '.acl';
 
-  // Check access — only owner can read ACLs
-  if (reqCtx.user !== config.username) {
-    return new Response('Forbidden', { status: 403 });
-  }
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
 
   const aclData = await storage.get(`acl:${resourceIri}`);
   if (!aclData) {
@@ -33,7 +41,8 @@ export async function handleAclGet(reqCtx, resourceIri) {
   const triples = parseNTriples(aclData);
   const accept = request.headers.get('Accept') || 'text/turtle';
   const contentType = negotiateType(accept);
-  const body = serializeRdf(triples, contentType, ['acl', 'foaf']);
+  if (!contentType) return notAcceptable();
+  const body = await serializeRdf(triples, contentType, ['acl', 'foaf'], undefined, { accept });
 
   const headers = solidHeaders(aclIri, false);
   headers.set('Content-Type', contentType);
@@ -47,20 +56,24 @@ export async function handleAclGet(reqCtx, resourceIri) {
  * @returns {Promise<Response>}
  */
 export async function handleAclPut(reqCtx, resourceIri) {
-  const { request, storage, config } = reqCtx;
+  const { request, storage } = reqCtx;
 
-  if (reqCtx.user !== config.username) {
-    return new Response('Forbidden', { status: 403 });
-  }
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
 
   const contentType = request.headers.get('Content-Type') || 'text/turtle';
   const body = await request.text();
 
   let triples;
-  if (contentType.includes('text/turtle')) {
-    triples = parseTurtle(body, resourceIri + '.acl');
-  } else {
-    triples = parseNTriples(body);
+  try {
+    if (contentType.includes('text/turtle')) {
+      triples = parseTurtle(body, resourceIri + '.acl');
+    } else {
+      triples = parseNTriples(body);
+    }
+  } catch (e) {
+    if (e.status === 400) return new Response(e.message, { status: 400 });
+    throw e;
   }
 
   const ntriples = serializeNTriples(triples);
@@ -70,42 +83,37 @@ export async function handleAclPut(reqCtx, resourceIri) {
 }
 
 /**
- * Handle PATCH for .acl resources (SPARQL Update).
+ * Handle PATCH for .acl resources (SPARQL Update or N3 Patch).
  * @param {object} reqCtx
  * @param {string} resourceIri
  * @returns {Promise<Response>}
  */
 export async function handleAclPatch(reqCtx, resourceIri) {
-  const { request, storage, config } = reqCtx;
+  const { request, storage } = reqCtx;
 
-  if (reqCtx.user !== config.username) {
-    return new Response('Forbidden', { status: 403 });
-  }
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
 
   const contentType = request.headers.get('Content-Type') || '';
-  if (!contentType.includes('application/sparql-update')) {
-    return new Response('Unsupported Media Type. Use application/sparql-update', { status: 415 });
-  }
-
   const aclIri = resourceIri + '.acl';
   const body = await request.text();
 
-  // Parse SPARQL Update
-  const { deleteTriples, insertTriples } = parseSparqlUpdate(body, aclIri);
+  // Parse SPARQL Update or N3 Patch
+  let applyPatch;
+  try { applyPatch = parsePatch(body, contentType, aclIri); } catch (e) {
+    const errorResponse = patchErrorResponse(e);
+    if (errorResponse) return errorResponse;
+    throw e;
+  }
 
   // Read existing ACL triples
   const aclData = await storage.get(`acl:${resourceIri}`);
   let allTriples = aclData ? parseNTriples(aclData) : [];
 
-  // Apply deletes
-  if (deleteTriples.length > 0) {
-    const delSet = new Set(deleteTriples.map(t => `${t.subject} ${t.predicate} ${t.object}`));
-    allTriples = allTriples.filter(t => !delSet.has(`${t.subject} ${t.predicate} ${t.object}`));
-  }
-
-  // Apply inserts
-  for (const t of insertTriples) {
-    allTriples.push(t);
+  try { allTriples = applyPatch(allTriples); } catch (e) {
+    const errorResponse = patchErrorResponse(e);
+    if (errorResponse) return errorResponse;
+    throw e;
   }
 
   await storage.put(`acl:${resourceIri}`, serializeNTriples(allTriples));
@@ -119,13 +127,63 @@ export async function handleAclPatch(reqCtx, resourceIri) {
  * @returns {Promise<Response>}
  */
 export async function handleAclDelete(reqCtx, resourceIri) {
-  if (reqCtx.user !== reqCtx.config.username) {
-    return new Response('Forbidden', { status: 403 });
-  }
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
   await reqCtx.storage.delete(`acl:${resourceIri}`);
   return new Response(null, { status: 204 });
 }
 
+/**
+ * Handle GET for .acr resources — the resource's ACP policy as JSON.
+ * @param {object} reqCtx
+ * @param {string} resourceIri - IRI of the resource (without .acr)
+ * @returns {Promise<Response>}
+ */
+export async function handleAcrGet(reqCtx, resourceIri) {
+  const { request, config, env, url } = reqCtx;
+  const accept = request.headers.get('Accept') || '';
+  if (reqCtx.user === config.username && accept.includes('text/html')) {
+    return new Response(null, { status: 302, headers: { 'Location': `/acp/${url.pathname.slice(1).replace(/\.acr$/, '')}` } });
+  }
+
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
+
+  const policy = await loadPolicy(env.APPDATA, resourceIri);
+  const headers = solidHeaders(resourceIri + '.acr', false);
+  headers.set('Content-Type', 'application/json');
+  headers.set('Cache-Control', 'private, no-store');
+  return new Response(request.method === 'HEAD' ? null : JSON.stringify(policy), { status: 200, headers });
+}
+
+/**
+ * Handle PUT for .acr resources — replace the resource's ACP policy.
+ * @param {object} reqCtx
+ * @param {string} resourceIri
+ * @returns {Promise<Response>}
+ */
+export async function handleAcrPut(reqCtx, resourceIri) {
+  const { request, config, env } = reqCtx;
+
+  const denied = await requireControl(reqCtx, resourceIri);
+  if (denied) return denied;
+
+  let policy;
+  try {
+    policy = normalizePolicy(await request.json(), resourceIri);
+  } catch (e) {
+    if (e.status === 400) return new Response(e.message, { status: 400 });
+    return new Response('Invalid JSON', { status: 400 });
+  }
+  // The root user container has no parent to inherit from
+  if (policy.mode === 'inherit' && resourceIri === `${config.baseUrl}/${config.username}/`) {
+    return new Response('The root container cannot inherit a policy', { status: 400 });
+  }
+
+  await env.APPDATA.put(`acp:${resourceIri}`, JSON.stringify(policy));
+  return new Response(null, { status: 205 });
+}
+
 /**
  * Build default ACL N-Triples for a new resource.
  * @param {string} resourceIri
@@ -145,3 +203,11 @@ export function defaultAclNTriples(resourceIri, webId) {
     `${iri(aclId)} ${iri(acl + 'mode')} ${iri(acl + 'Control')} .`,
   ].join('\n');
 }
+
+/** 401/403 unless the requesting agent has acl:Control on the resource. */
+async function requireControl(reqCtx, resourceIri) {
+  const agent = reqCtx.agentWebId || null;
+  const access = await checkAccess(reqCtx, resourceIri, agent, reqCtx.request.headers.get('Origin'));
+  if (access.modes.includes('control')) return null;
+  return new Response(agent ? 'Forbidden' : 'Unauthorized', { status: agent ? 403 : 401 });
+}
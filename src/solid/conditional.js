@@ -0,0 +1,155 @@
+/**
+ * HTTP conditional requests (RFC 9110 §13) for LDP resources.
+ *
+ * Validators:
+ *   - RDF resources — a strong ETag from the SHA-256 of the resource's
+ *     canonical N-Triples (distinct triple lines, sorted), so it changes
+ *     exactly when the stored graph does. A GET adds the served
+ *     representation, `"<graph>-turtle"`, `"<graph>-ld+json"`, so each
+ *     serialization has its own strong validator (RFC 9110 §8.8.1) and a
+ *     `Vary: Accept` cache never answers a 304 for the wrong body. Writes
+ *     compare only the graph part: a client can GET Turtle and PUT JSON-LD
+ *     with `If-Match`. Write responses and notifications carry the bare
+ *     `"<graph>"` tag. RDF resources have no Last-Modified — containment
+ *     updates and UI edits rewrite their documents without keeping a
+ *     timestamp.
+ *   - Binary resources — R2's ETag and upload time (`Last-Modified`).
+ *
+ * KV has no compare-and-swap, so a precondition is checked just before a
+ * write rather than atomically with it. That closes the common "two apps
+ * editing the same document" window, but not a race between two requests
+ * landing within milliseconds of each other.
+ */
+import { sha256 } from '../crypto/digest.js';
+import { parseNTriples } from '../rdf/ntriples.js';
+
+const CONDITIONAL_HEADERS = ['If-Match', 'If-None-Match', 'If-Modified-Since'];
+
+/**
+ * Compute the ETag of an RDF graph, or of one serialization of it.
+ * @param {Array<{subject: string, predicate: string, object: string}>} triples
+ * @param {string} [mediaType] - the served content type; omit for the graph-only tag
+ * @param {string[]} [profiles] - JSON-LD profiles that shaped the body
+ * @returns {Promise<string>} quoted strong ETag
+ */
+export async function rdfEtag(triples, mediaType, profiles = []) {
+  const lines = [...new Set(triples.map(t => `${t.subject} ${t.predicate} ${t.object} .`))].sort();
+  const graph = hex(await sha256(lines.join('\n')), 16);
+  if (!mediaType) return `"${graph}"`;
+  let representation = mediaType.split('/')[1];
+  if (profiles.length) representation += `.${hex(await sha256([...profiles].sort().join(' ')), 4)}`;
+  return `"${graph}-${representation}"`;
+}
+
+/** First `bytes` bytes of a digest as lowercase hex. */
+function hex(digest, bytes) {
+  return [...new Uint8Array(digest).slice(0, bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read a blob's validators from R2 without fetching its body.
+ * @param {R2Bucket} blobs - BLOBS binding
+ * @param {string} resourceIri
+ * @returns {Promise<{etag: string, lastModified: Date, size: number}|null>} null if there is no blob
+ */
+export async function blobValidators(blobs, resourceIri) {
+  const head = await blobs.head(`blob:${resourceIri}`);
+  if (!head) return null;
+  return { etag: head.httpEtag, lastModified: head.uploaded, size: head.size };
+}
+
+/**
+ * Read the current validators of any resource.
+ * @param {object} storage - TRIPLESTORE adapter
+ * @param {R2Bucket} blobs - BLOBS binding
+ * @param {string} resourceIri
+ * @returns {Promise<{etag: string|null, lastModified?: Date}|null>} null if the resource does not exist
+ */
+export async function currentValidators(storage, blobs, resourceIri) {
+  const idx = await storage.get(`idx:${resourceIri}`);
+  if (!idx) return blobValidators(blobs, resourceIri);
+  const parsed = JSON.parse(idx);
+  if (parsed.binary) return (await blobValidators(blobs, resourceIri)) || { etag: null };
+  const docs = await Promise.all((parsed.subjects || []).map(subj => storage.get(`doc:${resourceIri}:${subj}`)));
+  const triples = docs.flatMap(nt => (nt ? parseNTriples(nt) : []));
+  return { etag: await rdfEtag(triples) };
+}
+
+/**
+ * Whether the request carries any precondition this module evaluates.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function hasPreconditions(request) {
+  return CONDITIONAL_HEADERS.some(h => request.headers.has(h));
+}
+
+/**
+ * Evaluate If-Match, If-None-Match and If-Modified-Since in RFC 9110 order.
+ * `If-None-Match: *` on a write gives create-only semantics.
+ * @param {Request} request
+ * @param {{etag: string|null, lastModified?: Date}|null} validators - null if the resource does not exist
+ * @returns {304|412|null} the status to stop with, or null to proceed
+ */
+export function evaluatePreconditions(request, validators) {
+  const safe = request.method === 'GET' || request.method === 'HEAD';
+
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch !== null && !etagMatches(ifMatch, validators, true, !safe)) return 412;
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch !== null) {
+    if (etagMatches(ifNoneMatch, validators, false, !safe)) return safe ? 304 : 412;
+  } else if (safe && validators?.lastModified) {
+    const since = Date.parse(request.headers.get('If-Modified-Since') || '');
+    // HTTP dates have one-second resolution
+    if (!Number.isNaN(since) && Math.floor(validators.lastModified.getTime() / 1000) * 1000 <= since) return 304;
+  }
+  return null;
+}
+
+/**
+ * Compare an If-Match / If-None-Match field value against the current ETag.
+ * With `graphOnly` (writes), RDF tags are compared without their representation part.
+ */
+function etagMatches(field, validators, strong, graphOnly) {
+  if (!validators) return false;
+  if (field.trim() === '*') return true;
+  const current = validators.etag;
+  if (!current || (strong && current.startsWith('W/'))) return false;
+  const normalize = graphOnly ? graphTag : tag => tag;
+  const opaque = normalize(current.replace(/^W\//, ''));
+  for (const [, weak, tag] of field.matchAll(/(W\/)?("[^"]*")/g)) {
+    if (normalize(tag) === opaque && !(strong && weak)) return true;
+  }
+  return false;
+}
+
+/**
+ * The graph part of an RDF ETag (`"<graph>-turtle"` → `"<graph>"`).
+ * R2's multipart tags end in `-<part count>` and are left alone.
+ */
+function graphTag(tag) {
+  return tag.replace(/^"([0-9a-f]{32})-[a-z][^"]*"$/, '"$1"');
+}
+
+/**
+ * Set ETag / Last-Modified response headers.
+ * @param {Headers} headers
+ * @param {{etag: string|null, lastModified?: Date}|null} validators
+ */
+export function setValidatorHeaders(headers, validators) {
+  if (validators?.etag) headers.set('ETag', validators.etag);
+  if (validators?.lastModified) headers.set('Last-Modified', validators.lastModified.toUTCString());
+}
+
+/**
+ * Build the response for a failed precondition.
+ * @param {304|412} status
+ * @param {Headers} [headers] - response headers for a 304 (validators, Cache-Control, Vary)
+ * @returns {Response}
+ */
+export function preconditionResponse(status, headers = new Headers()) {
+  if (status === 304) return new Response(null, { status: 304, headers });
+  return new Response('Precondition Failed', { status: 412, headers: { 'Content-Type': 'text/plain' } });
+}
@@ -1,45 +1,162 @@
 /**
  * Content negotiation for RDF serialization formats.
  *
- * Maps the client's Accept header to the best available serialization:
+ * Ranks the media ranges in the client's Accept header by q-value
+ * (RFC 9110 §12.5.1) and picks the best available serialization:
  *   - `text/turtle` (default) — human-readable RDF with prefix shorthand
+ *   - `application/ld+json` — JSON-LD; compacted by default, or expanded /
+ *     flattened / compacted with a bundled context when the Accept header
+ *     carries a `profile` parameter, e.g.
+ *     `application/ld+json; profile="http://www.w3.org/ns/json-ld#expanded"`
  *   - `application/n-triples` — line-based, no prefixes
- *   - `application/ld+json` — JSON-LD (flat structure, basic conversion)
+ *   - `application/n-quads` — N-Triples plus an optional graph label
+ *   - `application/trig` — Turtle with named graphs (our resources only
+ *     have a default graph, so this is plain Turtle)
+ *   - `application/rdf+xml` — RDF/XML, one `rdf:Description` per subject
+ *
+ * When no available type is acceptable the caller answers 406.
  *
  * Also detects ActivityPub requests (Accept: application/activity+json)
  * so the LDP handler can delegate to the ActivityPub actor handler.
  */
 import { serializeTurtle } from '../rdf/turtle-serializer.js';
-import { serializeNTriples } from '../rdf/ntriples.js';
+import { serializeNTriples, serializeNQuads } from '../rdf/ntriples.js';
+import { serializeRdfXml } from '../rdf/rdfxml.js';
+import { triplesToJsonLd } from '../rdf/jsonld.js';
+import { BUNDLED_CONTEXTS, loadBundledContext } from '../rdf/jsonld-contexts.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+
+const JSONLD_NS = 'http://www.w3.org/ns/json-ld#';
+
+/** RDF serializations we can produce, in server preference order (ties go to the earlier type). */
+export const RDF_MEDIA_TYPES = [
+  'text/turtle',
+  'application/ld+json',
+  'application/n-triples',
+  'application/n-quads',
+  'application/trig',
+  'application/rdf+xml',
+];
+
+/**
+ * Parse an Accept header into media ranges with their q-values.
+ * Invalid q-values are treated as 1; parameters other than `q` are kept.
+ * @param {string} accept
+ * @returns {Array<{range: string, q: number, params: string[]}>}
+ */
+export function parseAccept(accept) {
+  return splitAccept(accept || '').map(([range, ...rest]) => {
+    let q = 1;
+    const params = [];
+    for (const param of rest) {
+      const eq = param.indexOf('=');
+      if (eq > 0 && param.slice(0, eq).trim().toLowerCase() === 'q') {
+        const value = Number(param.slice(eq + 1).trim());
+        if (Number.isFinite(value)) q = Math.min(1, Math.max(0, value));
+      } else {
+        params.push(param);
+      }
+    }
+    return { range: range.toLowerCase(), q, params };
+  });
+}
 
 /**
- * Determine the best RDF content type from Accept header.
+ * Pick the best type from `available` for an Accept header.
+ * The most specific matching range (`type/subtype` > `type/*` > `*\/*`)
+ * sets each type's quality; `q=0` means "not acceptable".
  * @param {string} accept
- * @returns {string} content type
+ * @param {string[]} [available]
+ * @returns {string|null} content type, or null if none is acceptable
+ */
+export function negotiateType(accept, available = RDF_MEDIA_TYPES) {
+  if (!accept || !accept.trim()) return available[0];
+  const ranges = parseAccept(accept);
+  let best = null;
+  let bestQ = 0;
+  for (const type of available) {
+    const q = qualityOf(type, ranges);
+    if (q > bestQ) { best = type; bestQ = q; }
+  }
+  return best;
+}
+
+/** Quality of `type` under the most specific matching media range (0 if none match). */
+function qualityOf(type, ranges) {
+  const wildcard = `${type.split('/')[0]}/*`;
+  let specificity = -1;
+  let q = 0;
+  for (const r of ranges) {
+    const s = r.range === type ? 2 : r.range === wildcard ? 1 : r.range === '*/*' ? 0 : -1;
+    if (s > specificity) { specificity = s; q = r.q; }
+    else if (s === specificity && s >= 0) q = Math.max(q, r.q);
+  }
+  return q;
+}
+
+/**
+ * Build a 406 response. The default message lists the RDF types we serve.
+ * @param {string} [message]
+ * @returns {Response}
  */
-export function negotiateType(accept) {
-  if (!accept) return 'text/turtle';
-  const lower = accept.toLowerCase();
-  if (lower.includes('text/turtle')) return 'text/turtle';
-  if (lower.includes('application/ld+json')) return 'application/ld+json';
-  if (lower.includes('application/n-triples')) return 'application/n-triples';
-  if (lower.includes('application/activity+json')) return 'application/activity+json';
-  if (lower.includes('text/html')) return 'text/html';
-  return 'text/turtle';
+export function notAcceptable(message = `Not Acceptable. Available types: ${RDF_MEDIA_TYPES.join(', ')}`) {
+  return new Response(message, {
+    status: 406,
+    headers: { 'Content-Type': 'text/plain', 'Vary': 'Accept' },
+  });
 }
 
 /**
  * Check if the Accept header wants ActivityPub JSON.
+ * True when `application/activity+json` (or JSON-LD with the ActivityStreams
+ * profile) is acceptable and ranked at least as high as any RDF type.
  * @param {string} accept
  * @returns {boolean}
  */
 export function wantsActivityPub(accept) {
   if (!accept) return false;
-  const lower = accept.toLowerCase();
-  // Only match the AP-specific media type, or JSON-LD with the ActivityStreams profile
-  if (lower.includes('application/activity+json')) return true;
-  if (lower.includes('application/ld+json') && lower.includes('activitystreams')) return true;
-  return false;
+  const ranges = parseAccept(accept);
+  const isAp = (r) => r.range === 'application/activity+json'
+    || (r.range === 'application/ld+json' && r.params.some(p => p.toLowerCase().includes('activitystreams')));
+  const apQ = Math.max(0, ...ranges.filter(isAp).map(r => r.q));
+  if (apQ === 0) return false;
+  const others = ranges.filter(r => !isAp(r));
+  return RDF_MEDIA_TYPES.every(type => qualityOf(type, others) <= apQ);
+}
+
+/**
+ * Extract the `profile` IRIs requested for JSON-LD in an Accept header.
+ * @param {string} accept
+ * @returns {string[]}
+ */
+export function jsonLdProfiles(accept) {
+  const profiles = [];
+  for (const range of splitAccept(accept || '')) {
+    const [type, ...params] = range;
+    if (type.toLowerCase() !== 'application/ld+json') continue;
+    for (const param of params) {
+      const eq = param.indexOf('=');
+      if (eq < 0 || param.slice(0, eq).trim().toLowerCase() !== 'profile') continue;
+      const value = param.slice(eq + 1).trim().replace(/^"|"$/g, '');
+      profiles.push(...value.split(/\s+/).filter(Boolean));
+    }
+  }
+  return profiles;
+}
+
+/** Split an Accept header into media ranges, each `[type, ...params]`, honouring quoted strings. */
+function splitAccept(accept) {
+  const ranges = [];
+  let current = [''];
+  let quoted = false;
+  for (const ch of accept) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === ',') { ranges.push(current); current = ['']; continue; }
+    if (!quoted && ch === ';') { current.push(''); continue; }
+    current[current.length - 1] += ch;
+  }
+  ranges.push(current);
+  return ranges.map(r => r.map(p => p.trim())).filter(r => r[0]);
 }
 
 /**
@@ -47,55 +164,74 @@ export function wantsActivityPub(accept) {
  * @param {Array<{subject: string, predicate: string, object: string}>} triples
  * @param {string} contentType
  * @param {string[]} [prefixes]
- * @returns {string}
+ * @param {Object<string, string>} [allPrefixes] - prefix name → namespace IRI
+ * @param {object} [options]
+ * @param {string} [options.accept] - Accept header (JSON-LD profile selection)
+ * @returns {Promise<string>}
+ * @throws {Error} status 406 if the triples cannot be written as RDF/XML
  */
-export function serializeRdf(triples, contentType, prefixes = ['rdf', 'rdfs', 'ldp', 'foaf', 'acl', 'solid', 'dcterms', 'vcard', 'space'], allPrefixes) {
+export async function serializeRdf(triples, contentType, prefixes = ['rdf', 'rdfs', 'ldp', 'foaf', 'acl', 'solid', 'dcterms', 'vcard', 'space'], allPrefixes, { accept = '' } = {}) {
   switch (contentType) {
     case 'text/turtle':
       return allPrefixes ? serializeTurtle(triples, prefixes, allPrefixes) : serializeTurtle(triples, prefixes);
     case 'application/n-triples':
       return serializeNTriples(triples);
+    case 'application/n-quads':
+      return serializeNQuads(triples);
+    case 'application/trig':
+      return allPrefixes ? serializeTurtle(triples, prefixes, allPrefixes) : serializeTurtle(triples, prefixes);
     case 'application/ld+json':
-      return triplesToJsonLd(triples);
+      return serializeJsonLd(triples, jsonLdProfiles(accept), prefixes, allPrefixes || PREFIXES);
+    case 'application/rdf+xml':
+      return serializeRdfXml(triples, pickPrefixes(prefixes, allPrefixes || PREFIXES));
     default:
       return allPrefixes ? serializeTurtle(triples, prefixes, allPrefixes) : serializeTurtle(triples, prefixes);
   }
 }
 
-function triplesToJsonLd(triples) {
-  // Minimal JSON-LD: flat array of statements
-  const subjects = new Map();
-  for (const t of triples) {
-    const s = unwrap(t.subject);
-    if (!subjects.has(s)) subjects.set(s, { '@id': s });
-    const node = subjects.get(s);
-    const p = unwrap(t.predicate);
-    if (p === 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type') {
-      if (!node['@type']) node['@type'] = [];
-      node['@type'].push(unwrap(t.object));
-    } else {
-      if (!node[p]) node[p] = [];
-      node[p].push(parseObject(t.object));
-    }
+/**
+ * Serialize triples as JSON-LD in the form the requested profiles ask for.
+ * Without a profile the output is compacted with a context built from the
+ * namespace prefixes the data actually uses.
+ */
+async function serializeJsonLd(triples, profiles, prefixNames, allPrefixes) {
+  if (profiles.includes(`${JSONLD_NS}expanded`)) {
+    return JSON.stringify(await triplesToJsonLd(triples), null, 2);
   }
-  return JSON.stringify([...subjects.values()], null, 2);
-}
 
-function unwrap(term) {
-  if (term.startsWith('<') && term.endsWith('>')) return term.slice(1, -1);
-  return term;
+  const contextUrl = profiles.find(p => BUNDLED_CONTEXTS.has(p));
+  const context = contextUrl || prefixContext(triples, prefixNames, allPrefixes);
+  let doc = await triplesToJsonLd(triples, { context, loader: loadBundledContext });
+
+  if (profiles.includes(`${JSONLD_NS}flattened`) && !('@graph' in doc)) {
+    const { '@context': ctx, ...node } = doc;
+    doc = { '@context': ctx, '@graph': Object.keys(node).length ? [node] : [] };
+  }
+  return JSON.stringify(doc, null, 2);
 }
 
-function parseObject(term) {
-  if (term.startsWith('<') && term.endsWith('>')) {
-    return { '@id': term.slice(1, -1) };
+/** Build a compaction context from the prefixes whose namespaces appear in the triples. */
+function prefixContext(triples, prefixNames, allPrefixes) {
+  const iris = new Set();
+  for (const t of triples) {
+    for (const term of [t.subject, t.predicate, t.object]) {
+      if (term.startsWith('<')) iris.add(term.slice(1, -1));
+      else if (term.includes('^^<')) iris.add(term.slice(term.lastIndexOf('^^<') + 3, -1));
+    }
+  }
+  const context = {};
+  for (const name of prefixNames) {
+    const ns = allPrefixes[name];
+    if (ns && [...iris].some(i => i.startsWith(ns))) context[name] = ns;
   }
-  const litMatch = term.match(/^"((?:[^"\\]|\\.)*)"(?:@(\S+)|\^\^<([^>]+)>)?/);
-  if (litMatch) {
-    const obj = { '@value': litMatch[1].replace(/\\"/g, '"').replace(/\\\\/g, '\\') };
-    if (litMatch[2]) obj['@language'] = litMatch[2];
-    if (litMatch[3]) obj['@type'] = litMatch[3];
-    return obj;
+  return context;
+}
+
+/** Restrict a prefix map to the named prefixes. */
+function pickPrefixes(names, allPrefixes) {
+  const picked = {};
+  for (const name of names) {
+    if (allPrefixes[name]) picked[name] = allPrefixes[name];
   }
-  return { '@value': term };
+  return picked;
 }
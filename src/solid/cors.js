@@ -3,8 +3,8 @@
  */
 
 const ALLOWED_METHODS = 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS';
-const ALLOWED_HEADERS = 'Authorization, Content-Type, Accept, Origin, Slug, Link, If-Match, If-None-Match, Prefer, DPoP';
-const EXPOSED_HEADERS = 'Accept-Patch, Accept-Post, Accept-Put, Allow, Content-Range, ETag, Last-Modified, Link, Location, Updates-Via, WAC-Allow, WWW-Authenticate';
+const ALLOWED_HEADERS = 'Authorization, Content-Type, Accept, Origin, Slug, Link, If-Match, If-None-Match, If-Modified-Since, If-Range, Range, Accept-Datetime, Prefer, DPoP';
+const EXPOSED_HEADERS = 'Accept-Patch, Accept-Post, Accept-Put, Accept-Ranges, Allow, Content-Range, ETag, Last-Modified, Link, Location, Memento-Datetime, Updates-Via, WAC-Allow, WWW-Authenticate';
 
 /**
  * Apply CORS headers to a response.
@@ -13,6 +13,8 @@ const EXPOSED_HEADERS = 'Accept-Patch, Accept-Post, Accept-Put, Allow, Content-R
  * @returns {Response}
  */
 export function applyCors(response, request) {
+  // WebSocket handshakes carry the socket on the response object and are not subject to CORS
+  if (response.status === 101) return response;
   const origin = request.headers.get('Origin') || '*';
   const headers = new Headers(response.headers);
   headers.set('Access-Control-Allow-Origin', origin);
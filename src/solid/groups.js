@@ -0,0 +1,303 @@
+/**
+ * Agent groups: named `vcard:Group` documents in the pod that ACP
+ * policies can grant access to.
+ *
+ * Each group is a document in `/{user}/settings/groups/` (private, like
+ * the rest of settings/) named by its slug, describing `<#this>`:
+ *
+ *   <#this> a vcard:Group ;
+ *       vcard:fn "Family" ;
+ *       vcard:hasMember <https://bob.example/profile/card#me>,
+ *                       <https://example.com/alice/settings/groups/cousins#this> .
+ *
+ * A member that is another group here is a nested group: its members
+ * belong to this group too (cycles are ignored). Groups elsewhere are
+ * not followed.
+ *
+ * The `followers` group is kept in sync with the accepted ActivityPub
+ * followers whose actor publishes a WebID (`dcterms:source` points at
+ * the followers collection). An actor publishes a WebID when its `id`,
+ * `webId` or an `alsoKnownAs` entry dereferences to a profile giving it a
+ * `solid:oidcIssuer`.
+ *
+ * Resolved (flattened) memberships are cached in APPDATA as
+ * `group_members:{groupIri}` for GROUP_CACHE_TTL. Changes made through
+ * the groups page clear the cache at once; edits to the documents over
+ * LDP show up when the cache expires.
+ */
+import { parseNTriples, unwrapIri, unwrapLiteral, literal } from '../rdf/ntriples.js';
+import { parseTurtle } from '../rdf/turtle-parser.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { writeTriplesToKV, ensureParentContainers } from './ldp.js';
+import { notifyChange } from './notifications.js';
+import { recordVersion } from '../storage/versions.js';
+import { moveToTrash } from '../storage/trash.js';
+import { fetchRemoteActor } from '../activitypub/remote.js';
+import { validateExternalUrl } from '../security/ssrf.js';
+import { simpleHash } from '../utils.js';
+
+export const FOLLOWERS_GROUP = 'followers';
+
+const GROUP_CACHE_TTL = 300; // 5 minutes
+const WEBID_CACHE_TTL = 24 * 60 * 60; // 1 day
+const MAX_DEPTH = 10;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * The container holding the groups.
+ * @param {object} config
+ * @returns {string}
+ */
+export function groupsContainer(config) {
+  return `${config.baseUrl}/${config.username}/settings/groups/`;
+}
+
+/**
+ * IRI of the group with a slug.
+ * @param {object} config
+ * @param {string} slug
+ * @returns {string}
+ */
+export function groupIri(config, slug) {
+  return `${groupsContainer(config)}${slug}#this`;
+}
+
+/**
+ * Whether an IRI names a group in this pod.
+ * @param {object} config
+ * @param {string} iri
+ * @returns {boolean}
+ */
+export function isGroupIri(config, iri) {
+  const container = groupsContainer(config);
+  return iri.startsWith(container) && SLUG_PATTERN.test(iri.slice(container.length).replace(/#this$/, ''))
+    && iri.endsWith('#this');
+}
+
+/**
+ * Whether a slug is valid for a new group.
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export function isValidGroupSlug(slug) {
+  return SLUG_PATTERN.test(slug || '');
+}
+
+/**
+ * All groups, sorted by name.
+ * @param {object} storage
+ * @param {object} config
+ * @returns {Promise<{iri: string, slug: string, name: string, members: string[], synced: boolean}[]>}
+ */
+export async function listGroups(storage, config) {
+  const container = groupsContainer(config);
+  const containerDoc = await storage.get(`doc:${container}:${container}`);
+  if (!containerDoc) return [];
+  const docs = parseNTriples(containerDoc)
+    .filter(t => unwrapIri(t.predicate) === PREFIXES.ldp + 'contains')
+    .map(t => unwrapIri(t.object));
+  const groups = await Promise.all(docs.map(doc => loadGroup(storage, config, doc + '#this')));
+  return groups.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read one group.
+ * @param {object} storage
+ * @param {object} config
+ * @param {string} iri - group IRI (`{doc}#this`)
+ * @returns {Promise<{iri: string, slug: string, name: string, members: string[], synced: boolean}|null>}
+ */
+export async function loadGroup(storage, config, iri) {
+  if (!isGroupIri(config, iri)) return null;
+  const nt = await storage.get(`doc:${iri.slice(0, -5)}:${iri}`);
+  if (!nt) return null;
+  const triples = parseNTriples(nt).filter(t => unwrapIri(t.subject) === iri);
+  const values = (predicate) => triples.filter(t => unwrapIri(t.predicate) === predicate).map(t => t.object);
+  if (!values(PREFIXES.rdf + 'type').some(o => unwrapIri(o) === PREFIXES.vcard + 'Group')) return null;
+  const slug = iri.slice(groupsContainer(config).length, -5);
+  const name = values(PREFIXES.vcard + 'fn')[0];
+  return {
+    iri,
+    slug,
+    name: name ? unwrapLiteral(name) : slug,
+    members: values(PREFIXES.vcard + 'hasMember').map(unwrapIri),
+    synced: values(PREFIXES.dcterms + 'source').length > 0,
+  };
+}
+
+/**
+ * Create or replace a group document.
+ * @param {object} reqCtx - needs storage, env, config, ctx
+ * @param {string} slug
+ * @param {object} group
+ * @param {string} group.name
+ * @param {string[]} group.members - WebIDs and group IRIs
+ * @param {string|null} [group.source] - collection the group is synced from
+ * @returns {Promise<string>} the group IRI
+ */
+export async function saveGroup(reqCtx, slug, { name, members, source = null }) {
+  const { storage, config } = reqCtx;
+  if (!isValidGroupSlug(slug)) {
+    const err = new Error(`Invalid group name "${slug}"`);
+    err.status = 400;
+    throw err;
+  }
+  const docIri = groupsContainer(config) + slug;
+  const iri = docIri + '#this';
+  const subject = `<${iri}>`;
+  const triples = [
+    { subject, predicate: `<${PREFIXES.rdf}type>`, object: `<${PREFIXES.vcard}Group>` },
+    { subject, predicate: `<${PREFIXES.vcard}fn>`, object: literal(name || slug) },
+    ...[...new Set(members)].filter(m => m !== iri).map(m => ({
+      subject, predicate: `<${PREFIXES.vcard}hasMember>`, object: `<${m}>`,
+    })),
+    ...(source ? [{ subject, predicate: `<${PREFIXES.dcterms}source>`, object: `<${source}>` }] : []),
+  ];
+
+  const existed = !!await storage.get(`idx:${docIri}`);
+  if (existed) {
+    await recordVersion(reqCtx, docIri);
+    await clearDocument(storage, docIri);
+  }
+  await writeTriplesToKV(storage, docIri, triples);
+  if (!existed) await ensureParentContainers(storage, docIri);
+  await clearGroupCache(reqCtx);
+  notifyChange(reqCtx, existed ? 'Update' : 'Create', docIri);
+  return iri;
+}
+
+/**
+ * Move a group document to the trash. Policies naming it stop matching anyone.
+ * @param {object} reqCtx
+ * @param {string} slug
+ */
+export async function deleteGroup(reqCtx, slug) {
+  if (!isValidGroupSlug(slug)) return;
+  const docIri = groupsContainer(reqCtx.config) + slug;
+  await clearGroupCache(reqCtx);
+  if (await moveToTrash(reqCtx, docIri)) notifyChange(reqCtx, 'Delete', docIri);
+}
+
+/**
+ * Members of a group, with nested groups expanded. Cached.
+ * @param {object} ctx
+ * @param {KVNamespace} ctx.kv - APPDATA
+ * @param {object} ctx.storage
+ * @param {object} ctx.config
+ * @param {string} iri - group IRI
+ * @returns {Promise<string[]>} WebIDs
+ */
+export async function resolveGroupMembers(ctx, iri) {
+  const cacheKey = `group_members:${iri}`;
+  const cached = await ctx.kv.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const members = new Set();
+  const visited = new Set();
+  const expand = async (groupIri, depth) => {
+    if (visited.has(groupIri) || depth > MAX_DEPTH) return;
+    visited.add(groupIri);
+    const group = await loadGroup(ctx.storage, ctx.config, groupIri);
+    if (!group) return;
+    for (const member of group.members) {
+      if (isGroupIri(ctx.config, member)) await expand(member, depth + 1);
+      else members.add(member);
+    }
+  };
+  await expand(iri, 0);
+
+  const result = [...members];
+  await ctx.kv.put(cacheKey, JSON.stringify(result), { expirationTtl: GROUP_CACHE_TTL });
+  return result;
+}
+
+/**
+ * Rebuild the followers group from the accepted followers.
+ * @param {object} reqCtx - needs env, storage, config, ctx
+ * @param {object} [opts]
+ * @param {boolean} [opts.create=true] - false to only update an existing group
+ *   (the automatic syncs: the owner creates the group from the groups page)
+ * @returns {Promise<number>} how many followers have a WebID
+ */
+export async function syncFollowersGroup(reqCtx, { create = true } = {}) {
+  const { env, config, storage, t } = reqCtx;
+  const existing = await loadGroup(storage, config, groupIri(config, FOLLOWERS_GROUP));
+  if (!create && !existing?.synced) return 0;
+
+  const followers = JSON.parse(await env.APPDATA.get(`ap_followers:${config.username}`) || '[]');
+  const webIds = [];
+  for (const actorUri of followers) {
+    const webId = await actorWebId(env.APPDATA, actorUri);
+    if (webId) webIds.push(webId);
+  }
+
+  const unchanged = existing?.synced && existing.members.length === webIds.length
+    && webIds.every(w => existing.members.includes(w));
+  if (!unchanged) {
+    await saveGroup(reqCtx, FOLLOWERS_GROUP, {
+      name: existing?.name || t?.grp_followers_name || 'Followers',
+      members: webIds,
+      source: `${config.baseUrl}/${config.username}/followers`,
+    });
+  }
+  console.log(`[groups] followers synced: ${webIds.length} of ${followers.length} have a WebID`);
+  return webIds.length;
+}
+
+// --- Helpers ---
+
+/** Delete the cached memberships of every group (nesting makes them depend on each other). */
+async function clearGroupCache(reqCtx) {
+  const { storage, config, env } = reqCtx;
+  for (const group of await listGroups(storage, config)) {
+    await env.APPDATA.delete(`group_members:${group.iri}`);
+  }
+}
+
+async function clearDocument(storage, docIri) {
+  const idx = await storage.get(`idx:${docIri}`);
+  if (!idx) return;
+  for (const subj of JSON.parse(idx).subjects || []) {
+    await storage.delete(`doc:${docIri}:${subj}`);
+  }
+}
+
+/** The WebID an ActivityPub actor publishes, or null. Cached. */
+async function actorWebId(kv, actorUri) {
+  const cacheKey = `ap_webid:${simpleHash(actorUri)}`;
+  const cached = await kv.get(cacheKey);
+  if (cached) return JSON.parse(cached).webId;
+
+  const actor = await fetchRemoteActor(actorUri, kv);
+  const aka = actor?.alsoKnownAs;
+  const candidates = [
+    actorUri,
+    ...(typeof actor?.webId === 'string' ? [actor.webId] : []),
+    ...(Array.isArray(aka) ? aka : aka ? [aka] : []).filter(a => typeof a === 'string'),
+  ];
+  let webId = null;
+  for (const candidate of [...new Set(candidates)]) {
+    if (await isWebId(candidate)) {
+      webId = candidate;
+      break;
+    }
+  }
+  await kv.put(cacheKey, JSON.stringify({ webId }), { expirationTtl: WEBID_CACHE_TTL });
+  return webId;
+}
+
+/** Whether an IRI dereferences to a profile that gives it a solid:oidcIssuer. */
+async function isWebId(iri) {
+  if (!validateExternalUrl(iri)) return false;
+  try {
+    const response = await fetch(iri.split('#')[0], {
+      headers: { Accept: 'text/turtle', 'User-Agent': 'paa.pub/1.0' },
+    });
+    if (!response.ok || !(response.headers.get('Content-Type') || '').includes('text/turtle')) return false;
+    const triples = parseTurtle(await response.text(), iri.split('#')[0]);
+    return triples.some(t => unwrapIri(t.subject) === iri && unwrapIri(t.predicate) === PREFIXES.solid + 'oidcIssuer');
+  } catch (e) {
+    console.log(`[groups] WebID check failed: ${iri}: ${e.message}`);
+    return false;
+  }
+}
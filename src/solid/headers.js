@@ -3,6 +3,9 @@
  */
 import { PREFIXES } from '../rdf/prefixes.js';
 
+/** PATCH formats accepted for RDF resources (see patch.js). */
+export const ACCEPT_PATCH = 'text/n3, application/sparql-update';
+
 /**
  * Build Link headers for a resource.
  * @param {string} resourceIri
@@ -15,6 +18,7 @@ export function buildLinkHeaders(resourceIri, isContainer) {
     `<${resourceIri}.acl>; rel="acl"`,
     `<${resourceIri}.acr>; rel="http://www.w3.org/ns/solid/acp#accessControl"`,
     `<${resourceIri}.meta>; rel="describedby"`,
+    `<${new URL(resourceIri).origin}/.well-known/solid>; rel="${PREFIXES.solid}storageDescription"`,
   ];
   if (isContainer) {
     links.push(`<${PREFIXES.ldp}BasicContainer>; rel="type"`);
@@ -45,9 +49,9 @@ export function buildWacAllow(access) {
 export function solidHeaders(resourceIri, isContainer) {
   const headers = new Headers();
   headers.set('Link', buildLinkHeaders(resourceIri, isContainer));
-  headers.set('Accept-Patch', 'text/n3, application/sparql-update');
+  headers.set('Accept-Patch', ACCEPT_PATCH);
   headers.set('Accept-Put', '*/*');
-  headers.set('Accept-Post', 'text/turtle, application/ld+json, application/n-triples, application/octet-stream');
+  headers.set('Accept-Post', 'text/turtle, application/ld+json, application/n-triples, application/n-quads, application/trig, application/rdf+xml, application/octet-stream');
   const methods = isContainer
     ? 'OPTIONS, HEAD, GET, POST, PUT, PATCH, DELETE'
     : 'OPTIONS, HEAD, GET, PUT, PATCH, DELETE';
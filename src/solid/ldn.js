@@ -0,0 +1,216 @@
+/**
+ * Linked Data Notifications (LDN) receiver for the WebID profile's inbox.
+ *
+ * The profile advertises `ldp:inbox </{user}/inbox>`, the same URL as the
+ * ActivityPub actor inbox. POSTs carrying an HTTP `Signature` header are
+ * ActivityPub deliveries (activitypub/inbox.js); anything else is an LDN
+ * notification handled here.
+ *
+ * Receiving (POST /{user}/inbox):
+ *   - Anyone may send (public append); a Solid-OIDC sender's WebID is
+ *     recorded, anonymous senders are accepted too
+ *   - `application/ld+json` or `text/turtle`, parsed with the RDF parsers
+ *     (415 otherwise, 400 if it doesn't parse or has no triples). JSON-LD
+ *     may only use the bundled contexts; nothing is fetched
+ *   - At most MAX_NOTIFICATION_BYTES (413) and MAX_NOTIFICATIONS kept
+ *     notifications (507)
+ *   - Rate limited per IP by the `ldn` category of security/rate-limit.js
+ *
+ * Storage: each notification is an RDF resource in the `/{user}/inbox/`
+ * container, named by a random UUID, with a metadata document
+ * (`doc:{iri}.meta:{iri}`) holding `dcterms:created` and, for an
+ * authenticated sender, `as:actor <webid>`. The container is private
+ * (bootstrap policy, or created on the first notification for older
+ * installs), so listing and reading the notifications is owner-only
+ * through the normal LDP handlers.
+ *
+ * GET /{user}/inbox serves the container listing (`ldp:contains`).
+ */
+import { parseTurtle } from '../rdf/turtle-parser.js';
+import { jsonLdToTriples } from '../rdf/jsonld.js';
+import { loadBundledContext } from '../rdf/jsonld-contexts.js';
+import { parseNTriples, unwrapIri, unwrapLiteral } from '../rdf/ntriples.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { handleLDP, writeTriplesToKV, ensureParentContainers } from './ldp.js';
+import { notifyChange } from './notifications.js';
+import { SIZE_LIMITS } from '../security/size-limit.js';
+
+export const MAX_NOTIFICATIONS = 1000;
+const MAX_NOTIFICATION_BYTES = SIZE_LIMITS.notification;
+const ACCEPT_POST = 'application/ld+json, text/turtle';
+
+/**
+ * Whether a POST to /{user}/inbox is an LDN notification rather than an
+ * ActivityPub delivery (which is always signed).
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isLdnRequest(request) {
+  return !request.headers.has('Signature');
+}
+
+/**
+ * The inbox container for a user.
+ * @param {object} config
+ * @returns {string}
+ */
+export function inboxContainer(config) {
+  return `${config.baseUrl}/${config.username}/inbox/`;
+}
+
+/**
+ * POST /{user}/inbox — receive a notification.
+ */
+export async function handleLdnPost(reqCtx) {
+  const { request, params, config, env, storage } = reqCtx;
+  if (params.user !== config.username) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+  const isJsonLd = contentType.includes('application/ld+json');
+  if (!isJsonLd && !contentType.includes('text/turtle')) {
+    return new Response('Unsupported Media Type', { status: 415, headers: { 'Accept-Post': ACCEPT_POST } });
+  }
+
+  const declared = parseInt(request.headers.get('Content-Length') || '0', 10);
+  if (declared > MAX_NOTIFICATION_BYTES) return payloadTooLarge();
+  const body = await request.text();
+  if (new TextEncoder().encode(body).byteLength > MAX_NOTIFICATION_BYTES) return payloadTooLarge();
+
+  const container = inboxContainer(config);
+  const containerDoc = await storage.get(`doc:${container}:${container}`);
+  if (containedIris(containerDoc).length >= MAX_NOTIFICATIONS) {
+    console.log(`[ldn] rejected: inbox full`);
+    return new Response('Inbox full', { status: 507 });
+  }
+
+  const notificationIri = container + crypto.randomUUID();
+  let triples;
+  try {
+    triples = isJsonLd
+      ? await parseJsonLd(body, notificationIri)
+      : parseTurtle(body, notificationIri);
+  } catch (e) {
+    if (e.status === 400) return new Response(e.message, { status: 400 });
+    throw e;
+  }
+  if (triples.length === 0) {
+    return new Response('Notification has no triples', { status: 400 });
+  }
+
+  await ensureInbox(reqCtx);
+  await writeTriplesToKV(storage, notificationIri, triples);
+  const sender = reqCtx.agentWebId || null;
+  const meta = [
+    `<${notificationIri}> <${PREFIXES.dcterms}created> "${new Date().toISOString()}"^^<${PREFIXES.xsd}dateTime> .`,
+    ...(sender ? [`<${notificationIri}> <${PREFIXES.as}actor> <${sender}> .`] : []),
+  ].join('\n');
+  await storage.put(`doc:${notificationIri}.meta:${notificationIri}`, meta);
+  await ensureParentContainers(storage, notificationIri);
+
+  console.log(`[ldn] received ${notificationIri} from ${sender || 'anonymous'} (${triples.length} triples)`);
+  notifyChange(reqCtx, 'Create', notificationIri);
+  return new Response(null, { status: 201, headers: { 'Location': notificationIri } });
+}
+
+/**
+ * GET/HEAD /{user}/inbox — the inbox listing, served from the container.
+ */
+export async function handleLdnInboxGet(reqCtx) {
+  const { params, config } = reqCtx;
+  if (params.user !== config.username) {
+    return new Response('Not Found', { status: 404 });
+  }
+  const url = new URL(inboxContainer(config));
+  const response = await handleLDP({ ...reqCtx, url });
+  const headers = new Headers(response.headers);
+  headers.set('Accept-Post', ACCEPT_POST);
+  return new Response(response.body, { status: response.status, headers });
+}
+
+/**
+ * Number of notifications in the inbox.
+ * @param {object} reqCtx - needs storage, config
+ * @returns {Promise<number>}
+ */
+export async function countNotifications(reqCtx) {
+  const container = inboxContainer(reqCtx.config);
+  return containedIris(await reqCtx.storage.get(`doc:${container}:${container}`)).length;
+}
+
+/**
+ * List received notifications, newest first.
+ * @param {object} reqCtx - needs storage, config
+ * @returns {Promise<{iri: string, id: string, receivedAt: string|null, sender: string|null, triples: object[]}[]>}
+ */
+export async function listNotifications(reqCtx) {
+  const { storage, config } = reqCtx;
+  const container = inboxContainer(config);
+  const containerDoc = await storage.get(`doc:${container}:${container}`);
+  const iris = containedIris(containerDoc);
+
+  const notifications = await Promise.all(iris.map(async (iri) => {
+    const idx = await storage.get(`idx:${iri}`);
+    if (!idx) return null;
+    const { subjects = [] } = JSON.parse(idx);
+    const docs = await Promise.all(subjects.map(subj => storage.get(`doc:${iri}:${subj}`)));
+    const triples = docs.filter(Boolean).flatMap(nt => parseNTriples(nt));
+    const meta = parseNTriples(await storage.get(`doc:${iri}.meta:${iri}`) || '');
+    const metaValue = (predicate) => meta.find(t => unwrapIri(t.predicate) === predicate)?.object;
+    const created = metaValue(PREFIXES.dcterms + 'created');
+    const actor = metaValue(PREFIXES.as + 'actor');
+    return {
+      iri,
+      id: iri.slice(container.length),
+      receivedAt: created ? unwrapLiteral(created) : null,
+      sender: actor ? unwrapIri(actor) : null,
+      triples,
+    };
+  }));
+  return notifications.filter(Boolean)
+    .sort((a, b) => (b.receivedAt || '').localeCompare(a.receivedAt || ''));
+}
+
+// --- Helpers ---
+
+/** Create the inbox container and its private policy if they don't exist yet. */
+async function ensureInbox(reqCtx) {
+  const { storage, env, config } = reqCtx;
+  const container = inboxContainer(config);
+  if (!await env.APPDATA.get(`acp:${container}`)) {
+    await env.APPDATA.put(`acp:${container}`, JSON.stringify({ mode: 'private', agents: [], inherit: true }));
+  }
+  if (!await storage.get(`idx:${container}`)) {
+    await ensureParentContainers(storage, container);
+    const containerNt = [
+      `<${container}> <${PREFIXES.rdf}type> <${PREFIXES.ldp}BasicContainer> .`,
+      `<${container}> <${PREFIXES.rdf}type> <${PREFIXES.ldp}Container> .`,
+    ].join('\n');
+    const existing = await storage.get(`doc:${container}:${container}`);
+    await storage.put(`doc:${container}:${container}`, existing ? existing + '\n' + containerNt : containerNt);
+    await storage.put(`idx:${container}`, JSON.stringify({ subjects: [container] }));
+  }
+}
+
+/** Senders are anonymous, so remote contexts are never fetched: only bundled ones. */
+async function parseJsonLd(body, baseIri) {
+  let doc;
+  try { doc = JSON.parse(body); } catch (e) {
+    const err = new Error('Invalid JSON-LD: ' + e.message);
+    err.status = 400;
+    throw err;
+  }
+  return jsonLdToTriples(doc, { base: baseIri, loader: loadBundledContext });
+}
+
+function containedIris(containerDoc) {
+  if (!containerDoc) return [];
+  return parseNTriples(containerDoc)
+    .filter(t => unwrapIri(t.predicate) === PREFIXES.ldp + 'contains')
+    .map(t => unwrapIri(t.object));
+}
+
+function payloadTooLarge() {
+  return new Response('Payload Too Large', { status: 413, headers: { 'Content-Type': 'text/plain' } });
+}
@@ -14,28 +14,61 @@
  *     membership is tracked via `ldp:contains` triples in the container's
  *     own document (`doc:{containerIri}:{containerIri}`).
  *
+ * Conditional requests:
+ *   GET/HEAD/PUT/PATCH/DELETE evaluate If-Match, If-None-Match and
+ *   If-Modified-Since against the validators from conditional.js.
+ *   Binary GETs also honour Range / If-Range (range.js).
+ *
+ * Version history:
+ *   PUT/PATCH snapshot the state they replace (storage/versions.js); a
+ *   trashed resource keeps its history until purged. GETs of
+ *   non-container resources serve the Memento TimeGate, TimeMap and
+ *   mementos (memento.js).
+ *
+ * Notifications:
+ *   Successful PUT/POST/PATCH/DELETE call `notifyChange()` (notifications.js),
+ *   which tells Solid Notifications subscribers after the response is sent.
+ *
  * Access control:
- *   All GET/HEAD requests run through `checkAcpAccess()` which evaluates
- *   the ACP policy for the resource, walking up the container hierarchy
- *   if the resource inherits its policy. Responses include Cache-Control
- *   headers based on the access level (public vs private).
+ *   Every request runs through `checkAccess()` (access.js), which
+ *   evaluates ACP policies and/or WAC `.acl` documents, as configured,
+ *   for the requesting agent (`reqCtx.agentWebId` — the owner or a
+ *   Solid-OIDC visitor). GET/HEAD need Read, PUT and DELETE Write, POST
+ *   Append, and PATCH Write (Append if it only adds triples). Responses
+ *   carry WAC-Allow and Cache-Control based on the access level. Binary
+ *   writes by agents other than the owner are attributed to them in the
+ *   quota (`dcterms:creator` in the metadata document).
+ *   A `?share=` capability token (share-links.js) is checked first; when
+ *   it covers the resource its modes replace the policy evaluation.
  *
  * Special cases:
  *   - `.acl` suffixed URLs → WAC ACL management (delegated to acl.js)
- *   - `.acr` suffixed URLs → ACP editor redirect
- *   - Container root + `Accept: text/html` → serves index.html blob if present
+ *   - `.acr` suffixed URLs → ACP policy as JSON, or the editor for the owner's browser (acl.js)
+ *   - Container + `Accept` preferring `text/html` → serves index.html blob if present
  *   - Root container → dynamically rendered from layout JSON with WebID profile data
  */
-import { negotiateType, serializeRdf, wantsActivityPub } from './conneg.js';
+import { negotiateType, notAcceptable, serializeRdf, wantsActivityPub, jsonLdProfiles, RDF_MEDIA_TYPES } from './conneg.js';
 import { solidHeaders, buildWacAllow } from './headers.js';
-import { parseTurtle } from '../rdf/turtle-parser.js';
+import { rdfEtag, blobValidators, currentValidators, hasPreconditions, evaluatePreconditions, setValidatorHeaders, preconditionResponse } from './conditional.js';
+import { serveBlob } from './range.js';
+import { notifyChange } from './notifications.js';
+import { handleMemento } from './memento.js';
+import { parseTurtle, parseTriG } from '../rdf/turtle-parser.js';
+import { parseRdfXml } from '../rdf/rdfxml.js';
+import { sparqlJsonToTriples } from '../rdf/sparql-results.js';
+import { jsonLdToTriples } from '../rdf/jsonld.js';
+import { createContextLoader } from '../rdf/jsonld-contexts.js';
 import { parseNTriples, serializeNQuads, iri, unwrapIri, unwrapLiteral } from '../rdf/ntriples.js';
 import { isContainer, slugToName, addContainment, containerTypeQuads, parentContainer } from './containers.js';
-import { handleAclGet, handleAclPut, handleAclPatch, handleAclDelete, defaultAclNTriples } from './acl.js';
-import { checkAcpAccess } from '../ui/pages/acl-editor.js';
+import { parsePatch, patchErrorResponse } from './patch.js';
+import { handleAclGet, handleAclPut, handleAclPatch, handleAclDelete, handleAcrGet, handleAcrPut, defaultAclNTriples } from './acl.js';
+import { checkAccess } from './access.js';
+import { authorizeShareLink, shareLinkCovers } from './share-links.js';
 import { PREFIXES, loadMergedPrefixes } from '../rdf/prefixes.js';
-import { checkQuota, quotaExceededResponse, addQuota } from '../storage/quota.js';
-import { checkContainerQuota, containerQuotaExceededResponse, addContainerBytes } from '../storage/container-quota.js';
+import { checkQuota, quotaExceededResponse, addQuota, subtractQuota, addWriterBytes, subtractWriterBytes, writerOf } from '../storage/quota.js';
+import { checkContainerQuota, containerQuotaExceededResponse, addContainerBytes, subtractContainerBytes } from '../storage/container-quota.js';
+import { recordVersion } from '../storage/versions.js';
+import { moveToTrash } from '../storage/trash.js';
 import { checkAppPermission, getAppPermission } from './app-permissions.js';
 import { resolveContentType } from './media-types.js';
 
@@ -44,6 +77,8 @@ const RDF_TYPES = new Set([
   'application/ld+json',
   'application/n-triples',
   'application/n-quads',
+  'application/trig',
+  'application/rdf+xml',
   'application/sparql-update',
 ]);
 
@@ -82,18 +117,19 @@ export async function handleLDP(reqCtx) {
 
   // Handle .acr resources (ACP)
   if (url.pathname.endsWith('.acr')) {
-    if (reqCtx.user !== config.username) {
-      return new Response('Forbidden', { status: 403 });
-    }
     const baseIri = resourceIri.slice(0, -4);
-    if (request.method === 'GET' || request.method === 'HEAD') {
-      const { checkAcpAccess: _, ...mod } = await import('../ui/pages/acl-editor.js');
-      // Redirect to the ACP editor UI
-      return new Response(null, { status: 302, headers: { 'Location': `/acp/${url.pathname.slice(1).replace(/\.acr$/, '')}` } });
+    switch (request.method) {
+      case 'GET': case 'HEAD': return handleAcrGet(reqCtx, baseIri);
+      case 'PUT': return handleAcrPut(reqCtx, baseIri);
+      default: return new Response('Method Not Allowed', { status: 405 });
     }
-    return new Response('Method Not Allowed', { status: 405 });
   }
 
+  // Capability share link — checked before the access policies
+  const { denied: shareDenied, grant: shareLink } = await authorizeShareLink(reqCtx, resourceIri);
+  if (shareDenied) return shareDenied;
+  if (shareLink) reqCtx = { ...reqCtx, shareLink };
+
   // App read permission check (OIDC apps only)
   if ((request.method === 'GET' || request.method === 'HEAD') && reqCtx.authMethod === 'oidc' && reqCtx.clientId) {
     const allowed = await checkAppPermission(reqCtx.env.APPDATA, config.username, reqCtx.clientId, resourceIri);
@@ -104,7 +140,8 @@ export async function handleLDP(reqCtx) {
 
   // Content negotiation for HTML — serve rendered page or index.html from container
   const accept = request.headers.get('Accept') || '';
-  if ((request.method === 'GET' || request.method === 'HEAD') && isContainer(resourceIri) && accept.includes('text/html') && !wantsActivityPub(accept)) {
+  if ((request.method === 'GET' || request.method === 'HEAD') && isContainer(resourceIri)
+      && negotiateType(accept, [...RDF_MEDIA_TYPES, 'text/html']) === 'text/html' && !wantsActivityPub(accept)) {
     const rootContainerIri = `${config.baseUrl}/${config.username}/`;
 
     // For the root container, render profile page from layout JSON.
@@ -133,8 +170,8 @@ export async function handleLDP(reqCtx) {
     const indexIri = resourceIri + 'index.html';
     const indexBlob = await reqCtx.storage.getBlob(`blob:${indexIri}`);
     if (indexBlob) {
-      const agent = reqCtx.user ? config.webId : null;
-      const access = await checkAcpAccess(reqCtx.env.APPDATA, indexIri, agent, config.webId, config.username);
+      const agent = reqCtx.agentWebId || null;
+      const access = await resolveAccess(reqCtx, indexIri);
       if (!access.readable) {
         return denyAccess(agent, config.baseUrl);
       }
@@ -165,70 +202,95 @@ export async function handleLDP(reqCtx) {
  *
  * Flow:
  *   1. Look up `idx:{iri}` — if missing, check for an orphan blob in R2
- *   2. Run ACP access check (owner is handled inside checkAcpAccess)
- *   3. If binary (idx.binary === true) → fetch blob from R2, read content-type
- *      from metadata, serve with appropriate Cache-Control
- *   4. If RDF → fetch all subject documents in parallel, parse N-Triples,
- *      content-negotiate (Turtle, JSON-LD, N-Triples), serialize and serve
+ *   2. Run the access check (owner is handled inside checkAccess)
+ *   3. Non-containers: `?timemap`, `?memento=` and Accept-Datetime are
+ *      answered from the version history (memento.js)
+ *   4. If binary (idx.binary === true) → read content-type and size from
+ *      metadata, stream the blob (or the requested byte ranges) from R2
+ *      with appropriate Cache-Control
+ *   5. If RDF → fetch all subject documents in parallel, parse N-Triples,
+ *      content-negotiate (Turtle, JSON-LD, N-Triples, ...), serialize and serve
+ *
+ * Both paths send an ETag (binaries also Last-Modified) and answer
+ * If-None-Match / If-Modified-Since with 304 and a failed If-Match with 412.
  */
 async function handleGet(reqCtx, resourceIri) {
   const { request, config, storage, env, url } = reqCtx;
-  const agent = reqCtx.user ? config.webId : null;
+  // Owner or a visiting agent authenticated via Solid-OIDC
+  const agent = reqCtx.agentWebId || null;
 
   // Check if the resource exists in KV
   const idx = await storage.get(`idx:${resourceIri}`);
   if (!idx) {
     // Also check for blobs without an idx entry
-    const blob = await storage.getBlob(`blob:${resourceIri}`);
-    if (!blob) {
+    const validators = await blobValidators(env.BLOBS, resourceIri);
+    if (!validators) {
       // Return 404 with Solid headers so clients know PUT is available
       const notFoundHeaders = solidHeaders(resourceIri, isContainer(resourceIri));
       notFoundHeaders.set('Content-Type', 'text/plain; charset=utf-8');
       return new Response('Not Found', { status: 404, headers: notFoundHeaders });
     }
 
-    // Serve orphan blob — always check ACP (owner handled inside checkAcpAccess)
-    const access = await checkAcpAccess(env.APPDATA, resourceIri, agent, config.webId, config.username);
+    // Serve orphan blob — always check access (owner handled inside checkAccess)
+    const access = await resolveAccess(reqCtx, resourceIri);
     if (!access.readable) {
       return denyAccess(agent, config.baseUrl);
     }
     const headers = solidHeaders(resourceIri, false);
-    headers.set('Content-Type', 'application/octet-stream');
     headers.set('Cache-Control', 'private, no-store');
-    if (request.method === 'HEAD') return new Response(null, { status: 200, headers });
-    return new Response(blob, { status: 200, headers });
+    setValidatorHeaders(headers, validators);
+    const precondition = evaluatePreconditions(request, validators);
+    if (precondition) return preconditionResponse(precondition, headers);
+    return serveBlob(request, env.BLOBS, `blob:${resourceIri}`, {
+      size: validators.size,
+      contentType: 'application/octet-stream',
+      headers,
+      validators,
+    });
   }
 
-  // Check ACP access — always run (owner is handled inside checkAcpAccess)
-  const access = await checkAcpAccess(env.APPDATA, resourceIri, agent, config.webId, config.username);
+  // Check access — always run (owner is handled inside checkAccess)
+  const access = await resolveAccess(reqCtx, resourceIri);
   if (!access.readable) {
     return denyAccess(agent, config.baseUrl);
   }
-
-  const isOwner = reqCtx.user === config.username;
-  const wacAllow = isOwner
-    ? buildWacAllow({ user: ['read', 'write', 'append', 'control'], public: [] })
-    : buildWacAllow({ user: agent ? ['read'] : [], public: [] });
+  const wacAllow = buildWacAllow({ user: access.modes, public: access.publicModes });
 
   const parsed = JSON.parse(idx);
 
+  // Version history: TimeMap, mementos and Accept-Datetime (memento.js)
+  let timeHeaders = {};
+  if (!isContainer(resourceIri)) {
+    const memento = await handleMemento(reqCtx, resourceIri, { wacAllow, listed: access.listed });
+    if (memento.response) return memento.response;
+    timeHeaders = memento.headers;
+  }
+
   // Serve binary resources (idx has binary: true)
   if (parsed.binary) {
-    const blob = await storage.getBlob(`blob:${resourceIri}`);
-    if (!blob) return new Response('Not Found', { status: 404 });
-    // Read content type from metadata
+    const headers = solidHeaders(resourceIri, false);
+    for (const [name, value] of Object.entries(timeHeaders)) headers.append(name, value);
+    headers.set('WAC-Allow', wacAllow);
+    headers.set('Cache-Control', access.listed ? 'public, max-age=300' : 'private, no-store');
+    // Validators come from R2 metadata, so a 304 never reads the blob
+    const validators = await blobValidators(env.BLOBS, resourceIri);
+    setValidatorHeaders(headers, validators);
+    const precondition = evaluatePreconditions(request, validators);
+    if (precondition) return preconditionResponse(precondition, headers);
+    if (!validators) return new Response('Not Found', { status: 404 });
+
+    // Read content type and size from metadata
     const metaDoc = await storage.get(`doc:${resourceIri}.meta:${resourceIri}`);
     let ct = 'application/octet-stream';
+    let size = validators.size;
     if (metaDoc) {
       const fmtMatch = metaDoc.match(/<http:\/\/purl\.org\/dc\/terms\/format>\s+"([^"]+)"/);
       if (fmtMatch) ct = fmtMatch[1];
+      const extentMatch = metaDoc.match(/<http:\/\/purl\.org\/dc\/terms\/extent>\s+"(\d+)"/);
+      if (extentMatch) size = parseInt(extentMatch[1], 10);
     }
-    const headers = solidHeaders(resourceIri, false);
-    headers.set('Content-Type', ct);
-    headers.set('WAC-Allow', wacAllow);
-    headers.set('Cache-Control', access.listed ? 'public, max-age=300' : 'private, no-store');
-    if (request.method === 'HEAD') return new Response(null, { status: 200, headers });
-    return new Response(blob, { status: 200, headers });
+    // Streamed from R2, honouring Range / If-Range
+    return serveBlob(request, env.BLOBS, `blob:${resourceIri}`, { size, contentType: ct, headers, validators });
   }
 
   // Read RDF triples (parallel fetch)
@@ -239,6 +301,8 @@ async function handleGet(reqCtx, resourceIri) {
   for (const nt of docs) {
     if (nt) allTriples.push(...parseNTriples(nt));
   }
+  // The ETag reflects the stored graph, before the type triples added below
+  const graphTriples = [...allTriples];
 
   if (allTriples.length === 0) {
     // Empty containers still return a valid representation with their type triples
@@ -275,12 +339,26 @@ async function handleGet(reqCtx, resourceIri) {
 
   const accept = request.headers.get('Accept') || 'text/turtle';
   const contentType = negotiateType(accept);
-  const body = serializeRdf(allTriples, contentType, prefixNames, mergedPrefixes);
+  if (!contentType) return notAcceptable();
+  const profiles = contentType === 'application/ld+json' ? jsonLdProfiles(accept) : [];
+  const validators = { etag: await rdfEtag(graphTriples, contentType, profiles) };
 
   const headers = solidHeaders(resourceIri, isContainer(resourceIri));
-  headers.set('Content-Type', contentType);
+  for (const [name, value] of Object.entries(timeHeaders)) headers.append(name, value);
   headers.set('WAC-Allow', wacAllow);
   headers.set('Cache-Control', access.listed ? 'public, max-age=300' : 'private, no-store');
+  setValidatorHeaders(headers, validators);
+  const precondition = evaluatePreconditions(request, validators);
+  if (precondition) return preconditionResponse(precondition, headers);
+
+  let body;
+  try {
+    body = await serializeRdf(allTriples, contentType, prefixNames, mergedPrefixes, { accept });
+  } catch (e) {
+    if (e.status === 406) return notAcceptable(e.message);
+    throw e;
+  }
+  headers.set('Content-Type', contentType);
 
   if (request.method === 'HEAD') return new Response(null, { status: 200, headers });
   return new Response(body, { status: 200, headers });
@@ -292,16 +370,18 @@ async function handleGet(reqCtx, resourceIri) {
  * Binary content types → stored as blobs in R2 with metadata in KV.
  * RDF content types → parsed to triples, old triples deleted, new ones written to KV.
  * Content type is resolved from the request header or inferred from extension.
- * Creates parent containers if they don't exist.
+ * Creates parent containers if they don't exist. Honours If-Match, and
+ * `If-None-Match: *` for create-only writes (412 if the resource exists).
  */
 async function handlePut(reqCtx, resourceIri) {
   const { request, orchestrator, config, storage, env } = reqCtx;
-  const agent = reqCtx.user ? config.webId : null;
+  const agent = reqCtx.agentWebId || null;
   const contentType = resolveContentType(request.headers.get('Content-Type'), resourceIri);
 
-  if (!agent) {
-    console.log(`[ldp] PUT ${resourceIri} rejected: no authenticated agent`);
-    return new Response('Unauthorized', { status: 401 });
+  const { denied } = await authorizeWrite(reqCtx, resourceIri, ['write']);
+  if (denied) {
+    console.log(`[ldp] PUT ${resourceIri} rejected for ${agent || 'anonymous'}`);
+    return denied;
   }
 
   // App write permission check (OIDC apps only)
@@ -315,9 +395,13 @@ async function handlePut(reqCtx, resourceIri) {
 
   console.log(`[ldp] PUT ${resourceIri} by ${agent} ct=${contentType}`);
 
+  const failed = await checkWritePreconditions(reqCtx, resourceIri);
+  if (failed) return failed;
+
   if (isBinaryType(contentType)) {
     const binary = await request.arrayBuffer();
     const binaryData = binary;
+    const writer = writerFor(reqCtx);
 
     // Quota checks
     const quotaResult = await checkQuota(env.APPDATA, config.username, binaryData.byteLength, config.storageLimit);
@@ -330,6 +414,12 @@ async function handlePut(reqCtx, resourceIri) {
 
     // Check if resource already exists (for correct status code)
     const existingBinaryIdx = await storage.get(`idx:${resourceIri}`);
+    // The replaced blob stops counting as live data; recordVersion charges it again if it is kept
+    const replacedBytes = existingBinaryIdx && JSON.parse(existingBinaryIdx).binary
+      ? (await blobValidators(env.BLOBS, resourceIri))?.size || 0
+      : 0;
+    const replacedWriter = replacedBytes > 0 ? writerOf(await storage.get(`doc:${resourceIri}.meta:${resourceIri}`)) : null;
+    await recordVersion(reqCtx, resourceIri);
 
     // Write blob directly to storage
     await storage.putBlob(`blob:${resourceIri}`, binaryData, contentType);
@@ -339,6 +429,7 @@ async function handlePut(reqCtx, resourceIri) {
     const metaDoc = [
       `<${resourceIri}> <${PREFIXES.dcterms}format> "${contentType}" .`,
       `<${resourceIri}> <${PREFIXES.dcterms}extent> "${binaryData.byteLength}"^^<${PREFIXES.xsd}integer> .`,
+      ...(writer ? [`<${resourceIri}> <${PREFIXES.dcterms}creator> <${writer}> .`] : []),
     ].join('\n');
     await storage.put(`doc:${resourceIri}.meta:${resourceIri}`, metaDoc);
 
@@ -349,18 +440,27 @@ async function handlePut(reqCtx, resourceIri) {
 
     // Update quota tracking
     await addQuota(env.APPDATA, config.username, binaryData.byteLength);
+    if (writer) await addWriterBytes(env.APPDATA, config.username, writer, binaryData.byteLength);
     if (parent) await addContainerBytes(env.APPDATA, parent, binaryData.byteLength);
+    if (replacedBytes > 0) {
+      await subtractQuota(env.APPDATA, config.username, replacedBytes);
+      if (replacedWriter) await subtractWriterBytes(env.APPDATA, config.username, replacedWriter, replacedBytes);
+      if (parent) await subtractContainerBytes(env.APPDATA, parent, replacedBytes);
+    }
 
     const status = existingBinaryIdx ? 204 : 201;
     const headers = solidHeaders(resourceIri, false);
     if (status === 201) headers.set('Location', resourceIri);
+    const validators = await blobValidators(env.BLOBS, resourceIri);
+    setValidatorHeaders(headers, validators);
+    notifyChange(reqCtx, status === 201 ? 'Create' : 'Update', resourceIri, { state: validators?.etag });
     return new Response(null, { status, headers });
   }
 
   // RDF content
   const body = await request.text();
   let triples;
-  try { triples = parseBody(body, contentType, resourceIri); } catch (e) {
+  try { triples = await parseBody(body, contentType, resourceIri, env.APPDATA); } catch (e) {
     if (e.status === 400) return new Response(e.message, { status: 400 });
     throw e;
   }
@@ -383,6 +483,7 @@ async function handlePut(reqCtx, resourceIri) {
 
   // Check if resource already exists — if so, delete old triples first
   const existingIdx = await storage.get(`idx:${resourceIri}`);
+  await recordVersion(reqCtx, resourceIri);
   if (existingIdx) {
     try {
       const delSparql = `CONSTRUCT { ?s ?p ?o } WHERE { GRAPH <${resourceIri}> { ?s ?p ?o } }`;
@@ -402,8 +503,6 @@ async function handlePut(reqCtx, resourceIri) {
   }
 
   // Write triples directly to KV
-  if (!agent) return new Response('Forbidden', { status: 403 });
-
   const bySubject = new Map();
   for (const t of triples) {
     const s = t.subject.startsWith('<') && t.subject.endsWith('>') ? t.subject.slice(1, -1) : t.subject;
@@ -423,6 +522,9 @@ async function handlePut(reqCtx, resourceIri) {
   const status = existingIdx ? 204 : 201;
   const headers = solidHeaders(resourceIri, isContainer(resourceIri));
   if (status === 201) headers.set('Location', resourceIri);
+  const etag = await rdfEtag(triples);
+  headers.set('ETag', etag);
+  notifyChange(reqCtx, status === 201 ? 'Create' : 'Update', resourceIri, { state: etag });
   return new Response(null, { status, headers });
 }
 
@@ -436,15 +538,16 @@ async function handlePut(reqCtx, resourceIri) {
  */
 async function handlePost(reqCtx, resourceIri) {
   const { request, orchestrator, config, url, storage, env } = reqCtx;
-  const agent = reqCtx.user ? config.webId : null;
+  const agent = reqCtx.agentWebId || null;
 
   // Normalize: treat /path as /path/ for POST (container operations)
   if (!isContainer(resourceIri)) {
     resourceIri = resourceIri + '/';
   }
-  if (!agent) {
-    console.log(`[ldp] POST ${resourceIri} rejected: no authenticated agent`);
-    return new Response('Unauthorized', { status: 401 });
+  const { denied } = await authorizeWrite(reqCtx, resourceIri, ['append']);
+  if (denied) {
+    console.log(`[ldp] POST ${resourceIri} rejected for ${agent || 'anonymous'}`);
+    return denied;
   }
 
   // App write permission check (OIDC apps only)
@@ -461,8 +564,8 @@ async function handlePost(reqCtx, resourceIri) {
   const slug = request.headers.get('Slug') || crypto.randomUUID();
   const linkHeader = request.headers.get('Link') || '';
   const wantsContainer = linkHeader.includes('BasicContainer');
-  const name = slugToName(slug, wantsContainer);
-  const newResourceIri = resourceIri + name;
+  // Append can't replace anything: a name already in use gets a suffix
+  const newResourceIri = await unusedIri(storage, resourceIri, slugToName(slug, wantsContainer));
 
   const contentType = resolveContentType(request.headers.get('Content-Type'), newResourceIri);
 
@@ -477,6 +580,7 @@ async function handlePost(reqCtx, resourceIri) {
 
     // Add containment to parent
     await appendContainment(storage, resourceIri, newResourceIri);
+    notifyChange(reqCtx, 'Create', newResourceIri);
 
     return new Response(null, {
       status: 201,
@@ -493,7 +597,8 @@ async function handlePost(reqCtx, resourceIri) {
     const cqResult = await checkContainerQuota(env.APPDATA, resourceIri, binary.byteLength);
     if (!cqResult.allowed) return containerQuotaExceededResponse(cqResult.blockedBy, cqResult.usedBytes, cqResult.limitBytes);
 
-    const metadataNquads = buildMetadataNQuads(newResourceIri, contentType, binary.byteLength);
+    const writer = writerFor(reqCtx);
+    const metadataNquads = buildMetadataNQuads(newResourceIri, contentType, binary.byteLength, writer);
     const aclNt = '';
     try {
       const result = await orchestrator.uploadBinary(newResourceIri, binary, contentType, metadataNquads, aclNt, agent);
@@ -503,38 +608,73 @@ async function handlePost(reqCtx, resourceIri) {
       console.error('uploadBinary error, falling back to direct KV:', e);
       await storage.putBlob(`blob:${newResourceIri}`, binary, contentType);
     }
+    await recordVersion(reqCtx, newResourceIri);
 
     // Update quota tracking
     await addQuota(env.APPDATA, config.username, binary.byteLength);
+    if (writer) await addWriterBytes(env.APPDATA, config.username, writer, binary.byteLength);
     await addContainerBytes(env.APPDATA, resourceIri, binary.byteLength);
 
     await appendContainment(storage, resourceIri, newResourceIri);
+    notifyChange(reqCtx, 'Create', newResourceIri);
     return new Response(null, { status: 201, headers: { 'Location': newResourceIri } });
   }
 
   // RDF content — write directly to KV
   const body = await request.text();
   let triples;
-  try { triples = parseBody(body, contentType, newResourceIri); } catch (e) {
+  try { triples = await parseBody(body, contentType, newResourceIri, env.APPDATA); } catch (e) {
     if (e.status === 400) return new Response(e.message, { status: 400 });
     throw e;
   }
+  await recordVersion(reqCtx, newResourceIri);
   await writeTriplesToKV(storage, newResourceIri, triples);
   await appendContainment(storage, resourceIri, newResourceIri);
+  notifyChange(reqCtx, 'Create', newResourceIri, { state: await rdfEtag(triples) });
 
   return new Response(null, { status: 201, headers: { 'Location': newResourceIri } });
 }
 
 /**
- * Handle PATCH — apply SPARQL Update to a resource.
+ * The IRI for a new member `name` of a container: the name itself when
+ * neither it nor the same name as the other kind (file or container) is
+ * taken, else `name-1`, `name-2`, ... before the extension or trailing
+ * slash, falling back to a UUID.
+ */
+async function unusedIri(storage, containerIri, name) {
+  const slash = name.endsWith('/') ? '/' : '';
+  const base = slash ? name.slice(0, -1) : name;
+  const dot = slash ? -1 : base.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+  const taken = async (iri) => {
+    const other = iri.endsWith('/') ? iri.slice(0, -1) : iri + '/';
+    return !!(await storage.get(`idx:${iri}`) || await storage.get(`idx:${other}`));
+  };
+
+  let candidate = containerIri + name;
+  for (let n = 1; n <= 100; n++) {
+    if (!await taken(candidate)) return candidate;
+    candidate = `${containerIri}${stem}-${n}${ext}${slash}`;
+  }
+  return `${containerIri}${crypto.randomUUID()}${ext}${slash}`;
+}
+
+/**
+ * Handle PATCH — apply a SPARQL Update or N3 Patch to a resource.
  *
- * Supports INSERT DATA, DELETE DATA, and DELETE/INSERT/WHERE patterns.
- * Reads existing triples from KV, applies deletions (set-based matching),
- * appends insertions, and writes the result back.
+ * `application/sparql-update` is evaluated by rdf/sparql.js: INSERT DATA,
+ * DELETE DATA, DELETE WHERE and DELETE/INSERT ... WHERE with variables,
+ * FILTERs and `;`-separated operations. `text/n3` patches
+ * (solid:InsertDeletePatch) are evaluated by rdf/n3-patch.js. Reads
+ * existing triples from KV, applies the patch in memory, and writes the
+ * result back. Malformed patches return 422; a patch that doesn't apply
+ * (WHERE mismatch, deleting a missing triple) returns 409.
  */
 async function handlePatch(reqCtx, resourceIri) {
   const { request, config, storage, env } = reqCtx;
-  if (!reqCtx.user) return new Response('Unauthorized', { status: 401 });
+  const { denied, access } = await authorizeWrite(reqCtx, resourceIri, ['write', 'append']);
+  if (denied) return denied;
+  const appendOnly = !access.modes.includes('write');
 
   // App write permission check (OIDC apps only)
   if (reqCtx.authMethod === 'oidc' && reqCtx.clientId) {
@@ -545,13 +685,17 @@ async function handlePatch(reqCtx, resourceIri) {
     }
   }
 
-  const contentType = request.headers.get('Content-Type') || '';
-  if (!contentType.includes('application/sparql-update')) {
-    return new Response('Unsupported Media Type. Use application/sparql-update', { status: 415 });
-  }
+  const failed = await checkWritePreconditions(reqCtx, resourceIri);
+  if (failed) return failed;
 
+  const contentType = request.headers.get('Content-Type') || '';
   const body = await request.text();
-  const { deleteTriples, insertTriples } = parseSparqlUpdate(body, resourceIri);
+  let applyPatch;
+  try { applyPatch = parsePatch(body, contentType, resourceIri); } catch (e) {
+    const errorResponse = patchErrorResponse(e);
+    if (errorResponse) return errorResponse;
+    throw e;
+  }
 
   // Read existing triples from KV
   const idx = await storage.get(`idx:${resourceIri}`);
@@ -564,18 +708,23 @@ async function handlePatch(reqCtx, resourceIri) {
     }
   }
 
-  // Apply deletes
-  if (deleteTriples.length > 0) {
-    const delSet = new Set(deleteTriples.map(t => `${t.subject} ${t.predicate} ${t.object}`));
-    allTriples = allTriples.filter(t => !delSet.has(`${t.subject} ${t.predicate} ${t.object}`));
+  // Evaluate the patch against the current triples (409 if it doesn't apply)
+  const before = allTriples;
+  try { allTriples = applyPatch(allTriples); } catch (e) {
+    const errorResponse = patchErrorResponse(e);
+    if (errorResponse) return errorResponse;
+    throw e;
   }
-
-  // Apply inserts
-  for (const t of insertTriples) {
-    allTriples.push(t);
+  // Append lets an agent add triples but not remove any
+  if (appendOnly) {
+    const after = new Set(allTriples.map(t => `${t.subject} ${t.predicate} ${t.object}`));
+    if (before.some(t => !after.has(`${t.subject} ${t.predicate} ${t.object}`))) {
+      return new Response('Forbidden — Append access cannot delete triples', { status: 403 });
+    }
   }
 
-  // Write back
+  // Write back, keeping the previous state in the version history
+  await recordVersion(reqCtx, resourceIri);
   await writeTriplesToKV(storage, resourceIri, allTriples);
 
   // If this created a new resource, ensure parent containers exist and add containment
@@ -583,20 +732,30 @@ async function handlePatch(reqCtx, resourceIri) {
     await ensureParentContainers(storage, resourceIri);
   }
 
-  return new Response(null, { status: idx ? 204 : 201 });
+  const etag = await rdfEtag(allTriples);
+  notifyChange(reqCtx, idx ? 'Update' : 'Create', resourceIri, { state: etag });
+  return new Response(null, { status: idx ? 204 : 201, headers: { 'ETag': etag } });
 }
 
 /**
- * Handle DELETE — remove a resource and all its associated data.
+ * Handle DELETE — move a resource to the trash (storage/trash.js).
  *
- * Deletes: idx entry, all subject documents, blob, metadata, WAC ACL,
- * and ACP policy. Removes the ldp:contains triple from the parent container.
- * Owner-only operation.
+ * The idx entry, subject documents, blob, metadata, WAC ACL, ACP policy and
+ * version history move into the trash, along with everything below a
+ * container. Removes the ldp:contains triple from the parent container.
+ * Quota is released when the trash is purged. Needs Write on the resource
+ * and on its parent container.
  */
 async function handleDelete(reqCtx, resourceIri) {
-  const { config, storage, env } = reqCtx;
-  if (!reqCtx.user) return new Response('Unauthorized', { status: 401 });
-  if (reqCtx.user !== config.username) return new Response('Forbidden', { status: 403 });
+  const { config, env } = reqCtx;
+  const { denied } = await authorizeWrite(reqCtx, resourceIri, ['write']);
+  if (denied) return denied;
+  // Removing a resource also changes its container's listing
+  const parent = parentContainer(resourceIri);
+  if (parent) {
+    const { denied: parentDenied } = await authorizeWrite(reqCtx, parent, ['write']);
+    if (parentDenied) return parentDenied;
+  }
 
   // App write permission check (OIDC apps only)
   if (reqCtx.authMethod === 'oidc' && reqCtx.clientId) {
@@ -607,53 +766,14 @@ async function handleDelete(reqCtx, resourceIri) {
     }
   }
 
-  // Read size from metadata for quota tracking before deletion
-  let deletedBytes = 0;
-  const metaDoc = await storage.get(`doc:${resourceIri}.meta:${resourceIri}`);
-  if (metaDoc) {
-    const extentMatch = metaDoc.match(/"(\d+)"\^\^<[^>]*integer>/);
-    if (extentMatch) deletedBytes = parseInt(extentMatch[1], 10);
-  }
-
-  // Delete all KV entries for this resource
-  const idx = await storage.get(`idx:${resourceIri}`);
-  if (idx) {
-    const parsed = JSON.parse(idx);
-    for (const subj of parsed.subjects || []) {
-      await storage.delete(`doc:${resourceIri}:${subj}`);
-    }
-    await storage.delete(`idx:${resourceIri}`);
-  }
-
-  // Delete blob, metadata, ACL, ACP
-  try { await storage.deleteBlob(`blob:${resourceIri}`); } catch {}
-  await storage.delete(`doc:${resourceIri}.meta:${resourceIri}`);
-  await storage.delete(`acl:${resourceIri}`);
-  await env.APPDATA.delete(`acp:${resourceIri}`);
-
-  // Remove containment from parent
-  const parent = parentContainer(resourceIri);
-  if (parent) {
-    const docKey = `doc:${parent}:${parent}`;
-    const parentDoc = await storage.get(docKey);
-    if (parentDoc) {
-      const triples = parseNTriples(parentDoc);
-      const filtered = triples.filter(t =>
-        !(t.predicate.includes('contains') && t.object.includes(resourceIri.replace(/[<>]/g, '')))
-      );
-      const { serializeNTriples: serNT } = await import('../rdf/ntriples.js');
-      await storage.put(docKey, serNT(filtered));
-    }
-  }
+  const failed = await checkWritePreconditions(reqCtx, resourceIri);
+  if (failed) return failed;
 
-  // Update quota tracking on delete
-  if (deletedBytes > 0) {
-    const { subtractQuota } = await import('../storage/quota.js');
-    const { subtractContainerBytes } = await import('../storage/container-quota.js');
-    await subtractQuota(env.APPDATA, config.username, deletedBytes);
-    if (parent) await subtractContainerBytes(env.APPDATA, parent, deletedBytes);
-  }
+  // Soft delete: the resource (and a container's contents) goes to the
+  // trash, keeping its path, policies and history for a restore
+  const trashed = await moveToTrash(reqCtx, resourceIri);
 
+  if (trashed) notifyChange(reqCtx, 'Delete', resourceIri);
   return new Response(null, { status: 204 });
 }
 
@@ -666,188 +786,108 @@ function handleOptions(reqCtx, resourceIri) {
 
 /**
  * Parse an HTTP request body into an array of triples based on Content-Type.
- * Supports Turtle, N-Triples/N-Quads, JSON-LD, and falls back to Turtle.
+ * Supports Turtle, TriG, N-Triples/N-Quads, JSON-LD and RDF/XML, and falls back to Turtle.
  * @param {string} body - Raw request body text
  * @param {string} contentType - MIME type of the body
  * @param {string} baseIri - Base IRI for resolving relative references
- * @returns {Array<{subject: string, predicate: string, object: string}>}
+ * @param {KVNamespace} kv - APPDATA (remote JSON-LD context cache)
+ * @returns {Promise<Array<{subject: string, predicate: string, object: string}>>}
  */
-function parseBody(body, contentType, baseIri) {
+async function parseBody(body, contentType, baseIri, kv) {
   if (contentType.includes('text/turtle')) {
     return parseTurtle(body, baseIri);
   }
   if (contentType.includes('application/n-triples') || contentType.includes('application/n-quads')) {
     return parseNTriples(body);
   }
+  if (contentType.includes('application/trig')) {
+    return parseTriG(body, baseIri);
+  }
+  if (contentType.includes('application/rdf+xml')) {
+    return parseRdfXml(body, baseIri);
+  }
   if (contentType.includes('application/ld+json')) {
-    // Basic JSON-LD to triples: handle flat objects
     let doc;
     try { doc = JSON.parse(body); } catch (e) {
       const err = new Error('Invalid JSON-LD: ' + e.message);
       err.status = 400;
       throw err;
     }
-    return jsonLdToTriples(doc);
+    return jsonLdToTriples(doc, { base: baseIri, loader: createContextLoader(kv) });
   }
   return parseTurtle(body, baseIri);
 }
 
 /**
- * Build a 401/403 deny response for ACP access failures.
+ * Evaluate If-Match / If-None-Match before a write.
+ * The current state is only read when the request carries a precondition.
+ * @returns {Promise<Response|null>} 412 response, or null to proceed
  */
-function denyAccess(agent, baseUrl) {
-  const status = agent ? 403 : 401;
-  const headers = new Headers({ 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
-  if (!agent) headers.set('WWW-Authenticate', `Bearer realm="${baseUrl}", scope="openid webid"`);
-  return new Response(JSON.stringify({
-    error: agent ? 'forbidden' : 'unauthorized',
-    message: agent ? 'You do not have access to this resource.' : 'Authentication required.',
-  }), { status, headers });
+async function checkWritePreconditions(reqCtx, resourceIri) {
+  if (!hasPreconditions(reqCtx.request)) return null;
+  const validators = await currentValidators(reqCtx.storage, reqCtx.env.BLOBS, resourceIri);
+  const status = evaluatePreconditions(reqCtx.request, validators);
+  return status ? preconditionResponse(status) : null;
 }
 
 /**
- * Convert a flat JSON-LD document to triples.
- * Handles @id (subject), @type (rdf:type), and simple key-value properties.
- * Object values can be IRIs ({@id}), typed literals ({@value, @type}),
- * language-tagged literals ({@value, @language}), or plain strings.
+ * Access to a resource: the share link's modes when the request carries
+ * one that covers it, otherwise checkAccess() for the requesting agent.
  */
-function jsonLdToTriples(doc) {
-  const triples = [];
-  const items = Array.isArray(doc) ? doc : [doc];
-  for (const item of items) {
-    const subject = item['@id'] ? `<${item['@id']}>` : `_:b${Math.random().toString(36).slice(2)}`;
-    if (item['@type']) {
-      const types = Array.isArray(item['@type']) ? item['@type'] : [item['@type']];
-      for (const t of types) {
-        triples.push({ subject, predicate: `<${PREFIXES.rdf}type>`, object: `<${t}>` });
-      }
-    }
-    for (const [key, value] of Object.entries(item)) {
-      if (key.startsWith('@')) continue;
-      const values = Array.isArray(value) ? value : [value];
-      for (const v of values) {
-        if (typeof v === 'object' && v['@id']) {
-          triples.push({ subject, predicate: `<${key}>`, object: `<${v['@id']}>` });
-        } else if (typeof v === 'object' && v['@value'] !== undefined) {
-          let obj = `"${v['@value']}"`;
-          if (v['@language']) obj += `@${v['@language']}`;
-          if (v['@type']) obj += `^^<${v['@type']}>`;
-          triples.push({ subject, predicate: `<${key}>`, object: obj });
-        } else if (typeof v === 'string') {
-          triples.push({ subject, predicate: `<${key}>`, object: `"${v}"` });
-        }
-      }
-    }
+async function resolveAccess(reqCtx, resourceIri) {
+  const link = reqCtx.shareLink;
+  if (link && shareLinkCovers(link, resourceIri)) {
+    return { readable: link.modes.includes('read'), listed: false, modes: link.modes, publicModes: [] };
   }
-  return triples;
+  return checkAccess(reqCtx, resourceIri, reqCtx.agentWebId || null, reqCtx.request.headers.get('Origin'));
 }
 
-function sparqlJsonToTriples(sparqlJson) {
-  // SPARQL JSON results format → triples
-  const triples = [];
-  if (!sparqlJson.results || !sparqlJson.results.bindings) return triples;
-  for (const binding of sparqlJson.results.bindings) {
-    const s = termToNT(binding.s || binding.subject);
-    const p = termToNT(binding.p || binding.predicate);
-    const o = termToNT(binding.o || binding.object);
-    if (s && p && o) triples.push({ subject: s, predicate: p, object: o });
-  }
-  return triples;
-}
-
-function termToNT(term) {
-  if (!term) return null;
-  if (term.type === 'uri') return `<${term.value}>`;
-  if (term.type === 'bnode') return `_:${term.value}`;
-  if (term.type === 'literal' || term.type === 'typed-literal') {
-    let nt = `"${term.value}"`;
-    if (term['xml:lang']) nt += `@${term['xml:lang']}`;
-    else if (term.datatype) nt += `^^<${term.datatype}>`;
-    return nt;
-  }
-  return null;
+/**
+ * Check that the requesting agent holds one of the given modes on a resource.
+ * @returns {Promise<{denied: Response|null, access: object}>}
+ */
+async function authorizeWrite(reqCtx, resourceIri, modes) {
+  const agent = reqCtx.agentWebId || null;
+  const access = await resolveAccess(reqCtx, resourceIri);
+  if (modes.some(m => access.modes.includes(m))) return { denied: null, access };
+  return {
+    denied: new Response(agent ? 'Forbidden' : 'Unauthorized', { status: agent ? 403 : 401 }),
+    access,
+  };
 }
 
 /**
- * Parse a SPARQL Update request body into delete and insert triple sets.
- *
- * Supports three patterns:
- *   - `INSERT DATA { ... }` — triples to add
- *   - `DELETE DATA { ... }` — triples to remove
- *   - `DELETE { ... } INSERT { ... } WHERE { ... }` — combined update
- *
- * PREFIX declarations are extracted and prepended to each block before
- * parsing as Turtle. The WHERE clause is ignored (we do set-based matching).
- *
- * @param {string} body - SPARQL Update text
- * @param {string} baseIri - Base IRI for the target resource
- * @returns {{ deleteTriples: Array, insertTriples: Array }}
+ * Build a 401/403 deny response for ACP access failures.
  */
-export function parseSparqlUpdate(body, baseIri) {
-  const deleteTriples = [];
-  const insertTriples = [];
-
-  // Extract PREFIX declarations (they apply to the whole update)
-  const prefixLines = [];
-  for (const match of body.matchAll(/PREFIX\s+(\S+)\s+<([^>]+)>/gi)) {
-    prefixLines.push(`@prefix ${match[1]} <${match[2]}> .`);
-  }
-  const prefixBlock = prefixLines.join('\n');
-
-  // Extract brace-delimited blocks, handling balanced braces
-  function extractBlock(str, startIdx) {
-    let depth = 0;
-    let start = -1;
-    for (let i = startIdx; i < str.length; i++) {
-      if (str[i] === '{') { if (depth === 0) start = i + 1; depth++; }
-      else if (str[i] === '}') { depth--; if (depth === 0) return str.slice(start, i); }
-    }
-    return '';
-  }
-
-  // INSERT DATA { ... }
-  const insIdx = body.search(/INSERT\s+DATA\s*\{/i);
-  if (insIdx >= 0) {
-    const blockStart = body.indexOf('{', insIdx);
-    const block = extractBlock(body, blockStart);
-    insertTriples.push(...parseTurtle(prefixBlock + '\n' + block, baseIri));
-  }
-
-  // DELETE DATA { ... }
-  const delIdx = body.search(/DELETE\s+DATA\s*\{/i);
-  if (delIdx >= 0) {
-    const blockStart = body.indexOf('{', delIdx);
-    const block = extractBlock(body, blockStart);
-    deleteTriples.push(...parseTurtle(prefixBlock + '\n' + block, baseIri));
-  }
-
-  // DELETE { ... } INSERT { ... } WHERE { ... }
-  const diIdx = body.search(/DELETE\s*\{/i);
-  if (diIdx >= 0 && insIdx < 0 && delIdx < 0) {
-    const delBlockStart = body.indexOf('{', diIdx);
-    const delBlock = extractBlock(body, delBlockStart);
-    deleteTriples.push(...parseTurtle(prefixBlock + '\n' + delBlock, baseIri));
-
-    const afterDel = delBlockStart + delBlock.length + 2;
-    const insPartIdx = body.indexOf('{', afterDel);
-    if (insPartIdx >= 0) {
-      const insBlock = extractBlock(body, insPartIdx);
-      insertTriples.push(...parseTurtle(prefixBlock + '\n' + insBlock, baseIri));
-    }
-  }
-
-  return { deleteTriples, insertTriples };
+function denyAccess(agent, baseUrl) {
+  const status = agent ? 403 : 401;
+  const headers = new Headers({ 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  if (!agent) headers.set('WWW-Authenticate', `Bearer realm="${baseUrl}", scope="openid webid"`);
+  return new Response(JSON.stringify({
+    error: agent ? 'forbidden' : 'unauthorized',
+    message: agent ? 'You do not have access to this resource.' : 'Authentication required.',
+  }), { status, headers });
 }
 
-function buildMetadataNQuads(resourceIri, contentType, byteLength) {
+function buildMetadataNQuads(resourceIri, contentType, byteLength, writer = null) {
   const metaGraph = `${resourceIri}.meta`;
   return [
     `<${resourceIri}> <${PREFIXES.rdf}type> <${PREFIXES.schema}DigitalDocument> <${metaGraph}> .`,
     `<${resourceIri}> <${PREFIXES.dcterms}format> "${contentType}" <${metaGraph}> .`,
     `<${resourceIri}> <${PREFIXES.dcterms}extent> "${byteLength}"^^<${PREFIXES.xsd}integer> <${metaGraph}> .`,
+    ...(writer ? [`<${resourceIri}> <${PREFIXES.dcterms}creator> <${writer}> <${metaGraph}> .`] : []),
   ].join('\n');
 }
 
+/**
+ * The agent a binary write is attributed to in the quota: the requesting
+ * agent, unless it is the owner (null).
+ */
+function writerFor(reqCtx) {
+  const agent = reqCtx.agentWebId || null;
+  return agent && agent !== reqCtx.config.webId ? agent : null;
+}
+
 /**
  * Write triples for a resource directly to KV, grouped by subject.
  */
@@ -1080,7 +1120,7 @@ function predicateToKey(predicateIri, prefixes) {
  * Ensure all parent containers exist up to the storage root.
  * Creates missing intermediate containers and adds containment triples.
  */
-async function ensureParentContainers(storage, resourceIri) {
+export async function ensureParentContainers(storage, resourceIri) {
   let childIri = resourceIri;
   let parent = parentContainer(childIri);
 
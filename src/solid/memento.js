@@ -0,0 +1,163 @@
+/**
+ * Memento (RFC 7089) access to resource version history.
+ *
+ * Every non-container resource R is its own TimeGate and links to its
+ * TimeMap:
+ *   R?timemap       → application/link-format TimeMap listing every memento
+ *   R?memento={id}  → the resource as it was at that version
+ *   R + Accept-Datetime → 302 to the memento that was current at that time
+ *
+ * Mementos are the stored versions (storage/versions.js) plus the current
+ * state, whose memento URL is served from the live resource with a
+ * Memento-Datetime header. They are read-only and carry the access of the
+ * original resource — callers run the ACP check first.
+ */
+import { negotiateType, notAcceptable, serializeRdf, jsonLdProfiles } from './conneg.js';
+import { rdfEtag, evaluatePreconditions, setValidatorHeaders, preconditionResponse } from './conditional.js';
+import { serveBlob } from './range.js';
+import { parseNTriples } from '../rdf/ntriples.js';
+import { loadMergedPrefixes } from '../rdf/prefixes.js';
+import { loadVersionIndex, versionId } from '../storage/versions.js';
+
+/**
+ * Answer the Memento part of a GET/HEAD on a non-container resource.
+ * @param {object} reqCtx
+ * @param {string} resourceIri
+ * @param {object} opts
+ * @param {string} opts.wacAllow - WAC-Allow value of the original resource
+ * @param {boolean} opts.listed - whether the original is publicly listed (for Cache-Control)
+ * @returns {Promise<{response: Response}|{headers: object}>}
+ *   a complete response (TimeMap, stored memento, TimeGate redirect, error),
+ *   or headers to add to the live representation
+ */
+export async function handleMemento(reqCtx, resourceIri, { wacAllow, listed }) {
+  const { request, url, storage } = reqCtx;
+  const wantsTimemap = url.searchParams.has('timemap');
+  const mementoId = url.searchParams.get('memento');
+  const acceptDatetime = request.headers.get('Accept-Datetime');
+  const liveHeaders = { Link: timeLinks(resourceIri), Vary: 'Accept-Datetime' };
+  if (!wantsTimemap && mementoId === null && acceptDatetime === null) return { headers: liveHeaders };
+
+  const index = await loadVersionIndex(storage, resourceIri);
+  const mementos = listMementos(index);
+
+  if (wantsTimemap) return { response: timemapResponse(resourceIri, mementos, listed) };
+
+  if (mementoId !== null) {
+    const memento = mementos.find(m => m.id === mementoId);
+    if (!memento) return { response: new Response('Not Found', { status: 404 }) };
+    if (memento.current) {
+      return { headers: { Link: timeLinks(resourceIri), 'Memento-Datetime': memento.date.toUTCString() } };
+    }
+    return { response: await serveMemento(reqCtx, resourceIri, memento, { wacAllow, listed }) };
+  }
+
+  // TimeGate
+  const target = Date.parse(acceptDatetime);
+  if (Number.isNaN(target)) return { response: new Response('Invalid Accept-Datetime', { status: 400 }) };
+  if (mementos.length === 0) return { headers: liveHeaders };
+  // The memento in effect at the requested time, or the first one if the time predates them all
+  const selected = mementos.filter(m => m.date.getTime() <= target).pop() || mementos[0];
+  return {
+    response: new Response(null, {
+      status: 302,
+      headers: {
+        'Location': mementoUrl(resourceIri, selected.id),
+        'Vary': 'Accept-Datetime',
+        'Link': timeLinks(resourceIri),
+      },
+    }),
+  };
+}
+
+/**
+ * URL of a memento.
+ * @param {string} resourceIri
+ * @param {string} id
+ * @returns {string}
+ */
+export function mementoUrl(resourceIri, id) {
+  return `${resourceIri}?memento=${id}`;
+}
+
+/** Mementos oldest first, the current state (if its write time is known) last. */
+function listMementos(index) {
+  const mementos = [...index.versions].reverse().map(v => ({ ...v, date: new Date(v.datetime) }));
+  if (index.current) {
+    const date = new Date(index.current);
+    mementos.push({ id: versionId(date), date, current: true });
+  }
+  return mementos;
+}
+
+/** Links from R or one of its mementos to the original (which is also the TimeGate) and the TimeMap. */
+function timeLinks(resourceIri) {
+  return `<${resourceIri}>; rel="original timegate", <${resourceIri}?timemap>; rel="timemap"; type="application/link-format"`;
+}
+
+function timemapResponse(resourceIri, mementos, listed) {
+  const links = [`<${resourceIri}>; rel="original timegate"`];
+  let self = `<${resourceIri}?timemap>; rel="self"; type="application/link-format"`;
+  if (mementos.length > 0) {
+    self += `; from="${mementos[0].date.toUTCString()}"; until="${mementos[mementos.length - 1].date.toUTCString()}"`;
+  }
+  links.push(self);
+  mementos.forEach((m, i) => {
+    const rels = ['memento'];
+    if (i === 0) rels.unshift('first');
+    if (i === mementos.length - 1) rels.unshift('last');
+    links.push(`<${mementoUrl(resourceIri, m.id)}>; rel="${rels.join(' ')}"; datetime="${m.date.toUTCString()}"`);
+  });
+  return new Response(links.join(',\n') + '\n', {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/link-format',
+      'Cache-Control': listed ? 'public, max-age=60' : 'private, no-store',
+    },
+  });
+}
+
+async function serveMemento(reqCtx, resourceIri, memento, { wacAllow, listed }) {
+  const { request, storage, env, config } = reqCtx;
+  const key = `ver:${resourceIri}:${memento.id}`;
+  const headers = new Headers();
+  headers.set('Memento-Datetime', memento.date.toUTCString());
+  headers.set('Link', timeLinks(resourceIri));
+  headers.set('WAC-Allow', wacAllow);
+  // A memento never changes, so public ones can be cached for long
+  headers.set('Cache-Control', listed ? 'public, max-age=86400, immutable' : 'private, no-store');
+
+  if (memento.binary) {
+    const head = await env.BLOBS.head(key);
+    if (!head) return new Response('Not Found', { status: 404 });
+    const validators = { etag: head.httpEtag, lastModified: memento.date, size: head.size };
+    setValidatorHeaders(headers, validators);
+    const precondition = evaluatePreconditions(request, validators);
+    if (precondition) return preconditionResponse(precondition, headers);
+    return serveBlob(request, env.BLOBS, key, { size: head.size, contentType: memento.contentType, headers, validators });
+  }
+
+  const nt = await storage.get(key);
+  if (nt === null) return new Response('Not Found', { status: 404 });
+  const triples = parseNTriples(nt);
+  const accept = request.headers.get('Accept') || 'text/turtle';
+  const contentType = negotiateType(accept);
+  if (!contentType) return notAcceptable();
+  headers.set('Vary', 'Accept');
+  const profiles = contentType === 'application/ld+json' ? jsonLdProfiles(accept) : [];
+  setValidatorHeaders(headers, { etag: await rdfEtag(triples, contentType, profiles) });
+  const precondition = evaluatePreconditions(request, { etag: headers.get('ETag') });
+  if (precondition) return preconditionResponse(precondition, headers);
+
+  const mergedPrefixes = await loadMergedPrefixes(env.APPDATA, config.username);
+  let body;
+  try {
+    body = await serializeRdf(triples, contentType, Object.keys(mergedPrefixes), mergedPrefixes, { accept });
+  } catch (e) {
+    if (e.status === 406) return notAcceptable(e.message);
+    throw e;
+  }
+  headers.set('Content-Type', contentType);
+  if (request.method === 'HEAD') return new Response(null, { status: 200, headers });
+  return new Response(body, { status: 200, headers });
+}
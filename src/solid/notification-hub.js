@@ -0,0 +1,146 @@
+/**
+ * WebSocket fan-out for Solid Notifications (WebSocketChannel2023).
+ *
+ * A Worker isolate can hold a WebSocket, but another isolate handling a
+ * write cannot reach it. The open sockets therefore live behind a hub
+ * adapter with three operations:
+ *
+ *   connect(channelId, request) → 101 Response accepting the upgrade
+ *   publish(channelId, message) → send a text frame to every socket on the channel
+ *   close(channelId)            → close the channel's sockets
+ *
+ * Implementations:
+ *   - DurableObjectHub — forwards to the `NotificationHub` Durable Object
+ *     (binding `NOTIFICATIONS`), which keeps the sockets using the
+ *     WebSocket Hibernation API. Used whenever the binding exists.
+ *   - MemoryHub — a Map in module memory. Enough for `wrangler dev` and
+ *     tests, where one isolate serves every request; `attach()` lets a test
+ *     register a stand-in socket.
+ */
+
+/**
+ * Pick the hub for this deployment.
+ * @param {object} env - Worker env bindings
+ * @returns {DurableObjectHub|MemoryHub}
+ */
+export function getNotificationHub(env) {
+  if (env.NOTIFICATIONS) return new DurableObjectHub(env.NOTIFICATIONS);
+  if (!memoryHub) memoryHub = new MemoryHub();
+  return memoryHub;
+}
+
+let memoryHub = null;
+
+export class MemoryHub {
+  constructor() {
+    /** @type {Map<string, Set<WebSocket>>} */
+    this.sockets = new Map();
+  }
+
+  async connect(channelId, request) {
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+    this.attach(channelId, server);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /**
+   * Register an accepted socket for a channel.
+   * @param {string} channelId
+   * @param {{send: Function, close: Function, addEventListener: Function}} socket
+   */
+  attach(channelId, socket) {
+    if (!this.sockets.has(channelId)) this.sockets.set(channelId, new Set());
+    this.sockets.get(channelId).add(socket);
+    socket.addEventListener('close', () => {
+      const set = this.sockets.get(channelId);
+      set?.delete(socket);
+      if (set?.size === 0) this.sockets.delete(channelId);
+    });
+  }
+
+  async publish(channelId, message) {
+    for (const socket of this.sockets.get(channelId) || []) {
+      try { socket.send(message); } catch (e) {
+        console.error(`[notify] WebSocket send failed on ${channelId}:`, e);
+      }
+    }
+  }
+
+  async close(channelId) {
+    for (const socket of this.sockets.get(channelId) || []) {
+      try { socket.close(1000, 'Channel closed'); } catch {}
+    }
+    this.sockets.delete(channelId);
+  }
+}
+
+export class DurableObjectHub {
+  /** @param {DurableObjectNamespace} namespace - NOTIFICATIONS binding */
+  constructor(namespace) {
+    // Single-user server: one object holds every socket
+    this.stub = namespace.get(namespace.idFromName('notifications'));
+  }
+
+  connect(channelId, request) {
+    return this.stub.fetch(new Request(hubUrl('connect', channelId), request));
+  }
+
+  async publish(channelId, message) {
+    await this.stub.fetch(hubUrl('publish', channelId), { method: 'POST', body: message });
+  }
+
+  async close(channelId) {
+    await this.stub.fetch(hubUrl('close', channelId), { method: 'POST' });
+  }
+}
+
+function hubUrl(operation, channelId) {
+  return `https://notification-hub/${operation}?channel=${encodeURIComponent(channelId)}`;
+}
+
+/**
+ * Durable Object holding the WebSocket connections. Sockets are tagged
+ * with their channel id, so they survive hibernation and can be looked up
+ * with `getWebSockets(channelId)`.
+ */
+export class NotificationHub {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const channelId = url.searchParams.get('channel');
+    if (!channelId) return new Response('Missing channel', { status: 400 });
+
+    switch (url.pathname) {
+      case '/connect': {
+        const [client, server] = Object.values(new WebSocketPair());
+        this.state.acceptWebSocket(server, [channelId]);
+        return new Response(null, { status: 101, webSocket: client });
+      }
+      case '/publish': {
+        const message = await request.text();
+        for (const ws of this.state.getWebSockets(channelId)) {
+          try { ws.send(message); } catch {}
+        }
+        return new Response(null, { status: 204 });
+      }
+      case '/close':
+        for (const ws of this.state.getWebSockets(channelId)) {
+          try { ws.close(1000, 'Channel closed'); } catch {}
+        }
+        return new Response(null, { status: 204 });
+      default:
+        return new Response('Not Found', { status: 404 });
+    }
+  }
+
+  // Channels are send-only; anything a client sends is ignored
+  webSocketMessage() {}
+
+  webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch {}
+  }
+}
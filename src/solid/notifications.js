@@ -0,0 +1,389 @@
+/**
+ * Solid Notifications Protocol (https://solidproject.org/TR/notifications-protocol).
+ *
+ * Discovery:
+ *   Every LDP response links the storage description
+ *   (`/.well-known/solid`, rel `solid:storageDescription`), which lists one
+ *   subscription service per channel type:
+ *     - `/notifications/subscription/websocket` — WebSocketChannel2023
+ *     - `/notifications/subscription/webhook`   — WebhookChannel2023
+ *
+ * Subscribing:
+ *   POST a JSON-LD subscription request (`type`, `topic`, optional `endAt`,
+ *   `sendTo` for webhooks) to the service. The requesting agent must be
+ *   able to read the topic (`checkAccess()`, plus the container
+ *   allow-list for OIDC apps). The response describes the channel; a
+ *   WebSocket client then connects to its `receiveFrom` URL, which carries
+ *   the unguessable channel id. `DELETE` on the channel IRI unsubscribes.
+ *
+ * Notifications:
+ *   Activity Streams 2.0 objects. `Create`, `Update` and `Delete` go to
+ *   subscribers of the resource; `Add` (with `target`) and `Remove` (with
+ *   `origin`) go to subscribers of its parent container. `state` carries
+ *   the resource's ETag when the writer knows it. Read access is checked
+ *   again for every delivery, so revoking access silences a channel.
+ *   Webhook deliveries are signed with the server's HTTP Signature key,
+ *   time out after WEBHOOK_TIMEOUT, don't follow redirects, and are
+ *   retried on network errors, timeouts and 5xx responses.
+ *
+ * KV keys (APPDATA):
+ *   - `notify_channel:{id}` — channel record, expiring at its `endAt`
+ *   - `notify_topic:{iri}`  — JSON array of channel ids subscribed to a topic
+ */
+import { PREFIXES } from '../rdf/prefixes.js';
+import { negotiateType, notAcceptable, serializeRdf, RDF_MEDIA_TYPES } from './conneg.js';
+import { parentContainer } from './containers.js';
+import { checkAppPermission } from './app-permissions.js';
+import { checkAccess } from './access.js';
+import { getNotificationHub } from './notification-hub.js';
+import { signRequest } from '../activitypub/httpsig.js';
+import { validateExternalUrl } from '../security/ssrf.js';
+import { queueSearchUpdate } from '../storage/search.js';
+
+const NOTIFICATION_CONTEXT = 'https://www.w3.org/ns/solid/notification/v1';
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+
+/** Subscription service path segment → channel type. */
+const CHANNEL_TYPES = {
+  websocket: 'WebSocketChannel2023',
+  webhook: 'WebhookChannel2023',
+};
+
+const MAX_CHANNEL_TTL = 7 * 24 * 60 * 60; // seconds
+const MAX_CHANNELS_PER_TOPIC = 50;
+const WEBHOOK_RETRY_DELAYS = [1000, 5000]; // ms before the 2nd and 3rd attempt
+const WEBHOOK_TIMEOUT = 10 * 1000;
+
+/**
+ * Handle GET /.well-known/solid — the storage description.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleStorageDescription(reqCtx) {
+  const { config } = reqCtx;
+  const description = storageDescriptionIri(config);
+  const triples = [
+    { subject: `<${config.baseUrl}/${config.username}/>`, predicate: `<${PREFIXES.rdf}type>`, object: `<${PREFIXES.space}Storage>` },
+  ];
+  for (const segment of Object.keys(CHANNEL_TYPES)) {
+    triples.push({ subject: `<${description}>`, predicate: `<${PREFIXES.notify}subscription>`, object: `<${subscriptionIri(config, segment)}>` });
+    triples.push(...subscriptionServiceTriples(config, segment));
+  }
+  return rdfResponse(reqCtx, triples);
+}
+
+/**
+ * Handle GET/POST /notifications/subscription/:type.
+ * GET describes the service; POST creates a channel.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleSubscription(reqCtx) {
+  const { request, config, env, params } = reqCtx;
+  const channelType = CHANNEL_TYPES[params.type];
+  if (!channelType) return new Response('Not Found', { status: 404 });
+  if (request.method === 'GET') return rdfResponse(reqCtx, subscriptionServiceTriples(config, params.type));
+
+  const ct = (request.headers.get('Content-Type') || '').toLowerCase();
+  if (!ct.startsWith('application/ld+json') && !ct.startsWith('application/json')) {
+    return errorResponse('Subscription requests must be application/ld+json', 415);
+  }
+  let body;
+  try { body = JSON.parse(await request.text()); } catch (e) {
+    return errorResponse(`Invalid JSON-LD: ${e.message}`, 400);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return errorResponse('Subscription request must be a JSON-LD object', 400);
+  }
+
+  const type = localName(term(body, 'type'));
+  if (type && type !== channelType) {
+    return errorResponse(`This service only creates ${channelType} channels`, 422);
+  }
+  const topic = term(body, 'topic');
+  const podRoot = `${config.baseUrl}/${config.username}/`;
+  if (typeof topic !== 'string' || !topic.startsWith(podRoot)) {
+    return errorResponse(`topic must be a resource in ${podRoot}`, 422);
+  }
+
+  let sendTo = null;
+  if (channelType === 'WebhookChannel2023') {
+    sendTo = term(body, 'sendTo');
+    if (typeof sendTo !== 'string' || !sendTo.startsWith('https://') || !validateExternalUrl(sendTo)) {
+      return errorResponse('sendTo must be a public https:// URL', 422);
+    }
+  }
+
+  const now = Date.now();
+  let endAt = now + MAX_CHANNEL_TTL * 1000;
+  const requestedEnd = term(body, 'endAt');
+  if (requestedEnd !== undefined) {
+    const parsed = Date.parse(requestedEnd);
+    if (Number.isNaN(parsed) || parsed <= now) return errorResponse('endAt must be a future xsd:dateTime', 422);
+    endAt = Math.min(endAt, parsed);
+  }
+
+  const agent = reqCtx.agentWebId || null;
+  const app = reqCtx.authMethod === 'oidc' ? reqCtx.clientId : null;
+  if (!(await canRead(reqCtx, topic, agent, app))) {
+    return errorResponse('You do not have read access to this topic.', agent ? 403 : 401);
+  }
+
+  const topicKey = `notify_topic:${topic}`;
+  const ids = await liveChannelIds(env.APPDATA, topic);
+  if (ids.length >= MAX_CHANNELS_PER_TOPIC) {
+    return errorResponse(`Too many channels on this topic (limit ${MAX_CHANNELS_PER_TOPIC})`, 429);
+  }
+
+  const channel = {
+    id: crypto.randomUUID(),
+    type: channelType,
+    topic,
+    agent,
+    app,
+    sendTo,
+    endAt: new Date(endAt).toISOString(),
+  };
+  const ttl = Math.max(60, Math.ceil((endAt - now) / 1000));
+  await env.APPDATA.put(`notify_channel:${channel.id}`, JSON.stringify(channel), { expirationTtl: ttl });
+  await env.APPDATA.put(topicKey, JSON.stringify([...ids, channel.id]));
+  console.log(`[notify] ${channelType} ${channel.id} on ${topic} for ${agent || 'anonymous'}`);
+
+  return new Response(JSON.stringify(describeChannel(config, channel)), {
+    status: 200,
+    headers: { 'Content-Type': 'application/ld+json', 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * Handle DELETE /notifications/channels/:id — unsubscribe. Allowed for the
+ * agent that created the channel, the owner, or anyone holding the id of
+ * an anonymous channel.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleChannelDelete(reqCtx) {
+  const { env, config, params } = reqCtx;
+  const channel = await loadChannel(env.APPDATA, params.id);
+  if (!channel) return new Response('Not Found', { status: 404 });
+  const isOwner = reqCtx.user === config.username;
+  if (channel.agent && channel.agent !== reqCtx.agentWebId && !isOwner) {
+    return errorResponse('Only the subscriber can close this channel.', reqCtx.agentWebId ? 403 : 401);
+  }
+  await closeChannel(env, channel);
+  return new Response(null, { status: 204 });
+}
+
+/**
+ * Handle GET /notifications/ws/:id — a WebSocketChannel2023 `receiveFrom` URL.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleWebSocketConnect(reqCtx) {
+  const { request, env, params } = reqCtx;
+  if ((request.headers.get('Upgrade') || '').toLowerCase() !== 'websocket') {
+    return new Response('Expected a WebSocket upgrade', { status: 426, headers: { 'Upgrade': 'websocket' } });
+  }
+  const channel = await loadChannel(env.APPDATA, params.id);
+  if (!channel || channel.type !== 'WebSocketChannel2023') return new Response('Not Found', { status: 404 });
+  return getNotificationHub(env).connect(channel.id, request);
+}
+
+/**
+ * Announce a change to a resource. `Create` also sends `Add` to the parent
+ * container's subscribers and `Delete` sends `Remove`. Delivery runs in
+ * `ctx.waitUntil()`, after the response. Every write path calls this, so
+ * it also keeps the search index (storage/search.js) up to date.
+ * @param {object} reqCtx
+ * @param {'Create'|'Update'|'Delete'} type
+ * @param {string} resourceIri
+ * @param {object} [opts]
+ * @param {string|null} [opts.state] - the resource's new ETag
+ */
+export function notifyChange(reqCtx, type, resourceIri, { state = null } = {}) {
+  const events = [{ topic: resourceIri, type, object: resourceIri, state }];
+  const parent = parentContainer(resourceIri);
+  const podRoot = `${reqCtx.config.baseUrl}/${reqCtx.config.username}/`;
+  if (parent && parent.startsWith(podRoot)) {
+    if (type === 'Create') events.push({ topic: parent, type: 'Add', object: resourceIri, target: parent });
+    if (type === 'Delete') events.push({ topic: parent, type: 'Remove', object: resourceIri, origin: parent });
+  }
+  reqCtx.ctx.waitUntil(
+    Promise.all(events.map(event => dispatch(reqCtx, event)))
+      .catch(err => console.error(`[notify] ${type} ${resourceIri} failed:`, err)),
+  );
+  queueSearchUpdate(reqCtx, type, resourceIri);
+}
+
+// --- Delivery ---
+
+async function dispatch(reqCtx, event) {
+  const { env, config } = reqCtx;
+  const ids = await liveChannelIds(env.APPDATA, event.topic);
+  if (ids.length === 0) return;
+  const channels = (await Promise.all(ids.map(id => loadChannel(env.APPDATA, id)))).filter(Boolean);
+
+  const notification = {
+    '@context': [AS_CONTEXT, NOTIFICATION_CONTEXT],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: event.type,
+    object: event.object,
+    ...(event.target && { target: event.target }),
+    ...(event.origin && { origin: event.origin }),
+    ...(event.state && { state: event.state }),
+    published: new Date().toISOString(),
+  };
+  const message = JSON.stringify(notification);
+
+  await Promise.all(channels.map(async (channel) => {
+    if (!(await canRead(reqCtx, event.topic, channel.agent, channel.app))) return;
+    if (channel.type === 'WebSocketChannel2023') {
+      await getNotificationHub(env).publish(channel.id, message);
+    } else {
+      await deliverWebhook(env, config, channel, message);
+    }
+  }));
+}
+
+/**
+ * POST a notification to a webhook, signed like ActivityPub deliveries.
+ * Network errors, timeouts, 429 and 5xx are retried; 410 Gone closes the
+ * channel. Redirects are not followed (they would escape the SSRF check)
+ * and count as a rejection.
+ */
+async function deliverWebhook(env, config, channel, message) {
+  if (!validateExternalUrl(channel.sendTo)) {
+    console.error(`[notify] SSRF blocked: ${channel.sendTo}`);
+    return;
+  }
+  const privatePem = await env.APPDATA.get(`ap_private_key:${config.username}`);
+  for (let attempt = 0; attempt <= WEBHOOK_RETRY_DELAYS.length; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS[attempt - 1]));
+    try {
+      const signed = await signRequest({ keyId: config.keyId, privatePem, method: 'POST', url: channel.sendTo, body: message });
+      const response = await fetch(channel.sendTo, {
+        method: 'POST',
+        headers: { ...signed, 'Content-Type': 'application/ld+json', 'User-Agent': 'paa.pub/1.0' },
+        body: message,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      });
+      if (response.ok) return;
+      if (response.status === 410) {
+        await closeChannel(env, channel);
+        return;
+      }
+      if (response.status !== 429 && response.status < 500) {
+        console.error(`[notify] Webhook ${channel.sendTo} rejected notification: ${response.status}`);
+        return;
+      }
+      console.error(`[notify] Webhook ${channel.sendTo} attempt ${attempt + 1} failed: ${response.status}`);
+    } catch (err) {
+      console.error(`[notify] Webhook ${channel.sendTo} attempt ${attempt + 1} error:`, err);
+    }
+  }
+}
+
+// --- Channels ---
+
+async function loadChannel(kv, id) {
+  const raw = await kv.get(`notify_channel:${id}`);
+  if (!raw) return null;
+  const channel = JSON.parse(raw);
+  return Date.parse(channel.endAt) > Date.now() ? channel : null;
+}
+
+/** Channel ids for a topic, pruning channels that expired or were closed. */
+async function liveChannelIds(kv, topic) {
+  const raw = await kv.get(`notify_topic:${topic}`);
+  if (!raw) return [];
+  const ids = JSON.parse(raw);
+  const live = [];
+  for (const id of ids) {
+    if (await loadChannel(kv, id)) live.push(id);
+  }
+  if (live.length !== ids.length) {
+    if (live.length) await kv.put(`notify_topic:${topic}`, JSON.stringify(live));
+    else await kv.delete(`notify_topic:${topic}`);
+  }
+  return live;
+}
+
+async function closeChannel(env, channel) {
+  await env.APPDATA.delete(`notify_channel:${channel.id}`);
+  await liveChannelIds(env.APPDATA, channel.topic);
+  if (channel.type === 'WebSocketChannel2023') await getNotificationHub(env).close(channel.id);
+}
+
+/** Read check for a subscriber: access.js, plus the container allow-list for OIDC apps. */
+async function canRead(reqCtx, topic, agent, app) {
+  const { env, config } = reqCtx;
+  if (app && !(await checkAppPermission(env.APPDATA, config.username, app, topic))) return false;
+  const access = await checkAccess(reqCtx, topic, agent);
+  return access.readable;
+}
+
+// --- Descriptions ---
+
+function describeChannel(config, channel) {
+  const description = {
+    '@context': [NOTIFICATION_CONTEXT],
+    id: channelIri(config, channel.id),
+    type: channel.type,
+    topic: channel.topic,
+    endAt: channel.endAt,
+  };
+  if (channel.type === 'WebSocketChannel2023') {
+    description.receiveFrom = `${config.baseUrl.replace(/^http/, 'ws')}/notifications/ws/${channel.id}`;
+  } else {
+    description.sendTo = channel.sendTo;
+  }
+  return description;
+}
+
+function subscriptionServiceTriples(config, segment) {
+  const service = `<${subscriptionIri(config, segment)}>`;
+  return [
+    { subject: service, predicate: `<${PREFIXES.notify}channelType>`, object: `<${PREFIXES.notify}${CHANNEL_TYPES[segment]}>` },
+    { subject: service, predicate: `<${PREFIXES.notify}feature>`, object: `<${PREFIXES.notify}endAt>` },
+  ];
+}
+
+async function rdfResponse(reqCtx, triples) {
+  const accept = reqCtx.request.headers.get('Accept') || '';
+  const contentType = negotiateType(accept, RDF_MEDIA_TYPES);
+  if (!contentType) return notAcceptable();
+  const body = await serializeRdf(triples, contentType, ['rdf', 'space', 'notify'], PREFIXES, { accept });
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': contentType, 'Cache-Control': 'max-age=3600', 'Vary': 'Accept' },
+  });
+}
+
+/** The storage description IRI (target of the `storageDescription` link). */
+function storageDescriptionIri(config) {
+  return `${config.baseUrl}/.well-known/solid`;
+}
+
+function subscriptionIri(config, segment) {
+  return `${config.baseUrl}/notifications/subscription/${segment}`;
+}
+
+function channelIri(config, id) {
+  return `${config.baseUrl}/notifications/channels/${id}`;
+}
+
+/** Read a subscription term by its compact name or full notify: IRI. */
+function term(body, name) {
+  const value = body[name] ?? body[`${PREFIXES.notify}${name}`] ?? (name === 'type' ? body['@type'] : undefined);
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value['@id'] ?? value['@value'];
+  return value;
+}
+
+function localName(value) {
+  return typeof value === 'string' ? value.replace(/^.*[#:]/, '') : value;
+}
+
+function errorResponse(message, status) {
+  return new Response(message, { status, headers: { 'Content-Type': 'text/plain' } });
+}
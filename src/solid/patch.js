@@ -0,0 +1,48 @@
+/**
+ * PATCH body handling shared by LDP resources and `.acl` documents.
+ *
+ * Dispatches on Content-Type:
+ *   - `text/n3` → N3 Patch (solid:InsertDeletePatch)
+ *   - `application/sparql-update` → SPARQL Update
+ *
+ * Both parse up front (so malformed patches fail before any KV reads)
+ * and return a function that applies the patch to a triple array.
+ * Errors carry an HTTP status: 415 for other media types, 422 for
+ * malformed patches, 409 when the patch doesn't apply.
+ */
+import { parseSparqlUpdate, applySparqlUpdate } from '../rdf/sparql.js';
+import { parseN3Patch, applyN3Patch } from '../rdf/n3-patch.js';
+import { ACCEPT_PATCH } from './headers.js';
+
+/**
+ * Parse a PATCH request body.
+ * @param {string} body
+ * @param {string} contentType - Request Content-Type header
+ * @param {string} baseIri - IRI of the resource being patched
+ * @returns {(triples: Array) => Array} Applies the patch, returning the new triples
+ */
+export function parsePatch(body, contentType, baseIri) {
+  if (contentType.includes('text/n3')) {
+    const patch = parseN3Patch(body, baseIri);
+    return (triples) => applyN3Patch(triples, patch);
+  }
+  if (contentType.includes('application/sparql-update')) {
+    const update = parseSparqlUpdate(body, baseIri);
+    return (triples) => applySparqlUpdate(triples, update);
+  }
+  const err = new Error(`Unsupported Media Type. Use ${ACCEPT_PATCH}`);
+  err.status = 415;
+  throw err;
+}
+
+/**
+ * Convert a patch parse/apply error to a response, or null if it isn't one.
+ * @param {Error} err
+ * @returns {Response|null}
+ */
+export function patchErrorResponse(err) {
+  if (![409, 415, 422].includes(err.status)) return null;
+  const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+  if (err.status === 415) headers['Accept-Patch'] = ACCEPT_PATCH;
+  return new Response(err.message, { status: err.status, headers });
+}
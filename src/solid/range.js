@@ -0,0 +1,168 @@
+/**
+ * HTTP Range requests (RFC 9110 §14) for binary resources in R2.
+ *
+ * Bodies are streamed from R2 rather than buffered:
+ *   - no Range (or an ignored one) → 200 with the whole object
+ *   - one satisfiable range        → 206 with `Content-Range`
+ *   - several ranges               → 206 `multipart/byteranges`, each part
+ *                                    read from R2 as the client consumes it
+ *   - no satisfiable range         → 416 with `Content-Range: bytes *\/{size}`
+ *
+ * Overlapping or adjacent ranges are merged. A Range header with bad
+ * syntax, a unit other than `bytes`, or more than MAX_RANGES ranges is
+ * ignored, as is one whose `If-Range` validator no longer matches.
+ */
+
+const MAX_RANGES = 16;
+
+/**
+ * Parse a Range header against a representation of `size` bytes.
+ * @param {string} header
+ * @param {number} size
+ * @returns {Array<{start: number, end: number}>|'unsatisfiable'|null}
+ *   inclusive byte ranges, 'unsatisfiable', or null to ignore the header
+ */
+export function parseRange(header, size) {
+  const m = header.match(/^\s*bytes\s*=\s*(.+)$/i);
+  if (!m) return null;
+  const specs = m[1].split(',').map(s => s.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const r = spec.match(/^(\d*)-(\d*)$/);
+    if (!r || (r[1] === '' && r[2] === '')) return null;
+    if (r[1] === '') {
+      const suffix = Number(r[2]);
+      if (suffix > 0 && size > 0) ranges.push({ start: Math.max(0, size - suffix), end: size - 1 });
+      continue;
+    }
+    const start = Number(r[1]);
+    const last = r[2] === '' ? Infinity : Number(r[2]);
+    if (last < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(last, size - 1) });
+  }
+  if (ranges.length === 0) return 'unsatisfiable';
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [ranges[0]];
+  for (const r of ranges.slice(1)) {
+    const prev = merged[merged.length - 1];
+    if (r.start <= prev.end + 1) prev.end = Math.max(prev.end, r.end);
+    else merged.push(r);
+  }
+  return merged;
+}
+
+/**
+ * Serve a blob from R2, honouring Range and If-Range.
+ * @param {Request} request
+ * @param {R2Bucket} blobs - BLOBS binding
+ * @param {string} key - R2 object key (`blob:{iri}`, or a version's `ver:{iri}:{id}`)
+ * @param {object} opts
+ * @param {number} opts.size - object size in bytes
+ * @param {string} opts.contentType
+ * @param {Headers} opts.headers - response headers so far (validators, Cache-Control, ...)
+ * @param {{etag: string|null, lastModified?: Date}|null} [opts.validators] - for If-Range
+ * @returns {Promise<Response>}
+ */
+export async function serveBlob(request, blobs, key, { size, contentType, headers, validators = null }) {
+  headers.set('Accept-Ranges', 'bytes');
+
+  if (request.method === 'HEAD') {
+    headers.set('Content-Type', contentType);
+    headers.set('Content-Length', String(size));
+    return new Response(null, { status: 200, headers });
+  }
+
+  const rangeHeader = request.headers.get('Range');
+  const ifRange = request.headers.get('If-Range');
+  const ranges = rangeHeader && (ifRange === null || ifRangeMatches(ifRange, validators))
+    ? parseRange(rangeHeader, size)
+    : null;
+
+  if (ranges === 'unsatisfiable') {
+    headers.set('Content-Range', `bytes */${size}`);
+    headers.set('Content-Type', 'text/plain');
+    return new Response('Range Not Satisfiable', { status: 416, headers });
+  }
+
+  if (!ranges) {
+    const object = await blobs.get(key);
+    if (!object) return new Response('Not Found', { status: 404 });
+    headers.set('Content-Type', contentType);
+    headers.set('Content-Length', String(size));
+    return new Response(object.body, { status: 200, headers });
+  }
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    const object = await blobs.get(key, { range: { offset: start, length: end - start + 1 } });
+    if (!object) return new Response('Not Found', { status: 404 });
+    headers.set('Content-Type', contentType);
+    headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    headers.set('Content-Length', String(end - start + 1));
+    return new Response(object.body, { status: 206, headers });
+  }
+
+  const boundary = crypto.randomUUID().replace(/-/g, '');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`,
+  }));
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((n, p) => n + p.head.length + (p.end - p.start + 1), tail.length);
+  headers.set('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  headers.set('Content-Length', String(length));
+  return new Response(multipartStream(blobs, key, parts, tail), { status: 206, headers });
+}
+
+/**
+ * If-Range: a strong ETag must equal the current one; an HTTP date must
+ * equal Last-Modified exactly.
+ */
+function ifRangeMatches(value, validators) {
+  value = value.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !value.startsWith('W/') && !!validators?.etag && !validators.etag.startsWith('W/') && value === validators.etag;
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date) || !validators?.lastModified) return false;
+  return Math.floor(validators.lastModified.getTime() / 1000) * 1000 === date;
+}
+
+/**
+ * Stream a multipart/byteranges body, reading each part from R2 only
+ * when the client has consumed the previous one.
+ */
+function multipartStream(blobs, key, parts, tail) {
+  const encoder = new TextEncoder();
+  let index = 0;
+  let reader = null;
+  return new ReadableStream({
+    async pull(controller) {
+      if (reader) {
+        const { done, value } = await reader.read();
+        if (!done) {
+          controller.enqueue(value);
+          return;
+        }
+        reader = null;
+      }
+      if (index === parts.length) {
+        controller.enqueue(encoder.encode(tail));
+        controller.close();
+        return;
+      }
+      const part = parts[index++];
+      const object = await blobs.get(key, { range: { offset: part.start, length: part.end - part.start + 1 } });
+      if (!object) throw new Error(`Blob ${key} disappeared while streaming`);
+      controller.enqueue(encoder.encode(part.head));
+      reader = object.body.getReader();
+    },
+    cancel(reason) {
+      return reader?.cancel(reason);
+    },
+  });
+}
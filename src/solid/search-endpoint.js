@@ -0,0 +1,99 @@
+/**
+ * Full-text search API (`GET /search`).
+ *
+ * Parameters:
+ *   q     — the query; every term must match
+ *   kind  — `resource` or `post` (default: both)
+ *   scope — only resources under this container
+ *   limit — results to return, 1–MAX_LIMIT (default 20)
+ *
+ * Answers with JSON: `{ query, terms, results }`, each result carrying
+ * kind, iri, title, snippet, contentType, updated and score (posts also
+ * activityId, box and actor).
+ *
+ * Works for visitors as well as the owner. What a result reveals comes from
+ * the resource, so each one is filtered the way SPARQL graphs are
+ * (sparql-endpoint.js): it must pass `checkAccess()` for the requesting
+ * agent and, for OIDC apps, lie inside one of the app's allowed containers.
+ * On top of that, resources anyone may read only show up when they are
+ * listed — unlisted ones are for people given the link. Posts other than
+ * the owner's public ones are only shown to the owner.
+ */
+import { searchIndex } from '../storage/search.js';
+import { getAppPermission } from './app-permissions.js';
+import { checkAccess } from './access.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 500;
+const KINDS = ['resource', 'post'];
+
+/**
+ * Handle a search request.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleSearch(reqCtx) {
+  const { url, config } = reqCtx;
+  const query = (url.searchParams.get('q') || '').trim();
+  if (!query) return errorResponse('Missing q parameter', 400);
+  if (query.length > MAX_QUERY_LENGTH) return errorResponse('Query too long', 400);
+
+  const kind = url.searchParams.get('kind') || null;
+  if (kind && !KINDS.includes(kind)) return errorResponse(`kind must be one of: ${KINDS.join(', ')}`, 400);
+  const scope = url.searchParams.get('scope') || null;
+  if (scope && !scope.startsWith(`${config.baseUrl}/${config.username}/`)) {
+    return errorResponse('scope must be a container in this pod', 400);
+  }
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT));
+
+  const { terms, results } = await searchPod(reqCtx, query, { kind, scope, limit });
+  return new Response(JSON.stringify({ query, terms, results }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Vary': 'Authorization, Origin',
+      'Cache-Control': 'private, no-store',
+    },
+  });
+}
+
+/**
+ * Search the index with results limited to what the requesting agent may
+ * see. Used by the API and the search boxes of the UI.
+ * @param {object} reqCtx
+ * @param {string} query
+ * @param {object} [opts] - kind, scope, limit (see searchIndex)
+ * @returns {Promise<{terms: string[], results: object[]}>}
+ */
+export async function searchPod(reqCtx, query, opts = {}) {
+  const filter = await visibilityFilter(reqCtx);
+  return searchIndex(reqCtx.env.APPDATA, reqCtx.config.username, query, { ...opts, filter });
+}
+
+// --- Helpers ---
+
+/**
+ * Build the per-result check for this request.
+ */
+async function visibilityFilter(reqCtx) {
+  const { config, env } = reqCtx;
+  const origin = reqCtx.request.headers.get('Origin');
+  const owner = !!reqCtx.agentWebId && reqCtx.agentWebId === config.webId;
+  let allowedContainers = null;
+  if (reqCtx.authMethod === 'oidc' && reqCtx.clientId) {
+    const perm = await getAppPermission(env.APPDATA, config.username, reqCtx.clientId);
+    allowedContainers = perm?.allowedContainers || [];
+  }
+  return async (doc) => {
+    if (doc.kind === 'post') return doc.public || (owner && !allowedContainers);
+    if (allowedContainers && !allowedContainers.some(c => doc.iri.startsWith(c))) return false;
+    const access = await checkAccess(reqCtx, doc.iri, reqCtx.agentWebId || null, origin);
+    if (!access.readable) return false;
+    return owner || access.listed || !access.publicModes.includes('read');
+  };
+}
+
+function errorResponse(message, status) {
+  return new Response(message, { status, headers: { 'Content-Type': 'text/plain' } });
+}
@@ -0,0 +1,295 @@
+/**
+ * Capability share links: owner-issued tokens granting read, or read and
+ * write, on one resource or a container's whole subtree.
+ *
+ * A link is presented as `?share={token}` on any URL it covers. The token
+ * is `{id}.{signature}`, the signature an HMAC-SHA256 of the id under a
+ * per-server secret (`share_secret:{user}` in APPDATA), so tokens can't be
+ * guessed or forged from a link id. Everything else lives in APPDATA:
+ *
+ *   share_link:{id}    { id, resource, modes, createdAt, expiresAt, maxUses,
+ *                        uses, passwordHash, revokedAt }
+ *   share_links:{iri}  [id, ...] — the links issued for a resource
+ *   share_log:{id}     [{ at, iri, method, ip, agent, userAgent }], newest
+ *                      first, capped at MAX_LOG_ENTRIES
+ *
+ * A request carrying a token is checked for, in order: signature, record,
+ * revocation, expiry, remaining uses, coverage (the request IRI is the
+ * resource or inside it) and mode (GET/HEAD need read, other methods
+ * write). A link that doesn't cover the request or lacks the mode is
+ * ignored and the normal access rules apply. Otherwise the password is
+ * checked and the request counts as one use and is logged.
+ *
+ * Password-protected links need an unlock cookie (`share_{id}`), set by
+ * POST /share/unlock (ui/pages/share.js) once the password is checked.
+ * Browsers asking for HTML are redirected to that form.
+ *
+ * A link never grants control, so `.acl` and `.acr` stay owner-only.
+ */
+import { hashPassword } from '../auth/password.js';
+import { parseCookie } from '../auth/session.js';
+import { bufferToBase64url } from '../utils.js';
+
+export const SHARE_MODES = {
+  read: ['read'],
+  write: ['read', 'append', 'write'],
+};
+
+const MAX_LOG_ENTRIES = 100;
+const UNLOCK_TTL = 30 * 24 * 60 * 60; // 30 days, for links without expiry
+
+/**
+ * Issue a share link.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} resourceIri
+ * @param {object} opts
+ * @param {'read'|'write'} opts.access
+ * @param {string|null} [opts.expiresAt] - ISO timestamp, null for no expiry
+ * @param {number|null} [opts.maxUses] - null for unlimited
+ * @param {string} [opts.password] - empty for none
+ * @returns {Promise<object>} the link record
+ */
+export async function createShareLink(kv, resourceIri, { access, expiresAt = null, maxUses = null, password = '' }) {
+  if (!SHARE_MODES[access]) {
+    const err = new Error(`Unknown share access "${access}"`);
+    err.status = 400;
+    throw err;
+  }
+  const link = {
+    id: bufferToBase64url(crypto.getRandomValues(new Uint8Array(16))),
+    resource: resourceIri,
+    modes: SHARE_MODES[access],
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    maxUses,
+    uses: 0,
+    passwordHash: password ? await hashPassword(password) : null,
+    revokedAt: null,
+  };
+  await kv.put(`share_link:${link.id}`, JSON.stringify(link));
+  const ids = await loadLinkIds(kv, resourceIri);
+  ids.unshift(link.id);
+  await kv.put(`share_links:${resourceIri}`, JSON.stringify(ids));
+  console.log(`[share] created ${link.id} for ${resourceIri} (${access})`);
+  return link;
+}
+
+/**
+ * Links issued for a resource, newest first.
+ * @param {KVNamespace} kv
+ * @param {string} resourceIri
+ * @returns {Promise<object[]>} link records
+ */
+export async function listShareLinks(kv, resourceIri) {
+  const ids = await loadLinkIds(kv, resourceIri);
+  const links = await Promise.all(ids.map(id => loadLink(kv, id)));
+  return links.filter(Boolean);
+}
+
+/**
+ * Revoke a link; it stays listed with its usage log.
+ * @param {KVNamespace} kv
+ * @param {string} id
+ */
+export async function revokeShareLink(kv, id) {
+  const link = await loadLink(kv, id);
+  if (!link || link.revokedAt) return;
+  link.revokedAt = new Date().toISOString();
+  await kv.put(`share_link:${id}`, JSON.stringify(link));
+  console.log(`[share] revoked ${id}`);
+}
+
+/**
+ * Delete a link and its usage log.
+ * @param {KVNamespace} kv
+ * @param {string} resourceIri
+ * @param {string} id
+ */
+export async function deleteShareLink(kv, resourceIri, id) {
+  const ids = await loadLinkIds(kv, resourceIri);
+  if (!ids.includes(id)) return;
+  await kv.delete(`share_link:${id}`);
+  await kv.delete(`share_log:${id}`);
+  const remaining = ids.filter(i => i !== id);
+  if (remaining.length) await kv.put(`share_links:${resourceIri}`, JSON.stringify(remaining));
+  else await kv.delete(`share_links:${resourceIri}`);
+}
+
+/**
+ * Usage log of a link, newest first.
+ * @param {KVNamespace} kv
+ * @param {string} id
+ * @returns {Promise<object[]>}
+ */
+export async function getShareLog(kv, id) {
+  const raw = await kv.get(`share_log:${id}`);
+  return raw ? JSON.parse(raw) : [];
+}
+
+/**
+ * The token for a link.
+ * @param {KVNamespace} kv
+ * @param {string} username
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+export async function shareToken(kv, username, id) {
+  return `${id}.${await sign(kv, username, id)}`;
+}
+
+/**
+ * Why a link can't be used right now, or null if it can.
+ * @param {object} link
+ * @returns {'revoked'|'expired'|'used'|null}
+ */
+export function shareLinkState(link) {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt && Date.parse(link.expiresAt) <= Date.now()) return 'expired';
+  if (link.maxUses !== null && link.uses >= link.maxUses) return 'used';
+  return null;
+}
+
+/**
+ * Whether a link covers a resource: the resource itself or, for a
+ * container, anything inside it.
+ * @param {object} link
+ * @param {string} resourceIri
+ * @returns {boolean}
+ */
+export function shareLinkCovers(link, resourceIri) {
+  return resourceIri === link.resource || (link.resource.endsWith('/') && resourceIri.startsWith(link.resource));
+}
+
+/**
+ * Look up and check a token, without counting a use.
+ * @param {KVNamespace} kv
+ * @param {string} username
+ * @param {string} token
+ * @returns {Promise<object>} the link record
+ * @throws {Error} with status 403 (invalid) or 410 (revoked, expired, used up)
+ */
+export async function verifyShareToken(kv, username, token) {
+  const [id, signature] = String(token).split('.');
+  const link = id && signature && signature === await sign(kv, username, id)
+    ? await loadLink(kv, id)
+    : null;
+  if (!link) throw shareError(403, 'Invalid share link');
+  const state = shareLinkState(link);
+  if (state) throw shareError(410, `Share link ${state === 'used' ? 'used up' : state}`);
+  return link;
+}
+
+/**
+ * Check the `?share=` token of an LDP request.
+ * @param {object} reqCtx
+ * @param {string} resourceIri
+ * @returns {Promise<{denied: Response|null, grant: {id: string, resource: string, modes: string[]}|null}>}
+ *   grant is null when there is no token or it doesn't apply to the request
+ */
+export async function authorizeShareLink(reqCtx, resourceIri) {
+  const { request, url, env, config } = reqCtx;
+  const token = url.searchParams.get('share');
+  if (!token) return { denied: null, grant: null };
+
+  let link;
+  try {
+    link = await verifyShareToken(env.APPDATA, config.username, token);
+  } catch (err) {
+    if (!err.status) throw err;
+    console.log(`[share] ${request.method} ${resourceIri} rejected: ${err.message}`);
+    return { denied: new Response(err.message, { status: err.status, headers: { 'Cache-Control': 'no-store' } }), grant: null };
+  }
+
+  const needed = request.method === 'GET' || request.method === 'HEAD' ? 'read' : 'write';
+  if (!shareLinkCovers(link, resourceIri) || !link.modes.includes(needed)) {
+    return { denied: null, grant: null };
+  }
+
+  if (link.passwordHash && !await isUnlocked(reqCtx, link)) {
+    if (needed === 'read' && (request.headers.get('Accept') || '').includes('text/html')) {
+      const params = new URLSearchParams({ token, return: url.pathname });
+      return { denied: new Response(null, { status: 303, headers: { 'Location': `/share/unlock?${params}` } }), grant: null };
+    }
+    return { denied: new Response('Share link password required', { status: 401, headers: { 'Cache-Control': 'no-store' } }), grant: null };
+  }
+
+  link.uses++;
+  await env.APPDATA.put(`share_link:${link.id}`, JSON.stringify(link));
+  await logUse(reqCtx, link, resourceIri);
+  return { denied: null, grant: { id: link.id, resource: link.resource, modes: link.modes } };
+}
+
+/**
+ * Cookie that proves the password of a link was entered.
+ * @param {object} reqCtx - needs env, config
+ * @param {object} link
+ * @returns {Promise<string>} Set-Cookie header value
+ */
+export async function unlockCookie(reqCtx, link) {
+  const { env, config } = reqCtx;
+  const value = await sign(env.APPDATA, config.username, `unlock:${link.id}`);
+  const maxAge = link.expiresAt
+    ? Math.max(0, Math.floor((Date.parse(link.expiresAt) - Date.now()) / 1000))
+    : UNLOCK_TTL;
+  return `share_${link.id}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${config.protocol === 'https' ? '; Secure' : ''}`;
+}
+
+// --- Helpers ---
+
+async function isUnlocked(reqCtx, link) {
+  const cookies = parseCookie(reqCtx.request.headers.get('Cookie') || '');
+  const value = cookies[`share_${link.id}`];
+  return !!value && value === await sign(reqCtx.env.APPDATA, reqCtx.config.username, `unlock:${link.id}`);
+}
+
+async function logUse(reqCtx, link, resourceIri) {
+  const { request, env } = reqCtx;
+  const entry = {
+    at: new Date().toISOString(),
+    iri: resourceIri,
+    method: request.method,
+    ip: request.headers.get('CF-Connecting-IP') || null,
+    agent: reqCtx.agentWebId || null,
+    userAgent: request.headers.get('User-Agent') || null,
+  };
+  const log = await getShareLog(env.APPDATA, link.id);
+  log.unshift(entry);
+  await env.APPDATA.put(`share_log:${link.id}`, JSON.stringify(log.slice(0, MAX_LOG_ENTRIES)));
+  console.log(`[share] ${link.id} used: ${request.method} ${resourceIri} by ${entry.agent || entry.ip || 'anonymous'}`);
+}
+
+async function sign(kv, username, message) {
+  const key = await crypto.subtle.importKey(
+    'raw', await loadSecret(kv, username),
+    { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'],
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return bufferToBase64url(sig);
+}
+
+/** The HMAC secret, generated on first use. */
+async function loadSecret(kv, username) {
+  let secret = await kv.get(`share_secret:${username}`);
+  if (!secret) {
+    secret = bufferToBase64url(crypto.getRandomValues(new Uint8Array(32)));
+    await kv.put(`share_secret:${username}`, secret);
+  }
+  const binary = atob(secret.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function loadLink(kv, id) {
+  const raw = await kv.get(`share_link:${id}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function loadLinkIds(kv, resourceIri) {
+  const raw = await kv.get(`share_links:${resourceIri}`);
+  return raw ? JSON.parse(raw) : [];
+}
+
+function shareError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,240 @@
+/**
+ * SPARQL 1.1 Protocol query endpoint (`GET /sparql`, `POST /sparql`).
+ *
+ * Queries are evaluated by the s20e orchestrator, where every RDF resource
+ * is a named graph. The dataset a query sees is limited to what the
+ * requesting agent may read:
+ *
+ *   1. Scope — `default-graph-uri` / `named-graph-uri` parameters, else the
+ *      query's own FROM / FROM NAMED clauses, else the whole pod. A
+ *      container IRI stands for every RDF resource in its subtree.
+ *   2. Filter — each resource must pass `checkAccess()` and, for OIDC
+ *      apps, lie inside one of the app's allowed containers. Resources that
+ *      fail are silently left out, as are binary resources.
+ *   3. Rewrite — the query's dataset clauses are replaced with FROM and
+ *      FROM NAMED clauses listing the remaining graphs, so the default graph
+ *      is their merge and GRAPH patterns can only reach them.
+ *
+ * Results: SELECT as SPARQL JSON (default), XML, CSV or TSV; ASK as JSON
+ * or XML; CONSTRUCT/DESCRIBE in any RDF format from conneg.js (Turtle by
+ * default). Queries time out after QUERY_TIMEOUT, and results are capped at
+ * MAX_RESULTS rows or triples (`X-SPARQL-MaxRows` is set when truncated).
+ */
+import { parseQueryHeader } from '../rdf/sparql.js';
+import { parseNTriples } from '../rdf/ntriples.js';
+import { serializeSparqlResults, sparqlJsonToTriples, SELECT_RESULT_TYPES, ASK_RESULT_TYPES } from '../rdf/sparql-results.js';
+import { PREFIXES, loadMergedPrefixes } from '../rdf/prefixes.js';
+import { negotiateType, notAcceptable, serializeRdf, RDF_MEDIA_TYPES } from './conneg.js';
+import { isContainer } from './containers.js';
+import { getAppPermission } from './app-permissions.js';
+import { checkAccess } from './access.js';
+
+const QUERY_TIMEOUT = 10000; // ms
+const MAX_RESULTS = 10000;
+const MAX_GRAPHS = 2000;
+
+// Never stored, so naming it as the only FROM graph gives an empty default graph
+const EMPTY_GRAPH = 'urn:x-paa:empty';
+
+/**
+ * Handle a SPARQL query request.
+ * @param {object} reqCtx
+ * @returns {Promise<Response>}
+ */
+export async function handleSparql(reqCtx) {
+  const { request, url, config, env, storage, orchestrator } = reqCtx;
+  const podRoot = `${config.baseUrl}/${config.username}/`;
+
+  let query, header, defaultGraphs, namedGraphs;
+  try {
+    ({ query, defaultGraphs, namedGraphs } = await readProtocolRequest(request, url));
+    header = parseQueryHeader(query, podRoot);
+  } catch (e) {
+    if (e.status) return errorResponse(e.message, e.status === 422 ? 400 : e.status);
+    throw e;
+  }
+
+  const accept = request.headers.get('Accept') || '';
+  const graphResult = header.form === 'CONSTRUCT' || header.form === 'DESCRIBE';
+  const available = graphResult ? RDF_MEDIA_TYPES : header.form === 'ASK' ? ASK_RESULT_TYPES : SELECT_RESULT_TYPES;
+  const contentType = negotiateType(accept, available);
+  if (!contentType) return notAcceptable(`Not Acceptable. Available types: ${available.join(', ')}`);
+
+  // Dataset: protocol parameters override the query's FROM / FROM NAMED
+  const protocolDataset = defaultGraphs.length > 0 || namedGraphs.length > 0;
+  let requestedDefault = protocolDataset ? defaultGraphs : header.from;
+  let requestedNamed = protocolDataset ? namedGraphs : header.fromNamed;
+  if (requestedDefault.length === 0 && requestedNamed.length === 0) {
+    requestedDefault = requestedNamed = [podRoot];
+  }
+
+  let defaultSet, namedSet;
+  try {
+    const canRead = await readFilter(reqCtx);
+    defaultSet = await resolveGraphs(storage, requestedDefault, podRoot, canRead);
+    namedSet = requestedNamed === requestedDefault
+      ? defaultSet
+      : await resolveGraphs(storage, requestedNamed, podRoot, canRead);
+  } catch (e) {
+    if (e.status) return errorResponse(e.message, e.status);
+    throw e;
+  }
+
+  const clauses = (defaultSet.length ? defaultSet : [EMPTY_GRAPH]).map(g => `FROM <${g}>`)
+    .concat(namedSet.map(g => `FROM NAMED <${g}>`));
+  const rewritten = `${query.slice(0, header.datasetStart)}${clauses.join('\n')}\n${query.slice(header.datasetEnd)}`;
+  const graphs = [...new Set([...defaultSet, ...namedSet])];
+
+  // Access control was applied above by choosing the graphs, so the kernel
+  // runs as the owner (its WAC mirror only knows about the owner).
+  let result;
+  try {
+    result = await withTimeout(orchestrator.query(rewritten, graphs, config.webId), QUERY_TIMEOUT);
+  } catch (e) {
+    if (e.status) return errorResponse(e.message, e.status);
+    throw e;
+  }
+  if (result.type !== 'query_results') {
+    return errorResponse(`Query failed: ${result.message || result.error || result.type}`, 400);
+  }
+  const json = JSON.parse(result.sparql_json);
+
+  const headers = new Headers({
+    'Content-Type': contentType,
+    'Vary': 'Accept, Authorization, Origin',
+    'Cache-Control': 'private, no-store',
+  });
+
+  if (graphResult) {
+    let triples = sparqlJsonToTriples(json);
+    if (triples.length > MAX_RESULTS) {
+      triples = triples.slice(0, MAX_RESULTS);
+      headers.set('X-SPARQL-MaxRows', String(MAX_RESULTS));
+    }
+    const prefixes = await loadMergedPrefixes(env.APPDATA, config.username);
+    let body;
+    try {
+      body = await serializeRdf(triples, contentType, Object.keys(prefixes), prefixes, { accept });
+    } catch (e) {
+      if (e.status === 406) return notAcceptable(e.message);
+      throw e;
+    }
+    return new Response(body, { status: 200, headers });
+  }
+
+  const bindings = json.results?.bindings;
+  if (bindings && bindings.length > MAX_RESULTS) {
+    json.results.bindings = bindings.slice(0, MAX_RESULTS);
+    headers.set('X-SPARQL-MaxRows', String(MAX_RESULTS));
+  }
+  return new Response(serializeSparqlResults(json, contentType), { status: 200, headers });
+}
+
+/**
+ * Extract the query and dataset parameters from a SPARQL Protocol request:
+ * GET with `?query=`, POST with a form body, or POST with a
+ * `application/sparql-query` body (dataset parameters in the URL).
+ */
+async function readProtocolRequest(request, url) {
+  let params = url.searchParams;
+  let query = null;
+  if (request.method === 'POST') {
+    const ct = (request.headers.get('Content-Type') || '').toLowerCase();
+    if (ct.startsWith('application/x-www-form-urlencoded')) {
+      params = new URLSearchParams(await request.text());
+    } else if (ct.startsWith('application/sparql-query')) {
+      query = await request.text();
+    } else {
+      throw statusError('POST body must be application/sparql-query or application/x-www-form-urlencoded', 415);
+    }
+  }
+  if (params.has('update')) {
+    throw statusError('SPARQL Update is not accepted here; PATCH the resource instead', 400);
+  }
+  if (query === null) {
+    const queries = params.getAll('query');
+    if (queries.length !== 1) throw statusError(queries.length ? 'Only one query parameter is allowed' : 'Missing query parameter', 400);
+    query = queries[0];
+  }
+  return {
+    query,
+    defaultGraphs: params.getAll('default-graph-uri'),
+    namedGraphs: params.getAll('named-graph-uri'),
+  };
+}
+
+/**
+ * Build the per-resource read check for this request: checkAccess() for
+ * the requesting agent, plus the container allow-list for OIDC apps.
+ */
+async function readFilter(reqCtx) {
+  const { config, env } = reqCtx;
+  const origin = reqCtx.request.headers.get('Origin');
+  let allowedContainers = null;
+  if (reqCtx.authMethod === 'oidc' && reqCtx.clientId) {
+    const perm = await getAppPermission(env.APPDATA, config.username, reqCtx.clientId);
+    allowedContainers = perm?.allowedContainers || [];
+  }
+  return async (resourceIri) => {
+    if (allowedContainers && !allowedContainers.some(c => resourceIri.startsWith(c))) return false;
+    const access = await checkAccess(reqCtx, resourceIri, reqCtx.agentWebId || null, origin);
+    return access.readable;
+  };
+}
+
+/**
+ * Expand requested graph IRIs (containers → their subtree) into the
+ * readable RDF resources they cover. IRIs outside the pod are ignored.
+ * @returns {Promise<string[]>}
+ */
+async function resolveGraphs(storage, requested, podRoot, canRead) {
+  const seen = new Set();
+  const queue = requested.filter(g => g.startsWith(podRoot));
+  const graphs = [];
+  while (queue.length > 0) {
+    const resourceIri = queue.shift();
+    if (seen.has(resourceIri)) continue;
+    seen.add(resourceIri);
+    if (seen.size > MAX_GRAPHS) {
+      throw statusError(`Query covers more than ${MAX_GRAPHS} resources; narrow it with default-graph-uri or FROM`, 413);
+    }
+
+    const idx = await storage.get(`idx:${resourceIri}`);
+    if (!idx || JSON.parse(idx).binary) continue;
+    if (await canRead(resourceIri)) graphs.push(resourceIri);
+
+    // Children are checked on their own: a private container can hold public resources
+    if (isContainer(resourceIri)) {
+      const nt = await storage.get(`doc:${resourceIri}:${resourceIri}`);
+      for (const t of nt ? parseNTriples(nt) : []) {
+        if (t.predicate === `<${PREFIXES.ldp}contains>` && t.object.startsWith(`<${resourceIri}`)) {
+          queue.push(t.object.slice(1, -1));
+        }
+      }
+    }
+  }
+  return graphs;
+}
+
+/** Reject with a 503 if `promise` does not settle within `ms`. */
+async function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(statusError(`Query exceeded the ${ms / 1000}s time limit`, 503)), ms);
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function errorResponse(message, status) {
+  return new Response(message, { status, headers: { 'Content-Type': 'text/plain' } });
+}
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
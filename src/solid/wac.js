@@ -0,0 +1,173 @@
+/**
+ * Web Access Control (WAC) evaluator for `.acl` documents.
+ *
+ * The effective ACL of a resource is its own `acl:{iri}` document, or
+ * else the nearest ancestor container's, whose `acl:default`
+ * authorizations then apply. An `acl:Authorization` grants its modes
+ * when its target matches (`acl:accessTo` the resource for its own ACL,
+ * `acl:default` the ancestor for an inherited one) and the agent matches
+ * one of:
+ *   - `acl:agent`      — the agent's WebID
+ *   - `acl:agentClass` — `foaf:Agent` (anyone) or `acl:AuthenticatedAgent`
+ *   - `acl:agentGroup` — a `vcard:Group` whose `vcard:hasMember` lists the
+ *                        agent; read from the pod, or fetched and cached
+ *                        for GROUP_CACHE_TTL when it lives elsewhere
+ * An authorization with `acl:origin` only applies to requests carrying
+ * one of those Origin headers.
+ *
+ * Modes: `acl:Read`, `acl:Write` (which includes Append), `acl:Append`
+ * and `acl:Control`, reported as 'read', 'write', 'append', 'control'.
+ */
+import { parseNTriples, unwrapIri } from '../rdf/ntriples.js';
+import { parseTurtle } from '../rdf/turtle-parser.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { parentContainer } from './containers.js';
+import { validateExternalUrl } from '../security/ssrf.js';
+import { simpleHash } from '../utils.js';
+
+const GROUP_CACHE_TTL = 300; // 5 minutes
+
+const MODE_NAMES = {
+  [PREFIXES.acl + 'Read']: ['read'],
+  [PREFIXES.acl + 'Write']: ['write', 'append'],
+  [PREFIXES.acl + 'Append']: ['append'],
+  [PREFIXES.acl + 'Control']: ['control'],
+};
+
+/**
+ * Evaluate the effective ACL of a resource.
+ * @param {object} ctx
+ * @param {object} ctx.storage - TRIPLESTORE adapter
+ * @param {KVNamespace} ctx.kv - APPDATA (remote group cache)
+ * @param {string} ctx.baseUrl - server base URL (groups under it are read from the pod)
+ * @param {string} resourceIri
+ * @param {string|null} agentWebId - requesting agent, or null for anonymous
+ * @param {string|null} [origin] - request Origin header
+ * @returns {Promise<{modes: string[], publicModes: string[], source: string|null}>}
+ *   modes granted to the agent, modes granted to everyone, and the resource
+ *   whose ACL applied (null when no ACL was found — nothing is granted)
+ */
+export async function evaluateWac(ctx, resourceIri, agentWebId, origin = null) {
+  const acl = await findEffectiveAcl(ctx.storage, resourceIri);
+  if (!acl) return { modes: [], publicModes: [], source: null };
+
+  const targetPredicate = PREFIXES.acl + (acl.inherited ? 'default' : 'accessTo');
+  const modes = new Set();
+  const publicModes = new Set();
+  for (const auth of parseAuthorizations(acl.triples)) {
+    if (!auth.targets.get(targetPredicate)?.includes(acl.source)) continue;
+    const granted = auth.modes.flatMap(m => MODE_NAMES[m] || []);
+    if (granted.length === 0) continue;
+
+    const originOk = auth.origins.length === 0 || (origin !== null && auth.origins.includes(origin));
+    if (auth.agentClasses.includes(PREFIXES.foaf + 'Agent') && auth.origins.length === 0) {
+      for (const m of granted) publicModes.add(m);
+    }
+    if (!originOk) continue;
+    if (await agentMatches(ctx, auth, agentWebId)) {
+      for (const m of granted) modes.add(m);
+    }
+  }
+  return { modes: [...modes], publicModes: [...publicModes], source: acl.source };
+}
+
+// --- Helpers ---
+
+/** The resource's own ACL, or the nearest ancestor's. */
+async function findEffectiveAcl(storage, resourceIri) {
+  let current = resourceIri;
+  let inherited = false;
+  while (current) {
+    const nt = await storage.get(`acl:${current}`);
+    if (nt) return { source: current, inherited, triples: parseNTriples(nt) };
+    current = parentContainer(current);
+    inherited = true;
+  }
+  return null;
+}
+
+/** Group ACL triples into acl:Authorization records. */
+function parseAuthorizations(triples) {
+  const bySubject = new Map();
+  for (const t of triples) {
+    if (!bySubject.has(t.subject)) bySubject.set(t.subject, []);
+    bySubject.get(t.subject).push(t);
+  }
+  const authorizations = [];
+  for (const group of bySubject.values()) {
+    const values = (name) => group.filter(t => unwrapIri(t.predicate) === PREFIXES.acl + name).map(t => unwrapIri(t.object));
+    const isAuthorization = group.some(t =>
+      unwrapIri(t.predicate) === PREFIXES.rdf + 'type' && unwrapIri(t.object) === PREFIXES.acl + 'Authorization'
+    );
+    if (!isAuthorization) continue;
+    authorizations.push({
+      targets: new Map([
+        [PREFIXES.acl + 'accessTo', values('accessTo')],
+        [PREFIXES.acl + 'default', values('default')],
+      ]),
+      agents: values('agent'),
+      agentClasses: values('agentClass'),
+      agentGroups: values('agentGroup'),
+      origins: values('origin'),
+      modes: values('mode'),
+    });
+  }
+  return authorizations;
+}
+
+async function agentMatches(ctx, auth, agentWebId) {
+  if (auth.agentClasses.includes(PREFIXES.foaf + 'Agent')) return true;
+  if (!agentWebId) return false;
+  if (auth.agentClasses.includes(PREFIXES.acl + 'AuthenticatedAgent')) return true;
+  if (auth.agents.includes(agentWebId)) return true;
+  for (const group of auth.agentGroups) {
+    const members = await loadGroupMembers(ctx, group);
+    if (members.includes(agentWebId)) return true;
+  }
+  return false;
+}
+
+/** vcard:hasMember values of a group, [] if the group can't be read. */
+async function loadGroupMembers(ctx, groupIri) {
+  const docIri = groupIri.split('#')[0];
+  let triples;
+  if (docIri.startsWith(ctx.baseUrl + '/')) {
+    triples = await loadLocalDocument(ctx.storage, docIri);
+  } else {
+    triples = await fetchRemoteGroup(ctx.kv, docIri);
+  }
+  return triples
+    .filter(t => unwrapIri(t.subject) === groupIri && unwrapIri(t.predicate) === PREFIXES.vcard + 'hasMember')
+    .map(t => unwrapIri(t.object));
+}
+
+async function loadLocalDocument(storage, docIri) {
+  const idx = await storage.get(`idx:${docIri}`);
+  if (!idx) return [];
+  const { subjects = [], binary } = JSON.parse(idx);
+  if (binary) return [];
+  const docs = await Promise.all(subjects.map(subj => storage.get(`doc:${docIri}:${subj}`)));
+  return docs.filter(Boolean).flatMap(nt => parseNTriples(nt));
+}
+
+async function fetchRemoteGroup(kv, docIri) {
+  if (!validateExternalUrl(docIri)) {
+    console.log(`[wac] SSRF blocked: ${docIri}`);
+    return [];
+  }
+  const cacheKey = `wac_group:${simpleHash(docIri)}`;
+  const cached = await kv.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  let triples = [];
+  try {
+    const response = await fetch(docIri, {
+      headers: { Accept: 'text/turtle', 'User-Agent': 'paa.pub/1.0' },
+    });
+    if (response.ok) triples = parseTurtle(await response.text(), docIri);
+  } catch (e) {
+    console.log(`[wac] group fetch failed: ${docIri}: ${e.message}`);
+  }
+  await kv.put(cacheKey, JSON.stringify(triples), { expirationTtl: GROUP_CACHE_TTL });
+  return triples;
+}
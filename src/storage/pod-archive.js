@@ -0,0 +1,538 @@
+/**
+ * Whole-pod export and import as a tar archive (tar.js).
+ *
+ * Archive layout:
+ *   manifest.json — what the files don't carry: the source pod, every
+ *                   resource with its metadata, WAC .acl and ACP policy,
+ *                   container quota and version settings, the owner's
+ *                   settings and the ActivityPub state
+ *   pod/{path}    — each resource at its path in the pod, segments
+ *                   percent-decoded: RDF as Turtle, binaries as stored.
+ *                   Containers are directories.
+ *
+ * Manifest:
+ *   { format: "paa-pod-archive", version: 1, exportedAt, baseUrl, username, podRoot,
+ *     resources: [{ path, kind: "container"|"rdf"|"binary", file, contentType?, size?,
+ *                   turtle?, meta?, acl?, policy?, quotaLimit?, versionRetention? }],
+ *     settings: { friends, customPrefixes, components, prefs, profileLayout, trashRetention },
+ *     activitypub: { followers, following, pendingFollows, readItems, readWatermark,
+ *                    outbox: [activity], inbox: [activity], publicKey, privateKey } }
+ *
+ * `path` is relative to the pod root, as in the IRI; `turtle` holds a
+ * container's own triples (containment is rebuilt on import); `meta` and
+ * `acl` are N-Triples. Version history, the trash, share links, app
+ * permissions and passkeys are not exported.
+ *
+ * Import writes into the current pod. IRIs under the archive's pod root
+ * (and its server) are rewritten to this pod's when they differ. A
+ * resource that already exists is handled by the conflict mode:
+ *   skip      — keep the existing resource
+ *   overwrite — replace it; the old state is kept as a version
+ *   rename    — import next to it as `name-1.ext`, `name-2.ext`, ...
+ * Existing containers are merged rather than treated as conflicts. Lists
+ * (friends, followers, posts, ...) are merged; other settings only replace
+ * existing ones when overwriting. The ActivityPub key pair is restored
+ * only into the same pod, when overwriting — a migrated actor keeps the
+ * new server's keys.
+ */
+import { parseNTriples, unwrapIri, parseLiteral } from '../rdf/ntriples.js';
+import { parseTurtle } from '../rdf/turtle-parser.js';
+import { serializeTurtle } from '../rdf/turtle-serializer.js';
+import { PREFIXES, loadMergedPrefixes } from '../rdf/prefixes.js';
+import { isContainer, parentContainer } from '../solid/containers.js';
+import { writeTriplesToKV, ensureParentContainers } from '../solid/ldp.js';
+import { notifyChange } from '../solid/notifications.js';
+import { blobValidators } from '../solid/conditional.js';
+import { checkQuota, addQuota, subtractQuota, subtractWriterBytes, writerOf } from './quota.js';
+import { addContainerBytes, subtractContainerBytes, setContainerQuotaLimit } from './container-quota.js';
+import { recordVersion, setVersionRetention } from './versions.js';
+import { indexPost } from './search.js';
+import { tarHeader, tarPadding, TAR_END, readTar } from './tar.js';
+import { simpleHash } from '../utils.js';
+
+export const ARCHIVE_FORMAT = 'paa-pod-archive';
+export const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+const ARCHIVE_VERSION = 1;
+const MAX_AP_ITEMS = 500; // matches the inbox/outbox index cap
+
+/** Per-user APPDATA keys carried in the manifest's `settings`. */
+const SETTINGS_KEYS = {
+  friends: 'friends',
+  customPrefixes: 'custom_prefixes',
+  components: 'component_registry',
+  prefs: 'user_prefs',
+  profileLayout: 'profile_layout',
+  trashRetention: 'trash_retention',
+};
+
+const CONTAINER_TYPES = [PREFIXES.ldp + 'Container', PREFIXES.ldp + 'BasicContainer'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Export the whole pod. Resources are read as the archive is streamed.
+ * @param {object} reqCtx - needs storage, env (APPDATA, BLOBS), config
+ * @returns {Promise<ReadableStream<Uint8Array>>} the tar archive
+ */
+export async function exportPod(reqCtx) {
+  const { storage, env, config } = reqCtx;
+  const root = podRoot(config);
+  const prefixes = await loadMergedPrefixes(env.APPDATA, config.username);
+
+  const resources = [];
+  for (const iri of await collectTree(storage, root)) {
+    const entry = await describeResource(reqCtx, root, iri, prefixes);
+    if (entry) resources.push({ iri, entry });
+  }
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    baseUrl: config.baseUrl,
+    username: config.username,
+    podRoot: root,
+    resources: resources.map(r => r.entry),
+    settings: await exportSettings(env.APPDATA, config.username),
+    activitypub: await exportActivityPub(env.APPDATA, config.username),
+  };
+  const manifestBytes = encoder.encode(JSON.stringify(manifest, null, 2));
+
+  async function* chunks() {
+    yield tarHeader('manifest.json', { size: manifestBytes.length });
+    yield manifestBytes;
+    yield tarPadding(manifestBytes.length);
+    for (const { iri, entry } of resources) {
+      if (entry.kind === 'container') {
+        yield tarHeader(entry.file);
+      } else if (entry.kind === 'rdf') {
+        const body = encoder.encode(serializeTurtle(await readTriples(storage, iri), Object.keys(prefixes), prefixes));
+        yield tarHeader(entry.file, { size: body.length });
+        yield body;
+        yield tarPadding(body.length);
+      } else {
+        const object = await env.BLOBS.get(`blob:${iri}`);
+        const size = object ? object.size : 0;
+        yield tarHeader(entry.file, { size, mtime: object?.uploaded });
+        if (object) {
+          // The size in the header is fixed, so the body must match it exactly
+          let written = 0;
+          const reader = object.body.getReader();
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const chunk = value.subarray(0, size - written);
+            written += chunk.length;
+            if (chunk.length) yield chunk;
+          }
+          if (written < size) yield new Uint8Array(size - written);
+        }
+        yield tarPadding(size);
+      }
+    }
+    yield TAR_END;
+  }
+
+  const iterator = chunks();
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    async cancel() {
+      await iterator.return();
+    },
+  });
+}
+
+/**
+ * Import an archive into the pod.
+ * @param {object} reqCtx - needs storage, env (APPDATA, BLOBS), config, ctx
+ * @param {Uint8Array} bytes - the tar archive
+ * @param {object} [opts]
+ * @param {'skip'|'overwrite'|'rename'} [opts.mode='skip'] - for resources that already exist
+ * @returns {Promise<{created: number, overwritten: number, renamed: number, skipped: number,
+ *   posts: number, rewritten: boolean, errors: string[]}>}
+ * @throws {Error} status 400 for an unreadable archive, 413 if it doesn't fit the quota
+ */
+export async function importPod(reqCtx, bytes, { mode = 'skip' } = {}) {
+  const { env, config } = reqCtx;
+  if (!CONFLICT_MODES.includes(mode)) throw statusError(`Unknown conflict mode "${mode}"`, 400);
+
+  const files = new Map(readTar(bytes).map(e => [e.path.replace(/^\.\//, ''), e]));
+  const manifestFile = files.get('manifest.json');
+  if (!manifestFile) throw statusError('Not a pod archive: manifest.json is missing', 400);
+  const manifestText = decoder.decode(manifestFile.data);
+  let source;
+  try { source = JSON.parse(manifestText); } catch {
+    throw statusError('Not a pod archive: manifest.json is not valid JSON', 400);
+  }
+  if (source.format !== ARCHIVE_FORMAT || source.version !== ARCHIVE_VERSION || !Array.isArray(source.resources)) {
+    throw statusError('Not a pod archive, or one from an unsupported version', 400);
+  }
+
+  const rewrite = iriRewriter(source, config);
+  const manifest = JSON.parse(rewrite(manifestText));
+
+  const incoming = manifest.resources.filter(r => r.kind === 'binary').reduce((sum, r) => sum + (r.size || 0), 0);
+  const quota = await checkQuota(env.APPDATA, config.username, incoming, config.storageLimit);
+  if (!quota.allowed) throw statusError('The archive does not fit in the storage quota', 413);
+
+  const summary = { created: 0, overwritten: 0, renamed: 0, skipped: 0, posts: 0, rewritten: rewrite.active, errors: [] };
+  for (const resource of manifest.resources) {
+    try {
+      await importResource(reqCtx, resource, files, { mode, rewrite, summary });
+    } catch (err) {
+      if (!err.status) throw err;
+      summary.errors.push(`${resource.path || '/'}: ${err.message}`);
+    }
+  }
+  await importSettings(env.APPDATA, config.username, manifest.settings || {}, mode);
+  summary.posts = await importActivityPub(env.APPDATA, config.username, manifest.activitypub || {}, {
+    keys: mode === 'overwrite' && !rewrite.active,
+  });
+
+  console.log(`[archive] imported (${mode}): ${JSON.stringify({ ...summary, errors: summary.errors.length })}`);
+  return summary;
+}
+
+// --- Export ---
+
+async function describeResource(reqCtx, root, iri, prefixes) {
+  const { storage, env } = reqCtx;
+  const idx = JSON.parse(await storage.get(`idx:${iri}`));
+  const path = iri.slice(root.length);
+  const entry = { path, kind: isContainer(iri) ? 'container' : idx.binary ? 'binary' : 'rdf', file: `pod/${filePath(path)}` };
+  const meta = await storage.get(`doc:${iri}.meta:${iri}`);
+
+  if (entry.kind === 'binary') {
+    const validators = await blobValidators(env.BLOBS, iri);
+    if (!validators) {
+      console.log(`[archive] ${iri} has no blob, left out`);
+      return null;
+    }
+    const format = parseNTriples(meta || '').find(t => unwrapIri(t.predicate) === PREFIXES.dcterms + 'format');
+    entry.contentType = (format && parseLiteral(format.object)?.value) || 'application/octet-stream';
+    entry.size = validators.size;
+  }
+  if (entry.kind === 'container') {
+    const own = (await readTriples(storage, iri)).filter(t => !isContainmentTriple(t));
+    if (own.length) entry.turtle = serializeTurtle(own, Object.keys(prefixes), prefixes);
+  }
+  if (meta) entry.meta = meta;
+  const acl = await storage.get(`acl:${iri}`);
+  if (acl) entry.acl = acl;
+  const policy = await env.APPDATA.get(`acp:${iri}`);
+  if (policy) entry.policy = JSON.parse(policy);
+  if (entry.kind === 'container') {
+    const quota = await env.APPDATA.get(`container_quota:${iri}`);
+    const limit = quota ? JSON.parse(quota).limitBytes : undefined;
+    if (limit !== undefined) entry.quotaLimit = limit;
+    const retention = await env.APPDATA.get(`version_retention:${iri}`);
+    if (retention !== null) entry.versionRetention = parseInt(retention, 10);
+  }
+  return entry;
+}
+
+async function exportSettings(kv, username) {
+  const settings = {};
+  for (const [name, prefix] of Object.entries(SETTINGS_KEYS)) {
+    const raw = await kv.get(`${prefix}:${username}`);
+    if (raw !== null) settings[name] = parseStored(raw);
+  }
+  return settings;
+}
+
+async function exportActivityPub(kv, username) {
+  const load = async (key, fallback) => {
+    const raw = await kv.get(`${key}:${username}`);
+    return raw === null ? fallback : parseStored(raw);
+  };
+  const items = async (box) => {
+    const index = await load(`ap_${box}_index`, []);
+    const activities = [];
+    for (const entry of index) {
+      const raw = await kv.get(`ap_${box}_item:${simpleHash(entry.id)}`);
+      if (raw) activities.push(JSON.parse(raw));
+    }
+    return activities;
+  };
+  return {
+    followers: await load('ap_followers', []),
+    following: await load('ap_following', []),
+    pendingFollows: await load('ap_pending_follows', []),
+    readItems: await load('ap_read_items', []),
+    readWatermark: await load('ap_read_watermark', null),
+    outbox: await items('outbox'),
+    inbox: await items('inbox'),
+    publicKey: await load('ap_public_key', null),
+    privateKey: await load('ap_private_key', null),
+  };
+}
+
+// --- Import ---
+
+async function importResource(reqCtx, resource, files, { mode, rewrite, summary }) {
+  const { storage, env, config } = reqCtx;
+  const iri = resolvePath(podRoot(config), resource.path);
+
+  if (resource.kind === 'container') {
+    const existed = !!await storage.get(`idx:${iri}`);
+    if (!existed) {
+      const own = resource.turtle ? parseTurtle(resource.turtle, iri).filter(t => !isContainmentTriple(t)) : [];
+      await writeTriplesToKV(storage, iri, [
+        { subject: `<${iri}>`, predicate: `<${PREFIXES.rdf}type>`, object: `<${PREFIXES.ldp}BasicContainer>` },
+        { subject: `<${iri}>`, predicate: `<${PREFIXES.rdf}type>`, object: `<${PREFIXES.ldp}Container>` },
+        ...own,
+      ]);
+      await ensureParentContainers(storage, iri);
+      summary.created++;
+      notifyChange(reqCtx, 'Create', iri);
+    }
+    await applyResourceSettings(reqCtx, iri, resource, !existed || mode === 'overwrite');
+    return;
+  }
+
+  if (resource.kind !== 'rdf' && resource.kind !== 'binary') throw statusError(`unknown kind "${resource.kind}"`, 400);
+  const file = files.get(resource.file);
+  if (!file || file.type !== 'file') throw statusError('file missing from the archive', 400);
+
+  const existed = !!await storage.get(`idx:${iri}`);
+  if (existed && mode === 'skip') {
+    summary.skipped++;
+    return;
+  }
+  const target = existed && mode === 'rename' ? await freeName(storage, iri) : iri;
+  // References to the resource itself follow it to its new name
+  const retarget = (text) => target === iri ? text : text.split(`<${iri}>`).join(`<${target}>`).split(`<${iri}#`).join(`<${target}#`);
+
+  let triples = null;
+  if (resource.kind === 'rdf') triples = parseTurtle(retarget(rewrite(decoder.decode(file.data))), target);
+
+  if (existed && target === iri) {
+    await recordVersion(reqCtx, iri);
+    await clearResource(reqCtx, iri);
+  }
+
+  const parent = parentContainer(target);
+  if (resource.kind === 'rdf') {
+    await writeTriplesToKV(storage, target, triples);
+    if (resource.meta) await storage.put(`doc:${target}.meta:${target}`, retarget(resource.meta));
+  } else {
+    const contentType = resource.contentType || 'application/octet-stream';
+    await storage.putBlob(`blob:${target}`, file.data.slice().buffer, contentType);
+    await storage.put(`idx:${target}`, JSON.stringify({ binary: true }));
+    await storage.put(`doc:${target}.meta:${target}`, resource.meta ? retarget(resource.meta) : [
+      `<${target}> <${PREFIXES.dcterms}format> "${contentType}" .`,
+      `<${target}> <${PREFIXES.dcterms}extent> "${file.data.length}"^^<${PREFIXES.xsd}integer> .`,
+    ].join('\n'));
+    await addQuota(env.APPDATA, config.username, file.data.length);
+    if (parent) await addContainerBytes(env.APPDATA, parent, file.data.length);
+  }
+  if (target !== iri || !existed) await ensureParentContainers(storage, target);
+
+  await applyResourceSettings(reqCtx, target, { ...resource, acl: resource.acl && retarget(resource.acl) }, true);
+  if (!existed) summary.created++;
+  else if (target === iri) summary.overwritten++;
+  else summary.renamed++;
+  notifyChange(reqCtx, existed && target === iri ? 'Update' : 'Create', target);
+}
+
+/** Write a resource's ACP policy, .acl and container settings from the manifest. */
+async function applyResourceSettings(reqCtx, iri, resource, replace) {
+  const { storage, env } = reqCtx;
+  if (resource.policy && (replace || !await env.APPDATA.get(`acp:${iri}`))) {
+    await env.APPDATA.put(`acp:${iri}`, JSON.stringify(resource.policy));
+  }
+  if (resource.acl && (replace || !await storage.get(`acl:${iri}`))) {
+    await storage.put(`acl:${iri}`, resource.acl);
+  }
+  if (!isContainer(iri) || !replace) return;
+  if (Number.isFinite(resource.quotaLimit)) await setContainerQuotaLimit(env.APPDATA, iri, resource.quotaLimit);
+  if (Number.isFinite(resource.versionRetention)) await setVersionRetention(env.APPDATA, iri, resource.versionRetention);
+}
+
+/** Remove a resource's content before it is replaced, releasing its quota. */
+async function clearResource(reqCtx, iri) {
+  const { storage, env, config } = reqCtx;
+  const idx = JSON.parse(await storage.get(`idx:${iri}`) || '{}');
+  if (idx.binary) {
+    const size = (await blobValidators(env.BLOBS, iri))?.size || 0;
+    const writer = writerOf(await storage.get(`doc:${iri}.meta:${iri}`));
+    await storage.deleteBlob(`blob:${iri}`);
+    if (size > 0) {
+      await subtractQuota(env.APPDATA, config.username, size);
+      if (writer) await subtractWriterBytes(env.APPDATA, config.username, writer, size);
+      const parent = parentContainer(iri);
+      if (parent) await subtractContainerBytes(env.APPDATA, parent, size);
+    }
+  }
+  for (const subject of idx.subjects || []) await storage.delete(`doc:${iri}:${subject}`);
+  await storage.delete(`doc:${iri}.meta:${iri}`);
+}
+
+async function importSettings(kv, username, settings, mode) {
+  for (const [name, prefix] of Object.entries(SETTINGS_KEYS)) {
+    if (!(name in settings)) continue;
+    const key = `${prefix}:${username}`;
+    const raw = await kv.get(key);
+    const current = raw === null ? undefined : parseStored(raw);
+    let value = settings[name];
+    if (current !== undefined) {
+      if (name === 'friends') value = union(current, value);
+      else if (name === 'components') value = mergeBy(current, value, 'name', mode === 'overwrite');
+      else if (name === 'customPrefixes') value = mode === 'overwrite' ? { ...current, ...value } : { ...value, ...current };
+      else if (mode !== 'overwrite') continue;
+    }
+    await kv.put(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+}
+
+/** Merge the ActivityPub state. Returns the number of posts added. */
+async function importActivityPub(kv, username, ap, { keys }) {
+  const merge = async (key, incoming, combine) => {
+    if (incoming === undefined || incoming === null) return;
+    const raw = await kv.get(`${key}:${username}`);
+    const value = raw === null ? incoming : combine(parseStored(raw), incoming);
+    await kv.put(`${key}:${username}`, typeof value === 'string' ? value : JSON.stringify(value));
+  };
+  await merge('ap_followers', ap.followers, union);
+  await merge('ap_following', ap.following, union);
+  await merge('ap_pending_follows', ap.pendingFollows, (a, b) => mergeBy(a, b, 'actor', false));
+  await merge('ap_read_items', ap.readItems, union);
+  await merge('ap_read_watermark', ap.readWatermark, (a, b) => (String(a) > String(b) ? a : b));
+
+  let added = 0;
+  for (const box of ['outbox', 'inbox']) {
+    const activities = Array.isArray(ap[box]) ? ap[box].filter(a => a?.id) : [];
+    if (activities.length === 0) continue;
+    const index = JSON.parse(await kv.get(`ap_${box}_index:${username}`) || '[]');
+    const known = new Set(index.map(e => e.id));
+    for (const activity of activities) {
+      if (known.has(activity.id)) continue;
+      known.add(activity.id);
+      await kv.put(`ap_${box}_item:${simpleHash(activity.id)}`, JSON.stringify(activity));
+      index.push({ id: activity.id, published: activity.published || new Date().toISOString() });
+      await indexPost(kv, username, activity, box);
+      added++;
+    }
+    index.sort((a, b) => (b.published || '').localeCompare(a.published || ''));
+    await kv.put(`ap_${box}_index:${username}`, JSON.stringify(index.slice(0, MAX_AP_ITEMS)));
+  }
+
+  if (keys && ap.publicKey && ap.privateKey) {
+    await kv.put(`ap_public_key:${username}`, ap.publicKey);
+    await kv.put(`ap_private_key:${username}`, ap.privateKey);
+  }
+  return added;
+}
+
+// --- Helpers ---
+
+function podRoot(config) {
+  return `${config.baseUrl}/${config.username}/`;
+}
+
+/**
+ * A function rewriting the archive's pod root and server to this pod's,
+ * in any text. `active` tells whether anything changes.
+ */
+function iriRewriter(source, config) {
+  const pairs = [
+    [source.podRoot, podRoot(config)],
+    [`${source.baseUrl}/`, `${config.baseUrl}/`],
+  ].filter(([from, to]) => typeof from === 'string' && from !== to && from !== 'undefined/');
+  const rewrite = (text) => {
+    if (pairs.length === 0) return text;
+    const pattern = new RegExp(pairs.map(([from]) => from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+    const map = new Map(pairs);
+    return text.replace(pattern, m => map.get(m));
+  };
+  rewrite.active = pairs.length > 0;
+  return rewrite;
+}
+
+/** IRI for a manifest path, refusing anything that escapes the pod. */
+function resolvePath(root, path) {
+  if (typeof path !== 'string' || path.startsWith('/') || path.split('/').some(s => s === '..' || s === '.')) {
+    throw statusError(`invalid path "${path}"`, 400);
+  }
+  const iri = new URL(path, root).href;
+  if (!iri.startsWith(root)) throw statusError(`invalid path "${path}"`, 400);
+  return iri;
+}
+
+/** The file name for a pod path: percent-decoded, segment by segment. */
+function filePath(path) {
+  return path.split('/').map(segment => {
+    try { return decodeURIComponent(segment); } catch { return segment; }
+  }).join('/');
+}
+
+/** `name.ext` → the first free `name-N.ext` next to it. */
+async function freeName(storage, iri) {
+  const slash = iri.lastIndexOf('/');
+  const name = iri.slice(slash + 1);
+  const dot = name.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  for (let n = 1; ; n++) {
+    const candidate = `${iri.slice(0, slash + 1)}${stem}-${n}${ext}`;
+    if (!await storage.get(`idx:${candidate}`)) return candidate;
+  }
+}
+
+/** A resource and, for a container, everything below it, parents first. */
+async function collectTree(storage, rootIri) {
+  const iris = [];
+  const queue = [rootIri];
+  while (queue.length > 0) {
+    const iri = queue.shift();
+    if (!await storage.get(`idx:${iri}`)) continue;
+    iris.push(iri);
+    if (!isContainer(iri)) continue;
+    const doc = await storage.get(`doc:${iri}:${iri}`);
+    for (const t of parseNTriples(doc || '')) {
+      if (unwrapIri(t.predicate) === PREFIXES.ldp + 'contains') queue.push(unwrapIri(t.object));
+    }
+  }
+  return iris;
+}
+
+async function readTriples(storage, iri) {
+  const { subjects = [] } = JSON.parse(await storage.get(`idx:${iri}`) || '{}');
+  const docs = await Promise.all(subjects.map(subject => storage.get(`doc:${iri}:${subject}`)));
+  return docs.filter(Boolean).flatMap(nt => parseNTriples(nt));
+}
+
+/** Containment and container type triples, which the pod maintains itself. */
+function isContainmentTriple(t) {
+  const predicate = unwrapIri(t.predicate);
+  if (predicate === PREFIXES.ldp + 'contains') return true;
+  return predicate === PREFIXES.rdf + 'type' && CONTAINER_TYPES.includes(unwrapIri(t.object));
+}
+
+/** APPDATA values are JSON, except a few plain strings (keys, retention). */
+function parseStored(raw) {
+  try { return JSON.parse(raw); } catch { return raw; }
+}
+
+function union(a, b) {
+  return [...new Set([...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])])];
+}
+
+function mergeBy(current, incoming, field, preferIncoming) {
+  const result = new Map();
+  const [first, second] = preferIncoming ? [current, incoming] : [incoming, current];
+  for (const item of [...(Array.isArray(first) ? first : []), ...(Array.isArray(second) ? second : [])]) {
+    if (item && item[field] !== undefined) result.set(item[field], item);
+  }
+  return [...result.values()];
+}
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -68,3 +68,47 @@ export async function subtractQuota(kv, username, bytes) {
   quota.usedBytes = Math.max(0, quota.usedBytes - bytes);
   await kv.put(`quota:${username}`, JSON.stringify(quota));
 }
+
+/**
+ * Charge bytes written by another agent to that agent's share of the quota.
+ * The share is bookkeeping inside the owner's quota (`writers` in
+ * `quota:{username}`), not a separate limit.
+ * @param {KVNamespace} kv
+ * @param {string} username
+ * @param {string} writer - WebID of the writing agent
+ * @param {number} bytes
+ */
+export async function addWriterBytes(kv, username, writer, bytes) {
+  const quota = await getQuota(kv, username);
+  quota.writers = quota.writers || {};
+  quota.writers[writer] = (quota.writers[writer] || 0) + bytes;
+  await kv.put(`quota:${username}`, JSON.stringify(quota));
+}
+
+/**
+ * Release bytes from a writer's share, e.g. when their content is replaced or purged.
+ * @param {KVNamespace} kv
+ * @param {string} username
+ * @param {string} writer
+ * @param {number} bytes
+ */
+export async function subtractWriterBytes(kv, username, writer, bytes) {
+  const quota = await getQuota(kv, username);
+  if (!quota.writers?.[writer]) return;
+  const remaining = quota.writers[writer] - bytes;
+  if (remaining > 0) quota.writers[writer] = remaining;
+  else delete quota.writers[writer];
+  await kv.put(`quota:${username}`, JSON.stringify(quota));
+}
+
+/**
+ * The agent a binary resource's bytes are attributed to: the
+ * `dcterms:creator` in its metadata document, which is only written for
+ * agents other than the owner.
+ * @param {string|null} metaNt - N-Triples of `doc:{iri}.meta:{iri}`
+ * @returns {string|null}
+ */
+export function writerOf(metaNt) {
+  const match = metaNt?.match(/<http:\/\/purl\.org\/dc\/terms\/creator>\s+<([^>]+)>/);
+  return match ? match[1] : null;
+}
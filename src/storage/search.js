@@ -0,0 +1,394 @@
+/**
+ * Full-text search index over pod resources and ActivityPub posts.
+ *
+ * What is indexed:
+ *   - RDF resources: every literal in their subject documents
+ *   - Text blobs (text/plain, text/markdown, text/html — tags stripped),
+ *     up to MAX_BLOB_BYTES
+ *   - Resource names (the last path segment) and the literals of their
+ *     metadata documents
+ *   - Posts (Create activities with content) from the inbox and outbox
+ *
+ * Text is split into terms (lowercased, accents stripped; letters and
+ * digits, CJK characters one by one), minus a few English stop words.
+ * Storage in APPDATA, an inverted index maintained on every change:
+ *
+ *   search_doc:{key}        { key, kind, iri, title, text, contentType,
+ *                             updated, public, terms: {term: count} }
+ *   search_term:{term}      { key: count, ... } — the postings of a term
+ *   search_keys:{username}  [key, ...] — everything indexed, for prefix
+ *                           removal and rebuilds
+ *
+ * A resource's key is its IRI; a post's is `post:{activityId}`. `text`
+ * keeps the start of the text for result snippets.
+ *
+ * notifyChange() (solid/notifications.js) queues an update for every
+ * write to the pod; posts are indexed as they are stored
+ * (activitypub/activities.js). Concurrent writes to the same postings can
+ * lose an update (KV has no transactions); rebuildSearchIndex() goes over
+ * the pod and the stored posts again.
+ *
+ * Queries match documents containing every query term, ranked by TF-IDF.
+ * Access filtering is left to the caller (solid/search-endpoint.js).
+ */
+import { parseNTriples, parseLiteral, unwrapIri } from '../rdf/ntriples.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { isContainer } from '../solid/containers.js';
+import { simpleHash } from '../utils.js';
+
+const MAX_TERMS = 200; // distinct terms indexed per document, most frequent first
+const MAX_TERM_LENGTH = 40;
+const MAX_QUERY_TERMS = 8;
+const MAX_BLOB_BYTES = 256 * 1024;
+const MAX_CANDIDATES = 500; // ranked matches examined per query
+const EXCERPT_LENGTH = 2000;
+const SNIPPET_LENGTH = 160;
+
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/html'];
+const AS_PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const TERM_PATTERN = new RegExp(`[${CJK}]|(?:(?![${CJK}])[\\p{L}\\p{N}])+`, 'gu');
+
+/**
+ * Split text into index terms.
+ * @param {string} text
+ * @returns {string[]} terms in order, with repeats
+ */
+export function tokenize(text) {
+  const normalized = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const terms = [];
+  for (const [term] of normalized.matchAll(TERM_PATTERN)) {
+    if (term.length > MAX_TERM_LENGTH || STOP_WORDS.has(term)) continue;
+    if (term.length < 2 && !/[\p{N}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(term)) continue;
+    terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Update the index for a change in `ctx.waitUntil()`, after the response.
+ * Updates from one request run one after another, so a move (Delete then
+ * Create) doesn't race on the key registry.
+ * @param {object} reqCtx
+ * @param {'Create'|'Update'|'Delete'} type
+ * @param {string} resourceIri
+ */
+export function queueSearchUpdate(reqCtx, type, resourceIri) {
+  reqCtx.searchUpdates = (reqCtx.searchUpdates || Promise.resolve())
+    .then(() => updateSearchIndex(reqCtx, type, resourceIri))
+    .catch(err => console.error(`[search] ${type} ${resourceIri} failed:`, err));
+  reqCtx.ctx.waitUntil(reqCtx.searchUpdates);
+}
+
+/**
+ * Bring the index up to date after a change to a pod resource. A created
+ * container is indexed with everything inside it (a move or a restore
+ * brings a whole subtree); a deleted one takes its subtree out.
+ * @param {object} reqCtx - needs storage, env (APPDATA), config
+ * @param {'Create'|'Update'|'Delete'} type
+ * @param {string} resourceIri
+ */
+export async function updateSearchIndex(reqCtx, type, resourceIri) {
+  const { env, config } = reqCtx;
+  if (type === 'Delete') {
+    const keys = await loadKeys(env.APPDATA, config.username);
+    const removed = keys.filter(k => k === resourceIri || (isContainer(resourceIri) && k.startsWith(resourceIri)));
+    for (const key of removed) await removeDocument(env.APPDATA, key);
+    if (removed.length) await saveKeys(env.APPDATA, config.username, keys.filter(k => !removed.includes(k)));
+    return;
+  }
+  const iris = type === 'Create' && isContainer(resourceIri)
+    ? await collectTree(reqCtx.storage, resourceIri)
+    : [resourceIri];
+  for (const iri of iris) await indexResource(reqCtx, iri);
+}
+
+/**
+ * Index (or re-index) one pod resource.
+ * @param {object} reqCtx - needs storage, env (APPDATA), config
+ * @param {string} resourceIri
+ */
+export async function indexResource(reqCtx, resourceIri) {
+  const { storage, env, config } = reqCtx;
+  const idx = await storage.get(`idx:${resourceIri}`);
+  if (!idx) {
+    await removeKeys(env.APPDATA, config.username, [resourceIri]);
+    return;
+  }
+  const { subjects = [], binary } = JSON.parse(idx);
+  const meta = parseNTriples(await storage.get(`doc:${resourceIri}.meta:${resourceIri}`) || '');
+  const format = meta.find(t => unwrapIri(t.predicate) === PREFIXES.dcterms + 'format');
+  const contentType = binary ? (format ? parseLiteral(format.object)?.value || null : null) : 'text/turtle';
+
+  const parts = [];
+  if (binary) {
+    const type = (contentType || '').split(';')[0].trim();
+    if (TEXT_TYPES.includes(type)) {
+      const blob = await storage.getBlob(`blob:${resourceIri}`);
+      if (blob) {
+        const text = new TextDecoder().decode(blob.slice(0, MAX_BLOB_BYTES));
+        parts.push(type === 'text/html' ? stripHtml(text) : text);
+      }
+    }
+  } else {
+    for (const subject of subjects) {
+      parts.push(...literals(parseNTriples(await storage.get(`doc:${resourceIri}:${subject}`) || '')));
+    }
+  }
+  // The format is a result field; sizes, dates and the like aren't worth finding
+  parts.push(...literals(meta.filter(t => unwrapIri(t.predicate) !== PREFIXES.dcterms + 'format'), { plainOnly: true }));
+
+  const name = resourceName(resourceIri);
+  const modified = meta.find(t => unwrapIri(t.predicate) === PREFIXES.dcterms + 'modified');
+  await writeDocument(env.APPDATA, config.username, {
+    key: resourceIri,
+    kind: 'resource',
+    iri: resourceIri,
+    title: name,
+    contentType,
+    updated: modified ? parseLiteral(modified.object)?.value || null : null,
+    public: null,
+  }, `${name}\n${name.replace(/[._-]+/g, ' ')}`, parts.join('\n'));
+}
+
+/**
+ * Index a post as it is stored. Activities without text are skipped.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {object} activity
+ * @param {'inbox'|'outbox'} box
+ */
+export async function indexPost(kv, username, activity, box) {
+  const object = activity?.object;
+  if (activity?.type !== 'Create' || !object || typeof object !== 'object') return;
+  const text = [object.name, object.summary, object.content ? stripHtml(object.content) : '']
+    .filter(v => typeof v === 'string' && v).join('\n');
+  if (!text) return;
+  const to = [].concat(object.to || activity.to || []);
+  await writeDocument(kv, username, {
+    key: `post:${activity.id}`,
+    kind: 'post',
+    iri: object.id || activity.id,
+    activityId: activity.id,
+    box,
+    actor: typeof activity.actor === 'string' ? activity.actor : activity.actor?.id || null,
+    title: object.name || object.summary || '',
+    contentType: null,
+    updated: object.published || activity.published || null,
+    // Only posts addressed to the public in `to` are listed; unlisted ones cc it
+    public: box === 'outbox' && to.includes(AS_PUBLIC),
+  }, '', text);
+}
+
+/**
+ * Take posts out of the index.
+ * @param {KVNamespace} kv
+ * @param {string} username
+ * @param {string[]} activityIds
+ */
+export async function unindexPosts(kv, username, activityIds) {
+  await removeKeys(kv, username, activityIds.map(id => `post:${id}`));
+}
+
+/**
+ * Find documents containing every term of a query.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {string} query
+ * @param {object} [opts]
+ * @param {'resource'|'post'|null} [opts.kind] - only this kind
+ * @param {string|null} [opts.scope] - only resources under this container
+ * @param {number} [opts.limit=20]
+ * @param {(doc: object) => Promise<boolean>} [opts.filter] - access check, run on ranked matches
+ * @returns {Promise<{terms: string[], results: object[]}>} results carry
+ *   kind, iri, title, snippet, contentType, updated, score (and activityId, box,
+ *   actor for posts)
+ */
+export async function searchIndex(kv, username, query, { kind = null, scope = null, limit = 20, filter = null } = {}) {
+  const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) return { terms, results: [] };
+
+  const postings = await Promise.all(terms.map(term => loadPostings(kv, term)));
+  const totalDocs = Math.max(1, (await loadKeys(kv, username)).length);
+  let candidates = Object.keys(postings.reduce((a, b) => Object.keys(a).length <= Object.keys(b).length ? a : b));
+  candidates = candidates.filter(key => postings.every(p => p[key]));
+  if (scope) candidates = candidates.filter(key => key.startsWith(scope));
+  if (kind) candidates = candidates.filter(key => key.startsWith('post:') === (kind === 'post'));
+
+  const scored = candidates.map(key => ({
+    key,
+    score: postings.reduce((sum, p) => sum + p[key] * Math.log(1 + totalDocs / Object.keys(p).length), 0),
+  })).sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+
+  const results = [];
+  for (const { key, score } of scored) {
+    if (results.length >= limit) break;
+    const doc = await loadDocument(kv, key);
+    if (!doc || (filter && !await filter(doc))) continue;
+    results.push({
+      kind: doc.kind,
+      iri: doc.iri,
+      title: doc.title,
+      snippet: snippet(doc.text, terms),
+      contentType: doc.contentType,
+      updated: doc.updated,
+      ...(doc.kind === 'post' && { activityId: doc.activityId, box: doc.box, actor: doc.actor }),
+      score: Math.round(score * 1000) / 1000,
+    });
+  }
+  return { terms, results };
+}
+
+/**
+ * Index everything again from the pod and the stored posts, and drop
+ * entries for what no longer exists. Unchanged documents cost no writes,
+ * so a rebuild cut short by the platform's limits can simply be run again.
+ * @param {object} reqCtx - needs storage, env (APPDATA), config
+ * @returns {Promise<number>} documents in the index
+ */
+export async function rebuildSearchIndex(reqCtx) {
+  const { storage, env, config } = reqCtx;
+  const username = config.username;
+  const current = new Set();
+
+  for (const iri of await collectTree(storage, `${config.baseUrl}/${username}/`)) {
+    await indexResource(reqCtx, iri);
+    current.add(iri);
+  }
+  for (const box of ['inbox', 'outbox']) {
+    const index = JSON.parse(await env.APPDATA.get(`ap_${box}_index:${username}`) || '[]');
+    for (const entry of index) {
+      const raw = await env.APPDATA.get(`ap_${box}_item:${simpleHash(entry.id)}`);
+      if (!raw) continue;
+      await indexPost(env.APPDATA, username, JSON.parse(raw), box);
+      current.add(`post:${entry.id}`);
+    }
+  }
+  const stale = (await loadKeys(env.APPDATA, username)).filter(k => !current.has(k));
+  await removeKeys(env.APPDATA, username, stale);
+
+  const count = (await loadKeys(env.APPDATA, username)).length;
+  console.log(`[search] rebuilt index: ${count} documents, ${stale.length} stale removed`);
+  return count;
+}
+
+// --- Helpers ---
+
+async function writeDocument(kv, username, fields, titleText, bodyText) {
+  const counts = {};
+  for (const term of tokenize(`${titleText}\n${bodyText}`)) counts[term] = (counts[term] || 0) + 1;
+  const terms = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS));
+
+  const previous = await loadDocument(kv, fields.key);
+  const before = previous?.terms || {};
+  for (const term of Object.keys(before)) {
+    if (!(term in terms)) await updatePostings(kv, term, fields.key, 0);
+  }
+  for (const [term, count] of Object.entries(terms)) {
+    if (before[term] !== count) await updatePostings(kv, term, fields.key, count);
+  }
+
+  const text = bodyText.replace(/\s+/g, ' ').trim().slice(0, EXCERPT_LENGTH);
+  await kv.put(`search_doc:${fields.key}`, JSON.stringify({ ...fields, text, terms }));
+  if (!previous) {
+    const keys = await loadKeys(kv, username);
+    if (!keys.includes(fields.key)) {
+      keys.push(fields.key);
+      await saveKeys(kv, username, keys);
+    }
+  }
+}
+
+async function removeKeys(kv, username, keys) {
+  const indexed = await loadKeys(kv, username);
+  const removed = keys.filter(k => indexed.includes(k));
+  if (removed.length === 0) return;
+  for (const key of removed) await removeDocument(kv, key);
+  await saveKeys(kv, username, indexed.filter(k => !removed.includes(k)));
+}
+
+async function removeDocument(kv, key) {
+  const doc = await loadDocument(kv, key);
+  if (!doc) return;
+  for (const term of Object.keys(doc.terms || {})) await updatePostings(kv, term, key, 0);
+  await kv.delete(`search_doc:${key}`);
+}
+
+/** Set a document's count in a term's postings (0 removes it). */
+async function updatePostings(kv, term, key, count) {
+  const postings = await loadPostings(kv, term);
+  if (count > 0) postings[key] = count;
+  else delete postings[key];
+  if (Object.keys(postings).length > 0) await kv.put(`search_term:${term}`, JSON.stringify(postings));
+  else await kv.delete(`search_term:${term}`);
+}
+
+async function loadPostings(kv, term) {
+  const raw = await kv.get(`search_term:${term}`);
+  return raw ? JSON.parse(raw) : {};
+}
+
+async function loadDocument(kv, key) {
+  const raw = await kv.get(`search_doc:${key}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function loadKeys(kv, username) {
+  const raw = await kv.get(`search_keys:${username}`);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function saveKeys(kv, username, keys) {
+  await kv.put(`search_keys:${username}`, JSON.stringify(keys));
+}
+
+/** A resource and, for a container, everything below it. */
+async function collectTree(storage, rootIri) {
+  const iris = [];
+  const queue = [rootIri];
+  while (queue.length > 0) {
+    const iri = queue.shift();
+    if (!await storage.get(`idx:${iri}`)) continue;
+    iris.push(iri);
+    if (!isContainer(iri)) continue;
+    const doc = await storage.get(`doc:${iri}:${iri}`);
+    for (const t of parseNTriples(doc || '')) {
+      if (unwrapIri(t.predicate) === PREFIXES.ldp + 'contains') queue.push(unwrapIri(t.object));
+    }
+  }
+  return iris;
+}
+
+function literals(triples, { plainOnly = false } = {}) {
+  return triples.map(t => parseLiteral(t.object))
+    .filter(l => l && (!plainOnly || !l.datatype || l.datatype === XSD_STRING))
+    .map(l => l.value);
+}
+
+function resourceName(iri) {
+  const name = new URL(iri).pathname.replace(/\/$/, '').split('/').pop();
+  try { return decodeURIComponent(name); } catch { return name; }
+}
+
+function stripHtml(html) {
+  return html.replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+/** Part of the excerpt around the first query term found in it. */
+function snippet(text, terms) {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const at = terms.map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, at - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Minimal tar (POSIX ustar) writer and reader for pod archives.
+ *
+ * Writing: tarHeader() / tarPadding() / TAR_END frame entries, so a caller
+ * can stream file bodies between them. Paths that don't fit the ustar
+ * name/prefix fields get a PAX extended header (`path=`).
+ *
+ * Reading: readTar() walks an archive held in memory and returns its
+ * entries as views into the buffer. It understands PAX `path` records and
+ * GNU long names, and ignores links and devices.
+ */
+
+const BLOCK = 512;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/** Two zero blocks end an archive. */
+export const TAR_END = new Uint8Array(BLOCK * 2);
+
+/**
+ * Header block(s) for an entry.
+ * @param {string} path - `/`-separated; directories end with `/`
+ * @param {object} [opts]
+ * @param {number} [opts.size=0] - body length (0 for directories)
+ * @param {Date} [opts.mtime]
+ * @returns {Uint8Array}
+ */
+export function tarHeader(path, { size = 0, mtime = new Date() } = {}) {
+  const dir = path.endsWith('/');
+  const split = splitPath(path);
+  if (split) return ustarBlock({ ...split, size, mtime, type: dir ? '5' : '0' });
+
+  // Too long for ustar: a PAX header carries the real path
+  const record = paxRecord('path', path);
+  const pax = ustarBlock({ name: 'PaxHeader', prefix: '', size: record.length, mtime, type: 'x' });
+  // Readers without PAX support see this placeholder name instead
+  const main = ustarBlock({ name: dir ? 'long-path/' : 'long-path', prefix: '', size, mtime, type: dir ? '5' : '0' });
+  return concat([pax, record, tarPadding(record.length), main]);
+}
+
+/**
+ * Zero bytes that pad a body of `size` bytes to a whole block.
+ * @param {number} size
+ * @returns {Uint8Array}
+ */
+export function tarPadding(size) {
+  return new Uint8Array((BLOCK - (size % BLOCK)) % BLOCK);
+}
+
+/**
+ * Read every entry of an archive.
+ * @param {Uint8Array} bytes
+ * @returns {{path: string, type: 'file'|'directory', data: Uint8Array}[]}
+ * @throws {Error} status 400 if the data is not a tar archive
+ */
+export function readTar(bytes) {
+  const entries = [];
+  let offset = 0;
+  let longPath = null;
+  while (offset + BLOCK <= bytes.length) {
+    const header = bytes.subarray(offset, offset + BLOCK);
+    if (header.every(b => b === 0)) break;
+    if (!validChecksum(header)) throw archiveError(`Not a tar archive (bad header at byte ${offset})`);
+
+    const size = parseOctal(header.subarray(124, 136));
+    const type = String.fromCharCode(header[156] || 48);
+    const start = offset + BLOCK;
+    if (start + size > bytes.length) throw archiveError('Truncated tar archive');
+    const data = bytes.subarray(start, start + size);
+    offset = start + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (type === 'x') {
+      longPath = parsePax(data).path ?? longPath;
+      continue;
+    }
+    if (type === 'L') {
+      longPath = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const name = readString(header, 0, 100);
+    const prefix = header[257] === 0x75 ? readString(header, 345, 155) : ''; // "ustar"
+    const path = longPath ?? (prefix ? `${prefix}/${name}` : name);
+    longPath = null;
+    if (type === '5') entries.push({ path: path.endsWith('/') ? path : path + '/', type: 'directory', data });
+    else if (type === '0' || type === '\0' || type === '7') entries.push({ path, type: 'file', data });
+  }
+  return entries;
+}
+
+// --- Helpers ---
+
+/** Split a path into the ustar prefix (≤155 bytes) and name (≤100 bytes), or null. */
+function splitPath(path) {
+  const bytes = encoder.encode(path);
+  if (bytes.length <= 100) return { name: path, prefix: '' };
+  if (bytes.length > 256) return null;
+  for (let i = path.lastIndexOf('/', path.length - 2); i > 0; i = path.lastIndexOf('/', i - 1)) {
+    const prefix = path.slice(0, i);
+    const name = path.slice(i + 1);
+    if (encoder.encode(prefix).length <= 155 && encoder.encode(name).length <= 100) return { name, prefix };
+  }
+  return null;
+}
+
+function ustarBlock({ name, prefix, size, mtime, type }) {
+  const block = new Uint8Array(BLOCK);
+  writeString(block, 0, 100, name);
+  writeString(block, 100, 8, type === '5' ? '0000755' : '0000644');
+  writeString(block, 108, 8, '0000000');
+  writeString(block, 116, 8, '0000000');
+  writeString(block, 124, 12, size.toString(8).padStart(11, '0'));
+  writeString(block, 136, 12, Math.floor(mtime.getTime() / 1000).toString(8).padStart(11, '0'));
+  block.fill(0x20, 148, 156); // checksum counts as spaces while summing
+  block[156] = type.charCodeAt(0);
+  writeString(block, 257, 6, 'ustar');
+  writeString(block, 263, 2, '00');
+  writeString(block, 345, 155, prefix);
+  const sum = block.reduce((a, b) => a + b, 0);
+  writeString(block, 148, 8, sum.toString(8).padStart(6, '0') + '\0 ');
+  return block;
+}
+
+/** A PAX record: "{length} {key}={value}\n", the length counting itself. */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = encoder.encode(body).length;
+  let digits = String(bodyLength).length;
+  if (String(bodyLength + digits).length > digits) digits++;
+  return encoder.encode(`${bodyLength + digits}${body}`);
+}
+
+function parsePax(data) {
+  const fields = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space < 0) break;
+    const length = parseInt(decoder.decode(data.subarray(offset, space)), 10);
+    if (!length) break;
+    const record = decoder.decode(data.subarray(space + 1, offset + length - 1));
+    const eq = record.indexOf('=');
+    if (eq > 0) fields[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+function validChecksum(header) {
+  const stored = parseOctal(header.subarray(148, 156));
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum === stored;
+}
+
+function parseOctal(field) {
+  const text = decoder.decode(field).replace(/\0.*$/s, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function writeString(block, offset, length, value) {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+function readString(bytes, offset, length) {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decoder.decode(end >= 0 ? field.subarray(0, end) : field);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function archiveError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
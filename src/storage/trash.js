@@ -0,0 +1,328 @@
+/**
+ * Trash bin: soft delete and recovery of pod resources.
+ *
+ * Deleting a resource (LDP DELETE or the storage UI) moves it, and for a
+ * container everything under it, into the trash instead of removing it:
+ *   - APPDATA `trash:{username}` — the trash index, newest first:
+ *       [{ id, iri, deletedAt, expiresAt, bytes, count, resources: [iri, ...] }]
+ *     `resources` lists containers before their children.
+ *   - TRIPLESTORE `trash:{id}:{iri}` — one JSON bundle per resource with
+ *     its idx entry, subject documents, metadata, WAC ACL, ACP policy and
+ *     version index
+ *   - R2 `trash:{id}:{iri}` — the blob of a binary resource
+ * Version snapshots (`ver:{iri}:{vid}`) stay where they are; only their
+ * index moves into the bundle.
+ *
+ * Restoring puts everything back at the original path (409 if something
+ * new was created there). Purging deletes it for good. Items expire after
+ * the user's retention window (APPDATA `trash_retention:{username}`, in
+ * days); expired items are purged whenever the trash is read or written,
+ * and by the Cron `scheduled()` handler.
+ * A window of 0 disables the trash: deletes purge immediately.
+ *
+ * Quota: trashed bytes stay in the user's quota until purged (they are
+ * still stored) and are reported separately by `getTrashSummary()`. They
+ * leave the container quotas on delete and return on restore. Purging also
+ * releases a collaborator's share of the bytes they wrote.
+ */
+import { parseNTriples, serializeNTriples, unwrapIri } from '../rdf/ntriples.js';
+import { PREFIXES } from '../rdf/prefixes.js';
+import { parentContainer, isContainer } from '../solid/containers.js';
+import { subtractQuota, subtractWriterBytes, writerOf } from './quota.js';
+import { addContainerBytes, subtractContainerBytes } from './container-quota.js';
+import { deleteVersionData } from './versions.js';
+
+export const DEFAULT_TRASH_DAYS = 30;
+export const MAX_TRASH_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a resource (and a container's whole subtree) into the trash and
+ * remove it from its parent container.
+ * @param {object} reqCtx - needs storage, env (APPDATA, BLOBS), config
+ * @param {string} resourceIri
+ * @returns {Promise<object|null>} the trash entry, or null if nothing exists at the IRI
+ */
+export async function moveToTrash(reqCtx, resourceIri) {
+  const { storage, env, config } = reqCtx;
+  const resources = await collectTree(storage, resourceIri);
+  if (resources.length === 0) return null;
+
+  const id = crypto.randomUUID();
+  let bytes = 0;
+  for (const iri of resources) bytes += await trashResource(reqCtx, id, iri);
+
+  const parent = parentContainer(resourceIri);
+  if (parent) {
+    await removeContainment(storage, parent, resourceIri);
+    if (bytes > 0) await subtractContainerBytes(env.APPDATA, parent, bytes);
+  }
+
+  const days = await getTrashRetention(env.APPDATA, config.username);
+  const deletedAt = new Date();
+  const entry = {
+    id,
+    iri: resourceIri,
+    deletedAt: deletedAt.toISOString(),
+    expiresAt: new Date(deletedAt.getTime() + days * DAY_MS).toISOString(),
+    bytes,
+    count: resources.length,
+    resources,
+  };
+  const index = await loadTrashIndex(env.APPDATA, config.username);
+  index.unshift(entry);
+  await saveTrashIndex(env.APPDATA, config.username, index);
+
+  if (days === 0) await purgeFromTrash(reqCtx, id);
+  else await purgeExpiredTrash(reqCtx);
+  return entry;
+}
+
+/**
+ * List the trash, purging expired items first.
+ * @param {object} reqCtx
+ * @returns {Promise<Array<object>>} entries, newest first
+ */
+export async function listTrash(reqCtx) {
+  await purgeExpiredTrash(reqCtx);
+  return loadTrashIndex(reqCtx.env.APPDATA, reqCtx.config.username);
+}
+
+/**
+ * Put a trashed item back at its original path.
+ * @param {object} reqCtx
+ * @param {string} id
+ * @returns {Promise<object>} the restored entry
+ * @throws {Error} status 404 if the item is not in the trash, 409 if its path is taken
+ */
+export async function restoreFromTrash(reqCtx, id) {
+  const { storage, env, config } = reqCtx;
+  const index = await loadTrashIndex(env.APPDATA, config.username);
+  const entry = index.find(e => e.id === id);
+  if (!entry) throw trashError('Not in the trash.', 404);
+  if (await storage.get(`idx:${entry.iri}`)) {
+    throw trashError('Something else now exists at the original path. Move or delete it first.', 409);
+  }
+
+  for (const iri of entry.resources) {
+    const raw = await storage.get(`trash:${id}:${iri}`);
+    if (!raw) continue;
+    const bundle = JSON.parse(raw);
+    for (const [subject, nt] of Object.entries(bundle.docs)) await storage.put(`doc:${iri}:${subject}`, nt);
+    await storage.put(`idx:${iri}`, bundle.idx);
+    if (bundle.meta !== null) await storage.put(`doc:${iri}.meta:${iri}`, bundle.meta);
+    if (bundle.acl !== null) await storage.put(`acl:${iri}`, bundle.acl);
+    if (bundle.acp !== null) await env.APPDATA.put(`acp:${iri}`, bundle.acp);
+    if (bundle.versions !== null) await storage.put(`ver_idx:${iri}`, bundle.versions);
+    if (bundle.blob) await moveBlob(env.BLOBS, `trash:${id}:${iri}`, `blob:${iri}`);
+    await storage.delete(`trash:${id}:${iri}`);
+  }
+
+  const parent = parentContainer(entry.iri);
+  if (parent) {
+    await ensureContainment(storage, parent, entry.iri);
+    if (entry.bytes > 0) await addContainerBytes(env.APPDATA, parent, entry.bytes);
+  }
+  await saveTrashIndex(env.APPDATA, config.username, index.filter(e => e.id !== id));
+  return entry;
+}
+
+/**
+ * Delete a trashed item for good, with its version history.
+ * @param {object} reqCtx
+ * @param {string} id
+ * @returns {Promise<boolean>} false if the item was not in the trash
+ */
+export async function purgeFromTrash(reqCtx, id) {
+  const { storage, env, config } = reqCtx;
+  const index = await loadTrashIndex(env.APPDATA, config.username);
+  const entry = index.find(e => e.id === id);
+  if (!entry) return false;
+
+  for (const iri of entry.resources) {
+    const raw = await storage.get(`trash:${id}:${iri}`);
+    if (!raw) continue;
+    const bundle = JSON.parse(raw);
+    if (bundle.blob) await env.BLOBS.delete(`trash:${id}:${iri}`);
+    if (bundle.versions !== null) await deleteVersionData(reqCtx, iri, JSON.parse(bundle.versions));
+    const writer = writerOf(bundle.meta);
+    if (writer) await subtractWriterBytes(env.APPDATA, config.username, writer, metaExtent(bundle.meta));
+    await storage.delete(`trash:${id}:${iri}`);
+  }
+  if (entry.bytes > 0) await subtractQuota(env.APPDATA, config.username, entry.bytes);
+  await saveTrashIndex(env.APPDATA, config.username, index.filter(e => e.id !== id));
+  return true;
+}
+
+/**
+ * Purge every trashed item.
+ * @param {object} reqCtx
+ */
+export async function emptyTrash(reqCtx) {
+  const index = await loadTrashIndex(reqCtx.env.APPDATA, reqCtx.config.username);
+  for (const entry of index) await purgeFromTrash(reqCtx, entry.id);
+}
+
+/**
+ * Purge items whose retention window has passed.
+ * @param {object} reqCtx
+ */
+export async function purgeExpiredTrash(reqCtx) {
+  const index = await loadTrashIndex(reqCtx.env.APPDATA, reqCtx.config.username);
+  const now = Date.now();
+  for (const entry of index) {
+    if (Date.parse(entry.expiresAt) <= now) await purgeFromTrash(reqCtx, entry.id);
+  }
+}
+
+/**
+ * Number of trashed items and the bytes they hold.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export async function getTrashSummary(kv, username) {
+  const index = await loadTrashIndex(kv, username);
+  return { count: index.length, bytes: index.reduce((sum, e) => sum + e.bytes, 0) };
+}
+
+/**
+ * Days a trashed item is kept before it is purged.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @returns {Promise<number>}
+ */
+export async function getTrashRetention(kv, username) {
+  const raw = await kv.get(`trash_retention:${username}`);
+  return raw === null ? DEFAULT_TRASH_DAYS : Number(raw);
+}
+
+/**
+ * Set the retention window. Applies to items deleted from now on.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} username
+ * @param {number} days - 0 disables the trash
+ */
+export async function setTrashRetention(kv, username, days) {
+  await kv.put(`trash_retention:${username}`, String(Math.max(0, Math.min(MAX_TRASH_DAYS, Math.floor(days)))));
+}
+
+// --- Helpers ---
+
+/** Every existing resource at or below an IRI, containers before their children. */
+async function collectTree(storage, resourceIri) {
+  const idx = await storage.get(`idx:${resourceIri}`);
+  if (!idx) return [];
+  const resources = [resourceIri];
+  if (isContainer(resourceIri)) {
+    const doc = await storage.get(`doc:${resourceIri}:${resourceIri}`);
+    for (const t of doc ? parseNTriples(doc) : []) {
+      if (unwrapIri(t.predicate) === PREFIXES.ldp + 'contains') {
+        resources.push(...await collectTree(storage, unwrapIri(t.object)));
+      }
+    }
+  }
+  return resources;
+}
+
+/** Move one resource's data into a bundle. Returns the quota bytes it held. */
+async function trashResource(reqCtx, id, iri) {
+  const { storage, env } = reqCtx;
+  const idx = await storage.get(`idx:${iri}`);
+  const parsed = JSON.parse(idx);
+  const docs = {};
+  for (const subject of parsed.subjects || []) {
+    const nt = await storage.get(`doc:${iri}:${subject}`);
+    if (nt !== null) docs[subject] = nt;
+  }
+  const bundle = {
+    idx,
+    docs,
+    meta: await storage.get(`doc:${iri}.meta:${iri}`),
+    acl: await storage.get(`acl:${iri}`),
+    acp: await env.APPDATA.get(`acp:${iri}`),
+    versions: await storage.get(`ver_idx:${iri}`),
+    blob: false,
+  };
+
+  // Only binary content is charged to the quota on write
+  let bytes = 0;
+  if (parsed.binary) {
+    bundle.blob = await moveBlob(env.BLOBS, `blob:${iri}`, `trash:${id}:${iri}`);
+    bytes = metaExtent(bundle.meta);
+  }
+  await storage.put(`trash:${id}:${iri}`, JSON.stringify(bundle));
+
+  for (const subject of Object.keys(docs)) await storage.delete(`doc:${iri}:${subject}`);
+  await storage.delete(`idx:${iri}`);
+  await storage.delete(`doc:${iri}.meta:${iri}`);
+  await storage.delete(`acl:${iri}`);
+  await env.APPDATA.delete(`acp:${iri}`);
+  await storage.delete(`ver_idx:${iri}`);
+  return bytes;
+}
+
+/** The dcterms:extent recorded in a metadata document, 0 if there is none. */
+function metaExtent(metaNt) {
+  const extent = metaNt?.match(/"(\d+)"\^\^<[^>]*integer>/);
+  return extent ? parseInt(extent[1], 10) : 0;
+}
+
+/** Move an R2 object to a new key. Returns false if there was none. */
+async function moveBlob(blobs, fromKey, toKey) {
+  const object = await blobs.get(fromKey);
+  if (!object) return false;
+  await blobs.put(toKey, object.body, { httpMetadata: object.httpMetadata });
+  await blobs.delete(fromKey);
+  return true;
+}
+
+async function removeContainment(storage, parentIri, childIri) {
+  const docKey = `doc:${parentIri}:${parentIri}`;
+  const nt = await storage.get(docKey);
+  if (!nt) return;
+  const filtered = parseNTriples(nt).filter(t =>
+    !(unwrapIri(t.predicate) === PREFIXES.ldp + 'contains' && unwrapIri(t.object) === childIri)
+  );
+  await storage.put(docKey, serializeNTriples(filtered));
+}
+
+/** Link a restored resource into its parent, recreating parent containers that were deleted since. */
+async function ensureContainment(storage, parentIri, childIri) {
+  let parent = parentIri;
+  let child = childIri;
+  while (parent) {
+    const docKey = `doc:${parent}:${parent}`;
+    const doc = await storage.get(docKey);
+    const containNt = `<${parent}> <${PREFIXES.ldp}contains> <${child}> .`;
+    if (!doc) {
+      await storage.put(docKey, [
+        `<${parent}> <${PREFIXES.rdf}type> <${PREFIXES.ldp}BasicContainer> .`,
+        `<${parent}> <${PREFIXES.rdf}type> <${PREFIXES.ldp}Container> .`,
+        containNt,
+      ].join('\n'));
+    } else if (!doc.includes(`<${child}>`)) {
+      await storage.put(docKey, doc + '\n' + containNt);
+    }
+    if (await storage.get(`idx:${parent}`)) return;
+    await storage.put(`idx:${parent}`, JSON.stringify({ subjects: [parent] }));
+    child = parent;
+    parent = parentContainer(parent);
+  }
+}
+
+async function loadTrashIndex(kv, username) {
+  const raw = await kv.get(`trash:${username}`);
+  return raw ? JSON.parse(raw) : [];
+}
+
+async function saveTrashIndex(kv, username, index) {
+  await kv.put(`trash:${username}`, JSON.stringify(index));
+}
+
+function trashError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,238 @@
+/**
+ * Resource version history.
+ *
+ * Before a non-container resource is overwritten, its current state is
+ * kept as a version:
+ *   - RDF    — the resource's N-Triples in TRIPLESTORE `ver:{iri}:{id}`
+ *   - Binary — a copy of the R2 object at `ver:{iri}:{id}`
+ *
+ * `ver_idx:{iri}` (TRIPLESTORE) records when the current state was written
+ * and lists the versions newest-first:
+ *   { current: ISO datetime | null,
+ *     versions: [{ id, datetime, bytes, binary, contentType }] }
+ * A version's `datetime` is when that state was written, so it is valid
+ * until the next newer version (or the current state) took over. `id` is
+ * the datetime as digits (YYYYMMDDhhmmssSSS).
+ *
+ * Retention is set per container in APPDATA `version_retention:{iri}`
+ * (number of versions to keep, 0 = off) and inherited by the nearest
+ * ancestor; DEFAULT_RETENTION applies when no container sets it. Version
+ * bytes count against the user quota and the container quotas, and are
+ * released when versions are pruned or the resource is purged from the
+ * trash (storage/trash.js), which keeps the index of a trashed resource.
+ */
+import { parseNTriples } from '../rdf/ntriples.js';
+import { parentContainer, isContainer } from '../solid/containers.js';
+import { addQuota, subtractQuota } from './quota.js';
+import { addContainerBytes, subtractContainerBytes } from './container-quota.js';
+
+export const DEFAULT_RETENTION = 10;
+export const MAX_RETENTION = 100;
+
+/**
+ * Record a write that is about to replace a resource: keep its current
+ * state as a version (if it has one), mark the new state as written now,
+ * and prune versions beyond the container's retention. Call after the
+ * write has been validated and just before storing it.
+ * @param {object} reqCtx - needs storage, env (APPDATA, BLOBS), config
+ * @param {string} resourceIri
+ */
+export async function recordVersion(reqCtx, resourceIri) {
+  if (isContainer(resourceIri)) return;
+  const { storage, env } = reqCtx;
+  const index = await loadVersionIndex(storage, resourceIri);
+  const { keep } = await getVersionRetention(env.APPDATA, parentContainer(resourceIri));
+  const now = new Date();
+
+  if (keep > 0) {
+    const idx = await storage.get(`idx:${resourceIri}`);
+    if (idx) {
+      const datetime = uniqueDatetime(index, index.current ? new Date(index.current) : now);
+      const id = versionId(datetime);
+      const version = JSON.parse(idx).binary
+        ? await copyBlobVersion(reqCtx, resourceIri, id)
+        : await copyRdfVersion(reqCtx, resourceIri, id);
+      if (version) {
+        index.versions.unshift({ id, datetime: datetime.toISOString(), ...version });
+        await chargeVersionBytes(reqCtx, resourceIri, version.bytes);
+      }
+    }
+  }
+
+  index.current = now.toISOString();
+  const pruned = index.versions.splice(keep);
+  for (const version of pruned) await deleteVersion(reqCtx, resourceIri, version);
+  await saveVersionIndex(storage, resourceIri, index);
+}
+
+/**
+ * Load the version index of a resource.
+ * @param {object} storage - TRIPLESTORE adapter
+ * @param {string} resourceIri
+ * @returns {Promise<{current: string|null, versions: Array<{id: string, datetime: string, bytes: number, binary: boolean, contentType: string}>}>}
+ */
+export async function loadVersionIndex(storage, resourceIri) {
+  const raw = await storage.get(`ver_idx:${resourceIri}`);
+  return raw ? JSON.parse(raw) : { current: null, versions: [] };
+}
+
+/**
+ * Read one version.
+ * @param {object} reqCtx
+ * @param {string} resourceIri
+ * @param {string} id
+ * @returns {Promise<{version: object, ntriples?: string, object?: R2ObjectBody}|null>}
+ *   RDF versions carry their N-Triples text, binary versions the R2 object
+ */
+export async function readVersion(reqCtx, resourceIri, id) {
+  const index = await loadVersionIndex(reqCtx.storage, resourceIri);
+  const version = index.versions.find(v => v.id === id);
+  if (!version) return null;
+  if (version.binary) {
+    const object = await reqCtx.env.BLOBS.get(`ver:${resourceIri}:${id}`);
+    return object ? { version, object } : null;
+  }
+  const ntriples = await reqCtx.storage.get(`ver:${resourceIri}:${id}`);
+  return ntriples === null ? null : { version, ntriples };
+}
+
+/**
+ * Delete the versions listed in a detached version index — one that is no
+ * longer stored at `ver_idx:{iri}`, such as a trashed resource's.
+ * @param {object} reqCtx
+ * @param {string} resourceIri
+ * @param {{versions: Array<object>}} index
+ */
+export async function deleteVersionData(reqCtx, resourceIri, index) {
+  for (const version of index.versions) await deleteVersion(reqCtx, resourceIri, version);
+}
+
+/**
+ * Move a resource's history along with it.
+ * @param {object} reqCtx
+ * @param {string} sourceIri
+ * @param {string} destIri
+ */
+export async function moveVersions(reqCtx, sourceIri, destIri) {
+  const { storage, env } = reqCtx;
+  const raw = await storage.get(`ver_idx:${sourceIri}`);
+  if (!raw) return;
+  const index = JSON.parse(raw);
+  let bytes = 0;
+  for (const version of index.versions) {
+    const from = `ver:${sourceIri}:${version.id}`;
+    const to = `ver:${destIri}:${version.id}`;
+    if (version.binary) {
+      const object = await env.BLOBS.get(from);
+      if (object) await env.BLOBS.put(to, object.body, { httpMetadata: object.httpMetadata });
+      await env.BLOBS.delete(from);
+    } else {
+      const nt = await storage.get(from);
+      if (nt !== null) await storage.put(to, nt);
+      await storage.delete(from);
+    }
+    bytes += version.bytes;
+  }
+  await saveVersionIndex(storage, destIri, index);
+  await storage.delete(`ver_idx:${sourceIri}`);
+
+  const oldParent = parentContainer(sourceIri);
+  const newParent = parentContainer(destIri);
+  if (bytes > 0 && oldParent !== newParent) {
+    if (oldParent) await subtractContainerBytes(env.APPDATA, oldParent, bytes);
+    if (newParent) await addContainerBytes(env.APPDATA, newParent, bytes);
+  }
+}
+
+/**
+ * Effective retention for resources in a container.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string|null} containerIri
+ * @returns {Promise<{keep: number, source: string|null}>} source is the container that set it, null for the default
+ */
+export async function getVersionRetention(kv, containerIri) {
+  let current = containerIri;
+  while (current) {
+    const raw = await kv.get(`version_retention:${current}`);
+    if (raw !== null) return { keep: Number(raw), source: current };
+    current = parentContainer(current);
+  }
+  return { keep: DEFAULT_RETENTION, source: null };
+}
+
+/**
+ * Set or clear (inherit) a container's retention.
+ * @param {KVNamespace} kv - APPDATA
+ * @param {string} containerIri
+ * @param {number|null} keep - versions to keep (0 disables history), or null to inherit
+ */
+export async function setVersionRetention(kv, containerIri, keep) {
+  if (keep === null || keep === undefined) {
+    await kv.delete(`version_retention:${containerIri}`);
+  } else {
+    await kv.put(`version_retention:${containerIri}`, String(Math.max(0, Math.min(MAX_RETENTION, Math.floor(keep)))));
+  }
+}
+
+/**
+ * Format a datetime as a version id.
+ * @param {Date} date
+ * @returns {string}
+ */
+export function versionId(date) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 17);
+}
+
+// --- Helpers ---
+
+async function copyRdfVersion(reqCtx, resourceIri, id) {
+  const { storage } = reqCtx;
+  const { subjects = [] } = JSON.parse(await storage.get(`idx:${resourceIri}`));
+  const docs = await Promise.all(subjects.map(subj => storage.get(`doc:${resourceIri}:${subj}`)));
+  const nt = docs.filter(Boolean).flatMap(doc => parseNTriples(doc))
+    .map(t => `${t.subject} ${t.predicate} ${t.object} .`).join('\n');
+  await storage.put(`ver:${resourceIri}:${id}`, nt);
+  return { bytes: new TextEncoder().encode(nt).byteLength, binary: false, contentType: 'text/turtle' };
+}
+
+async function copyBlobVersion(reqCtx, resourceIri, id) {
+  const { storage, env } = reqCtx;
+  const object = await env.BLOBS.get(`blob:${resourceIri}`);
+  if (!object) return null;
+  await env.BLOBS.put(`ver:${resourceIri}:${id}`, object.body, { httpMetadata: object.httpMetadata });
+  const meta = await storage.get(`doc:${resourceIri}.meta:${resourceIri}`);
+  const format = meta?.match(/<http:\/\/purl\.org\/dc\/terms\/format>\s+"([^"]+)"/);
+  return { bytes: object.size, binary: true, contentType: format ? format[1] : 'application/octet-stream' };
+}
+
+async function deleteVersion(reqCtx, resourceIri, version) {
+  const key = `ver:${resourceIri}:${version.id}`;
+  if (version.binary) await reqCtx.env.BLOBS.delete(key);
+  else await reqCtx.storage.delete(key);
+  await chargeVersionBytes(reqCtx, resourceIri, -version.bytes);
+}
+
+async function chargeVersionBytes(reqCtx, resourceIri, bytes) {
+  if (!bytes) return;
+  const { env, config } = reqCtx;
+  const parent = parentContainer(resourceIri);
+  if (bytes > 0) {
+    await addQuota(env.APPDATA, config.username, bytes);
+    if (parent) await addContainerBytes(env.APPDATA, parent, bytes);
+  } else {
+    await subtractQuota(env.APPDATA, config.username, -bytes);
+    if (parent) await subtractContainerBytes(env.APPDATA, parent, -bytes);
+  }
+}
+
+/** Version ids must be unique; two writes in the same millisecond get consecutive ones. */
+function uniqueDatetime(index, date) {
+  const taken = new Set(index.versions.map(v => v.id));
+  let ms = date.getTime();
+  while (taken.has(versionId(new Date(ms)))) ms++;
+  return new Date(ms);
+}
+
+async function saveVersionIndex(storage, resourceIri, index) {
+  await storage.put(`ver_idx:${resourceIri}`, JSON.stringify(index));
+}
@@ -0,0 +1,82 @@
+/**
+ * Line and triple diffs for the storage history view.
+ *
+ * Both return rows `{ op, text }` where op is ' ' (unchanged), '-'
+ * (only in the older state) or '+' (only in the newer state).
+ */
+
+/** Beyond this many LCS cells a text diff falls back to "all removed, all added". */
+const MAX_LCS_CELLS = 1_000_000;
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{op: ' '|'-'|'+', text: string}>}
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Common head and tail need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(text => ({ op: ' ', text }));
+  const tail = a.slice(endA).map(text => ({ op: ' ', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    return [
+      ...head,
+      ...midA.map(text => ({ op: '-', text })),
+      ...midB.map(text => ({ op: '+', text })),
+      ...tail,
+    ];
+  }
+
+  // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+  const n = midA.length, m = midB.length;
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) { middle.push({ op: ' ', text: midA[i] }); i++; j++; }
+    else if (lengths[i + 1][j] >= lengths[i][j + 1]) middle.push({ op: '-', text: midA[i++] });
+    else middle.push({ op: '+', text: midB[j++] });
+  }
+  while (i < n) middle.push({ op: '-', text: midA[i++] });
+  while (j < m) middle.push({ op: '+', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Triple diff of two graphs: removed and added N-Triples lines, sorted.
+ * Unchanged triples are left out — graph order carries no meaning.
+ * @param {Array<{subject: string, predicate: string, object: string}>} oldTriples
+ * @param {Array<{subject: string, predicate: string, object: string}>} newTriples
+ * @returns {Array<{op: '-'|'+', text: string}>}
+ */
+export function diffTriples(oldTriples, newTriples) {
+  const toLines = triples => new Set(triples.map(t => `${t.subject} ${t.predicate} ${t.object} .`));
+  const before = toLines(oldTriples);
+  const after = toLines(newTriples);
+  const removed = [...before].filter(l => !after.has(l)).sort();
+  const added = [...after].filter(l => !before.has(l)).sort();
+  return [
+    ...removed.map(text => ({ op: '-', text })),
+    ...added.map(text => ({ op: '+', text })),
+  ];
+}
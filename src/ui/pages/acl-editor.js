@@ -7,10 +7,29 @@
  *   unlisted   — Anyone with the link can read (not shown in container listings)
  *   friends    — Only WebIDs in the friends list can read
  *   private    — Only the owner can access
- *   custom     — Specific WebIDs granted access
+ *   custom     — Specific WebIDs and groups granted access
  *
  * The owner always has full access (enforced by session/token auth).
- * ACP policies are stored as JSON in APPDATA KV at key `acp:{resourceIri}`.
+ * ACP policies are stored as JSON in APPDATA KV at key `acp:{resourceIri}`:
+ *   { mode, agents?, groups?, inherit?, access?: { append?, write?, control? } }
+ *
+ * Access sets:
+ *   The modes above only grant read. `access` lists the agents that may
+ *   also append (POST new resources, add triples), write (PUT, PATCH,
+ *   DELETE; includes append) or control (manage the policy through
+ *   `{resource}.acr`). Entries are WebIDs, "friends" for everyone in the
+ *   friends list, or group IRIs. Agents in any set can read as well.
+ *
+ * Groups:
+ *   `groups` (custom mode) and access set entries may name `vcard:Group`
+ *   documents kept in the pod (solid/groups.js, edited at /groups). An
+ *   agent matches a group when it is a member, directly or through a
+ *   nested group.
+ *
+ * Share links:
+ *   The editor also issues capability links for the resource (see
+ *   solid/share-links.js) — read or read/write, with an optional expiry,
+ *   use limit and password — and lists them with their usage log.
  *
  * Inheritance:
  *   Resources default to "inherit" mode, deferring to the nearest ancestor
@@ -23,7 +42,13 @@ import { renderPage } from '../shell.js';
 import template from '../templates/acl-editor.html';
 import { requireAuth } from '../../auth/middleware.js';
 import { getContainerQuota, setContainerQuotaLimit } from '../../storage/container-quota.js';
-import { formatBytes, formatBytesShort } from '../../i18n/format.js';
+import { getVersionRetention, setVersionRetention } from '../../storage/versions.js';
+import { formatBytes, formatBytesShort, formatDateTime } from '../../i18n/format.js';
+import {
+  createShareLink, listShareLinks, revokeShareLink, deleteShareLink,
+  getShareLog, shareToken, shareLinkState,
+} from '../../solid/share-links.js';
+import { listGroups, isGroupIri, resolveGroupMembers } from '../../solid/groups.js';
 
 /**
  * Handle GET /acp/**
@@ -44,6 +69,10 @@ export async function renderAclEditor(reqCtx) {
   // Load current policy
   const policy = await loadPolicy(env.APPDATA, resourceIri);
   const friends = await loadFriends(env.APPDATA, username);
+  const groups = await listGroups(reqCtx.storage, config);
+  const groupNames = new Map(groups.map(g => [g.iri, g.name]));
+  const groupMembers = new Map();
+  for (const g of groups) groupMembers.set(g.iri, await resolveGroupMembers({ kv: env.APPDATA, storage: reqCtx.storage, config }, g.iri));
 
   // Resolve the effective policy when in inherit mode (or no policy set)
   let effectiveLabel = '';
@@ -66,7 +95,7 @@ export async function renderAclEditor(reqCtx) {
     { value: 'unlisted', label: t.acl_mode_unlisted || 'Public (unlisted)', description: t.acl_mode_unlisted_desc || 'Anyone with the direct link can read, but not listed in container indexes.' },
     { value: 'friends', label: t.acl_mode_friends || 'Friends', description: t.acl_mode_friends_desc || 'Only people in your friends list can read.' },
     { value: 'private', label: t.acl_mode_private || 'Private', description: t.acl_mode_private_desc || 'Only you can access this resource.' },
-    { value: 'custom', label: t.acl_mode_custom || 'Custom', description: t.acl_mode_custom_desc || 'Grant read access to specific WebIDs.' },
+    { value: 'custom', label: t.acl_mode_custom || 'Custom', description: t.acl_mode_custom_desc || 'Grant read access to specific WebIDs and groups.' },
   ];
 
   const currentMode = policy.mode || (isRootContainer ? 'private' : 'inherit');
@@ -97,6 +126,17 @@ export async function renderAclEditor(reqCtx) {
     }
   }
 
+  // Version history retention (only for containers)
+  let retentionValue = '';
+  let retentionCurrent = '';
+  if (isDir) {
+    const retention = await getVersionRetention(env.APPDATA, resourceIri);
+    if (retention.source === resourceIri) retentionValue = String(retention.keep);
+    retentionCurrent = (t.acl_history_current || 'Currently keeping {{count}} versions.').replace('{{count}}', retention.keep);
+  }
+
+  const shareLinks = await shareLinkRows(reqCtx, resourceIri);
+
   return renderPage('Access Policy', template, {
     resourceIri,
     isDir,
@@ -104,6 +144,13 @@ export async function renderAclEditor(reqCtx) {
     modeOptions,
     customHidden: currentMode !== 'custom',
     agentsText: (policy.agents || []).join('\n'),
+    groupOptions: groups.map(g => ({
+      iri: g.iri,
+      name: g.name,
+      memberCount: (t.grp_member_count || '{{count}} members').replace('{{count}}', groupMembers.get(g.iri).length),
+      checked: (policy.groups || []).includes(g.iri) ? 'checked' : '',
+    })),
+    hasGroups: groups.length > 0,
     showInheritCheckbox: isDir && currentMode !== 'inherit',
     inheritChecked: policy.inherit !== false ? 'checked' : '',
     isInheritMode: currentMode === 'inherit',
@@ -111,9 +158,29 @@ export async function renderAclEditor(reqCtx) {
     effectiveSource,
     friends,
     hasFriends: friends.length > 0,
-    turtlePolicy: policyToTurtle(policy, resourceIri, config.webId, friends),
+    collaborators: [...collaboratorRows(policy.access, groups.map(g => g.iri)), { agent: '', modes: [] }].map((row, index) => ({
+      index,
+      agent: row.agent,
+      isFriends: row.agent === FRIENDS_ENTRY,
+      isGroup: groupNames.has(row.agent),
+      groupName: groupNames.get(row.agent) || '',
+      isNew: row.agent === '',
+      appendChecked: row.modes.includes('append') ? 'checked' : '',
+      writeChecked: row.modes.includes('write') ? 'checked' : '',
+      controlChecked: row.modes.includes('control') ? 'checked' : '',
+    })),
+    turtlePolicy: policyToTurtle(policy, resourceIri, config.webId, friends, groupMembers),
     quotaData,
     quotaLimitValue,
+    retentionValue,
+    retentionCurrent,
+    shareLinks,
+    hasShareLinks: shareLinks.length > 0,
+    shareDurations: SHARE_DURATIONS.map(d => ({
+      value: d.value,
+      label: t[`acl_share_expires_${d.value}`] || d.label,
+      selected: d.value === DEFAULT_SHARE_DURATION ? 'selected' : '',
+    })),
   }, { user: username, nav: 'storage', lang, dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
 }
 
@@ -133,20 +200,20 @@ export async function handleAclUpdate(reqCtx) {
   const action = form.get('action');
 
   if (action === 'save_policy') {
-    const mode = form.get('mode') || 'private';
-
-    if (mode === 'inherit') {
-      // Store explicit inherit marker
-      await env.APPDATA.put(`acp:${resourceIri}`, JSON.stringify({ mode: 'inherit' }));
-    } else {
-      const agentsRaw = form.get('agents') || '';
-      const agents = agentsRaw.split('\n').map(a => a.trim()).filter(Boolean);
-      const isDir = resourceIri.endsWith('/');
-      const inherit = isDir ? form.get('inherit') === '1' : true;
-
-      const policy = { mode, agents, inherit };
-      await env.APPDATA.put(`acp:${resourceIri}`, JSON.stringify(policy));
+    let policy;
+    try {
+      policy = normalizePolicy({
+        mode: form.get('mode') || 'private',
+        agents: (form.get('agents') || '').split('\n'),
+        groups: form.getAll('groups'),
+        inherit: form.get('inherit') === '1',
+        access: accessSetsFromForm(form),
+      }, resourceIri);
+    } catch (err) {
+      if (err.status === 400) return new Response(err.message, { status: 400 });
+      throw err;
     }
+    await env.APPDATA.put(`acp:${resourceIri}`, JSON.stringify(policy));
   }
 
   if (action === 'add_friend') {
@@ -172,6 +239,43 @@ export async function handleAclUpdate(reqCtx) {
     }
   }
 
+  if (action === 'save_retention') {
+    const keepStr = (form.get('keep') || '').trim();
+    if (!keepStr) {
+      await setVersionRetention(env.APPDATA, resourceIri, null);
+    } else if (/^\d+$/.test(keepStr)) {
+      await setVersionRetention(env.APPDATA, resourceIri, parseInt(keepStr, 10));
+    }
+  }
+
+  if (action === 'share_create') {
+    const duration = SHARE_DURATIONS.find(d => d.value === form.get('expires')) || SHARE_DURATIONS.find(d => d.value === DEFAULT_SHARE_DURATION);
+    const maxUsesStr = (form.get('max_uses') || '').trim();
+    try {
+      await createShareLink(env.APPDATA, resourceIri, {
+        access: form.get('access') || 'read',
+        expiresAt: duration.seconds ? new Date(Date.now() + duration.seconds * 1000).toISOString() : null,
+        maxUses: /^[1-9]\d*$/.test(maxUsesStr) ? parseInt(maxUsesStr, 10) : null,
+        password: form.get('password') || '',
+      });
+    } catch (err) {
+      if (err.status === 400) return new Response(err.message, { status: 400 });
+      throw err;
+    }
+    return new Response(null, { status: 302, headers: { 'Location': `/acp/${path}#share-links` } });
+  }
+
+  if (action === 'share_revoke' || action === 'share_delete') {
+    const id = form.get('id') || '';
+    if (action === 'share_revoke') {
+      const links = await listShareLinks(env.APPDATA, resourceIri);
+      if (links.some(l => l.id === id)) await revokeShareLink(env.APPDATA, id);
+    } else {
+      await deleteShareLink(env.APPDATA, resourceIri, id);
+    }
+    return new Response(null, { status: 302, headers: { 'Location': `/acp/${path}#share-links` } });
+  }
+
   if (action === 'remove_friend') {
     const webid = (form.get('webid') || '').trim();
     const friends = await loadFriends(env.APPDATA, username);
@@ -186,6 +290,30 @@ export async function handleAclUpdate(reqCtx) {
 
 const DEFAULT_POLICY = { mode: 'inherit', agents: [], inherit: true };
 
+const POLICY_MODES = ['inherit', 'public', 'unlisted', 'friends', 'private', 'custom'];
+
+/** Modes an access set can grant, on top of the read access of the policy mode. */
+const ACCESS_SET_MODES = ['append', 'write', 'control'];
+
+const POLICY_ACCESS_MODES = ['read', 'write', 'append', 'control'];
+
+/** Access set entry standing for everyone in the friends list. */
+const FRIENDS_ENTRY = 'friends';
+
+/** Expiry choices for new share links. */
+const SHARE_DURATIONS = [
+  { value: '1h', seconds: 60 * 60, label: '1 hour' },
+  { value: '1d', seconds: 24 * 60 * 60, label: '1 day' },
+  { value: '7d', seconds: 7 * 24 * 60 * 60, label: '7 days' },
+  { value: '30d', seconds: 30 * 24 * 60 * 60, label: '30 days' },
+  { value: 'never', seconds: null, label: 'Never' },
+];
+
+const DEFAULT_SHARE_DURATION = '7d';
+
+/** Entries of a link's usage log shown in the editor. */
+const SHARE_LOG_SHOWN = 20;
+
 const MODE_LABELS = {
   public: 'Public',
   unlisted: 'Public (unlisted)',
@@ -202,11 +330,48 @@ const MODE_LABELS = {
  * @param {string} resourceIri
  * @returns {Promise<{mode: string, agents?: string[], inherit?: boolean}>}
  */
-async function loadPolicy(kv, resourceIri) {
+export async function loadPolicy(kv, resourceIri) {
   const data = await kv.get(`acp:${resourceIri}`);
   return data ? JSON.parse(data) : { ...DEFAULT_POLICY };
 }
 
+/**
+ * Build a policy for storage from editor or API input. Unknown access set
+ * modes are dropped, and so are entries that are neither a WebID (or group
+ * IRI) nor "friends". `groups` is kept for custom mode only.
+ * @param {object} input - { mode, agents?, groups?, inherit?, access? }
+ * @param {string} resourceIri
+ * @returns {object}
+ * @throws {Error} with status 400 for an unknown mode
+ */
+export function normalizePolicy(input, resourceIri) {
+  if (!POLICY_MODES.includes(input?.mode)) {
+    const err = new Error(`Unknown policy mode: ${input?.mode}`);
+    err.status = 400;
+    throw err;
+  }
+  const policy = input.mode === 'inherit'
+    ? { mode: 'inherit' }
+    : {
+      mode: input.mode,
+      agents: (Array.isArray(input.agents) ? input.agents : []).map(a => String(a).trim()).filter(Boolean),
+      inherit: resourceIri.endsWith('/') ? input.inherit !== false : true,
+    };
+  if (input.mode === 'custom') {
+    const groups = (Array.isArray(input.groups) ? input.groups : []).map(g => String(g).trim()).filter(g => /^https?:\/\/\S+$/.test(g));
+    if (groups.length > 0) policy.groups = [...new Set(groups)];
+  }
+
+  const access = {};
+  for (const mode of ACCESS_SET_MODES) {
+    const entries = Array.isArray(input.access?.[mode]) ? input.access[mode] : [];
+    const valid = entries.map(e => String(e).trim()).filter(e => e === FRIENDS_ENTRY || /^https?:\/\/\S+$/.test(e));
+    if (valid.length > 0) access[mode] = [...new Set(valid)];
+  }
+  if (Object.keys(access).length > 0) policy.access = access;
+  return policy;
+}
+
 /**
  * Walk up from a resource to find the nearest ancestor with an explicit (non-inherit) policy.
  * Returns { policy, source } or null if nothing found.
@@ -239,7 +404,7 @@ async function loadFriends(kv, username) {
 }
 
 /**
- * Check if a resource is readable by a given agent based on ACP.
+ * Check what an agent may do with a resource based on ACP.
  * Walks up the container hierarchy looking for an applicable policy.
  *
  * Inheritance rules:
@@ -248,23 +413,33 @@ async function loadFriends(kv, username) {
  *    reach it during the walk get the default (private).
  *  - A parent container with inherit: true (or unset) applies its policy to children.
  *
- * @param {KVNamespace} kv - APPDATA
+ * Access sets (append, write, control) are collected from every policy the
+ * walk passes through, up to and including the one that decides read
+ * access, so a collaborator added on a container keeps their modes in
+ * children that inherit from it.
+ *
+ * @param {object} ctx
+ * @param {KVNamespace} ctx.kv - APPDATA
+ * @param {object} ctx.storage - TRIPLESTORE adapter (group documents)
+ * @param {object} ctx.config - server config (owner WebID, username)
  * @param {string} resourceIri
  * @param {string|null} agentWebId
- * @param {string} ownerWebId
- * @param {string} username
- * @returns {Promise<{readable: boolean, listed: boolean}>}
+ * @returns {Promise<{readable: boolean, listed: boolean, modes: string[]}>}
  */
-export async function checkAcpAccess(kv, resourceIri, agentWebId, ownerWebId, username) {
+export async function checkAcpAccess(ctx, resourceIri, agentWebId) {
+  const { kv } = ctx;
   // Owner always has full access
-  if (agentWebId === ownerWebId) return { readable: true, listed: true };
+  if (agentWebId === ctx.config.webId) return { readable: true, listed: true, modes: [...POLICY_ACCESS_MODES] };
+
+  const accessSets = [];
 
   // Check the resource's own policy first
   const ownData = await kv.get(`acp:${resourceIri}`);
   if (ownData) {
     const ownPolicy = JSON.parse(ownData);
+    if (ownPolicy.access) accessSets.push(ownPolicy.access);
     if (ownPolicy.mode !== 'inherit') {
-      return evaluatePolicy(ownPolicy, agentWebId, kv, username);
+      return withAccessSets(await evaluatePolicy(ownPolicy, agentWebId, ctx), accessSets, agentWebId, ctx);
     }
     // mode is "inherit" — fall through to parent walk
   }
@@ -285,28 +460,62 @@ export async function checkAcpAccess(kv, resourceIri, agentWebId, ownerWebId, us
     const policy = JSON.parse(data);
     // If this ancestor's policy doesn't propagate to children, stop
     if (policy.inherit === false) {
-      return { readable: false, listed: false };
+      return withAccessSets({ readable: false, listed: false }, accessSets, agentWebId, ctx);
     }
+    if (policy.access) accessSets.push(policy.access);
     // Skip "inherit" policies — keep walking up
     if (policy.mode === 'inherit') continue;
-    return evaluatePolicy(policy, agentWebId, kv, username);
+    return withAccessSets(await evaluatePolicy(policy, agentWebId, ctx), accessSets, agentWebId, ctx);
   }
 
   // No policy found — default to private
-  return { readable: false, listed: false };
+  return withAccessSets({ readable: false, listed: false }, accessSets, agentWebId, ctx);
+}
+
+/**
+ * Add the modes an agent holds through access sets to a read decision.
+ * Write includes append, and an agent in any set can also read.
+ */
+async function withAccessSets(result, accessSets, agentWebId, ctx) {
+  const granted = new Set();
+  if (agentWebId) {
+    let friends = null;
+    for (const access of accessSets) {
+      for (const mode of ACCESS_SET_MODES) {
+        for (const entry of access[mode] || []) {
+          let matches = entry === agentWebId;
+          if (!matches && entry === FRIENDS_ENTRY) {
+            friends = friends || await loadFriends(ctx.kv, ctx.config.username);
+            matches = friends.includes(agentWebId);
+          }
+          if (!matches && isGroupIri(ctx.config, entry)) {
+            matches = (await resolveGroupMembers(ctx, entry)).includes(agentWebId);
+          }
+          if (!matches) continue;
+          granted.add(mode);
+          if (mode === 'write') granted.add('append');
+        }
+      }
+    }
+  }
+  const readable = result.readable || granted.size > 0;
+  return {
+    readable,
+    listed: result.listed,
+    modes: POLICY_ACCESS_MODES.filter(m => m === 'read' ? readable : granted.has(m)),
+  };
 }
 
 /**
  * Evaluate a resolved ACP policy for a specific agent.
  * @param {object} policy - The ACP policy to evaluate
  * @param {string|null} agentWebId - The requesting agent's WebID, or null for anonymous
- * @param {KVNamespace} kv - APPDATA KV (for loading friends list)
- * @param {string} username - Server owner's username
+ * @param {object} ctx - { kv, storage, config }, for the friends list and groups
  * @returns {Promise<{readable: boolean, listed: boolean}>}
  *   - readable: whether the agent can read the resource
  *   - listed: whether the resource should appear in container listings
  */
-async function evaluatePolicy(policy, agentWebId, kv, username) {
+async function evaluatePolicy(policy, agentWebId, ctx) {
   switch (policy.mode) {
     case 'public':
       return { readable: true, listed: true };
@@ -314,12 +523,17 @@ async function evaluatePolicy(policy, agentWebId, kv, username) {
       return { readable: true, listed: false };
     case 'friends': {
       if (!agentWebId) return { readable: false, listed: false };
-      const friends = await loadFriends(kv, username);
+      const friends = await loadFriends(ctx.kv, ctx.config.username);
       return { readable: friends.includes(agentWebId), listed: false };
     }
     case 'custom': {
       if (!agentWebId) return { readable: false, listed: false };
-      return { readable: (policy.agents || []).includes(agentWebId), listed: false };
+      if ((policy.agents || []).includes(agentWebId)) return { readable: true, listed: false };
+      for (const group of policy.groups || []) {
+        if (!isGroupIri(ctx.config, group)) continue;
+        if ((await resolveGroupMembers(ctx, group)).includes(agentWebId)) return { readable: true, listed: false };
+      }
+      return { readable: false, listed: false };
     }
     case 'private':
     default:
@@ -327,8 +541,8 @@ async function evaluatePolicy(policy, agentWebId, kv, username) {
   }
 }
 
-function policyToTurtle(policy, resourceIri, ownerWebId, friends) {
-  if (policy.mode === 'inherit') {
+function policyToTurtle(policy, resourceIri, ownerWebId, friends, groupMembers) {
+  if (policy.mode === 'inherit' && !policy.access) {
     return '# No explicit policy — inheriting from parent container.';
   }
 
@@ -401,11 +615,107 @@ function policyToTurtle(policy, resourceIri, ownerWebId, friends) {
         `    acp:agent <${policy.agents[i]}> .`,
       );
     }
+    for (let i = 0; i < (policy.groups || []).length; i++) {
+      const members = groupMembers.get(policy.groups[i]) || [];
+      if (members.length === 0) continue;
+      lines.push(
+        '',
+        `# Group: ${policy.groups[i]}`,
+        `<${acrIri}#control> acp:apply <${acrIri}#groupPolicy${i}> .`,
+        `<${acrIri}#groupPolicy${i}> a acp:Policy ;`,
+        `    acp:allow acl:Read ;`,
+        `    acp:allOf <${acrIri}#groupMatcher${i}> .`,
+        `<${acrIri}#groupMatcher${i}> a acp:Matcher ;`,
+        `    acp:agent ${members.map(w => `<${w}>`).join(', ')} .`,
+      );
+    }
+  }
+
+  const collaborators = collaboratorRows(policy.access).filter(row => row.modes.length > 0);
+  for (let i = 0; i < collaborators.length; i++) {
+    const { agent, modes } = collaborators[i];
+    const webIds = agent === FRIENDS_ENTRY ? friends : groupMembers.get(agent) || [agent];
+    if (webIds.length === 0) continue;
+    const allow = ['Read', ...modes.map(m => m[0].toUpperCase() + m.slice(1))];
+    if (modes.includes('write') && !modes.includes('append')) allow.push('Append');
+    lines.push(
+      '',
+      `# Collaborator: ${agent === FRIENDS_ENTRY ? 'friends list' : groupMembers.has(agent) ? `group ${agent}` : agent}`,
+      `<${acrIri}#control> acp:apply <${acrIri}#accessPolicy${i}> .`,
+      `<${acrIri}#accessPolicy${i}> a acp:Policy ;`,
+      `    acp:allow ${allow.map(m => `acl:${m}`).join(', ')} ;`,
+      `    acp:allOf <${acrIri}#accessMatcher${i}> .`,
+      `<${acrIri}#accessMatcher${i}> a acp:Matcher ;`,
+      `    acp:agent ${webIds.map(w => `<${w}>`).join(', ')} .`,
+    );
   }
 
   return lines.join('\n');
 }
 
+/**
+ * One row per agent named in a policy's access sets, with the modes it
+ * holds. The friends list always comes first, then the given groups.
+ * @param {object} [access] - policy.access
+ * @param {string[]} [groups] - group IRIs to list even without modes
+ * @returns {{agent: string, modes: string[]}[]}
+ */
+function collaboratorRows(access = {}, groups = []) {
+  const agents = [FRIENDS_ENTRY, ...groups];
+  for (const mode of ACCESS_SET_MODES) {
+    for (const entry of access[mode] || []) {
+      if (!agents.includes(entry)) agents.push(entry);
+    }
+  }
+  return agents.map(agent => ({
+    agent,
+    modes: ACCESS_SET_MODES.filter(mode => (access[mode] || []).includes(agent)),
+  }));
+}
+
+/** Template rows for the share links of a resource, with their usage logs. */
+async function shareLinkRows(reqCtx, resourceIri) {
+  const { env, config, lang, t } = reqCtx;
+  const links = await listShareLinks(env.APPDATA, resourceIri);
+  return Promise.all(links.map(async link => {
+    const state = shareLinkState(link);
+    const log = await getShareLog(env.APPDATA, link.id);
+    return {
+      id: link.id,
+      url: `${resourceIri}?share=${await shareToken(env.APPDATA, config.username, link.id)}`,
+      isActive: !state,
+      accessLabel: link.modes.includes('write') ? (t.acl_share_read_write || 'Read and write') : (t.acl_share_read_only || 'Read only'),
+      stateLabel: state ? (t[`acl_share_state_${state}`] || state) : (t.acl_share_state_active || 'Active'),
+      expiresFormatted: link.expiresAt ? formatDateTime(link.expiresAt, lang) : (t.acl_share_expires_never || 'Never'),
+      usesLabel: link.maxUses !== null ? `${link.uses} / ${link.maxUses}` : String(link.uses),
+      hasPassword: !!link.passwordHash,
+      log: log.slice(0, SHARE_LOG_SHOWN).map(entry => ({
+        atFormatted: formatDateTime(entry.at, lang),
+        method: entry.method,
+        path: entry.iri.replace(config.baseUrl, ''),
+        who: entry.agent || entry.ip || (t.acl_share_anonymous || 'anonymous'),
+        userAgent: entry.userAgent || '',
+      })),
+      hasLog: log.length > 0,
+    };
+  }));
+}
+
+/**
+ * Read the collaborator rows of the policy form back into access sets.
+ * Each row posts a `grant_agent` field; its mode checkboxes
+ * (`grant_append`, `grant_write`, `grant_control`) carry the row's index.
+ */
+function accessSetsFromForm(form) {
+  const agents = form.getAll('grant_agent').map(a => String(a).trim());
+  const access = {};
+  for (const mode of ACCESS_SET_MODES) {
+    const rows = new Set(form.getAll(`grant_${mode}`).map(String));
+    access[mode] = agents.filter((agent, i) => agent && rows.has(String(i)));
+  }
+  return access;
+}
+
 function parseQuotaLimit(str) {
   const match = str.match(/^(\d+(?:\.\d+)?)\s*(GB|MB|KB|B)?$/i);
   if (!match) return null;
@@ -2,8 +2,12 @@
  * Activity feed page: compose, follow/unfollow, pending follow requests, feed.
  *
  * Routes:
- *   GET /activity         — main activity feed (own inbox + outbox)
+ *   GET /activity         — main activity feed (own inbox + outbox);
+ *                           `?q=` also lists posts matching a search
  *   GET /activity/remote  — view a remote actor's recent public posts
+ *
+ * Notifications and the delivery queue have their own pages (inbox.js,
+ * delivery.js); the feed links to them with a count.
  */
 import { renderPage } from '../shell.js';
 import template from '../templates/activity.html';
@@ -11,6 +15,12 @@ import { requireAuth } from '../../auth/middleware.js';
 import { simpleHash } from '../../utils.js';
 import { fetchRemoteActor } from '../../activitypub/remote.js';
 import { formatDateTime } from '../../i18n/format.js';
+import { countNotifications } from '../../solid/ldn.js';
+import { searchPod } from '../../solid/search-endpoint.js';
+import { getDeliveryStatus } from '../../activitypub/delivery.js';
+import { getReactions, getOwnReactions, getPostHistory } from '../../activitypub/activities.js';
+
+const AS_PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
 
 export async function renderActivityPage(reqCtx) {
   const authCheck = requireAuth(reqCtx);
@@ -61,6 +71,22 @@ export async function renderActivityPage(reqCtx) {
     });
   }
 
+  // Likes and boosts of our own posts
+  const reactionsById = new Map(await Promise.all(allItems
+    .filter(a => a._source === 'outbox' && a.type === 'Create' && a.object?.id)
+    .map(async a => [a.object.id, await getReactions(env.APPDATA, a.object.id)])));
+
+  // Earlier versions of our edited posts
+  const historyById = new Map(await Promise.all(allItems
+    .filter(a => a._source === 'outbox' && a.type === 'Create' && a.object?.updated)
+    .map(async a => [a.object.id, await getPostHistory(env.APPDATA, a.object.id)])));
+
+  // Our own likes and boosts of the posts shown
+  const postIds = [...new Set(allItems.map(postIdOf).filter(Boolean))];
+  const ownReactionsById = new Map(await Promise.all(
+    postIds.map(async id => [id, await getOwnReactions(env.APPDATA, id)])
+  ));
+
   // Pre-process activities with boolean flags for Mustache
   const activities = allItems.map(a => {
     const source = a._source === 'inbox' ? (t.act_received || 'Received') : (t.act_sent || 'Sent');
@@ -71,13 +97,27 @@ export async function renderActivityPage(reqCtx) {
 
     let isCreate = false, isFollow = false, isAccept = false, isUndo = false, isOther = false;
     let content = '', summary = '', hasSummary = false, target = '';
-    let typeActivity = '';
+    let typeActivity = '', isDeleted = false, isEdited = false;
+    let reactionsLabel = '', reactors = [];
 
-    if (type === 'Create' && a.object && typeof a.object !== 'string') {
+    if (type === 'Create' && a.object?.type === 'Tombstone') {
+      isDeleted = true;
+    } else if (type === 'Create' && a.object && typeof a.object !== 'string') {
       isCreate = true;
       content = a.object.content || '';
       summary = a.object.summary || '';
       hasSummary = !!summary;
+      isEdited = !!a.object.updated;
+      const reactions = reactionsById.get(a.object.id);
+      if (reactions && (reactions.likes.length || reactions.announces.length)) {
+        reactionsLabel = (t.act_reactions || '{{likes}} likes · {{boosts}} boosts')
+          .replace('{{likes}}', reactions.likes.length)
+          .replace('{{boosts}}', reactions.announces.length);
+        reactors = [
+          ...reactions.likes.map(r => ({ actor: r.actor, kind: t.act_liked || 'Liked' })),
+          ...reactions.announces.map(r => ({ actor: r.actor, kind: t.act_boosted || 'Boosted' })),
+        ];
+      }
     } else if (type === 'Follow') {
       isFollow = true;
       target = typeof a.object === 'string' ? a.object : a.object?.id || '';
@@ -90,7 +130,30 @@ export async function renderActivityPage(reqCtx) {
       typeActivity = (t.act_type_activity || '{{type}} activity').replace('{{type}}', type);
     }
 
-    return { activityId: a.id, source, type, actor, published, isReceived, isCreate, isFollow, isAccept, isUndo, isOther, content, summary, hasSummary, target, typeActivity };
+    const postId = postIdOf(a);
+    const history = isCreate && !isReceived ? (historyById.get(a.object.id) || []).map(v => ({
+      updated: v.updated ? formatDateTime(v.updated, lang) : '',
+      content: v.content,
+      summary: v.summary,
+    })) : [];
+    const own = postId ? ownReactionsById.get(postId) : null;
+    const post = typeof a.object === 'object' ? a.object : null;
+
+    return {
+      activityId: a.id, source, type, actor, published, isReceived, isCreate, isFollow, isAccept, isUndo, isOther,
+      isDeleted, isEdited, content, summary, hasSummary, target, typeActivity,
+      reactionsLabel, reactors, hasReactions: reactors.length > 0,
+      inReplyTo: post?.inReplyTo ? (typeof post.inReplyTo === 'string' ? post.inReplyTo : post.inReplyTo.id || '') : '',
+      postId: postId || '',
+      hasActions: !!postId,
+      liked: !!own?.like,
+      boosted: !!own?.announce,
+      // Boosted posts are public; others only when addressed to the public
+      canBoost: !post || [].concat(post.to || [], post.cc || []).includes(AS_PUBLIC),
+      isOwnPost: isCreate && !isReceived,
+      history,
+      hasHistory: history.length > 0,
+    };
   });
 
   // Format pending follow requests for template
@@ -110,6 +173,21 @@ export async function renderActivityPage(reqCtx) {
   }));
 
   const latestLabel = (t.act_latest || 'latest {{limit}}').replace('{{limit}}', feedLimit);
+  const notificationCount = await countNotifications(reqCtx);
+  const delivery = await getDeliveryStatus(env.APPDATA, username);
+
+  // Post search
+  const query = (url.searchParams.get('q') || '').trim();
+  const searchResults = query
+    ? (await searchPod(reqCtx, query, { kind: 'post' })).results.map(r => ({
+      actor: r.actor || '',
+      published: r.updated ? formatDateTime(r.updated, lang) : '',
+      isReceived: r.box === 'inbox',
+      source: r.box === 'inbox' ? (t.act_received || 'Received') : (t.act_sent || 'Sent'),
+      title: r.title,
+      snippet: r.snippet,
+    }))
+    : [];
 
   return renderPage('Activity', template, {
     error,
@@ -127,6 +205,15 @@ export async function renderActivityPage(reqCtx) {
     feedLimit,
     showAll,
     latestLabel,
+    notificationsLabel: (t.ldn_count || '{{count}} notifications').replace('{{count}}', notificationCount),
+    deliveryLabel: (t.dlv_summary || '{{queued}} waiting, {{failed}} failed')
+      .replace('{{queued}}', delivery.queue.length)
+      .replace('{{failed}}', delivery.dead.length),
+    deliveryFailed: delivery.dead.length > 0,
+    query,
+    searching: !!query,
+    searchResults,
+    hasSearchResults: searchResults.length > 0,
   }, { user: username, nav: 'activity', lang, dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
 }
 
@@ -269,6 +356,20 @@ export async function handleMarkAllRead(reqCtx) {
   return new Response(null, { status: 302, headers: { 'Location': '/activity' } });
 }
 
+/**
+ * The post a feed item can be replied to, liked or boosted: the object of
+ * a Create, or the post a received Announce boosts.
+ */
+function postIdOf(a) {
+  if (a.type === 'Create' && a.object && typeof a.object === 'object' && a.object.type !== 'Tombstone') {
+    return a.object.id || null;
+  }
+  if (a.type === 'Announce' && a._source === 'inbox') {
+    return typeof a.object === 'string' ? a.object : a.object?.id || null;
+  }
+  return null;
+}
+
 async function fetchItems(index, prefix, env) {
   const results = await Promise.all(
     index.map(entry => env.APPDATA.get(`${prefix}${simpleHash(entry.id)}`))
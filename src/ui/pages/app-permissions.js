@@ -9,6 +9,7 @@ import { renderPage } from '../shell.js';
 import template from '../templates/app-permissions.html';
 import { requireAuth } from '../../auth/middleware.js';
 import { listAppPermissions, revokeAppPermission, grantAppPermission, getAppPermission } from '../../solid/app-permissions.js';
+import { revokeClientTokens } from '../../oidc.js';
 import { parseNTriples, unwrapIri } from '../../rdf/ntriples.js';
 import { PREFIXES } from '../../rdf/prefixes.js';
 import { formatDate } from '../../i18n/format.js';
@@ -64,6 +65,7 @@ export async function handleAppPermissionsUpdate(reqCtx) {
     const clientId = form.get('client_id');
     if (clientId) {
       await revokeAppPermission(env.APPDATA, username, clientId);
+      await revokeClientTokens(env.APPDATA, clientId);
     }
   }
 
@@ -0,0 +1,122 @@
+/**
+ * Pod backup and migration — whole-pod export and import.
+ *
+ * Routes:
+ *   GET  /export — download the pod as a tar archive
+ *   POST /import — restore an archive into the pod. Either a form upload
+ *                  (multipart: `archive` file, `mode`) from the settings
+ *                  page, which redirects back to /settings, or the raw
+ *                  archive (`Content-Type: application/x-tar`, `?mode=`),
+ *                  which answers with the import summary as JSON.
+ *
+ * Owner only. With an access token the app must be allowed the whole pod,
+ * since the archive holds every resource and the ActivityPub private key.
+ * The archive format lives in storage/pod-archive.js.
+ */
+import { requireAuth } from '../../auth/middleware.js';
+import { getAppPermission } from '../../solid/app-permissions.js';
+import { exportPod, importPod, CONFLICT_MODES } from '../../storage/pod-archive.js';
+import { SIZE_LIMITS, checkContentLength } from '../../security/size-limit.js';
+
+/**
+ * GET /export — stream the pod archive.
+ */
+export async function handleExport(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+  const denied = await checkWholePodAccess(reqCtx);
+  if (denied) return denied;
+
+  const { config } = reqCtx;
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  console.log(`[archive] export started by ${reqCtx.authMethod}`);
+  return new Response(await exportPod(reqCtx), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/x-tar',
+      'Content-Disposition': `attachment; filename="${config.username}-pod-${date}.tar"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * POST /import — import an uploaded archive.
+ */
+export async function handleImport(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+  const denied = await checkWholePodAccess(reqCtx);
+  if (denied) return denied;
+
+  const { request, url } = reqCtx;
+  const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+  // The archive is imported from memory, so it has a lower limit than uploads
+  const tooLarge = checkContentLength(request, SIZE_LIMITS.archive);
+
+  if (contentType.includes('multipart/form-data')) {
+    if (tooLarge) return redirectWithError('Archive is larger than 32 MB');
+    const form = await request.formData();
+    const file = form.get('archive');
+    const mode = form.get('mode') || 'skip';
+    if (!file || typeof file === 'string' || file.size === 0) return redirectWithError('No archive selected');
+    if (file.size > SIZE_LIMITS.archive) return redirectWithError('Archive is larger than 32 MB');
+    try {
+      const summary = await importPod(reqCtx, new Uint8Array(await file.arrayBuffer()), { mode });
+      const params = new URLSearchParams({
+        imported: String(summary.created + summary.overwritten + summary.renamed),
+        skipped: String(summary.skipped),
+        failed: String(summary.errors.length),
+      });
+      return new Response(null, { status: 302, headers: { 'Location': `/settings?${params}` } });
+    } catch (err) {
+      if (!err.status) throw err;
+      return redirectWithError(err.message);
+    }
+  }
+
+  if (!contentType.includes('application/x-tar')) {
+    return new Response('Send the archive as application/x-tar or multipart/form-data', {
+      status: 415, headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+  if (tooLarge) return tooLarge;
+  const mode = url.searchParams.get('mode') || 'skip';
+  if (!CONFLICT_MODES.includes(mode)) {
+    return new Response(`mode must be one of: ${CONFLICT_MODES.join(', ')}`, {
+      status: 400, headers: { 'Content-Type': 'text/plain' },
+    });
+  }
+  try {
+    const summary = await importPod(reqCtx, new Uint8Array(await request.arrayBuffer()), { mode });
+    return new Response(JSON.stringify(summary), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  } catch (err) {
+    if (!err.status) throw err;
+    return new Response(err.message, { status: err.status, headers: { 'Content-Type': 'text/plain' } });
+  }
+}
+
+// --- Helpers ---
+
+/**
+ * Apps need the pod root among their allowed containers; sessions pass.
+ */
+async function checkWholePodAccess(reqCtx) {
+  if (reqCtx.authMethod !== 'oidc' || !reqCtx.clientId) return null;
+  const { config, env } = reqCtx;
+  const perm = await getAppPermission(env.APPDATA, config.username, reqCtx.clientId);
+  if (perm?.allowedContainers?.includes(`${config.baseUrl}/${config.username}/`)) return null;
+  return new Response('Forbidden — export and import need access to the whole pod', {
+    status: 403, headers: { 'Content-Type': 'text/plain' },
+  });
+}
+
+function redirectWithError(message) {
+  return new Response(null, {
+    status: 302,
+    headers: { 'Location': `/settings?import_error=${encodeURIComponent(message)}` },
+  });
+}
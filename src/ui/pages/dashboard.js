@@ -7,6 +7,7 @@ import { requireAuth } from '../../auth/middleware.js';
 import { parseNTriples, unwrapIri, unwrapLiteral } from '../../rdf/ntriples.js';
 import { PREFIXES } from '../../rdf/prefixes.js';
 import { formatBytes } from '../../i18n/format.js';
+import { getTrashSummary } from '../../storage/trash.js';
 
 export async function renderDashboard(reqCtx) {
   const authCheck = requireAuth(reqCtx);
@@ -38,7 +39,8 @@ export async function renderDashboard(reqCtx) {
   const passkeys = credResults.filter(Boolean).map(c => ({ id: c.id, name: c.name, createdAt: c.createdAt }));
 
   // Compute storage breakdown by resource type
-  const breakdown = await computeStorageBreakdown(reqCtx.storage, config, quota.usedBytes, lang, t);
+  const trash = await getTrashSummary(env.APPDATA, username);
+  const breakdown = await computeStorageBreakdown(reqCtx.storage, config, quota.usedBytes, trash, lang, t);
 
   // Build translated labels with interpolation
   const pendingCount = pendingFollows.length;
@@ -69,6 +71,10 @@ export async function renderDashboard(reqCtx) {
     hasPasskeys: passkeys.length > 0,
     storageBreakdown: breakdown.categories,
     hasBreakdown: breakdown.categories.length > 0,
+    writers: Object.entries(quota.writers || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([webId, bytes]) => ({ webId, size: formatBytes(bytes, lang) })),
+    hasWriters: Object.keys(quota.writers || {}).length > 0,
     totalResources: totalCount,
   }, { user: username, nav: 'dashboard', lang, dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
 }
@@ -142,7 +148,7 @@ async function collectResources(storage, containerIri, results) {
 /**
  * Compute storage breakdown grouped by resource category.
  */
-async function computeStorageBreakdown(storage, config, totalUsedBytes, lang = 'en-US', t = {}) {
+async function computeStorageBreakdown(storage, config, totalUsedBytes, trash, lang = 'en-US', t = {}) {
   const rootIri = `${config.baseUrl}/${config.username}/`;
   const resources = [];
 
@@ -174,9 +180,21 @@ async function computeStorageBreakdown(storage, config, totalUsedBytes, lang = '
         .replace('{{count}}', c.count),
     }));
 
+  // Trashed resources still count against the quota until purged
+  if (trash.count > 0) {
+    categories.push({
+      name: t.dash_trash || 'Trash',
+      size: formatBytes(trash.bytes, lang),
+      count: trash.count,
+      label: (trash.count === 1 ? t.dash_trash_items_one : t.dash_trash_items_other || `${trash.count} deleted items`)
+        .replace('{{count}}', trash.count),
+      href: '/trash',
+    });
+  }
+
   // Add "Everything Else" for unaccounted bytes (metadata, indexes, etc.)
   const categorizedBytes = [...buckets.values()].reduce((sum, c) => sum + c.bytes, 0);
-  const remainder = (totalUsedBytes || 0) - categorizedBytes;
+  const remainder = (totalUsedBytes || 0) - categorizedBytes - trash.bytes;
   if (remainder > 0) {
     categories.push({
       name: t.dash_everything_else || 'Everything Else',
@@ -0,0 +1,110 @@
+/**
+ * Delivery page — the outgoing ActivityPub queue.
+ *
+ * Routes:
+ *   GET  /activity/delivery — queued deliveries with their next attempt and
+ *                             last error, instances with repeated failures,
+ *                             and deliveries that were given up on
+ *   POST /activity/delivery — handle actions: retry (dead letter `id`),
+ *                             retry_all_dead, discard (`id`), discard_all_dead,
+ *                             retry_queued (`host` optional, lifts a suspension)
+ *
+ * The queue itself lives in activitypub/delivery.js.
+ */
+import { renderPage } from '../shell.js';
+import template from '../templates/delivery.html';
+import { requireAuth } from '../../auth/middleware.js';
+import { formatDateTime } from '../../i18n/format.js';
+import {
+  getDeliveryStatus, requeueDeadLetters, retryQueuedNow, discardDeadLetters, processJobsInBackground,
+} from '../../activitypub/delivery.js';
+
+const MAX_LISTED = 100;
+
+/**
+ * GET /activity/delivery — render the delivery queue.
+ */
+export async function renderDeliveryPage(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { config, env, lang, t } = reqCtx;
+  const { queue, dead, hosts } = await getDeliveryStatus(env.APPDATA, config.username);
+  const now = Date.now();
+
+  const queued = [...queue]
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+    .slice(0, MAX_LISTED)
+    .map(job => ({
+      type: job.activityType,
+      inbox: job.inbox,
+      attempts: job.attempts,
+      nextFormatted: Date.parse(job.nextAttemptAt) <= now ? (t.dlv_due || 'Due') : formatDateTime(job.nextAttemptAt, lang),
+      lastError: job.lastError || '',
+    }));
+
+  const failed = dead.slice(0, MAX_LISTED).map(job => ({
+    id: job.id,
+    type: job.activityType,
+    inbox: job.inbox,
+    attempts: job.attempts,
+    failedFormatted: formatDateTime(job.failedAt, lang),
+    reason: job.reason,
+  }));
+
+  const hostList = Object.entries(hosts)
+    .filter(([, h]) => h.failures > 0)
+    .sort((a, b) => b[1].failures - a[1].failures)
+    .map(([host, h]) => {
+      const suspended = !!h.suspendedUntil && Date.parse(h.suspendedUntil) > now;
+      return {
+        host,
+        failures: h.failures,
+        lastError: h.lastError || '',
+        lastSuccess: h.lastSuccessAt ? formatDateTime(h.lastSuccessAt, lang) : (t.dlv_never || 'Never'),
+        suspended,
+        suspendedLabel: suspended ? (t.dlv_suspended_until || 'Suspended until {{date}}').replace('{{date}}', formatDateTime(h.suspendedUntil, lang)) : '',
+      };
+    });
+
+  return renderPage('Delivery', template, {
+    summary: (t.dlv_summary || '{{queued}} waiting, {{failed}} failed')
+      .replace('{{queued}}', queue.length)
+      .replace('{{failed}}', dead.length),
+    queued,
+    hasQueued: queued.length > 0,
+    failed,
+    hasFailed: failed.length > 0,
+    hosts: hostList,
+    hasHosts: hostList.length > 0,
+  }, { user: config.username, nav: 'activity', lang, dir: reqCtx.dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
+}
+
+/**
+ * POST /activity/delivery — retry or discard deliveries.
+ */
+export async function handleDeliveryAction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config, env, ctx } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+  const id = form.get('id') || '';
+
+  let retry = [];
+  if (action === 'retry' && id) {
+    retry = await requeueDeadLetters(env.APPDATA, config.username, [id]);
+  } else if (action === 'retry_all_dead') {
+    retry = await requeueDeadLetters(env.APPDATA, config.username, null);
+  } else if (action === 'discard' && id) {
+    await discardDeadLetters(env.APPDATA, config.username, [id]);
+  } else if (action === 'discard_all_dead') {
+    await discardDeadLetters(env.APPDATA, config.username, null);
+  } else if (action === 'retry_queued') {
+    retry = await retryQueuedNow(env.APPDATA, config.username, form.get('host') || null);
+  }
+  processJobsInBackground(env, config, ctx, retry);
+
+  return new Response(null, { status: 302, headers: { 'Location': '/activity/delivery' } });
+}
@@ -0,0 +1,127 @@
+/**
+ * Groups page — named groups of agents for access policies.
+ *
+ * Routes:
+ *   GET  /groups — list groups with their members; `?edit={slug}` opens
+ *                  a group in the form
+ *   POST /groups — handle actions: save, delete, sync_followers
+ *
+ * Groups are `vcard:Group` documents in the pod (solid/groups.js). The
+ * synced followers group can't be edited here, only re-synced.
+ */
+import { renderPage } from '../shell.js';
+import template from '../templates/groups.html';
+import { requireAuth } from '../../auth/middleware.js';
+import {
+  listGroups, loadGroup, saveGroup, deleteGroup, syncFollowersGroup,
+  resolveGroupMembers, groupIri, isGroupIri, groupsContainer, FOLLOWERS_GROUP,
+} from '../../solid/groups.js';
+
+const ERRORS = {
+  exists: ['grp_error_exists', 'A group with this name already exists.'],
+  name: ['grp_error_name', 'Use letters, digits and dashes for the group name.'],
+  synced: ['grp_error_synced', 'This group is kept in sync automatically and cannot be edited.'],
+};
+
+/**
+ * GET /groups — render the groups and the group form.
+ */
+export async function renderGroupsPage(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { config, env, storage, url, lang, t } = reqCtx;
+  const groups = await listGroups(storage, config);
+  const ctx = { kv: env.APPDATA, storage, config };
+  const names = new Map(groups.map(g => [g.iri, g.name]));
+
+  const items = await Promise.all(groups.map(async g => {
+    const resolved = await resolveGroupMembers(ctx, g.iri);
+    return {
+      slug: g.slug,
+      name: g.name,
+      iri: g.iri,
+      synced: g.synced,
+      memberCount: (t.grp_member_count || '{{count}} members').replace('{{count}}', resolved.length),
+      members: g.members.filter(m => !isGroupIri(config, m)),
+      nested: g.members.filter(m => isGroupIri(config, m)).map(m => names.get(m) || m),
+      storageUrl: `/storage/${g.iri.slice(0, -5).replace(config.baseUrl + '/', '')}`,
+    };
+  }));
+
+  const editing = groups.find(g => g.slug === url.searchParams.get('edit') && !g.synced) || null;
+  const error = ERRORS[url.searchParams.get('error')];
+
+  return renderPage('Groups', template, {
+    items,
+    hasItems: items.length > 0,
+    editing: !!editing,
+    editSlug: editing?.slug || '',
+    editName: editing?.name || '',
+    editMembers: editing ? editing.members.filter(m => !isGroupIri(config, m)).join('\n') : '',
+    nestedOptions: groups.filter(g => g.iri !== editing?.iri).map(g => ({
+      iri: g.iri,
+      name: g.name,
+      checked: editing?.members.includes(g.iri) ? 'checked' : '',
+    })),
+    hasNestedOptions: groups.some(g => g.iri !== editing?.iri),
+    hasFollowersGroup: groups.some(g => g.slug === FOLLOWERS_GROUP && g.synced),
+    container: groupsContainer(config),
+    error: error ? (t[error[0]] || error[1]) : '',
+  }, { user: config.username, nav: 'settings', lang, dir: reqCtx.dir, t, storage, baseUrl: config.baseUrl });
+}
+
+/**
+ * POST /groups — save or delete a group, or re-sync the followers group.
+ */
+export async function handleGroupsAction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config, storage } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+
+  if (action === 'save') {
+    const name = (form.get('name') || '').trim();
+    const editSlug = form.get('slug') || '';
+    const slug = editSlug || slugify(name);
+    if (!name || !slug) return redirect('/groups?error=name');
+
+    const existing = await loadGroup(storage, config, groupIri(config, slug));
+    if (existing?.synced) return redirect('/groups?error=synced');
+    // The followers name stays free for the synced group, even before the first sync
+    if (!editSlug && (existing || slug === FOLLOWERS_GROUP)) return redirect('/groups?error=exists');
+
+    const webIds = (form.get('members') || '').split('\n').map(m => m.trim()).filter(m => /^https?:\/\/\S+$/.test(m));
+    const nested = form.getAll('groups').map(String).filter(g => isGroupIri(config, g));
+    try {
+      await saveGroup(reqCtx, slug, { name, members: [...webIds, ...nested] });
+    } catch (err) {
+      if (err.status === 400) return redirect('/groups?error=name');
+      throw err;
+    }
+  }
+
+  if (action === 'delete') {
+    await deleteGroup(reqCtx, form.get('slug') || '');
+  }
+
+  if (action === 'sync_followers') {
+    await syncFollowersGroup(reqCtx);
+  }
+
+  return redirect('/groups');
+}
+
+// --- Helpers ---
+
+/** Group slug from its display name, e.g. "Book Club" → "book-club". */
+function slugify(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+}
+
+function redirect(location) {
+  return new Response(null, { status: 302, headers: { 'Location': location } });
+}
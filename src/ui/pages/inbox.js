@@ -0,0 +1,111 @@
+/**
+ * Notifications page — Linked Data Notifications received in the inbox.
+ *
+ * Routes:
+ *   GET  /activity/notifications — list notifications, newest first, with
+ *                                  sender, type and a short summary
+ *   POST /activity/notifications — handle actions: delete, delete_all
+ *
+ * Receiving lives in solid/ldn.js. Deleted notifications go to the trash
+ * like any other pod resource.
+ */
+import { renderPage } from '../shell.js';
+import template from '../templates/inbox.html';
+import { requireAuth } from '../../auth/middleware.js';
+import { formatDateTime } from '../../i18n/format.js';
+import { listNotifications, inboxContainer } from '../../solid/ldn.js';
+import { moveToTrash } from '../../storage/trash.js';
+import { notifyChange } from '../../solid/notifications.js';
+import { unwrapIri, parseLiteral } from '../../rdf/ntriples.js';
+import { PREFIXES } from '../../rdf/prefixes.js';
+
+/** Predicates tried in order for the one-line summary. */
+const SUMMARY_PREDICATES = [
+  PREFIXES.as + 'summary',
+  PREFIXES.as + 'content',
+  PREFIXES.as + 'name',
+  PREFIXES.dcterms + 'title',
+  PREFIXES.rdfs + 'label',
+];
+
+const MAX_SUMMARY = 280;
+
+/**
+ * GET /activity/notifications — render the notification list.
+ */
+export async function renderNotificationsPage(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { config, lang, t } = reqCtx;
+  const notifications = await listNotifications(reqCtx);
+
+  const items = notifications.map(n => {
+    const types = n.triples
+      .filter(tr => unwrapIri(tr.predicate) === PREFIXES.rdf + 'type')
+      .map(tr => shortName(unwrapIri(tr.object)));
+    return {
+      id: n.id,
+      sender: n.sender || '',
+      anonymous: !n.sender,
+      receivedFormatted: formatDateTime(n.receivedAt, lang),
+      types: [...new Set(types)],
+      summary: summarize(n.triples),
+      tripleCount: (t.ldn_triples || '{{count}} triples').replace('{{count}}', n.triples.length),
+      storageUrl: `/storage/${n.iri.replace(config.baseUrl + '/', '')}`,
+    };
+  });
+
+  return renderPage('Notifications', template, {
+    items,
+    hasItems: items.length > 0,
+    inboxUrl: inboxContainer(config).slice(0, -1),
+  }, { user: config.username, nav: 'activity', lang, dir: reqCtx.dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
+}
+
+/**
+ * POST /activity/notifications — delete one notification or all of them.
+ */
+export async function handleNotificationsAction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+  const container = inboxContainer(config);
+
+  let iris = [];
+  if (action === 'delete') {
+    const id = form.get('id') || '';
+    if (!id || id.includes('/')) return new Response('Invalid notification', { status: 400 });
+    iris = [container + id];
+  } else if (action === 'delete_all') {
+    iris = (await listNotifications(reqCtx)).map(n => n.iri);
+  }
+
+  for (const iri of iris) {
+    if (await moveToTrash(reqCtx, iri)) notifyChange(reqCtx, 'Delete', iri);
+  }
+
+  return new Response(null, { status: 302, headers: { 'Location': '/activity/notifications' } });
+}
+
+// --- Helpers ---
+
+/** Local name of an IRI (after the last # or /). */
+function shortName(iriValue) {
+  const m = iriValue.match(/[#/]([^#/]+)$/);
+  return m ? m[1] : iriValue;
+}
+
+/** First literal of a summary-like predicate, trimmed. */
+function summarize(triples) {
+  for (const predicate of SUMMARY_PREDICATES) {
+    const match = triples.find(tr => unwrapIri(tr.predicate) === predicate && parseLiteral(tr.object));
+    if (!match) continue;
+    const text = parseLiteral(match.object).value.replace(/<[^>]*>/g, '').trim();
+    return text.length > MAX_SUMMARY ? text.slice(0, MAX_SUMMARY) + '…' : text;
+  }
+  return '';
+}
@@ -24,6 +24,7 @@ import template from '../templates/profile-editor.html';
 import { DEFAULT_LAYOUT } from '../layout-renderer.js';
 import { requireAuth } from '../../auth/middleware.js';
 import { readProfileTriples, writeTriplesToKV } from '../../solid/ldp.js';
+import { notifyChange } from '../../solid/notifications.js';
 import { iri, unwrapIri, unwrapLiteral, literal } from '../../rdf/ntriples.js';
 import { PREFIXES, shortenPredicate, loadCustomPrefixes, saveCustomPrefixes, loadPredicateCatalog, discoverNsPredicates, saveNsPredicates, BUILTIN_NS_PREDICATES } from '../../rdf/prefixes.js';
 
@@ -229,6 +230,7 @@ export async function handleProfileUpdate(reqCtx) {
   ];
 
   await writeTriplesToKV(storage, profileIri, finalTriples);
+  notifyChange(reqCtx, 'Update', profileIri);
 
   return new Response(null, {
     status: 302,
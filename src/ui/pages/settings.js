@@ -3,7 +3,11 @@
  *
  * Routes:
  *   GET  /settings — render settings page with language selector and app management
- *   POST /settings — handle preference saves, app permission updates/revokes
+ *   POST /settings — handle preference saves, app permission updates/revokes,
+ *                    search index rebuilds
+ *
+ * The backup card links to GET /export and posts archives to /import
+ * (backup.js).
  *
  * User preferences are stored in APPDATA KV at key `user_prefs:{username}`.
  * App management functionality is migrated from the standalone app-permissions page.
@@ -14,8 +18,10 @@ import { requireAuth } from '../../auth/middleware.js';
 import { SUPPORTED_LANGUAGES } from '../../i18n/index.js';
 import { formatDate } from '../../i18n/format.js';
 import { listAppPermissions, revokeAppPermission, grantAppPermission, getAppPermission } from '../../solid/app-permissions.js';
+import { revokeClientTokens } from '../../oidc.js';
 import { parseNTriples, unwrapIri } from '../../rdf/ntriples.js';
 import { PREFIXES } from '../../rdf/prefixes.js';
+import { rebuildSearchIndex } from '../../storage/search.js';
 
 /**
  * GET /settings — render the settings page.
@@ -29,7 +35,17 @@ export async function renderSettings(reqCtx) {
 
   // Flash messages from redirect
   const saved = url.searchParams.get('saved');
-  const success = saved === '1' ? (t.set_prefs_saved || 'Preferences saved.') : '';
+  const reindexed = url.searchParams.get('reindexed');
+  const imported = url.searchParams.get('imported');
+  const importError = url.searchParams.get('import_error');
+  const success = saved === '1' ? (t.set_prefs_saved || 'Preferences saved.')
+    : reindexed !== null ? (t.set_search_rebuilt || 'Search index rebuilt: {{count}} documents.').replace('{{count}}', parseInt(reindexed, 10) || 0)
+    : imported !== null ? (t.set_backup_imported || 'Archive imported: {{count}} resources restored, {{skipped}} kept as they were, {{failed}} failed.')
+      .replace('{{count}}', parseInt(imported, 10) || 0)
+      .replace('{{skipped}}', parseInt(url.searchParams.get('skipped'), 10) || 0)
+      .replace('{{failed}}', parseInt(url.searchParams.get('failed'), 10) || 0)
+    : '';
+  const error = importError ? (t.set_backup_failed || 'Import failed: {{error}}').replace('{{error}}', () => importError) : '';
 
   // Language selector data
   const currentLang = userPrefs?.language || lang;
@@ -70,6 +86,7 @@ export async function renderSettings(reqCtx) {
     languages,
     dateFormats,
     success,
+    error,
   }, { user: username, nav: 'settings', lang, dir, t, storage, baseUrl: config.baseUrl });
 }
 
@@ -100,10 +117,16 @@ export async function handleSettingsUpdate(reqCtx) {
     return new Response(null, { status: 302, headers: { 'Location': '/settings?saved=1' } });
   }
 
+  if (action === 'rebuild_search') {
+    const count = await rebuildSearchIndex(reqCtx);
+    return new Response(null, { status: 302, headers: { 'Location': `/settings?reindexed=${count}` } });
+  }
+
   if (action === 'revoke') {
     const clientId = form.get('client_id');
     if (clientId) {
       await revokeAppPermission(env.APPDATA, username, clientId);
+      await revokeClientTokens(env.APPDATA, clientId);
     }
   }
 
@@ -0,0 +1,72 @@
+/**
+ * Password form for protected share links.
+ *
+ * Routes:
+ *   GET  /share/unlock?token=...&return=/path — ask for the link's password
+ *   POST /share/unlock — check it, set the unlock cookie and go back to
+ *                        the shared URL
+ *
+ * The links themselves are checked in solid/share-links.js.
+ */
+import { renderPage } from '../shell.js';
+import template from '../templates/share-unlock.html';
+import { verifyPassword } from '../../auth/password.js';
+import { verifyShareToken, shareLinkCovers, unlockCookie } from '../../solid/share-links.js';
+
+/**
+ * GET /share/unlock — render the password form.
+ */
+export async function renderShareUnlock(reqCtx) {
+  const { url } = reqCtx;
+  return unlockPage(reqCtx, url.searchParams.get('token') || '', url.searchParams.get('return') || '');
+}
+
+/**
+ * POST /share/unlock — check the password.
+ */
+export async function handleShareUnlock(reqCtx) {
+  const { request } = reqCtx;
+  const form = await request.formData();
+  const token = form.get('token') || '';
+  const returnPath = form.get('return') || '';
+  const password = form.get('password') || '';
+  return unlockPage(reqCtx, token, returnPath, password);
+}
+
+// --- Helpers ---
+
+async function unlockPage(reqCtx, token, returnPath, password = null) {
+  const { env, config, lang, dir, t } = reqCtx;
+  let link;
+  try {
+    link = await verifyShareToken(env.APPDATA, config.username, token);
+  } catch (err) {
+    if (!err.status) throw err;
+    return new Response(err.message, { status: err.status, headers: { 'Cache-Control': 'no-store' } });
+  }
+
+  // Only go back to a URL the link covers
+  const target = shareLinkCovers(link, config.baseUrl + returnPath) ? returnPath : link.resource.slice(config.baseUrl.length);
+  const location = `${target}?share=${encodeURIComponent(token)}`;
+  if (!link.passwordHash) {
+    return new Response(null, { status: 303, headers: { 'Location': location } });
+  }
+
+  if (password !== null) {
+    if (await verifyPassword(password, link.passwordHash)) {
+      return new Response(null, {
+        status: 303,
+        headers: { 'Location': location, 'Set-Cookie': await unlockCookie(reqCtx, link) },
+      });
+    }
+    console.log(`[share] wrong password for ${link.id}`);
+  }
+
+  const response = await renderPage('Shared link', template, {
+    token,
+    returnPath: target,
+    error: password !== null ? (t.share_wrong_password || 'Wrong password.') : '',
+  }, { lang, dir, t });
+  if (password === null) return response;
+  return new Response(response.body, { status: 401, headers: response.headers });
+}
@@ -3,16 +3,23 @@
  *
  * Routes:
  *   GET  /storage/**  — render a container listing or resource detail page
- *   POST /storage/**  — handle actions: upload, mkdir, create, save, delete
+ *   POST /storage/**  — handle actions: upload, mkdir, create, save, delete,
+ *                       move, copy, restore
  *
  * Features:
  *   - Container pages show: file listing with icons, upload form, create
- *     container form, create text resource form, delete buttons
+ *     container form, create text resource form, delete buttons, and a
+ *     search box for the container's subtree (`?q=`, storage/search.js)
  *   - Resource pages show: content preview (text/image/binary), raw download
- *     link, edit form (for text resources), metadata table, delete button
+ *     link, edit form (for text resources; a save is refused if the resource
+ *     changed since the form was rendered), metadata table, delete button
  *   - Metadata editing: Dublin Core triples (format, extent, created, title)
  *     stored in `doc:{iri}.meta:{iri}` as N-Triples
- *   - Recursive container deletion with quota tracking
+ *   - Deletes (recursive for containers) move resources to the trash
+ *     (storage/trash.js); the container page links to /trash
+ *   - Version history: earlier versions listed on the resource page, with a
+ *     diff against the current state (`?diff={id}`) and restore
+ *   - Every change is announced to Solid Notifications subscribers
  *
  * Storage keys used:
  *   - `idx:{iri}` — resource index (JSON with subjects array, binary flag)
@@ -20,6 +27,7 @@
  *   - `doc:{iri}.meta:{iri}` — resource metadata
  *   - `blob:{iri}` — binary file data (R2)
  *   - `quota:{username}` — storage usage counter
+ *   - `ver_idx:{iri}`, `ver:{iri}:{id}` — version history (storage/versions.js)
  */
 import { renderPage, renderPartial } from '../shell.js';
 import containerTemplate from '../templates/storage-container.html';
@@ -28,9 +36,16 @@ import breadcrumbsPartial from '../templates/partials/breadcrumbs.html';
 import { requireAuth } from '../../auth/middleware.js';
 import { parseNTriples, unwrapIri, serializeNTriples, iri, literal, typedLiteral } from '../../rdf/ntriples.js';
 import { PREFIXES, shortenPredicate, loadMergedPrefixes, loadPredicateCatalog } from '../../rdf/prefixes.js';
-import { checkQuota, quotaExceededResponse, addQuota } from '../../storage/quota.js';
+import { checkQuota, quotaExceededResponse, addQuota, subtractQuota, subtractWriterBytes, writerOf } from '../../storage/quota.js';
 import { checkContainerQuota, containerQuotaExceededResponse, addContainerBytes, subtractContainerBytes } from '../../storage/container-quota.js';
-import { formatBytes } from '../../i18n/format.js';
+import { formatBytes, formatDateTime } from '../../i18n/format.js';
+import { currentValidators } from '../../solid/conditional.js';
+import { notifyChange } from '../../solid/notifications.js';
+import { mementoUrl } from '../../solid/memento.js';
+import { recordVersion, moveVersions, loadVersionIndex, readVersion, getVersionRetention } from '../../storage/versions.js';
+import { moveToTrash } from '../../storage/trash.js';
+import { searchPod } from '../../solid/search-endpoint.js';
+import { diffLines, diffTriples } from '../diff.js';
 
 const TEXT_EXTS = new Set([
   'ttl', 'txt', 'html', 'css', 'csv', 'xml', 'md', 'n3',
@@ -69,9 +84,10 @@ export async function renderStoragePage(reqCtx) {
   const isDir = path.endsWith('/');
   const editMode = url.searchParams.get('edit') === '1';
   const editMeta = url.searchParams.get('meta') === '1';
+  const diffId = url.searchParams.get('diff');
 
   if (isDir) return renderContainerPage(reqCtx, path, resourceIri, username);
-  return renderResourcePage(reqCtx, path, resourceIri, username, editMode, editMeta);
+  return renderResourcePage(reqCtx, path, resourceIri, username, editMode, editMeta, diffId);
 }
 
 // ── Container page ───────────────────────────────────
@@ -84,6 +100,18 @@ async function renderContainerPage(reqCtx, path, resourceIri, username) {
   const crumbs = buildBreadcrumbs(path);
   const breadcrumbs = renderPartial(breadcrumbsPartial, { crumbs });
 
+  // Search within this container
+  const query = (reqCtx.url.searchParams.get('q') || '').trim();
+  const searchResults = query
+    ? (await searchPod(reqCtx, query, { kind: 'resource', scope: resourceIri })).results.map(r => ({
+      storagePath: r.iri.replace(config.baseUrl + '/', ''),
+      name: r.iri.replace(resourceIri, ''),
+      contentType: r.contentType || '',
+      updated: r.updated ? formatDateTime(r.updated, reqCtx.lang) : '',
+      snippet: r.snippet,
+    }))
+    : [];
+
   return renderPage('Storage', containerTemplate, {
     path,
     displayPath: '/' + path,
@@ -91,12 +119,16 @@ async function renderContainerPage(reqCtx, path, resourceIri, username) {
     items,
     hasItems: items.length > 0,
     isRoot,
+    query,
+    searching: !!query,
+    searchResults,
+    hasSearchResults: searchResults.length > 0,
   }, { user: username, nav: 'storage', lang: reqCtx.lang, dir: reqCtx.dir, t: reqCtx.t, storage, baseUrl: config.baseUrl });
 }
 
 // ── Resource page ────────────────────────────────────
 
-async function renderResourcePage(reqCtx, path, resourceIri, username, editMode, editMeta) {
+async function renderResourcePage(reqCtx, path, resourceIri, username, editMode, editMeta, diffId) {
   const { config, storage } = reqCtx;
   const { content, contentType, isBinary, size } = await loadResource(resourceIri, storage);
   const canEdit = isTextResource(path);
@@ -137,12 +169,15 @@ async function renderResourcePage(reqCtx, path, resourceIri, username, editMode,
   // Pre-compute mutually exclusive display flags for Mustache
   const isImage = isImageType(contentType);
   const showEditor = editMode && canEdit;
+  // Sent back with the edit form so a save can detect concurrent changes
+  const etag = showEditor ? (await currentValidators(storage, reqCtx.env.BLOBS, resourceIri))?.etag || '' : '';
   const showImage = !showEditor && isBinary && isImage;
   const showBinaryDownload = !showEditor && isBinary && !isImage;
   const showContent = !showEditor && !isBinary && content !== null;
   const showEmpty = !showEditor && !showImage && !showBinaryDownload && !showContent;
 
   const copyDefault = computeCopyDefault(path);
+  const history = await loadHistory(reqCtx, resourceIri, resourceUrl, path, diffId);
   return renderPage('Storage', resourceTemplate, {
     path,
     displayPath: '/' + path,
@@ -155,6 +190,7 @@ async function renderResourcePage(reqCtx, path, resourceIri, username, editMode,
     contentType,
     sizeFormatted: formatBytes(size, reqCtx.lang),
     showEditor,
+    etag,
     showImage,
     showBinaryDownload,
     showContent,
@@ -169,9 +205,106 @@ async function renderResourcePage(reqCtx, path, resourceIri, username, editMode,
     metaTurtle,
     prefixesJson: JSON.stringify(mergedPrefixes),
     namespaceCatalogJson: JSON.stringify(await loadPredicateCatalog(reqCtx.env.APPDATA, mergedPrefixes)),
+    ...history,
   }, { user: username, nav: 'storage', lang: reqCtx.lang, dir: reqCtx.dir, t: reqCtx.t, storage, baseUrl: config.baseUrl });
 }
 
+// ── Version history ──────────────────────────────────
+
+/** Largest state (in bytes) the history view compares as text. */
+const MAX_DIFF_BYTES = 200_000;
+
+async function loadHistory(reqCtx, resourceIri, resourceUrl, path, diffId) {
+  const { storage, env, lang, t } = reqCtx;
+  const index = await loadVersionIndex(storage, resourceIri);
+  const { keep } = await getVersionRetention(env.APPDATA, computeParent(resourceIri));
+  const versions = index.versions.map(v => ({
+    id: v.id,
+    savedFormatted: formatDateTime(v.datetime, lang),
+    sizeFormatted: formatBytes(v.bytes, lang),
+    viewUrl: mementoUrl(resourceUrl, v.id),
+    diffHref: `/storage/${path}?diff=${v.id}`,
+  }));
+
+  let diff = null;
+  const compared = diffId && index.versions.find(v => v.id === diffId);
+  if (compared) {
+    const rows = await diffWithCurrent(reqCtx, resourceIri, path, compared);
+    diff = {
+      title: (t.stor_diff_title || 'Changes from {{date}} to the current state').replace('{{date}}', formatDateTime(compared.datetime, lang)),
+      rows: (rows || []).map(r => ({ text: r.text, marker: r.op, cls: r.op === '+' ? 'diff-add' : r.op === '-' ? 'diff-remove' : '' })),
+      unavailable: rows === null,
+      none: rows !== null && !rows.some(r => r.op !== ' '),
+    };
+  }
+
+  return {
+    versions,
+    hasVersions: versions.length > 0,
+    historyOff: keep === 0,
+    historyKeep: keep > 0 ? (t.stor_history_keep || 'Keeping up to {{count}} versions.').replace('{{count}}', keep) : '',
+    diff,
+  };
+}
+
+/**
+ * Diff a version against the current state: triples for RDF, lines for
+ * text. Returns null when the version can't be compared as text.
+ */
+async function diffWithCurrent(reqCtx, resourceIri, path, version) {
+  const { storage } = reqCtx;
+  const found = await readVersion(reqCtx, resourceIri, version.id);
+  if (!found) return null;
+
+  if (!version.binary) {
+    const idx = await storage.get(`idx:${resourceIri}`);
+    const current = [];
+    if (idx && !JSON.parse(idx).binary) {
+      for (const subj of JSON.parse(idx).subjects || []) {
+        const nt = await storage.get(`doc:${resourceIri}:${subj}`);
+        if (nt) current.push(...parseNTriples(nt));
+      }
+    }
+    return diffTriples(parseNTriples(found.ntriples), current);
+  }
+
+  const isText = version.contentType.startsWith('text/') || isTextResource(path);
+  if (!isText || version.bytes > MAX_DIFF_BYTES) return null;
+  const currentBlob = await storage.getBlob(`blob:${resourceIri}`);
+  if (currentBlob && currentBlob.byteLength > MAX_DIFF_BYTES) return null;
+  const currentText = currentBlob ? new TextDecoder().decode(currentBlob) : '';
+  return diffLines(await found.object.text(), currentText);
+}
+
+async function handleRestore(resourceIri, versionId, path, config, storage, env, reqCtx) {
+  const found = await readVersion(reqCtx, resourceIri, versionId);
+  if (!found) return errorResponse('Version not found.', 404);
+  const { version } = found;
+  // Read the version before recording the current state, which may prune it
+  const data = version.binary ? await found.object.arrayBuffer() : parseNTriples(found.ntriples);
+  const parent = computeParent(resourceIri);
+
+  if (version.binary) {
+    const quotaResult = await checkQuota(env.APPDATA, config.username, data.byteLength, config.storageLimit);
+    if (!quotaResult.allowed) return quotaExceededResponse(quotaResult.usedBytes, quotaResult.limitBytes);
+  }
+
+  const replacedBytes = await computeResourceSize(storage, resourceIri);
+  const replacedWriter = version.binary ? writerOf(await storage.get(`doc:${resourceIri}.meta:${resourceIri}`)) : null;
+  await recordVersion(reqCtx, resourceIri);
+  await clearResourceContent(storage, resourceIri);
+  if (version.binary) {
+    await storage.putBlob(`blob:${resourceIri}`, data, version.contentType);
+    await writeMetadata(storage, resourceIri, version.contentType, data.byteLength);
+    await storage.put(`idx:${resourceIri}`, JSON.stringify({ subjects: [resourceIri], binary: true }));
+  } else {
+    await writeTriplesToKV(storage, resourceIri, data);
+  }
+  await replaceQuotaBytes(env, config, parent, replacedBytes, version.bytes, replacedWriter);
+  notifyChange(reqCtx, 'Update', resourceIri);
+  return redirect(`/storage/${path}`);
+}
+
 // ── POST /storage/** ─────────────────────────────────
 
 export async function handleStorageAction(reqCtx) {
@@ -182,18 +315,20 @@ export async function handleStorageAction(reqCtx) {
   const path = url.pathname.replace(/^\/storage\/?/, '') || `${config.username}/`;
   const resourceIri = `${config.baseUrl}/${path}`;
   const ct = request.headers.get('Content-Type') || '';
-  let action, slug, name, content, metadata, destination;
+  let action, slug, name, content, metadata, destination, etag, versionId;
 
   if (ct.includes('multipart/form-data')) {
     const form = await request.formData();
     action = form.get('action');
     if (action === 'upload') {
-      return handleUpload(form, resourceIri, path, config, storage, env);
+      return handleUpload(form, resourceIri, path, config, storage, env, reqCtx);
     }
     name = form.get('name');
     content = form.get('content');
     metadata = form.get('metadata');
     destination = form.get('destination');
+    etag = form.get('etag');
+    versionId = form.get('version');
   } else {
     const form = await request.formData();
     action = form.get('action');
@@ -201,6 +336,8 @@ export async function handleStorageAction(reqCtx) {
     content = form.get('content');
     metadata = form.get('metadata');
     destination = form.get('destination');
+    etag = form.get('etag');
+    versionId = form.get('version');
   }
 
   if (action === 'mkdir' && name) {
@@ -213,6 +350,7 @@ export async function handleStorageAction(reqCtx) {
     await storage.put(`doc:${newIri}:${newIri}`, containerNt);
     await storage.put(`idx:${newIri}`, JSON.stringify({ subjects: [newIri] }));
     await appendContainment(storage, resourceIri, newIri);
+    notifyChange(reqCtx, 'Create', newIri);
     return redirect(`/storage/${path}`);
   }
 
@@ -231,17 +369,26 @@ export async function handleStorageAction(reqCtx) {
 
     if (fileCt === 'text/turtle' || fileCt === 'application/n-triples') {
       const { parseTurtle } = await import('../../rdf/turtle-parser.js');
-      const triples = fileCt === 'text/turtle'
-        ? parseTurtle(text, newIri)
-        : parseNTriples(text);
+      let triples;
+      try {
+        triples = fileCt === 'text/turtle'
+          ? parseTurtle(text, newIri)
+          : parseNTriples(text);
+      } catch (e) {
+        if (e.status === 400) return errorResponse(e.message, 400);
+        throw e;
+      }
+      await recordVersion(reqCtx, newIri);
       await writeTriplesToKV(storage, newIri, triples);
     } else {
       const binary = new TextEncoder().encode(text);
+      await recordVersion(reqCtx, newIri);
       await storage.putBlob(`blob:${newIri}`, binary.buffer, fileCt);
       await writeMetadata(storage, newIri, fileCt, binary.byteLength);
       await storage.put(`idx:${newIri}`, JSON.stringify({ subjects: [newIri], binary: true }));
     }
     await appendContainment(storage, resourceIri, newIri);
+    notifyChange(reqCtx, 'Create', newIri);
 
     // Update quota tracking
     await addQuota(env.APPDATA, config.username, textBytes);
@@ -251,19 +398,39 @@ export async function handleStorageAction(reqCtx) {
   }
 
   if (action === 'save' && content !== null && content !== undefined) {
+    if (etag) {
+      const current = await currentValidators(storage, env.BLOBS, resourceIri);
+      if ((current?.etag || '') !== etag) {
+        return errorResponse('This resource was changed after you opened the editor. Reload it and apply your edits again.', 409);
+      }
+    }
     const fileCt = contentTypeForExt(path.split('/').pop());
+    const replacedBytes = await computeResourceSize(storage, resourceIri);
+    const textBytes = new TextEncoder().encode(content).byteLength;
+    let replacedWriter = null;
     if (fileCt === 'text/turtle' || fileCt === 'application/n-triples') {
       const { parseTurtle } = await import('../../rdf/turtle-parser.js');
-      const triples = fileCt === 'text/turtle'
-        ? parseTurtle(content, resourceIri)
-        : parseNTriples(content);
+      let triples;
+      try {
+        triples = fileCt === 'text/turtle'
+          ? parseTurtle(content, resourceIri)
+          : parseNTriples(content);
+      } catch (e) {
+        if (e.status === 400) return errorResponse(e.message, 400);
+        throw e;
+      }
+      await recordVersion(reqCtx, resourceIri);
       await writeTriplesToKV(storage, resourceIri, triples);
     } else {
       const binary = new TextEncoder().encode(content);
+      replacedWriter = writerOf(await storage.get(`doc:${resourceIri}.meta:${resourceIri}`));
+      await recordVersion(reqCtx, resourceIri);
       await storage.putBlob(`blob:${resourceIri}`, binary.buffer, fileCt);
       await writeMetadata(storage, resourceIri, fileCt, binary.byteLength);
       await storage.put(`idx:${resourceIri}`, JSON.stringify({ subjects: [resourceIri], binary: true }));
     }
+    await replaceQuotaBytes(env, config, computeParent(resourceIri), replacedBytes, textBytes, replacedWriter);
+    notifyChange(reqCtx, 'Update', resourceIri);
     return redirect(`/storage/${path}`);
   }
 
@@ -275,23 +442,23 @@ export async function handleStorageAction(reqCtx) {
   }
 
   if (action === 'delete') {
-    if (path.endsWith('/')) {
-      await deleteContainerRecursive(storage, resourceIri, env.APPDATA);
-    } else {
-      await deleteResource(storage, resourceIri, env.APPDATA);
-    }
+    await moveToTrash(reqCtx, resourceIri);
     const parent = computeParent(resourceIri);
-    if (parent) await removeContainment(storage, parent, resourceIri);
+    notifyChange(reqCtx, 'Delete', resourceIri);
     const parentPath = parent ? parent.replace(config.baseUrl + '/', '') : `${config.username}/`;
     return redirect(`/storage/${parentPath}`);
   }
 
   if (action === 'move' && destination) {
-    return handleMove(resourceIri, destination, path, config, storage, env);
+    return handleMove(resourceIri, destination, path, config, storage, env, reqCtx);
   }
 
   if (action === 'copy' && destination) {
-    return handleCopy(resourceIri, destination, path, config, storage, env);
+    return handleCopy(resourceIri, destination, path, config, storage, env, reqCtx);
+  }
+
+  if (action === 'restore' && versionId) {
+    return handleRestore(resourceIri, versionId, path, config, storage, env, reqCtx);
   }
 
   return redirect(`/storage/${path}`);
@@ -299,13 +466,16 @@ export async function handleStorageAction(reqCtx) {
 
 // ── Upload with metadata capture ─────────────────────
 
-async function handleUpload(form, containerIri, path, config, storage, env) {
+async function handleUpload(form, containerIri, path, config, storage, env, reqCtx) {
   const file = form.get('file');
   const slug = form.get('slug') || file.name;
   const cleanSlug = slug.replace(/[^a-zA-Z0-9._-]/g, '-');
   const newIri = containerIri + cleanSlug;
   const binary = await file.arrayBuffer();
   const fileType = file.type || 'application/octet-stream';
+  const existed = await storage.get(`idx:${newIri}`);
+  const replacedBytes = existed ? await computeResourceSize(storage, newIri) : 0;
+  const replacedWriter = existed ? writerOf(await storage.get(`doc:${newIri}.meta:${newIri}`)) : null;
 
   // Quota checks before writing
   const quotaResult = await checkQuota(env.APPDATA, config.username, binary.byteLength, config.storageLimit);
@@ -313,6 +483,7 @@ async function handleUpload(form, containerIri, path, config, storage, env) {
   const cqResult = await checkContainerQuota(env.APPDATA, containerIri, binary.byteLength);
   if (!cqResult.allowed) return containerQuotaExceededResponse(cqResult.blockedBy, cqResult.usedBytes, cqResult.limitBytes);
 
+  await recordVersion(reqCtx, newIri);
   await storage.putBlob(`blob:${newIri}`, binary, fileType);
 
   // Capture file metadata
@@ -332,10 +503,10 @@ async function handleUpload(form, containerIri, path, config, storage, env) {
   await storage.put(`doc:${newIri}.meta:${newIri}`, metaNt.join('\n'));
   await storage.put(`idx:${newIri}`, JSON.stringify({ subjects: [newIri], binary: true }));
   await appendContainment(storage, containerIri, newIri);
+  notifyChange(reqCtx, existed ? 'Update' : 'Create', newIri);
 
   // Update quota tracking
-  await addQuota(env.APPDATA, config.username, binary.byteLength);
-  await addContainerBytes(env.APPDATA, containerIri, binary.byteLength);
+  await replaceQuotaBytes(env, config, containerIri, replacedBytes, binary.byteLength, replacedWriter);
 
   return redirect(`/storage/${path}`);
 }
@@ -420,37 +591,7 @@ async function loadMetadata(resourceIri, storage) {
   return parseNTriples(nt);
 }
 
-// ── Delete helpers ───────────────────────────────────
-
-async function deleteResource(storage, resourceIri, appdata) {
-  const idx = await storage.get(`idx:${resourceIri}`);
-  if (idx) {
-    const parsed = JSON.parse(idx);
-    for (const subj of parsed.subjects || []) {
-      await storage.delete(`doc:${resourceIri}:${subj}`);
-    }
-    await storage.delete(`idx:${resourceIri}`);
-  }
-  try { await storage.deleteBlob(`blob:${resourceIri}`); } catch {}
-  await storage.delete(`doc:${resourceIri}.meta:${resourceIri}`);
-  await storage.delete(`acl:${resourceIri}`);
-  await appdata.delete(`acp:${resourceIri}`);
-}
-
-async function deleteContainerRecursive(storage, containerIri, appdata) {
-  const ntData = await storage.get(`doc:${containerIri}:${containerIri}`);
-  if (ntData) {
-    const triples = parseNTriples(ntData);
-    for (const t of triples) {
-      if (unwrapIri(t.predicate) === PREFIXES.ldp + 'contains') {
-        const child = unwrapIri(t.object);
-        if (child.endsWith('/')) await deleteContainerRecursive(storage, child, appdata);
-        else await deleteResource(storage, child, appdata);
-      }
-    }
-  }
-  await deleteResource(storage, containerIri, appdata);
-}
+// ── Containment helpers ──────────────────────────────
 
 async function removeContainment(storage, parentIri, childIri) {
   const docKey = `doc:${parentIri}:${parentIri}`;
@@ -478,6 +619,33 @@ async function writeTriplesToKV(storage, resourceIri, triples) {
   await storage.put(`idx:${resourceIri}`, JSON.stringify({ subjects: [...bySubject.keys()] }));
 }
 
+/** Remove a resource's triples and blob, leaving its metadata, policies and history. */
+async function clearResourceContent(storage, resourceIri) {
+  const idx = await storage.get(`idx:${resourceIri}`);
+  if (!idx) return;
+  const parsed = JSON.parse(idx);
+  for (const subj of parsed.subjects || []) {
+    await storage.delete(`doc:${resourceIri}:${subj}`);
+  }
+  if (parsed.binary) await storage.deleteBlob(`blob:${resourceIri}`);
+}
+
+/**
+ * Swap the bytes of replaced content for those of its replacement in the quota counters.
+ * The owner's replacement takes the bytes off the share of the collaborator who wrote the old content.
+ */
+async function replaceQuotaBytes(env, config, containerIri, replacedBytes, newBytes, replacedWriter = null) {
+  if (replacedWriter && replacedBytes > 0) await subtractWriterBytes(env.APPDATA, config.username, replacedWriter, replacedBytes);
+  const delta = newBytes - replacedBytes;
+  if (delta > 0) {
+    await addQuota(env.APPDATA, config.username, delta);
+    if (containerIri) await addContainerBytes(env.APPDATA, containerIri, delta);
+  } else if (delta < 0) {
+    await subtractQuota(env.APPDATA, config.username, -delta);
+    if (containerIri) await subtractContainerBytes(env.APPDATA, containerIri, -delta);
+  }
+}
+
 async function writeMetadata(storage, resourceIri, contentType, byteLength) {
   const now = new Date().toISOString();
   const metaNt = [
@@ -615,7 +783,7 @@ async function ensureParentContainersLocal(storage, destIri) {
   if (grandparent) await appendContainment(storage, grandparent, parent);
 }
 
-async function moveSingleResource(storage, sourceIri, destIri, appdata) {
+async function moveSingleResource(storage, sourceIri, destIri, appdata, reqCtx) {
   const idx = await storage.get(`idx:${sourceIri}`);
   if (!idx) return;
   const parsed = JSON.parse(idx);
@@ -669,9 +837,11 @@ async function moveSingleResource(storage, sourceIri, destIri, appdata) {
     await appdata.put(`acp:${destIri}`, acp);
     await appdata.delete(`acp:${sourceIri}`);
   }
+
+  await moveVersions(reqCtx, sourceIri, destIri);
 }
 
-async function moveContainerRecursive(storage, sourceIri, destIri, appdata) {
+async function moveContainerRecursive(storage, sourceIri, destIri, appdata, reqCtx) {
   // First, move all children
   const ntData = await storage.get(`doc:${sourceIri}:${sourceIri}`);
   if (ntData) {
@@ -682,9 +852,9 @@ async function moveContainerRecursive(storage, sourceIri, destIri, appdata) {
         const childSuffix = childIri.slice(sourceIri.length);
         const newChildIri = destIri + childSuffix;
         if (childIri.endsWith('/')) {
-          await moveContainerRecursive(storage, childIri, newChildIri, appdata);
+          await moveContainerRecursive(storage, childIri, newChildIri, appdata, reqCtx);
         } else {
-          await moveSingleResource(storage, childIri, newChildIri, appdata);
+          await moveSingleResource(storage, childIri, newChildIri, appdata, reqCtx);
         }
       }
     }
@@ -815,7 +985,7 @@ async function copyContainerRecursive(storage, sourceIri, destIri) {
   }
 }
 
-async function handleMove(resourceIri, destination, path, config, storage, env) {
+async function handleMove(resourceIri, destination, path, config, storage, env, reqCtx) {
   const v = validateDestination(destination, config, resourceIri);
   if (v.error) return errorResponse(v.error, 400);
 
@@ -840,9 +1010,9 @@ async function handleMove(resourceIri, destination, path, config, storage, env)
 
   // Execute move
   if (isDir) {
-    await moveContainerRecursive(storage, resourceIri, v.destIri, env.APPDATA);
+    await moveContainerRecursive(storage, resourceIri, v.destIri, env.APPDATA, reqCtx);
   } else {
-    await moveSingleResource(storage, resourceIri, v.destIri, env.APPDATA);
+    await moveSingleResource(storage, resourceIri, v.destIri, env.APPDATA, reqCtx);
   }
 
   // Update containment: remove from old parent, add to new parent
@@ -855,10 +1025,13 @@ async function handleMove(resourceIri, destination, path, config, storage, env)
   if (oldParent) await subtractContainerBytes(env.APPDATA, oldParent, size);
   if (newParent) await addContainerBytes(env.APPDATA, newParent, size);
 
+  notifyChange(reqCtx, 'Delete', resourceIri);
+  notifyChange(reqCtx, 'Create', v.destIri);
+
   return redirect(`/storage/${v.destPath}`);
 }
 
-async function handleCopy(resourceIri, destination, path, config, storage, env) {
+async function handleCopy(resourceIri, destination, path, config, storage, env, reqCtx) {
   const v = validateDestination(destination, config, resourceIri);
   if (v.error) return errorResponse(v.error, 400);
 
@@ -899,6 +1072,7 @@ async function handleCopy(resourceIri, destination, path, config, storage, env)
   await addQuota(env.APPDATA, config.username, size);
   if (newParent) await addContainerBytes(env.APPDATA, newParent, size);
 
+  notifyChange(reqCtx, 'Create', v.destIri);
   return redirect(`/storage/${v.destPath}`);
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Trash page — deleted pod resources awaiting restore or purge.
+ *
+ * Routes:
+ *   GET  /trash — list trashed items with their original path, size and
+ *                 expiry, and the retention setting
+ *   POST /trash — handle actions: restore, purge, empty, save_retention
+ *
+ * The trash itself lives in storage/trash.js.
+ */
+import { renderPage } from '../shell.js';
+import template from '../templates/trash.html';
+import { requireAuth } from '../../auth/middleware.js';
+import { formatBytes, formatDateTime } from '../../i18n/format.js';
+import {
+  listTrash, restoreFromTrash, purgeFromTrash, emptyTrash,
+  getTrashRetention, setTrashRetention, MAX_TRASH_DAYS,
+} from '../../storage/trash.js';
+import { notifyChange } from '../../solid/notifications.js';
+
+/**
+ * GET /trash — render the trash.
+ */
+export async function renderTrashPage(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { config, env, lang, t } = reqCtx;
+  const username = config.username;
+  const entries = await listTrash(reqCtx);
+  const days = await getTrashRetention(env.APPDATA, username);
+  const totalBytes = entries.reduce((sum, e) => sum + e.bytes, 0);
+
+  const items = entries.map(e => {
+    const path = e.iri.replace(config.baseUrl + '/', '');
+    return {
+      id: e.id,
+      path: '/' + path,
+      isDir: path.endsWith('/'),
+      deletedFormatted: formatDateTime(e.deletedAt, lang),
+      expiresFormatted: formatDateTime(e.expiresAt, lang),
+      sizeFormatted: formatBytes(e.bytes, lang),
+      contentsLabel: e.count > 1
+        ? (t.trash_contents || '{{count}} resources').replace('{{count}}', e.count)
+        : '',
+    };
+  });
+
+  return renderPage('Trash', template, {
+    items,
+    hasItems: items.length > 0,
+    summary: (t.trash_summary || '{{size}} in the trash').replace('{{size}}', formatBytes(totalBytes, lang)),
+    retentionDays: days,
+    maxDays: MAX_TRASH_DAYS,
+    retentionOff: days === 0,
+    error: reqCtx.url.searchParams.get('error') === 'conflict' ? (t.trash_conflict || 'Something else now exists at the original path. Move or delete it first.') : '',
+  }, { user: username, nav: 'storage', lang, dir: reqCtx.dir, t, storage: reqCtx.storage, baseUrl: config.baseUrl });
+}
+
+/**
+ * POST /trash — restore, purge or empty the trash, or change its retention.
+ */
+export async function handleTrashAction(reqCtx) {
+  const authCheck = requireAuth(reqCtx);
+  if (authCheck) return authCheck;
+
+  const { request, config, env } = reqCtx;
+  const form = await request.formData();
+  const action = form.get('action');
+  const id = form.get('id');
+
+  if (action === 'restore' && id) {
+    try {
+      const entry = await restoreFromTrash(reqCtx, id);
+      notifyChange(reqCtx, 'Create', entry.iri);
+      return redirect(`/storage/${entry.iri.replace(config.baseUrl + '/', '')}`);
+    } catch (err) {
+      if (err.status === 409) return redirect('/trash?error=conflict');
+      if (err.status === 404) return redirect('/trash');
+      throw err;
+    }
+  }
+
+  if (action === 'purge' && id) {
+    await purgeFromTrash(reqCtx, id);
+  }
+
+  if (action === 'empty') {
+    await emptyTrash(reqCtx);
+  }
+
+  if (action === 'save_retention') {
+    const days = parseInt(form.get('days'), 10);
+    if (Number.isNaN(days) || days < 0) return new Response('Invalid retention', { status: 400 });
+    await setTrashRetention(env.APPDATA, config.username, days);
+  }
+
+  return redirect('/trash');
+}
+
+function redirect(location) {
+  return new Response(null, { status: 302, headers: { 'Location': location } });
+}